@@ -0,0 +1,65 @@
+// api/routes/characters.js
+import express from 'express';
+import CharacterStore from '../services/characterStore.js';
+
+const router = express.Router();
+
+function sendError(res, err, action) {
+  if (err.code === 'invalid_character') {
+    return res.status(400).json({ error: 'Invalid character', message: err.message });
+  }
+  console.error(`[Characters] ${action} error:`, err);
+  return res.status(500).json({ error: `Failed to ${action}`, message: err.message });
+}
+
+// GET /api/characters — summaries, by name
+router.get('/characters', async (_req, res) => {
+  try {
+    return res.json({ success: true, characters: await CharacterStore.list() });
+  } catch (err) {
+    return sendError(res, err, 'list characters');
+  }
+});
+
+// POST /api/characters  { name, baseDescriptions, voiceProfile?, referenceImage?, brand?, notes? }
+router.post('/characters', async (req, res) => {
+  try {
+    const character = await CharacterStore.create(req.body || {});
+    return res.status(201).json({ success: true, character });
+  } catch (err) {
+    return sendError(res, err, 'create character');
+  }
+});
+
+router.get('/characters/:id', async (req, res) => {
+  try {
+    const character = await CharacterStore.get(req.params.id);
+    if (!character) return res.status(404).json({ error: 'Character not found' });
+    return res.json({ success: true, character });
+  } catch (err) {
+    return sendError(res, err, 'load character');
+  }
+});
+
+// PUT /api/characters/:id — any of the POST fields
+router.put('/characters/:id', async (req, res) => {
+  try {
+    const character = await CharacterStore.update(req.params.id, req.body || {});
+    if (!character) return res.status(404).json({ error: 'Character not found' });
+    return res.json({ success: true, character });
+  } catch (err) {
+    return sendError(res, err, 'update character');
+  }
+});
+
+router.delete('/characters/:id', async (req, res) => {
+  try {
+    const removed = await CharacterStore.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Character not found' });
+    return res.json({ success: true });
+  } catch (err) {
+    return sendError(res, err, 'delete character');
+  }
+});
+
+export default router;
@@ -0,0 +1,29 @@
+// api/routes/compliance.js
+import express from 'express';
+import { lintGeneration, listVerticals, isKnownVertical, DEFAULT_VERTICAL } from '../services/complianceLinter.js';
+
+const router = express.Router();
+
+// GET /api/compliance/verticals — [{ id, label, bannedTerms }]
+router.get('/compliance/verticals', (_req, res) => {
+  return res.json({ success: true, verticals: listVerticals() });
+});
+
+// POST /api/compliance/lint — body: { script?, segments?, vertical? }
+// Same report generation responses carry as `compliance`; used to re-check
+// segments after they have been edited.
+router.post('/compliance/lint', (req, res) => {
+  const { script = '', segments, vertical = DEFAULT_VERTICAL } = req.body || {};
+  if (typeof script !== 'string') {
+    return res.status(400).json({ error: 'script must be a string' });
+  }
+  if (segments !== undefined && !Array.isArray(segments)) {
+    return res.status(400).json({ error: 'segments must be an array' });
+  }
+  if (!isKnownVertical(vertical)) {
+    return res.status(400).json({ error: `Unknown vertical "${vertical}"` });
+  }
+  return res.json({ success: true, compliance: lintGeneration({ script, segments, vertical }) });
+});
+
+export default router;
@@ -3,6 +3,10 @@ import express from 'express';
 import rateLimit from 'express-rate-limit';
 import OpenAIService from '../services/openaiService.js';
 import Veo3Service from '../services/veo3Service.js';
+import KieAiService from '../services/kieAiService.js';
+import JobQueue from '../services/jobQueue.js';
+import { validateGenerationParams } from '../services/generationParams.js';
+import { pacingError } from '../services/scriptSplitter.js';
 import archiver from 'archiver';
 
 const router = express.Router();
@@ -18,6 +22,16 @@ const limiter = rateLimit({
 });
 router.use(limiter);
 
+// Video providers selectable via `provider` on /generate-videos
+const VIDEO_PROVIDERS = ['veo', 'kieai'];
+
+// Generation runs as a background job so it survives the HTTP request
+JobQueue.register('generate', (params, hooks) => (
+  params.continuationMode
+    ? OpenAIService.generateContinuationSegments(params, hooks)
+    : OpenAIService.generateSegments(params, hooks)
+));
+
 // ============================
 // Generate segments endpoint
 // ============================
@@ -32,169 +46,26 @@ router.post('/generate', async (req, res) => {
   });
 
   try {
-    const {
-      // core
-      script,
-      ageRange,
-      gender,
-      product,
-      room,
-      style,
-      // knobs
-      jsonFormat = 'standard',
-      continuationMode = false,
-      voiceType,
-      energyLevel,
-      settingMode = 'single',
-      locations = [],
-      cameraStyle,
-      timeOfDay,
-      backgroundLife,
-      productStyle,
-      energyArc,
-      narrativeStyle,
-      // advanced character details
-      ethnicity,
-      characterFeatures,
-      clothingDetails,
-      accentRegion,
-      // ad agency framework fields
-      persona,
-      coreDesire,
-      awareness,
-      promise,
-      patternBreaker,
-      headlinePattern,
-      headline,
-      creativeType,
-      // optional run controls
-      maxSegments = null,
-      sequential = null,
-    } = req.body;
-
-    if (!script || script.trim().length < 50) {
-      log('Validation failed: script too short');
-      return res.status(400).json({ error: 'Script must be at least 50 characters long' });
+    const params = pickGenerationParams(req.body);
+
+    const problem = await validateGenerationParams(params);
+    if (problem) {
+      log('Validation failed:', problem);
+      return res.status(400).json(problem);
     }
 
-    log('Starting OpenAI generation with:', {
-      ageRange,
-      gender,
-      product,
-      room,
-      style,
-      jsonFormat,
-      continuationMode,
-      settingMode,
-      scriptWords: script.trim().split(/\s+/).length,
-      maxSegments,
-      sequential,
-    });
+    log('Starting OpenAI generation with:', describeParams(params));
+
+    const job = await JobQueue.enqueue('generate', params);
+    res.locals.jobId = job.id;
+    res.setHeader('X-Job-Id', job.id);
 
-    // Shared params object
-    const params = {
-      script: script.trim(),
-      ageRange,
-      gender,
-      product,
-      room,
-      style,
-      jsonFormat,
-      voiceType,
-      energyLevel,
-      settingMode,
-      locations,
-      cameraStyle,
-      timeOfDay,
-      backgroundLife,
-      productStyle,
-      energyArc,
-      narrativeStyle,
-      ethnicity,
-      characterFeatures,
-      clothingDetails,
-      accentRegion,
-      persona,
-      coreDesire,
-      awareness,
-      promise,
-      patternBreaker,
-      headlinePattern,
-      headline,
-      creativeType,
-      maxSegments,
-      sequential,
-    };
-
-    // -------- Continuation Mode --------
-    if (continuationMode) {
-      // 1) split script up-front (so we can run strictly sequential)
-      let scriptSegments = await OpenAIService.splitScript(params.script);
-      if (maxSegments && Number.isFinite(+maxSegments)) {
-        scriptSegments = scriptSegments.slice(0, +maxSegments);
-      }
-
-      // 2) load template + generate base once (pass down to each segment)
-      const template = await OpenAIService.loadTemplate(jsonFormat);
-      const baseDescriptions = await OpenAIService.generateBaseDescriptions(params, template);
-
-      // 3) derive locations of same length
-      let locs = [];
-      if (settingMode === 'single') {
-        locs = Array(scriptSegments.length).fill(room);
-      } else {
-        const src = locations || [];
-        locs = Array.from({ length: scriptSegments.length }, (_, i) => {
-          return src[i] ?? src[src.length - 1] ?? 'living room';
-        });
-      }
-
-      // 4) sequentially build segments so we can pass previousSegment
-      const segments = [];
-      for (let i = 0; i < scriptSegments.length; i++) {
-        const segmentNumber = i + 1;
-        console.log(`[OpenAI] >>> start segment ${segmentNumber}/${scriptSegments.length}`);
-        console.time(`[seg ${segmentNumber}]`);
-        
-        const seg = await OpenAIService.generateContinuationStyleSegment({
-          segmentNumber,
-          totalSegments: scriptSegments.length,
-          scriptPart: scriptSegments[i],
-          baseDescriptions,            // <— reuse!
-          template,
-          currentLocation: locs[i],
-          previousLocation: i > 0 ? locs[i - 1] : null,
-          nextLocation: i < locs.length - 1 ? locs[i + 1] : null,
-          previousSegment: i > 0 ? segments[i - 1] : null,
-          ...params,
-        });
-        
-        console.timeEnd(`[seg ${segmentNumber}]`);
-        console.log(`[OpenAI] <<< end segment ${segmentNumber}/${scriptSegments.length}`);
-        segments.push(seg);
-      }
-
-      const responsePayload = {
-        success: true,
-        segments,
-        metadata: {
-          totalSegments: segments.length,
-          estimatedDuration: segments.length * 8,
-          characterId: OpenAIService.generateCharacterId(params),
-          mode: 'continuation',
-        },
-        voiceProfile: null, // could be added later via extractDetailedVoiceProfile
-      };
-
-      if (res.headersSent) {
-        log('response already sent; skipping success send');
-        return;
-      }
-      return res.json(responsePayload);
+    // async callers poll GET /api/jobs/:id instead of holding the request open
+    if (req.body.async) {
+      return res.status(202).json({ success: true, jobId: job.id, status: job.status });
     }
 
-    // -------- Standard Generation --------
-    const result = await OpenAIService.generateSegments(params);
+    const result = await JobQueue.resultOf(job.id);
 
     log('Success:', {
       segments: result.segments.length,
@@ -208,9 +79,13 @@ router.post('/generate', async (req, res) => {
     }
     return res.json({
       success: true,
+      jobId: job.id,
       segments: result.segments,
+      baseDescriptions: result.baseDescriptions,
+      validation: result.validation,
       metadata: result.metadata,
       voiceProfile: result.voiceProfile,
+      compliance: result.compliance,
     });
   } catch (err) {
     log('Error:', {
@@ -225,12 +100,65 @@ router.post('/generate', async (req, res) => {
     const code = err.message?.endsWith('_timeout') ? 504 : 500;
     return res.status(code).json({
       error: 'Failed to generate segments',
+      jobId: res.locals.jobId,
       message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error',
       details: process.env.NODE_ENV === 'development' ? err.response?.data : undefined,
     });
   }
 });
 
+// ============================
+// Generate segments, streamed as Server-Sent Events
+// ============================
+// Same body as /generate. Emits: job, compliance, split, base_descriptions,
+// voice_profile, segment_started, segment_completed, complete, error. The `job` event comes
+// first so the client can fall back to GET /api/jobs/:id if the stream drops.
+router.post('/generate/stream', async (req, res) => {
+  const requestId = cryptoRandomId();
+  const log = (msg, extra = {}) =>
+    console.log(`[GenerateStream:${requestId}] ${msg}`, extra);
+
+  const params = pickGenerationParams(req.body);
+  let problem;
+  try {
+    problem = await validateGenerationParams(params);
+  } catch (err) {
+    log('Error:', { message: err.message });
+    return res.status(500).json({ error: 'Failed to load character', message: err.message });
+  }
+  if (problem) {
+    log('Validation failed:', problem);
+    return res.status(400).json(problem);
+  }
+
+  log('Starting streamed generation with:', describeParams(params));
+  const stream = openEventStream(res);
+  const forward = (type, data) => stream.send(type, data);
+  let job = null;
+
+  try {
+    job = await JobQueue.enqueue('generate', params);
+    JobQueue.on(`job:${job.id}:event`, forward);
+    stream.send('job', { jobId: job.id, status: job.status });
+
+    const result = await JobQueue.resultOf(job.id);
+
+    log('Success:', { segments: result.segments.length });
+    stream.send('complete', { success: true, jobId: job.id, ...result });
+  } catch (err) {
+    log('Error:', { message: err.message, stack: err.stack });
+    stream.send('error', {
+      error: 'Failed to generate segments',
+      jobId: job?.id,
+      code: err.message?.endsWith('_timeout') ? 504 : 500,
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error',
+    });
+  } finally {
+    if (job) JobQueue.off(`job:${job.id}:event`, forward);
+    stream.close();
+  }
+});
+
 // ============================
 // Download segments as ZIP
 // ============================
@@ -274,17 +202,32 @@ router.post('/generate-videos', async (req, res) => {
   log('Request received');
 
   try {
-    const { segments } = req.body;
+    const { segments, provider = 'veo', segmentSeconds } = req.body;
     if (!segments || !Array.isArray(segments) || segments.length === 0) {
       return res.status(400).json({ error: 'No segments provided for video generation' });
     }
+    if (!VIDEO_PROVIDERS.includes(provider)) {
+      return res.status(400).json({
+        error: 'Invalid provider',
+        message: `provider must be one of: ${VIDEO_PROVIDERS.join(', ')}`,
+      });
+    }
+    // the run's segment length, for the duration each video is reported with
+    const pacingProblem = pacingError({ segmentSeconds });
+    if (pacingProblem) {
+      return res.status(400).json({ error: 'Invalid pacing', message: pacingProblem });
+    }
 
-    log(`Processing ${segments.length} segments`);
-    const result = await Veo3Service.generateVideosForAllSegments(segments);
+    log(`Processing ${segments.length} segments`, { provider });
+    const result = provider === 'kieai'
+      ? await KieAiService.generateVideosForAllSegments(segments, (segment) => Veo3Service.createVideoPrompt(segment), { segmentSeconds })
+      : await Veo3Service.generateVideosForAllSegments(segments, { segmentSeconds });
 
     log('Success:', {
-      totalVideos: result.videos.length,
-      status: result.videos[0]?.status,
+      submitted: result.submitted ?? result.videos.length,
+      failed: result.failed ?? 0,
+      backend: result.backend,
+      cost: result.cost?.amount,
     });
 
     if (res.headersSent) {
@@ -292,15 +235,29 @@ router.post('/generate-videos', async (req, res) => {
       return;
     }
 
+    // each video carries a taskId; poll GET /api/videos/:taskId for progress
+    // a failed segment doesn't hide the tasks already submitted for the others
     return res.json({
-      success: true,
-      videos: result.videos,
-      service: 'gemini',
-      message: result.message || 'Video generation initiated successfully',
+      success: result.success,
+      provider,
+      videos: result.videos.map(video => ({ ...video, provider })),
+      submitted: result.submitted ?? result.videos.length,
+      failed: result.failed ?? 0,
+      service: result.backend,
+      cost: result.cost || null,
+      message: result.message || (result.failed
+        ? `${result.submitted} of ${result.totalSegments} videos submitted; ${result.failed} failed`
+        : 'Video generation initiated successfully'),
     });
   } catch (error) {
     console.error('[Generate Videos] Error:', error);
     if (res.headersSent) return;
+    if (error.code === 'insufficient_balance') {
+      return res.status(402).json({ error: 'Insufficient balance', message: error.message });
+    }
+    if (error.code === 'not_configured') {
+      return res.status(503).json({ error: 'Video provider not configured', message: error.message });
+    }
     res.status(500).json({
       error: 'Failed to generate videos',
       message: error.message,
@@ -310,6 +267,153 @@ router.post('/generate-videos', async (req, res) => {
 
 export default router;
 
+// Body fields shared by /generate and /generate/stream
+function pickGenerationParams(body = {}) {
+  const {
+    // core
+    script,
+    ageRange,
+    gender,
+    product,
+    room,
+    style,
+    // knobs
+    jsonFormat = 'standard',
+    voiceType,
+    energyLevel,
+    settingMode = 'single',
+    locations = [],
+    cameraStyle,
+    timeOfDay,
+    backgroundLife,
+    productStyle,
+    energyArc,
+    narrativeStyle,
+    // advanced character details
+    ethnicity,
+    characterFeatures,
+    clothingDetails,
+    accentRegion,
+    // ad agency framework fields
+    persona,
+    coreDesire,
+    awareness,
+    promise,
+    patternBreaker,
+    headlinePattern,
+    headline,
+    creativeType,
+    // compliance linter banned-term list (api/compliance/verticals.json)
+    vertical,
+    // per-speaker details for multi-speaker scripts: { NAME: { gender, ageRange, description } }
+    cast,
+    // saved character (api/routes/characters.js) reused instead of new base descriptions
+    characterId,
+    // detailed voice profile from an earlier result, reused verbatim (api/services/voiceProfile.js)
+    voiceProfile,
+    // pacing for the script splitter (api/services/scriptSplitter.js)
+    wordsPerMinute,
+    segmentSeconds,
+    minWords,
+    maxWords,
+    // optional run controls
+    continuationMode = false,
+    maxSegments = null,
+    sequential = null,
+    baseDescriptionPolicy,   // 'overwrite' | 'flag'
+  } = body;
+
+  return {
+    script: typeof script === 'string' ? script.trim() : '',
+    ageRange,
+    gender,
+    product,
+    room,
+    style,
+    jsonFormat,
+    voiceType,
+    energyLevel,
+    settingMode,
+    locations,
+    cameraStyle,
+    timeOfDay,
+    backgroundLife,
+    productStyle,
+    energyArc,
+    narrativeStyle,
+    ethnicity,
+    characterFeatures,
+    clothingDetails,
+    accentRegion,
+    persona,
+    coreDesire,
+    awareness,
+    promise,
+    patternBreaker,
+    headlinePattern,
+    headline,
+    creativeType,
+    vertical,
+    cast,
+    characterId,
+    voiceProfile,
+    wordsPerMinute,
+    segmentSeconds,
+    minWords,
+    maxWords,
+    continuationMode: !!continuationMode,
+    maxSegments,
+    sequential,
+    baseDescriptionPolicy,
+  };
+}
+
+function describeParams(params) {
+  return {
+    ageRange: params.ageRange,
+    gender: params.gender,
+    product: params.product,
+    room: params.room,
+    style: params.style,
+    jsonFormat: params.jsonFormat,
+    settingMode: params.settingMode,
+    continuationMode: params.continuationMode,
+    scriptWords: params.script.split(/\s+/).length,
+    maxSegments: params.maxSegments,
+    sequential: params.sequential,
+    characterId: params.characterId || null,
+    voiceProfile: params.voiceProfile ? 'submitted' : 'extract',
+  };
+}
+
+// Minimal SSE writer. Keeps the connection warm through proxies and stops
+// writing once the client goes away.
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  let closed = false;
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': ping\n\n');
+  }, 15_000);
+  res.on('close', () => { closed = true; clearInterval(heartbeat); });
+
+  return {
+    send(type, data) {
+      if (closed) return;
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (!closed) { closed = true; res.end(); }
+    },
+  };
+}
+
 // small helper
 function cryptoRandomId() {
   // avoid Node:crypto import just for an id
@@ -1,6 +1,9 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
 import OpenAIService from '../services/openaiService.js';
+import JobQueue from '../services/jobQueue.js';
+import { toAvatarParams } from '../services/animalAvatarDefinitions.js';
+import { validateGenerationParams } from '../services/generationParams.js';
 
 const router = express.Router();
 
@@ -11,6 +14,10 @@ const limiter = rateLimit({
 
 router.use(limiter);
 
+JobQueue.register('generate-new-cont', (params, hooks) =>
+  OpenAIService.generateSegmentsWithVoiceProfile(params, hooks)
+);
+
 // New Continuation Mode: isolated endpoint
 router.post('/generate-new-cont', async (req, res) => {
   console.log('[NewCont] Request received:', {
@@ -45,12 +52,27 @@ router.post('/generate-new-cont', async (req, res) => {
       useAnimalAvatar = false,
       animalPreset, // 'tiger' | 'monkey' | 'fish'
       animalVoiceStyle, // e.g., 'narrator', 'playful', 'deep-resonant'
-      anthropomorphic = false
+      anthropomorphic = false,
+      vertical,                // compliance banned-term list
+      cast,                    // per-speaker details for multi-speaker scripts
+      characterId,             // saved character to reuse instead of new base descriptions
+      voiceProfile,            // detailed profile from an earlier batch, reused verbatim
+      baseDescriptionPolicy,   // 'overwrite' | 'flag'
+      // pacing for the script splitter
+      wordsPerMinute,
+      segmentSeconds,
+      minWords,
+      maxWords,
+      // return a job id immediately and let the client poll /api/jobs/:id
+      async: runAsync = false,
     } = req.body;
 
-    if (!script || script.trim().length < 50) {
-      return res.status(400).json({ error: 'Script must be at least 50 characters long' });
-    }
+    // the avatar mode decides which saved characters fit
+    const problem = await validateGenerationParams({
+      script, voiceProfile, characterId, wordsPerMinute, segmentSeconds, minWords, maxWords,
+      ...toAvatarParams({ useAnimalAvatar, animalPreset, animalVoiceStyle, anthropomorphic }),
+    });
+    if (problem) return res.status(400).json(problem);
 
     const params = {
       script: script.trim(),
@@ -74,32 +96,55 @@ router.post('/generate-new-cont', async (req, res) => {
       characterFeatures,
       clothingDetails,
       accentRegion,
+      vertical,
+      cast,
+      characterId,
+      voiceProfile,
+      baseDescriptionPolicy,
+      wordsPerMinute,
+      segmentSeconds,
+      minWords,
+      maxWords,
+      ...toAvatarParams({ useAnimalAvatar, animalPreset, animalVoiceStyle, anthropomorphic }),
     };
 
-    if (useAnimalAvatar) {
-      params.avatarMode = 'animal';
-      params.animal = {
-        species: animalPreset,
-        voiceStyle: animalVoiceStyle || 'narrator',
-        anthropomorphic: !!anthropomorphic,
-      };
-      // Neutralize human-only fields when animal avatar is used
-      params.ageRange = params.ageRange || 'N/A';
-      params.gender = params.gender || 'N/A';
+    if (params.avatarMode === 'animal') {
+      if (!animalPreset) {
+        return res.status(400).json({ error: 'animalPreset is required when useAnimalAvatar is set' });
+      }
+      // Human-only fields don't apply to animal avatars
+      params.ageRange = 'N/A';
+      params.gender = 'N/A';
+      delete params.ethnicity;
+      delete params.clothingDetails;
+    }
+
+    const job = await JobQueue.enqueue('generate-new-cont', params);
+    res.locals.jobId = job.id;
+    res.setHeader('X-Job-Id', job.id);
+
+    if (runAsync) {
+      return res.status(202).json({ success: true, jobId: job.id, status: job.status });
     }
 
-    // Use continuation style generation path
-    const result = await OpenAIService.generateSegmentsWithVoiceProfile(params);
+    const result = await JobQueue.resultOf(job.id);
 
+    if (res.headersSent) return;
     res.json({
       success: true,
+      jobId: job.id,
       segments: result.segments,
+      baseDescriptions: result.baseDescriptions,
+      validation: result.validation,
       metadata: result.metadata,
       voiceProfile: result.voiceProfile,
+      compliance: result.compliance,
     });
   } catch (error) {
     console.error('[NewCont] Error:', error);
-    res.status(500).json({ error: 'Failed to generate new continuation segments', message: error.message });
+    if (res.headersSent) return;
+    const code = error?.message?.endsWith('_timeout') ? 504 : 500;
+    res.status(code).json({ error: 'Failed to generate new continuation segments', jobId: res.locals.jobId, message: error.message });
   }
 });
 
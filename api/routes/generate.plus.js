@@ -2,6 +2,11 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
 import OpenAIService from '../services/openaiService.js';
+import Veo3Service from '../services/veo3Service.js';
+import KieAiService from '../services/kieAiService.js';
+import JobQueue from '../services/jobQueue.js';
+import { pacingError, resolvePacing } from '../services/scriptSplitter.js';
+import { validateGenerationParams } from '../services/generationParams.js';
 import archiver from 'archiver';
 
 const router = express.Router();
@@ -17,6 +22,29 @@ const limiter = rateLimit({
 });
 router.use(limiter);
 
+// Same providers as /generate-videos
+const VIDEO_PROVIDERS = ['veo', 'kieai'];
+
+JobQueue.register('generate-plus', async ({ maxSegments, ...params }, hooks) => {
+  // Use the same hardened service as Standard
+  const result = await OpenAIService.generateSegments(params, hooks);
+
+  // If caller asked to cap number of segments, enforce here
+  if (maxSegments && Number.isFinite(+maxSegments)) {
+    const n = Math.max(1, +maxSegments);
+    return {
+      ...result,
+      segments: result.segments.slice(0, n),
+      metadata: {
+        ...result.metadata,
+        totalSegments: Math.min(result.metadata.totalSegments || result.segments.length, n),
+        estimatedDuration: n * resolvePacing(params).segmentSeconds,
+      },
+    };
+  }
+  return result;
+});
+
 // ============================
 // Standard Plus (enhanced JSON)
 // ============================
@@ -69,14 +97,27 @@ router.post('/generate-plus', async (req, res) => {
       headlinePattern,
       headline,
       creativeType,
+      vertical,                // compliance banned-term list
+      cast,                    // per-speaker details for multi-speaker scripts
+      characterId,             // saved character to reuse instead of new base descriptions
+      voiceProfile,            // detailed profile from an earlier result, reused verbatim
+      // pacing for the script splitter
+      wordsPerMinute,
+      segmentSeconds,
+      minWords,
+      maxWords,
+      baseDescriptionPolicy,   // 'overwrite' | 'flag'
+      // return a job id immediately and let the client poll /api/jobs/:id
+      async: runAsync = false,
     } = req.body || {};
 
     // Validation
-    if (!script || script.trim().length < 50) {
-      log('Validation failed: Script too short');
-      return res.status(400).json({
-        error: 'Script must be at least 50 characters long',
-      });
+    const problem = await validateGenerationParams({
+      script, voiceProfile, characterId, wordsPerMinute, segmentSeconds, minWords, maxWords,
+    });
+    if (problem) {
+      log('Validation failed:', problem);
+      return res.status(400).json(problem);
     }
 
     log('Starting OpenAI generation with:', {
@@ -122,27 +163,27 @@ router.post('/generate-plus', async (req, res) => {
       headlinePattern,
       headline,
       creativeType,
+      vertical,
+      cast,
+      characterId,
+      voiceProfile,
+      wordsPerMinute,
+      segmentSeconds,
+      minWords,
+      maxWords,
+      baseDescriptionPolicy,
     };
 
-    // Use the same hardened service as Standard
-    const result = await OpenAIService.generateSegments(params);
-
-    // If caller asked to cap number of segments, enforce here
-    let out = result;
-    if (maxSegments && Number.isFinite(+maxSegments)) {
-      const n = Math.max(1, +maxSegments);
-      out = {
-        ...result,
-        segments: result.segments.slice(0, n),
-        metadata: {
-          ...result.metadata,
-          totalSegments: Math.min(result.metadata.totalSegments || result.segments.length, n),
-          estimatedDuration: n * 8,
-        },
-      };
-      log(`Applied maxSegments=${n}`);
+    const job = await JobQueue.enqueue('generate-plus', { ...params, maxSegments });
+    res.locals.jobId = job.id;
+    res.setHeader('X-Job-Id', job.id);
+
+    if (runAsync) {
+      return res.status(202).json({ success: true, jobId: job.id, status: job.status });
     }
 
+    const out = await JobQueue.resultOf(job.id);
+
     log('Success:', {
       segments: out.segments.length,
       characterId: out.metadata.characterId,
@@ -155,8 +196,13 @@ router.post('/generate-plus', async (req, res) => {
 
     return res.json({
       success: true,
+      jobId: job.id,
       segments: out.segments,
+      baseDescriptions: out.baseDescriptions,
+      validation: out.validation,
       metadata: out.metadata,
+      voiceProfile: out.voiceProfile,
+      compliance: out.compliance,
     });
   } catch (error) {
     console.error(`[GeneratePlus:${reqId}] Error:`, {
@@ -173,11 +219,87 @@ router.post('/generate-plus', async (req, res) => {
     const code = error?.message?.endsWith('_timeout') ? 504 : 500;
     return res.status(code).json({
       error: 'Failed to generate segments (plus)',
+      jobId: res.locals.jobId,
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
     });
   }
 });
 
+// ==================================
+// Standard Plus video generation
+// ==================================
+// Same request and response shape as /generate-videos, but prompts are built
+// from the enhanced fields (continuity markers, timed actions, lighting, ...)
+router.post('/generate-videos-plus', async (req, res) => {
+  const reqId = cryptoRandomId();
+  const log = (msg, obj) =>
+    console.log(`[GenerateVideosPlus:${reqId}] ${msg}`, obj ?? '');
+
+  log('Request received');
+
+  try {
+    const { segments, provider = 'veo', segmentSeconds } = req.body || {};
+    if (!segments || !Array.isArray(segments) || segments.length === 0) {
+      return res.status(400).json({ error: 'No segments provided for video generation' });
+    }
+    if (!VIDEO_PROVIDERS.includes(provider)) {
+      return res.status(400).json({
+        error: 'Invalid provider',
+        message: `provider must be one of: ${VIDEO_PROVIDERS.join(', ')}`,
+      });
+    }
+    // the run's segment length, for the duration each video is reported with
+    const pacingProblem = pacingError({ segmentSeconds });
+    if (pacingProblem) {
+      return res.status(400).json({ error: 'Invalid pacing', message: pacingProblem });
+    }
+
+    log(`Processing ${segments.length} segments`, { provider });
+    const result = provider === 'kieai'
+      ? await KieAiService.generateVideosForAllSegments(segments, (segment) => Veo3Service.createVideoPromptPlus(segment), { segmentSeconds })
+      : await Veo3Service.generateVideosForAllSegments(segments, { format: 'plus', segmentSeconds });
+
+    log('Success:', {
+      submitted: result.submitted ?? result.videos.length,
+      failed: result.failed ?? 0,
+      backend: result.backend,
+      cost: result.cost?.amount,
+    });
+
+    if (res.headersSent) {
+      console.warn('[GenerateVideosPlus] Response already sent (likely guard timeout). Skipping success send.');
+      return;
+    }
+
+    // a failed segment doesn't hide the tasks already submitted for the others
+    return res.json({
+      success: result.success,
+      provider,
+      videos: result.videos.map(video => ({ ...video, provider })),
+      submitted: result.submitted ?? result.videos.length,
+      failed: result.failed ?? 0,
+      service: result.backend,
+      cost: result.cost || null,
+      message: result.message || (result.failed
+        ? `${result.submitted} of ${result.totalSegments} videos submitted; ${result.failed} failed`
+        : 'Video generation initiated successfully'),
+    });
+  } catch (error) {
+    console.error(`[GenerateVideosPlus:${reqId}] Error:`, error);
+    if (res.headersSent) return;
+    if (error.code === 'insufficient_balance') {
+      return res.status(402).json({ error: 'Insufficient balance', message: error.message });
+    }
+    if (error.code === 'not_configured') {
+      return res.status(503).json({ error: 'Video provider not configured', message: error.message });
+    }
+    return res.status(500).json({
+      error: 'Failed to generate videos (plus)',
+      message: error.message,
+    });
+  }
+});
+
 // Optional: ZIP download for Plus (same as generate.js, provided for parity)
 router.post('/download-plus', async (req, res) => {
   try {
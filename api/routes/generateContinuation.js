@@ -2,6 +2,8 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
 import OpenAIService from '../services/openaiService.js';
+import JobQueue from '../services/jobQueue.js';
+import { validateGenerationParams } from '../services/generationParams.js';
 
 const router = express.Router();
 
@@ -16,6 +18,68 @@ const limiter = rateLimit({
 });
 router.use(limiter);
 
+JobQueue.register('generate-continuation', async (params, hooks) => {
+  const {
+    script, product, voiceProfile, ageRange, gender, style, jsonFormat,
+    settingMode, room, locations, cameraStyle, timeOfDay, backgroundLife,
+    productStyle, energyArc, narrativeStyle, ethnicity, characterFeatures,
+    clothingDetails, awareness, promise, patternBreaker, headlinePattern,
+    headline, creativeType, vertical, cast, characterId, baseDescriptionPolicy,
+    wordsPerMinute, segmentSeconds, minWords, maxWords,
+    templateFile, segmentModel, temperature, continuationSeed,
+  } = params;
+
+  // generate multiple segments like standard mode; the service loads the
+  // template (honouring templateFile) and resolves base descriptions (same
+  // base as Standard, or the saved character's when characterId is set)
+  return OpenAIService.generateSegments({
+    script,
+    product,
+    ageRange,
+    gender,
+    room,
+    style,
+    jsonFormat,
+    settingMode,
+    locations,
+    cameraStyle,
+    timeOfDay,
+    backgroundLife,
+    productStyle,
+    energyArc,
+    narrativeStyle,
+    voiceType: voiceProfile.voiceType,
+    energyLevel: voiceProfile.energyLevel,
+    accentRegion: voiceProfile.accentRegion,
+    ethnicity,
+    characterFeatures,
+    clothingDetails,
+    // ad agency framework fields
+    awareness,
+    promise,
+    patternBreaker,
+    headlinePattern,
+    headline,
+    creativeType,
+    vertical,
+    cast,
+    baseDescriptionPolicy,
+    wordsPerMinute,
+    segmentSeconds,
+    minWords,
+    maxWords,
+    segmentModel,
+    temperature,
+    templateFile,
+    characterId,
+    // a detailed profile (from an earlier batch) is reused verbatim; the
+    // shallow form fields above are only hints for extracting a new one
+    voiceProfile,
+    // where the existing clip ended; seeds segment 1's start_position
+    continuationSeed,
+  }, hooks);
+});
+
 // tiny id helper for logs
 function randomId() {
   return Math.random().toString(36).slice(2) + '-' + Date.now().toString(36);
@@ -51,7 +115,6 @@ router.post('/generate-continuation', async (req, res) => {
       ethnicity,
       characterFeatures,
       clothingDetails,
-      accentRegion,
       // ad agency framework fields
       awareness,
       promise,
@@ -59,65 +122,65 @@ router.post('/generate-continuation', async (req, res) => {
       headlinePattern,
       headline,
       creativeType,
-      // continuity inputs
+      vertical,                // compliance banned-term list
+      cast,                    // per-speaker details for multi-speaker scripts
+      characterId,             // saved character to reuse instead of new base descriptions
+      baseDescriptionPolicy,   // 'overwrite' | 'flag'
+      // pacing for the script splitter
+      wordsPerMinute,
+      segmentSeconds,
+      minWords,
+      maxWords,
+      // continuity inputs: the existing clip's last segment JSON and/or its
+      // last frame as a base64 data URL
       previousSegment = null,
+      lastFrame = null,
+      // return a job id immediately and let the client poll /api/jobs/:id
+      async: runAsync = false,
     } = req.body || {};
 
-    // basic validation
-    if (!script || script.trim().length < 50) {
-      return res.status(400).json({ error: 'Script must be at least 50 characters long' });
-    }
-    // product is optional (talking-only scripts allowed)
+    // basic validation; product is optional (talking-only scripts allowed)
     if (!voiceProfile || typeof voiceProfile !== 'object') {
       return res.status(400).json({ error: 'voiceProfile (object) is required' });
     }
+    const problem = await validateGenerationParams({
+      script, voiceProfile, characterId, wordsPerMinute, segmentSeconds, minWords, maxWords,
+    });
+    if (problem) return res.status(400).json(problem);
+
+    // described up front so a bad image is a 400 and the job never stores it
+    let continuationSeed;
+    try {
+      continuationSeed = await OpenAIService.resolveContinuationSeed({
+        lastFrame,
+        previousSegment,
+        location: settingMode === 'single' ? room : locations[0],
+      });
+    } catch (err) {
+      if (err.code === 'invalid_continuation_seed') {
+        return res.status(400).json({ error: 'Invalid continuation seed', message: err.message });
+      }
+      throw err;
+    }
 
     log('input accepted', {
       scriptLength: script.length,
       hasPrev: !!previousSegment,
+      hasLastFrame: !!lastFrame,
+      seededFrom: continuationSeed?.source || null,
       jsonFormat,
     });
 
-    // 1) load template & base descriptions (same base as Standard)
-    const template = await OpenAIService.loadTemplate(jsonFormat);
-    const baseDescriptions = await OpenAIService.generateBaseDescriptions(
-      {
-        ageRange,
-        gender,
-        product,
-        room,
-        style,
-        jsonFormat,
-        settingMode,
-        locations,
-        cameraStyle,
-        timeOfDay,
-        backgroundLife,
-        productStyle,
-        energyArc,
-        narrativeStyle,
-      },
-      template
-    );
-
-    // 2) generate multiple segments like standard mode
-    log('Calling OpenAIService.generateSegments with params:', {
-      scriptLength: script.length,
-      product,
-      ageRange,
-      gender,
-      jsonFormat
-    });
-    
-    const result = await OpenAIService.generateSegments({
+    const job = await JobQueue.enqueue('generate-continuation', {
       script,
       product,
+      voiceProfile,
       ageRange,
       gender,
-      room,
       style,
       jsonFormat,
       settingMode,
+      room,
       locations,
       cameraStyle,
       timeOfDay,
@@ -125,33 +188,33 @@ router.post('/generate-continuation', async (req, res) => {
       productStyle,
       energyArc,
       narrativeStyle,
-      voiceType: voiceProfile.voiceType,
-      energyLevel: voiceProfile.energyLevel,
-      accentRegion: voiceProfile.accentRegion,
       ethnicity,
       characterFeatures,
       clothingDetails,
-      // ad agency framework fields
       awareness,
       promise,
       patternBreaker,
       headlinePattern,
       headline,
       creativeType,
-      template,
-      baseDescriptions,
-      characterId: OpenAIService.generateCharacterId({
-        ageRange,
-        gender,
-        voiceType: voiceProfile.voiceType,
-        energyLevel: voiceProfile.energyLevel,
-        accentRegion: voiceProfile.accentRegion,
-        ethnicity,
-        characterFeatures,
-        clothingDetails
-      }),
-      voiceProfile: null // could be added later via extractDetailedVoiceProfile
+      vertical,
+      cast,
+      characterId,
+      baseDescriptionPolicy,
+      wordsPerMinute,
+      segmentSeconds,
+      minWords,
+      maxWords,
+      continuationSeed,
     });
+    res.locals.jobId = job.id;
+    res.setHeader('X-Job-Id', job.id);
+
+    if (runAsync) {
+      return res.status(202).json({ success: true, jobId: job.id, status: job.status });
+    }
+
+    const result = await JobQueue.resultOf(job.id);
 
     log('OpenAIService.generateSegments result:', {
       hasSegments: !!result.segments,
@@ -165,15 +228,19 @@ router.post('/generate-continuation', async (req, res) => {
   }
   return res.json({
     success: true,
+    jobId: res.locals.jobId,
     segments: result.segments,
+    baseDescriptions: result.baseDescriptions,
+    validation: result.validation,
     metadata: result.metadata,
     voiceProfile: result.voiceProfile,
+    compliance: result.compliance,
   });
   } catch (err) {
     console.error('[Continuation] error:', err);
     if (!res.headersSent) {
       const code = err?.message?.endsWith('_timeout') ? 504 : 500;
-      return res.status(code).json({ error: 'Failed to generate continuation', message: err.message });
+      return res.status(code).json({ error: 'Failed to generate continuation', jobId: res.locals.jobId, message: err.message });
     }
   }
 });
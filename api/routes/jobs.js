@@ -0,0 +1,47 @@
+// api/routes/jobs.js
+import express from 'express';
+import JobQueue from '../services/jobQueue.js';
+
+const router = express.Router();
+
+// Lightweight listing for "pick up where I left off" UIs
+function summarize(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    progress: job.progress,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+// GET /api/jobs?status=running
+router.get('/jobs', async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+    let jobs = await JobQueue.list();
+    if (status) jobs = jobs.filter(j => j.status === status);
+    return res.json({ success: true, jobs: jobs.slice(0, Number(limit) || 50).map(summarize) });
+  } catch (err) {
+    console.error('[Jobs] list error:', err);
+    return res.status(500).json({ error: 'Failed to list jobs', message: err.message });
+  }
+});
+
+// GET /api/jobs/:id — full job, including per-segment results so far
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await JobQueue.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    return res.json({ success: true, job });
+  } catch (err) {
+    console.error('[Jobs] get error:', err);
+    return res.status(500).json({ error: 'Failed to load job', message: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,103 @@
+// api/routes/matrices.js
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import MatrixService from '../services/matrixService.js';
+import { validateGenerationParams } from '../services/generationParams.js';
+
+const router = express.Router();
+
+// A matrix is a batch of full generations: same limit as /generate per request
+const matrixLimiter = rateLimit({
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS || 60_000),
+  max: Number(process.env.RATE_LIMIT_MAX_REQUESTS || 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { xForwardedForHeader: false },
+  keyGenerator: (req) => req.ip,
+});
+
+function sendError(res, err, fallback) {
+  if (err.code === 'invalid_matrix') {
+    return res.status(400).json({ error: 'Invalid matrix', message: err.message });
+  }
+  console.error(`[Matrix] ${fallback}:`, err);
+  return res.status(500).json({ error: fallback, message: err.message });
+}
+
+function summarize(matrix) {
+  const count = (status) => matrix.variants.filter(v => v.status === status).length;
+  return {
+    id: matrix.id,
+    mode: matrix.mode,
+    status: matrix.status,
+    variants: matrix.variants.length,
+    completed: count('completed'),
+    failed: count('failed'),
+    scriptPreview: String(matrix.params?.script || '').slice(0, 120),
+    createdAt: matrix.createdAt,
+    finishedAt: matrix.finishedAt,
+  };
+}
+
+// POST /api/matrices/preview — body: { axes, combinations? }
+// The variants a matrix would generate, without starting anything
+router.post('/matrices/preview', (req, res) => {
+  try {
+    const { axes, combinations } = req.body || {};
+    const { variants } = MatrixService.plan({ axes, combinations });
+    return res.json({ success: true, variants });
+  } catch (err) {
+    return sendError(res, err, 'Failed to preview matrix');
+  }
+});
+
+// POST /api/matrices
+// body: { mode: 'standard'|'plus', settings: {script, ...form fields},
+//         axes: { persona?: [], awareness?: [], headlinePattern?: [], creativeType?: [] },
+//         combinations?: [{ persona, awareness, ... }], concurrency? }
+// Always asynchronous: returns 202 and the matrix; poll GET /api/matrices/:id
+router.post('/matrices', matrixLimiter, async (req, res) => {
+  const { mode = 'standard', settings = {}, axes, combinations, concurrency } = req.body || {};
+
+  try {
+    const { async: _async, ...base } = settings;
+    const params = {
+      ...base,
+      script: typeof base.script === 'string' ? base.script.trim() : '',
+      jsonFormat: base.jsonFormat || (mode === 'plus' ? 'enhanced' : 'standard'),
+    };
+    // every variant shares these params, so one bad field would fail them all
+    const problem = await validateGenerationParams(params);
+    if (problem) return res.status(400).json(problem);
+
+    const matrix = await MatrixService.create({ mode, params, axes, combinations, concurrency });
+    return res.status(202).json({ success: true, matrixId: matrix.id, matrix });
+  } catch (err) {
+    return sendError(res, err, 'Failed to start matrix');
+  }
+});
+
+// GET /api/matrices — newest first
+router.get('/matrices', async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+    const matrices = await MatrixService.list();
+    return res.json({ success: true, matrices: matrices.slice(0, Number(limit) || 50).map(summarize) });
+  } catch (err) {
+    return sendError(res, err, 'Failed to list matrices');
+  }
+});
+
+// GET /api/matrices/:id — the matrix with every variant's status; each
+// completed variant's segments are on GET /api/jobs/:jobId
+router.get('/matrices/:id', async (req, res) => {
+  try {
+    const matrix = await MatrixService.get(req.params.id);
+    if (!matrix) return res.status(404).json({ error: 'Matrix not found' });
+    return res.json({ success: true, matrix });
+  } catch (err) {
+    return sendError(res, err, 'Failed to load matrix');
+  }
+});
+
+export default router;
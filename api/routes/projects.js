@@ -0,0 +1,116 @@
+// api/routes/projects.js
+import express from 'express';
+import ProjectStore, { PROJECT_COLLECTIONS } from '../services/projectStore.js';
+
+const router = express.Router();
+
+function sendError(res, err, action) {
+  if (err.code === 'invalid_project') {
+    return res.status(400).json({ error: 'Invalid project', message: err.message });
+  }
+  if (err.code === 'invalid_project_item') {
+    return res.status(400).json({ error: 'Invalid project item', message: err.message });
+  }
+  console.error(`[Projects] ${action} error:`, err);
+  return res.status(500).json({ error: `Failed to ${action}`, message: err.message });
+}
+
+// Resolves :collection or answers 404
+function collectionParam(req, res) {
+  const { collection } = req.params;
+  if (!PROJECT_COLLECTIONS[collection]) {
+    res.status(404).json({ error: `Unknown project collection "${collection}"` });
+    return null;
+  }
+  return collection;
+}
+
+// GET /api/projects — summaries with item counts, most recently updated first
+router.get('/projects', async (_req, res) => {
+  try {
+    return res.json({ success: true, projects: await ProjectStore.list() });
+  } catch (err) {
+    return sendError(res, err, 'list projects');
+  }
+});
+
+// POST /api/projects  { name, client?, product? }
+router.post('/projects', async (req, res) => {
+  try {
+    const project = await ProjectStore.create(req.body || {});
+    return res.status(201).json({ success: true, project });
+  } catch (err) {
+    return sendError(res, err, 'create project');
+  }
+});
+
+router.get('/projects/:id', async (req, res) => {
+  try {
+    const project = await ProjectStore.get(req.params.id);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    return res.json({ success: true, project });
+  } catch (err) {
+    return sendError(res, err, 'load project');
+  }
+});
+
+// PUT /api/projects/:id  { name?, client?, product? }
+router.put('/projects/:id', async (req, res) => {
+  try {
+    const project = await ProjectStore.update(req.params.id, req.body || {});
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    return res.json({ success: true, project });
+  } catch (err) {
+    return sendError(res, err, 'update project');
+  }
+});
+
+router.delete('/projects/:id', async (req, res) => {
+  try {
+    const removed = await ProjectStore.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Project not found' });
+    return res.json({ success: true });
+  } catch (err) {
+    return sendError(res, err, 'delete project');
+  }
+});
+
+// POST /api/projects/:id/:collection — collection is scripts | presets | segment-sets | videos
+router.post('/projects/:id/:collection', async (req, res) => {
+  const collection = collectionParam(req, res);
+  if (!collection) return;
+  try {
+    const item = await ProjectStore.addItem(req.params.id, collection, req.body || {});
+    if (!item) return res.status(404).json({ error: 'Project not found' });
+    return res.status(201).json({ success: true, item });
+  } catch (err) {
+    return sendError(res, err, 'save project item');
+  }
+});
+
+// The item after the update has to pass the same checks as a new one
+router.put('/projects/:id/:collection/:itemId', async (req, res) => {
+  const collection = collectionParam(req, res);
+  if (!collection) return;
+  try {
+    const item = await ProjectStore.updateItem(req.params.id, collection, req.params.itemId, req.body || {});
+    if (!item) return res.status(404).json({ error: 'Project item not found' });
+    return res.json({ success: true, item });
+  } catch (err) {
+    return sendError(res, err, 'update project item');
+  }
+});
+
+router.delete('/projects/:id/:collection/:itemId', async (req, res) => {
+  const collection = collectionParam(req, res);
+  if (!collection) return;
+  try {
+    const removed = await ProjectStore.removeItem(req.params.id, collection, req.params.itemId);
+    if (!removed) return res.status(404).json({ error: 'Project item not found' });
+    return res.json({ success: true });
+  } catch (err) {
+    return sendError(res, err, 'delete project item');
+  }
+});
+
+export default router;
@@ -0,0 +1,157 @@
+// api/routes/runs.js
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import RunRecorder from '../services/runRecorder.js';
+import JobQueue from '../services/jobQueue.js';
+import OpenAIService from '../services/openaiService.js';
+import { compareOutputs } from '../services/runComparison.js';
+
+const router = express.Router();
+
+// Replays are full generations: same limit as /generate
+const replayLimiter = rateLimit({
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS || 60_000),
+  max: Number(process.env.RATE_LIMIT_MAX_REQUESTS || 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { xForwardedForHeader: false },
+  keyGenerator: (req) => req.ip,
+});
+
+// Validated replay overrides -> generation params, or { error }
+function parseOverrides({ templateFile, segmentModel, temperature } = {}) {
+  const overrides = {};
+  if (templateFile !== undefined && templateFile !== '') {
+    if (!/^[\w.-]+\.md$/.test(String(templateFile))) {
+      return { error: 'templateFile must be a .md file name under instructions/' };
+    }
+    overrides.templateFile = String(templateFile);
+  }
+  if (segmentModel !== undefined && segmentModel !== '') {
+    if (!/^[\w.:-]+$/.test(String(segmentModel))) {
+      return { error: 'segmentModel must be a model id such as gpt-4o-mini' };
+    }
+    overrides.segmentModel = String(segmentModel);
+  }
+  if (temperature !== undefined && temperature !== '' && temperature !== null) {
+    const t = Number(temperature);
+    if (!Number.isFinite(t) || t < 0 || t > 2) {
+      return { error: 'temperature must be a number between 0 and 2' };
+    }
+    overrides.temperature = t;
+  }
+  return { overrides };
+}
+
+// GET /api/runs?mode=plus&limit=50 — newest first
+router.get('/runs', async (req, res) => {
+  try {
+    const { mode, limit = 50 } = req.query;
+    const runs = await RunRecorder.list({ mode });
+    return res.json({ success: true, runs: runs.slice(0, Number(limit) || 50) });
+  } catch (err) {
+    console.error('[Runs] list error:', err);
+    return res.status(500).json({ error: 'Failed to list runs', message: err.message });
+  }
+});
+
+// GET /api/runs/templates — template files a replay can switch to
+router.get('/runs/templates', async (_req, res) => {
+  try {
+    return res.json({ success: true, templates: await OpenAIService.listTemplates() });
+  } catch (err) {
+    console.error('[Runs] templates error:', err);
+    return res.status(500).json({ error: 'Failed to list templates', message: err.message });
+  }
+});
+
+// GET /api/runs/:id — run metadata plus its recorded inputs and outputs
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const run = await RunRecorder.get(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+    return res.json({ success: true, run });
+  } catch (err) {
+    console.error('[Runs] get error:', err);
+    return res.status(500).json({ error: 'Failed to load run', message: err.message });
+  }
+});
+
+// POST /api/runs/:id/replay
+// body: { templateFile?, segmentModel?, temperature?, async? }
+// Re-runs the recorded inputs with the overrides as a new (recorded) run and
+// compares its outputs with the original's.
+router.post('/runs/:id/replay', replayLimiter, async (req, res) => {
+  const { async: runAsync = false, ...body } = req.body || {};
+  const { overrides, error } = parseOverrides(body);
+  if (error) return res.status(400).json({ error: 'Invalid replay overrides', message: error });
+
+  try {
+    const original = await RunRecorder.get(req.params.id);
+    if (!original) return res.status(404).json({ error: 'Run not found' });
+    if (!original.inputs?.script) {
+      return res.status(400).json({ error: 'Run has no recorded inputs to replay' });
+    }
+    if (!original.outputs) {
+      return res.status(400).json({ error: 'Run has no outputs to compare against' });
+    }
+    const jobType = RunRecorder.jobTypeFor(original.mode);
+    if (!jobType) {
+      return res.status(400).json({ error: `Runs of mode "${original.mode}" cannot be replayed` });
+    }
+    if (overrides.templateFile && !(await OpenAIService.listTemplates()).includes(overrides.templateFile)) {
+      return res.status(400).json({ error: 'Invalid replay overrides', message: `instructions/${overrides.templateFile} does not exist` });
+    }
+
+    const { replayOf: _previous, ...inputs } = original.inputs;
+    const job = await JobQueue.enqueue(jobType, { ...inputs, ...overrides, replayOf: original.id });
+    res.locals.jobId = job.id;
+    console.log(`[Runs] replaying ${original.mode} run ${original.id} as job ${job.id}`, overrides);
+
+    if (runAsync) {
+      return res.status(202).json({ success: true, jobId: job.id, replayOf: original.id, overrides });
+    }
+
+    const result = await JobQueue.resultOf(job.id);
+    const replay = await RunRecorder.findByJob(job.id);
+    if (res.headersSent) return;
+    return res.json({
+      success: true,
+      jobId: job.id,
+      runId: replay?.id || null,
+      replayOf: original.id,
+      overrides,
+      comparison: compareOutputs(original.outputs, result),
+    });
+  } catch (err) {
+    console.error('[Runs] replay error:', err);
+    if (res.headersSent) return;
+    const code = err.message?.endsWith('_timeout') ? 504 : 500;
+    return res.status(code).json({ error: 'Failed to replay run', jobId: res.locals.jobId, message: err.message });
+  }
+});
+
+// GET /api/runs/:id/compare/:otherId — side-by-side comparison of two runs
+router.get('/runs/:id/compare/:otherId', async (req, res) => {
+  try {
+    const [original, other] = await Promise.all([
+      RunRecorder.get(req.params.id),
+      RunRecorder.get(req.params.otherId),
+    ]);
+    if (!original || !other) return res.status(404).json({ error: 'Run not found' });
+    if (!original.outputs || !other.outputs) {
+      return res.status(400).json({ error: 'Both runs need recorded outputs to compare' });
+    }
+    return res.json({
+      success: true,
+      original: original.id,
+      replay: other.id,
+      comparison: compareOutputs(original.outputs, other.outputs),
+    });
+  } catch (err) {
+    console.error('[Runs] compare error:', err);
+    return res.status(500).json({ error: 'Failed to compare runs', message: err.message });
+  }
+});
+
+export default router;
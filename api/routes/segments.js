@@ -0,0 +1,139 @@
+// api/routes/segments.js
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import OpenAIService, { HEADLINE_PATTERN_DIRECTIONS } from '../services/openaiService.js';
+import { voiceProfileError } from '../services/voiceProfile.js';
+import { pacingError } from '../services/scriptSplitter.js';
+import RunRecorder from '../services/runRecorder.js';
+
+const router = express.Router();
+
+// proxy-friendly rate limit (same as /generate)
+const limiter = rateLimit({
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS || 60_000),
+  max: Number(process.env.RATE_LIMIT_MAX_REQUESTS || 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { xForwardedForHeader: false },
+  keyGenerator: (req) => req.ip,
+});
+
+// POST /api/segments/regenerate
+// body: { segments, index, settings, guidance?, baseDescriptions?, voiceProfile? }
+router.post('/segments/regenerate', limiter, async (req, res) => {
+  const {
+    segments,
+    index,
+    settings = {},
+    guidance = '',
+    baseDescriptions = null,
+    voiceProfile = null,
+  } = req.body || {};
+
+  if (!Array.isArray(segments) || segments.length === 0) {
+    return res.status(400).json({ error: 'segments (non-empty array) is required' });
+  }
+  const i = Number(index);
+  if (!Number.isInteger(i) || i < 0 || i >= segments.length) {
+    return res.status(400).json({ error: `index must be an integer between 0 and ${segments.length - 1}` });
+  }
+  if (!segments[i]?.action_timeline?.dialogue) {
+    return res.status(400).json({ error: `segment ${i + 1} has no action_timeline.dialogue to regenerate from` });
+  }
+  const pacingProblem = pacingError(settings);
+  if (pacingProblem) {
+    return res.status(400).json({ error: 'Invalid pacing', message: pacingProblem });
+  }
+  const voiceProblem = voiceProfileError(voiceProfile);
+  if (voiceProblem) {
+    return res.status(400).json({ error: 'Invalid voice profile', message: voiceProblem });
+  }
+
+  try {
+    console.log('[Segments] regenerate', { index: i, total: segments.length, hasGuidance: !!guidance });
+    const request = {
+      segments,
+      index: i,
+      settings,
+      guidance: String(guidance).trim() || undefined,
+      baseDescriptions,
+      voiceProfile,
+    };
+    const { segment, validation, drift, plausibility, beatTiming } = await RunRecorder.record(
+      { mode: 'regenerate', inputs: request },
+      () => OpenAIService.regenerateSegment(request)
+    );
+
+    if (res.headersSent) return;
+    return res.json({ success: true, index: i, segment, validation, drift, plausibility, beatTiming });
+  } catch (err) {
+    console.error('[Segments] regenerate error:', err);
+    if (res.headersSent) return;
+    const code = err?.message?.endsWith('_timeout') ? 504 : 500;
+    return res.status(code).json({
+      error: 'Failed to regenerate segment',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error',
+    });
+  }
+});
+
+// POST /api/segments/hooks
+// body: { segments, settings, headlinePattern, count?, baseDescriptions?, voiceProfile? }
+// Alternative opening segments that hand off cleanly to the existing segment 2
+router.post('/segments/hooks', limiter, async (req, res) => {
+  const {
+    segments,
+    settings = {},
+    headlinePattern,
+    count = 3,
+    baseDescriptions = null,
+    voiceProfile = null,
+  } = req.body || {};
+
+  if (!Array.isArray(segments) || segments.length === 0) {
+    return res.status(400).json({ error: 'segments (non-empty array) is required' });
+  }
+  if (!segments[0]?.action_timeline?.dialogue) {
+    return res.status(400).json({ error: 'segment 1 has no action_timeline.dialogue to build hooks from' });
+  }
+  if (!HEADLINE_PATTERN_DIRECTIONS[headlinePattern]) {
+    return res.status(400).json({
+      error: 'Invalid headlinePattern',
+      message: `headlinePattern must be one of: ${Object.keys(HEADLINE_PATTERN_DIRECTIONS).join(', ')}`,
+    });
+  }
+  const n = Number(count);
+  if (!Number.isInteger(n) || n < 1 || n > 5) {
+    return res.status(400).json({ error: 'count must be an integer between 1 and 5' });
+  }
+  const pacingProblem = pacingError(settings);
+  if (pacingProblem) {
+    return res.status(400).json({ error: 'Invalid pacing', message: pacingProblem });
+  }
+  const voiceProblem = voiceProfileError(voiceProfile);
+  if (voiceProblem) {
+    return res.status(400).json({ error: 'Invalid voice profile', message: voiceProblem });
+  }
+
+  try {
+    console.log('[Segments] hooks', { headlinePattern, count: n, total: segments.length });
+    const request = { segments, settings, headlinePattern, count: n, baseDescriptions, voiceProfile };
+    const { variants } = await RunRecorder.record(
+      { mode: 'hooks', inputs: request },
+      () => OpenAIService.generateHookVariants(request)
+    );
+
+    if (res.headersSent) return;
+    return res.json({ success: true, headlinePattern, variants });
+  } catch (err) {
+    console.error('[Segments] hooks error:', err);
+    if (res.headersSent) return;
+    const code = err?.message?.endsWith('_timeout') ? 504 : 500;
+    return res.status(code).json({
+      error: 'Failed to generate hook variants',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error',
+    });
+  }
+});
+
+export default router;
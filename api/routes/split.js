@@ -0,0 +1,28 @@
+// api/routes/split.js
+import express from 'express';
+import { previewSplit } from '../services/scriptSplitter.js';
+
+const router = express.Router();
+
+// POST /api/split/preview
+// body: { script, wordsPerMinute?, segmentSeconds?, minWords?, maxWords? }
+// The exact segments generation would produce for this script and pacing;
+// no model calls, so the forms can call it as the user types
+router.post('/split/preview', (req, res) => {
+  const { script, wordsPerMinute, segmentSeconds, minWords, maxWords } = req.body || {};
+  if (typeof script !== 'string') {
+    return res.status(400).json({ error: 'script (string) is required' });
+  }
+  try {
+    const preview = previewSplit(script, { wordsPerMinute, segmentSeconds, minWords, maxWords });
+    return res.json({ success: true, ...preview });
+  } catch (err) {
+    if (err.code === 'invalid_pacing') {
+      return res.status(400).json({ error: 'Invalid pacing', message: err.message });
+    }
+    console.error('[Split] preview error:', err);
+    return res.status(500).json({ error: 'Failed to preview split', message: err.message });
+  }
+});
+
+export default router;
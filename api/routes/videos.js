@@ -0,0 +1,48 @@
+// api/routes/videos.js
+import express from 'express';
+import Veo3Service from '../services/veo3Service.js';
+import KieAiService from '../services/kieAiService.js';
+
+const router = express.Router();
+
+// GET /api/videos/:taskId — status, progress and (when done) a playable URL.
+// Kie.ai tasks are tracked by Kie.ai itself: pass ?provider=kieai.
+router.get('/videos/:taskId', async (req, res) => {
+  try {
+    const task = req.query.provider === 'kieai'
+      ? await KieAiService.getVideoStatus(req.params.taskId)
+      : await Veo3Service.getVideoStatus(req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Video task not found' });
+    return res.json({ success: true, task });
+  } catch (err) {
+    console.error('[Videos] status error:', err);
+    if (err.code === 'insufficient_balance') {
+      return res.status(402).json({ error: 'Insufficient balance', message: err.message });
+    }
+    if (err.code === 'not_configured') {
+      return res.status(503).json({ error: 'Video provider not configured', message: err.message });
+    }
+    return res.status(502).json({ error: 'Failed to check video status', message: err.message });
+  }
+});
+
+// GET /api/videos/:taskId/download — streams videos whose backend URL needs credentials
+router.get('/videos/:taskId/download', async (req, res) => {
+  try {
+    const video = await Veo3Service.downloadVideo(req.params.taskId);
+    if (!video) return res.status(404).json({ error: 'Video not ready' });
+    res.setHeader('Content-Type', video.contentType);
+    res.setHeader('Content-Disposition', `inline; filename="segment-${req.params.taskId}.mp4"`);
+    video.stream.on('error', (err) => {
+      console.error('[Videos] download stream error:', err.message);
+      res.destroy(err);
+    });
+    video.stream.pipe(res);
+  } catch (err) {
+    console.error('[Videos] download error:', err);
+    if (res.headersSent) return;
+    return res.status(502).json({ error: 'Failed to download video', message: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,79 @@
+// Centralized animal avatar presets and prompt guidance
+
+/**
+ * Species presets for talking-animal ads. `appearance` seeds the species
+ * appearance base description; `movement` describes how the animal moves
+ * when it is NOT anthropomorphic. Keep both short and concrete.
+ */
+export const ANIMAL_PRESETS = {
+  tiger: {
+    label: 'Tiger',
+    appearance:
+      'Adult Bengal tiger, powerful muscular build, orange coat with bold black stripes, white muzzle and chest, amber eyes, long whiskers, heavy paws.',
+    movement:
+      'Poised and deliberate: slow head turns, measured steps, tail sweeping low, ears swivelling toward sounds.'
+  },
+  monkey: {
+    label: 'Monkey',
+    appearance:
+      'Capuchin monkey, small wiry frame, cream face and shoulders with dark brown cap and body fur, bright brown eyes, expressive brow, long curling tail.',
+    movement:
+      'Quick and playful: rapid head tilts, nimble hands grabbing and turning objects, shifting weight from foot to foot.'
+  },
+  fish: {
+    label: 'Fish',
+    appearance:
+      'Large goldfish with a rounded body, metallic orange-gold scales catching the light, flowing translucent fins and tail, glossy dark eyes.',
+    movement:
+      'Calm and fluid: gentle fin sculling, slow drifting turns, mouth opening softly in time with speech, bubbles rising occasionally.'
+  }
+};
+
+export const ANIMAL_VOICE_STYLES = {
+  narrator: 'Neutral, articulate narrator voice with clear diction and an even, confident pace.',
+  'deep-resonant': 'Deep, resonant voice with a slow, weighty delivery and a rumbling low end.',
+  playful: 'Light, playful voice with bright pitch jumps, quick pacing and a grin audible in the delivery.',
+  'calm-soothing': 'Calm, soothing voice, soft volume, long relaxed phrases and gentle breaths.'
+};
+
+export function getAnimalPreset(species) {
+  const key = String(species || '').toLowerCase();
+  return ANIMAL_PRESETS[key] || null;
+}
+
+export function getAnimalVoiceGuidance(voiceStyle) {
+  const key = String(voiceStyle || '').toLowerCase();
+  return ANIMAL_VOICE_STYLES[key] || ANIMAL_VOICE_STYLES.narrator;
+}
+
+/**
+ * Prompt block describing the animal avatar. Unknown species are passed
+ * through as free text so custom animals still work.
+ */
+export function getAnimalAvatarGuidance(animal = {}) {
+  const preset = getAnimalPreset(animal.species);
+  const species = preset?.label || animal.species || 'Animal';
+  return `Avatar: talking ${species} (NOT a human — no human clothing, age or gender descriptions)
+Species Reference: ${preset?.appearance || `A realistic ${species}.`}
+Voice Style: ${getAnimalVoiceGuidance(animal.voiceStyle)}
+Body Language: ${animal.anthropomorphic
+    ? 'Anthropomorphic: human-like gestures (pointing, nodding, holding the product in paws/fins), expressive face, mouth shapes synced to the dialogue.'
+    : `Natural animal behavior only. ${preset?.movement || 'Species-typical movement.'} Mouth moves subtly with speech; no human gestures.`}`;
+}
+
+/**
+ * Map the UI/request fields (useAnimalAvatar, animalPreset, animalVoiceStyle,
+ * anthropomorphic) onto the avatarMode/animal params the prompts read.
+ * Returns {} for human avatars.
+ */
+export function toAvatarParams({ useAnimalAvatar, animalPreset, animalVoiceStyle, anthropomorphic } = {}) {
+  if (!useAnimalAvatar) return {};
+  return {
+    avatarMode: 'animal',
+    animal: {
+      species: animalPreset,
+      voiceStyle: animalVoiceStyle || 'narrator',
+      anthropomorphic: !!anthropomorphic,
+    },
+  };
+}
@@ -0,0 +1,289 @@
+// api/services/beatMap.js
+// When each word of a segment's dialogue is spoken, and the beat grid that
+// synchronized_actions is keyed by. Timings are estimated from the pacing
+// (words per minute), each word's syllables, pauses at punctuation and
+// speaker changes, and emphasis (ALL-CAPS or *starred* words are stretched).
+// The grid goes into the segment prompt and the returned action time ranges
+// are checked against it, so gestures land on the right words.
+import { tokenize } from './sentenceSegmenter.js';
+import { turnsIn } from './speakerScript.js';
+
+// seconds of silence after a word ending in each kind of punctuation
+const PAUSES = [
+  [/(?:\.\.\.|…)["'”’)]*$/u, 0.6],
+  [/[.!?]["'”’)]*$/u, 0.5],
+  [/[,;:—–-]["'”’)]*$/u, 0.25],
+];
+const SPEAKER_CHANGE_PAUSE = 0.4;
+// speech starts a moment after the cut
+const LEAD_IN = 0.2;
+const EMPHASIS_STRETCH = 1.3;
+
+// beats are 1-3s long with boundaries on a half-second grid
+const MIN_BEAT = 1;
+const MAX_BEAT = 3;
+const GRID_STEP = 0.5;
+// how far an action's start/end may sit from a beat boundary
+const TOLERANCE = 0.25;
+
+const round = (n, step = 0.01) => Math.round(n / step) * step;
+const fixed = (n) => Number(n.toFixed(2));
+const isSpoken = (token) => /[\p{L}\p{N}]/u.test(token);
+
+function syllables(word) {
+  const w = word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  if (/^\d+$/.test(w)) return w.length;
+  const groups = (w.match(/[aeiouy]+/g) || []).length;
+  return Math.max(1, groups - (/[^aeiouy]e$/.test(w) && groups > 1 ? 1 : 0));
+}
+
+const pauseAfter = (token) => PAUSES.find(([re]) => re.test(token))?.[1] || 0;
+
+// ALL-CAPS words (two or more letters, so not "I" or "A") are stressed
+const isCaps = (word) => word.length > 1 && /^\p{Lu}+$/u.test(word.replace(/[^\p{L}]/gu, ''));
+
+/**
+ * { words: [{ word, speaker, start, end, emphasis }], speechEnd, compressed }
+ * for one segment's dialogue. Speech that would run past the clip is
+ * compressed to fit (compressed: true); shorter speech leaves a tail.
+ */
+export function wordTimings(dialogue, pacing, { speakers = [] } = {}) {
+  const secondsPerWord = 60 / pacing.wordsPerMinute;
+  const words = [];
+  let starred = false;
+
+  turnsIn(dialogue, speakers).forEach((turn, t) => {
+    if (t > 0 && words.length) {
+      const last = words[words.length - 1];
+      last.pause = Math.max(last.pause, SPEAKER_CHANGE_PAUSE);
+    }
+    for (const token of tokenize(turn.text)) {
+      const opens = /^["'“‘(]*\*/u.test(token);
+      const closes = /\*["'”’)]*[.,!?;:…]*$/u.test(token);
+      const word = token.replace(/\*/g, '');
+      if (!isSpoken(token)) {
+        // stray punctuation ("-", "...") only adds a pause
+        if (words.length) words[words.length - 1].pause = Math.max(words[words.length - 1].pause, pauseAfter(token));
+        continue;
+      }
+      words.push({
+        word,
+        speaker: turn.speaker,
+        emphasis: starred || opens || isCaps(word),
+        syllables: syllables(word),
+        pause: pauseAfter(word),
+      });
+      if (opens && !closes) starred = true;
+      if (closes) starred = false;
+    }
+  });
+  if (!words.length) return { words: [], speechEnd: 0, compressed: false };
+
+  const avgSyllables = words.reduce((sum, w) => sum + w.syllables, 0) / words.length;
+  const durations = words.map(w =>
+    secondsPerWord * (0.5 + 0.5 * (w.syllables / avgSyllables)) * (w.emphasis ? EMPHASIS_STRETCH : 1));
+  const pauses = words.map((w, i) => (i < words.length - 1 ? w.pause : 0));
+  const natural = durations.reduce((a, b) => a + b, 0) + pauses.reduce((a, b) => a + b, 0);
+  const available = pacing.segmentSeconds - LEAD_IN;
+  const scale = natural > available ? available / natural : 1;
+
+  let clock = LEAD_IN;
+  const timed = words.map((w, i) => {
+    const start = clock;
+    const end = start + durations[i] * scale;
+    clock = end + pauses[i] * scale;
+    return { word: w.word, speaker: w.speaker, start: fixed(start), end: fixed(end), emphasis: w.emphasis, pause: pauses[i] };
+  });
+  return { words: timed, speechEnd: timed[timed.length - 1].end, compressed: scale < 1 };
+}
+
+// a run of words shouldn't end on one of these ("...thought a | serum")
+const LEADING_WORDS = new Set(['a', 'an', 'the', 'my', 'your', 'our', 'to', 'of', 'in', 'on', 'for', 'and', 'or', 'but', 'with', 'at']);
+
+// Words grouped into phrases at pauses; a phrase longer than MAX_BEAT is cut
+// into even runs of words
+function phrases(words) {
+  const out = [[]];
+  words.forEach((w, i) => {
+    out[out.length - 1].push(w);
+    if (w.pause > 0 && i < words.length - 1) out.push([]);
+  });
+  return out.flatMap((phrase) => {
+    const span = phrase[phrase.length - 1].end - phrase[0].start;
+    const pieces = Math.ceil(span / MAX_BEAT);
+    if (pieces <= 1) return [phrase];
+    const size = Math.ceil(phrase.length / pieces);
+    const runs = [];
+    let from = 0;
+    while (from < phrase.length) {
+      let to = Math.min(from + size, phrase.length);
+      if (to < phrase.length && to - from > 1 && LEADING_WORDS.has(phrase[to - 1].word.toLowerCase())) to--;
+      runs.push(phrase.slice(from, to));
+      from = to;
+    }
+    return runs;
+  });
+}
+
+export function formatBeatTime(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = round(seconds - m * 60);
+  const whole = Math.floor(s);
+  const frac = Number.isInteger(s) ? '' : `.${Math.round((s - whole) * 10)}`;
+  return `${m}:${String(whole).padStart(2, '0')}${frac}`;
+}
+
+const beatKey = (start, end) => `${formatBeatTime(start)}-${formatBeatTime(end)}`;
+
+// Silence from `from` to the end of the clip as even beats of at most MAX_BEAT
+function silentBeats(from, seconds) {
+  const silence = seconds - from;
+  const pieces = Math.ceil(silence / MAX_BEAT);
+  const at = (i) => (i === pieces ? seconds : from + round((silence * i) / pieces, GRID_STEP));
+  return Array.from({ length: pieces }, (_, i) => ({
+    key: beatKey(at(i), at(i + 1)), start: at(i), end: at(i + 1), words: '', emphasis: [], speakers: [],
+  }));
+}
+
+/**
+ * The beat grid for one segment: { seconds, wordsPerMinute, compressed,
+ * words, beats: [{ key, start, end, words, emphasis, speakers }] }. Beats
+ * follow the phrasing, are 1-3s long and start on a half-second; the first
+ * starts at 0:00 and the last ends with the clip. The silence after the last
+ * word gets beats of its own with words '' when it lasts at least MIN_BEAT
+ * (cut into several past MAX_BEAT), and is otherwise added to the last
+ * spoken beat.
+ */
+export function buildBeatMap(dialogue, pacing, { speakers = [] } = {}) {
+  const seconds = pacing.segmentSeconds;
+  const timing = wordTimings(dialogue, pacing, { speakers });
+  const map = {
+    seconds,
+    wordsPerMinute: pacing.wordsPerMinute,
+    compressed: timing.compressed,
+    words: timing.words.map(({ pause, ...w }) => w),
+    beats: [],
+  };
+  if (!timing.words.length) {
+    map.beats = silentBeats(0, seconds);
+    return map;
+  }
+
+  // greedy: grow each beat by whole phrases until it is at least MIN_BEAT
+  const groups = [];
+  for (const phrase of phrases(timing.words)) {
+    const current = groups[groups.length - 1];
+    const span = current && phrase[phrase.length - 1].end - current[0].start;
+    if (current && (current[current.length - 1].end - current[0].start < MIN_BEAT) && span <= MAX_BEAT) {
+      current.push(...phrase);
+    } else {
+      groups.push([...phrase]);
+    }
+  }
+
+  // snap starts to the grid, dropping any that collapse onto the previous one
+  const starts = [];
+  const members = [];
+  groups.forEach((group, i) => {
+    const start = i === 0 ? 0 : round(group[0].start, GRID_STEP);
+    if (starts.length && start <= starts[starts.length - 1]) {
+      members[members.length - 1].push(...group);
+    } else {
+      starts.push(start);
+      members.push(group);
+    }
+  });
+
+  const lastStart = starts[starts.length - 1];
+  let speechEnd = Math.min(seconds, Math.ceil(timing.speechEnd / GRID_STEP) * GRID_STEP);
+  if (speechEnd <= lastStart) speechEnd = Math.min(seconds, lastStart + GRID_STEP);
+  // a tail too short for its own beat joins the last spoken one, unless that
+  // would run past MAX_BEAT; then the tail is stretched to MIN_BEAT instead
+  if (seconds - speechEnd < MIN_BEAT) {
+    speechEnd = seconds - lastStart <= MAX_BEAT ? seconds : seconds - MIN_BEAT;
+  }
+  const ends = [...starts.slice(1), speechEnd];
+
+  map.beats = members.map((group, i) => ({
+    key: beatKey(starts[i], ends[i]),
+    start: starts[i],
+    end: ends[i],
+    words: group.map(w => w.word).join(' '),
+    emphasis: group.filter(w => w.emphasis).map(w => w.word.replace(/[^\p{L}\p{N}'’-]/gu, '')),
+    speakers: [...new Set(group.map(w => w.speaker).filter(Boolean))],
+  }));
+  map.beats.push(...silentBeats(speechEnd, seconds));
+  return map;
+}
+
+// Prompt block listing the beats synchronized_actions has to be keyed by
+export function beatMapLines(beatMap) {
+  if (!beatMap?.beats?.length) return '';
+  const lines = beatMap.beats.map((beat) => {
+    if (!beat.words) return `- ${beat.key}: (no dialogue - settle into the end position)`;
+    const who = beat.speakers.length ? `${beat.speakers.join(', ')}: ` : '';
+    const stress = beat.emphasis.length ? ` (stress: ${beat.emphasis.join(', ')})` : '';
+    return `- ${beat.key}: ${who}"${beat.words}"${stress}`;
+  });
+  return `Beat Map (${beatMap.seconds}s at ${beatMap.wordsPerMinute} WPM${beatMap.compressed ? ', delivered faster to fit the clip' : ''}):
+Key action_timeline.synchronized_actions by exactly these time ranges, one action per beat, timing each gesture to land on the words in its beat.
+${lines.join('\n')}
+`;
+}
+
+const TIME_RANGE = /^\s*(\d+):(\d{1,2}(?:\.\d+)?)\s*[-–—]\s*(\d+):(\d{1,2}(?:\.\d+)?)\s*$/;
+
+function parseRange(key) {
+  const m = String(key).match(TIME_RANGE);
+  if (!m) return null;
+  const start = Number(m[1]) * 60 + Number(m[2]);
+  const end = Number(m[3]) * 60 + Number(m[4]);
+  return end > start ? { key, start, end } : null;
+}
+
+/**
+ * Checks a segment's synchronized_actions keys against its beat map:
+ *
+ *   { segmentNumber, aligned, score, grid, missing, offGrid, overlapping, invalid }
+ *
+ * score is the share of beats that have an action with the same range
+ * (within TOLERANCE); offGrid are actions starting or ending away from any
+ * beat boundary; invalid are keys that aren't "m:ss-m:ss" ranges. null when
+ * synchronized_actions is free text rather than timed.
+ */
+export function checkBeatTiming(segment, beatMap) {
+  const actions = segment?.action_timeline?.synchronized_actions;
+  if (!beatMap || !actions || typeof actions !== 'object' || Array.isArray(actions)) return null;
+
+  const near = (a, b) => Math.abs(a - b) <= TOLERANCE;
+  const boundaries = [...new Set(beatMap.beats.flatMap(b => [b.start, b.end]))];
+  const onGrid = (t) => boundaries.some(b => near(t, b));
+
+  const invalid = [];
+  const ranges = [];
+  for (const key of Object.keys(actions)) {
+    const range = parseRange(key);
+    if (range) ranges.push(range);
+    else invalid.push(key);
+  }
+  ranges.sort((a, b) => a.start - b.start);
+
+  const offGrid = ranges
+    .filter(r => !onGrid(r.start) || !onGrid(r.end) || r.end > beatMap.seconds + TOLERANCE)
+    .map(r => r.key);
+  const overlapping = ranges.filter((r, i) => i > 0 && r.start < ranges[i - 1].end - TOLERANCE).map(r => r.key);
+  const missing = beatMap.beats
+    .filter(beat => !ranges.some(r => near(r.start, beat.start) && near(r.end, beat.end)))
+    .map(beat => beat.key);
+
+  return {
+    segmentNumber: segment.segment_info?.segment_number ?? null,
+    aligned: !invalid.length && !offGrid.length && !overlapping.length && !missing.length,
+    score: fixed((beatMap.beats.length - missing.length) / beatMap.beats.length),
+    grid: beatMap.beats.map(b => b.key),
+    missing,
+    offGrid,
+    overlapping,
+    invalid,
+  };
+}
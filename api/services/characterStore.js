@@ -0,0 +1,148 @@
+// api/services/characterStore.js
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import FileStore from './fileStore.js';
+import { scriptCast } from './speakerScript.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CHARACTERS_DIR = path.join(__dirname, '../../data/characters');
+
+const FIELD_LIMITS = { name: 200, brand: 200, notes: 2000, referenceImage: 1000 };
+
+// baseDescriptions keys a character keeps; environment and productHandling
+// are optional since the same face is used in different rooms
+const BASE_KEYS = ['physical', 'clothing', 'voice', 'environment', 'productHandling', 'species', 'accessories'];
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'invalid_character';
+  return err;
+}
+
+function pickDetails(input, { requireName }) {
+  const details = {};
+  for (const [field, max] of Object.entries(FIELD_LIMITS)) {
+    if (input[field] === undefined) continue;
+    const value = String(input[field] ?? '').trim();
+    if (value.length > max) throw invalid(`${field} must be at most ${max} characters`);
+    details[field] = value;
+  }
+  if ((requireName || details.name !== undefined) && !details.name) {
+    throw invalid('name is required');
+  }
+  return details;
+}
+
+function pickBase(base) {
+  if (!base || typeof base !== 'object' || Array.isArray(base)) {
+    throw invalid('baseDescriptions (object) is required');
+  }
+  const picked = {};
+  for (const key of BASE_KEYS) {
+    if (base[key] === undefined || base[key] === null || base[key] === '') continue;
+    if (typeof base[key] !== 'string') throw invalid(`baseDescriptions.${key} must be a string`);
+    picked[key] = base[key].trim();
+  }
+  for (const key of ['physical', 'voice', picked.species ? 'accessories' : 'clothing']) {
+    if (!picked[key]) throw invalid(`baseDescriptions.${key} is required`);
+  }
+  return picked;
+}
+
+function pickVoiceProfile(voiceProfile) {
+  if (voiceProfile === undefined || voiceProfile === null) return null;
+  if (typeof voiceProfile !== 'object' || Array.isArray(voiceProfile)) {
+    throw invalid('voiceProfile must be an object');
+  }
+  return voiceProfile;
+}
+
+/**
+ * The brand's recurring on-camera people, reused verbatim across ads:
+ *
+ *   { id, name, brand, notes, avatarMode: 'human' | 'animal',
+ *     baseDescriptions: { physical, clothing | species + accessories, voice,
+ *                         environment?, productHandling? },
+ *     voiceProfile, referenceImage, createdAt, updatedAt }
+ *
+ * One JSON file per character under CHARACTERS_DIR.
+ */
+class CharacterStore {
+  constructor(dir = process.env.CHARACTERS_DIR || DEFAULT_CHARACTERS_DIR) {
+    this.store = new FileStore(dir);
+  }
+
+  async list() {
+    const characters = await this.store.list();
+    return characters
+      .map(({ id, name, brand, avatarMode, referenceImage, createdAt, updatedAt }) =>
+        ({ id, name, brand, avatarMode, referenceImage, createdAt, updatedAt }))
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async create(input = {}) {
+    const now = new Date().toISOString();
+    const baseDescriptions = pickBase(input.baseDescriptions);
+    const character = {
+      id: randomUUID(),
+      brand: '',
+      notes: '',
+      referenceImage: null,
+      ...pickDetails(input, { requireName: true }),
+      avatarMode: baseDescriptions.species ? 'animal' : 'human',
+      baseDescriptions,
+      voiceProfile: pickVoiceProfile(input.voiceProfile),
+      createdAt: now,
+      updatedAt: now,
+    };
+    await this.store.save(character);
+    console.log(`[Characters] created ${character.id} (${character.name})`);
+    return character;
+  }
+
+  async update(id, input = {}) {
+    const character = await this.store.get(id);
+    if (!character) return null;
+    const updated = { ...character, ...pickDetails(input, { requireName: false }) };
+    if (input.baseDescriptions !== undefined) {
+      updated.baseDescriptions = pickBase(input.baseDescriptions);
+      updated.avatarMode = updated.baseDescriptions.species ? 'animal' : 'human';
+    }
+    if (input.voiceProfile !== undefined) updated.voiceProfile = pickVoiceProfile(input.voiceProfile);
+    updated.updatedAt = new Date().toISOString();
+    return this.store.save(updated);
+  }
+
+  async remove(id) {
+    const removed = await this.store.remove(id);
+    if (removed) console.log(`[Characters] deleted ${id}`);
+    return removed;
+  }
+
+  /**
+   * Why `characterId` can't be used with these generation params, or null.
+   * A character is one presenter, so multi-speaker scripts are refused, and
+   * the avatar mode has to match the one the character was made with.
+   */
+  async characterError(characterId, params = {}) {
+    if (characterId === undefined || characterId === null || characterId === '') return null;
+    if (typeof characterId !== 'string') return 'characterId must be a string';
+    const character = await this.store.get(characterId);
+    if (!character) return `Character "${characterId}" not found`;
+    if (scriptCast(params.script).length) return 'characterId is for single-presenter scripts; this script has several speakers';
+    const avatarMode = params.avatarMode === 'animal' ? 'animal' : 'human';
+    if (character.avatarMode !== avatarMode) {
+      return `Character "${character.name}" is a ${character.avatarMode} avatar; this request is ${avatarMode}`;
+    }
+    return null;
+  }
+}
+
+export default new CharacterStore();
@@ -0,0 +1,194 @@
+// api/services/complianceLinter.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_VERTICALS_FILE = path.join(__dirname, '../compliance/verticals.json');
+
+// vertical -> { label, bannedTerms: [] }. Edit the JSON (or point
+// COMPLIANCE_VERTICALS_FILE at your own) to change the banned-term lists.
+const verticals = JSON.parse(
+  fs.readFileSync(process.env.COMPLIANCE_VERTICALS_FILE || DEFAULT_VERTICALS_FILE, 'utf8')
+);
+
+export const DEFAULT_VERTICAL = 'general';
+
+export const COMPLIANCE_CATEGORIES = ['absolute_claim', 'health_claim', 'financial_claim', 'urgency', 'banned_term'];
+
+// Ad-platform policy patterns. Severity is how likely a reviewer is to reject
+// the ad for it: high = almost always, medium = often, low = worth a look.
+const RULES = [
+  // Absolute claims
+  { id: 'guarantee', category: 'absolute_claim', severity: 'high',
+    pattern: /\bguarantee(?:d|s)?\b/gi,
+    message: 'Guarantees need substantiation most ads cannot show' },
+  { id: 'hundred-percent', category: 'absolute_claim', severity: 'medium',
+    pattern: /\b100\s?(?:%|percent)/gi,
+    message: '"100%" reads as an absolute claim' },
+  { id: 'without-any', category: 'absolute_claim', severity: 'medium',
+    pattern: /\b(?:without|zero)\s+(?:any\s+)?(?:paperwork|risk|side effects?|effort|cost|fees?|hassle|questions asked)\b/gi,
+    message: 'Promises the absence of a requirement or risk' },
+  { id: 'no-risk', category: 'absolute_claim', severity: 'medium',
+    pattern: /\bno\s+(?:risk|side effects?|paperwork|catch|strings attached)\b/gi,
+    message: 'Promises the absence of a requirement or risk' },
+  { id: 'number-one', category: 'absolute_claim', severity: 'medium',
+    pattern: /(?:#\s?1\b|\bnumber one\b|\bthe best\b)/gi,
+    message: 'Superlative claims need a cited source' },
+  { id: 'everyone-qualifies', category: 'absolute_claim', severity: 'high',
+    pattern: /\b(?:everyone|anyone|everybody)\s+(?:can\s+)?(?:qualif(?:y|ies)|gets?|is eligible|can get)\b/gi,
+    message: 'Claims universal eligibility' },
+  { id: 'always-never', category: 'absolute_claim', severity: 'low',
+    pattern: /\b(?:always works|never fails|works for everyone)\b/gi,
+    message: 'Absolute wording about results' },
+
+  // Health promises
+  { id: 'cure', category: 'health_claim', severity: 'high',
+    pattern: /\b(?:cures?|cured|heals?|reverses?|eliminates?)\s+(?:your\s+|my\s+)?(?:\w+\s+)?(?:disease|diabetes|cancer|pain|anxiety|depression|arthritis|acne|hair loss|illness)\b/gi,
+    message: 'Claims to cure or treat a condition' },
+  { id: 'weight-loss-amount', category: 'health_claim', severity: 'high',
+    pattern: /\blos[et]\s+\d+\s*(?:lbs?|pounds|kg|kilos)\b/gi,
+    message: 'Specific weight-loss result' },
+  { id: 'clinically-proven', category: 'health_claim', severity: 'medium',
+    pattern: /\b(?:clinically|scientifically|doctor)[\s-](?:proven|tested|recommended)\b/gi,
+    message: 'Clinical claims need documented backing' },
+  { id: 'fda-approved', category: 'health_claim', severity: 'high',
+    pattern: /\bFDA[\s-](?:approved|cleared)\b/gi,
+    message: 'Regulatory approval claims are checked by reviewers' },
+
+  // Financial promises
+  { id: 'earnings-claim', category: 'financial_claim', severity: 'high',
+    pattern: /\b(?:earn|make|making)\s+\$?\d[\d,]*(?:k)?\s*(?:dollars\s*)?(?:a|per|every)\s+(?:day|week|month|year)\b/gi,
+    message: 'Specific earnings claim' },
+  { id: 'passive-income', category: 'financial_claim', severity: 'medium',
+    pattern: /\b(?:passive income|financial freedom|quit your job)\b/gi,
+    message: 'Income-opportunity wording' },
+  { id: 'risk-free', category: 'financial_claim', severity: 'medium',
+    pattern: /\brisk[\s-]free\b/gi,
+    message: '"Risk-free" is a financial promise' },
+  { id: 'guaranteed-approval', category: 'financial_claim', severity: 'high',
+    pattern: /\b(?:instant|guaranteed|pre-?)\s?approv(?:al|ed)\b/gi,
+    message: 'Promises approval for credit or coverage' },
+
+  // Urgency and scarcity pressure
+  { id: 'act-now', category: 'urgency', severity: 'medium',
+    pattern: /\b(?:act|call|buy|order|sign up|apply)\s+(?:now|today|immediately)\b/gi,
+    message: 'Pressure to act immediately' },
+  { id: 'dont-wait', category: 'urgency', severity: 'medium',
+    pattern: /\b(?:do not|don'?t|dont)\s+wait\b/gi,
+    message: 'Pressure to act immediately' },
+  { id: 'last-chance', category: 'urgency', severity: 'medium',
+    pattern: /\b(?:last chance|last minute|limited time|ends (?:tonight|today|soon)|before it'?s too late|hurry)\b/gi,
+    message: 'Deadline or time pressure' },
+  { id: 'scarcity', category: 'urgency', severity: 'medium',
+    pattern: /\b(?:only \d+ (?:left|spots?|remaining)|while (?:supplies|spots) last|selling out)\b/gi,
+    message: 'Scarcity pressure' },
+  { id: 'fear-of-missing-out', category: 'urgency', severity: 'low',
+    pattern: /\b(?:left behind|miss(?:ing)? out|lose out)\b/gi,
+    message: 'Fear-of-missing-out framing' },
+];
+
+// Shouting is pressure too; acronyms and speaker tags ("SARAH:") are not
+const ALL_CAPS_PATTERN = /\b[A-Z]{2,}(?:\s+[A-Z]{2,})+\b|\b[A-Z]{3,}\b/g;
+const ACRONYMS = new Set(['FDA', 'USA', 'ACA', 'HMO', 'PPO', 'IRS', 'LLC', 'APR', 'SPF', 'CBD', 'DIY', 'FAQ', 'UGC', 'TV']);
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function bannedTermRules(vertical) {
+  const terms = [
+    ...(verticals[DEFAULT_VERTICAL]?.bannedTerms || []),
+    ...(vertical !== DEFAULT_VERTICAL ? verticals[vertical]?.bannedTerms || [] : []),
+  ];
+  return terms.map(term => ({
+    id: `banned:${term}`,
+    category: 'banned_term',
+    severity: 'high',
+    pattern: new RegExp(`\\b${escapeRegExp(term)}\\b`, 'gi'),
+    message: `"${term}" is on the ${verticals[vertical]?.label || vertical} banned-term list`,
+  }));
+}
+
+export function isKnownVertical(vertical) {
+  return Object.prototype.hasOwnProperty.call(verticals, vertical);
+}
+
+export function listVerticals() {
+  return Object.entries(verticals).map(([id, v]) => ({
+    id,
+    label: v.label || id,
+    bannedTerms: v.bannedTerms || [],
+  }));
+}
+
+/**
+ * Every rule hit in `text`, in reading order:
+ * [{ ruleId, category, severity, match, index, message }]
+ */
+export function lintText(text, { vertical = DEFAULT_VERTICAL } = {}) {
+  const str = String(text || '');
+  const findings = [];
+
+  for (const rule of [...RULES, ...bannedTermRules(vertical)]) {
+    for (const m of str.matchAll(rule.pattern)) {
+      findings.push({
+        ruleId: rule.id,
+        category: rule.category,
+        severity: rule.severity,
+        match: m[0],
+        index: m.index,
+        message: rule.message,
+      });
+    }
+  }
+
+  for (const m of str.matchAll(ALL_CAPS_PATTERN)) {
+    if (m[0].split(/\s+/).every(word => ACRONYMS.has(word))) continue;
+    if (str[m.index + m[0].length] === ':') continue;
+    findings.push({
+      ruleId: 'all-caps',
+      category: 'urgency',
+      severity: 'low',
+      match: m[0],
+      index: m.index,
+      message: 'All-caps wording reads as pressure',
+    });
+  }
+
+  return findings.sort((a, b) => a.index - b.index);
+}
+
+// [{ segmentNumber, findings }] for each segment's dialogue, clean segments included
+export function lintSegments(segments, opts = {}) {
+  return (segments || []).map((segment, i) => ({
+    segmentNumber: segment?.segment_info?.segment_number || i + 1,
+    findings: lintText(segment?.action_timeline?.dialogue, opts),
+  }));
+}
+
+/**
+ * The report attached to generation responses. `segments` is optional so the
+ * script can be checked on its own before splitting.
+ */
+export function lintGeneration({ script, segments, vertical = DEFAULT_VERTICAL } = {}) {
+  const resolved = isKnownVertical(vertical) ? vertical : DEFAULT_VERTICAL;
+  const scriptFindings = lintText(script, { vertical: resolved });
+  const segmentFindings = segments ? lintSegments(segments, { vertical: resolved }) : [];
+
+  const all = [...scriptFindings, ...segmentFindings.flatMap(s => s.findings)];
+  const count = (key, value) => all.filter(f => f[key] === value).length;
+
+  return {
+    vertical: resolved,
+    script: scriptFindings,
+    segments: segmentFindings,
+    summary: {
+      total: all.length,
+      high: count('severity', 'high'),
+      medium: count('severity', 'medium'),
+      low: count('severity', 'low'),
+      byCategory: Object.fromEntries(COMPLIANCE_CATEGORIES.map(c => [c, count('category', c)])),
+    },
+  };
+}
@@ -0,0 +1,121 @@
+// api/services/continuationSeed.js
+// Where a continuation picks up: the end state of an existing clip, read
+// from its last frame (by a vision describer, see vision/index.js) or from
+// the JSON of its final segment. Segment 1 of the continuation is prompted
+// to start there and its continuity_markers.start_position is set from it.
+//
+//   { source: 'last_frame' | 'previous_segment',
+//     endState: { position, expression, gesture, camera, lighting, location },
+//     previousDialogue }
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const DATA_URL = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)$/;
+
+const END_STATE_FIELDS = ['position', 'expression', 'gesture', 'camera', 'lighting', 'location'];
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'invalid_continuation_seed';
+  return err;
+}
+
+const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * Decodes a `lastFrame` upload (a base64 data URL, as a browser FileReader
+ * produces) into { mimeType, data }. Throws invalid_continuation_seed for
+ * anything that isn't a PNG, JPEG or WebP under MAX_IMAGE_BYTES.
+ */
+export function parseLastFrame(dataUrl) {
+  if (typeof dataUrl !== 'string') throw invalid('lastFrame must be a base64 data URL');
+  const m = dataUrl.match(DATA_URL);
+  if (!m) throw invalid('lastFrame must be a base64 data URL (data:image/png;base64,...)');
+  const mimeType = m[1].toLowerCase();
+  if (!IMAGE_TYPES.includes(mimeType)) {
+    throw invalid(`lastFrame must be one of: ${IMAGE_TYPES.join(', ')}`);
+  }
+  const data = Buffer.from(m[2], 'base64');
+  if (!data.length) throw invalid('lastFrame is empty');
+  if (data.length > MAX_IMAGE_BYTES) throw invalid(`lastFrame must be at most ${MAX_IMAGE_BYTES / 1024 / 1024} MB`);
+  return { mimeType, data };
+}
+
+/**
+ * The end state recorded in a segment: its end_position (or transition_prep,
+ * or current_state as a last resort), camera, lighting and location. Throws
+ * when the segment has none of those, since it can't seed anything.
+ */
+export function endStateFromSegment(segment) {
+  if (!segment || typeof segment !== 'object' || Array.isArray(segment)) {
+    throw invalid('previousSegment must be a segment object');
+  }
+  const markers = segment.segment_info?.continuity_markers || {};
+  const position = text(markers.end_position)
+    || text(segment.action_timeline?.transition_prep)
+    || text(segment.character_description?.current_state);
+  if (!position) {
+    throw invalid('previousSegment has no end state (segment_info.continuity_markers.end_position, action_timeline.transition_prep or character_description.current_state)');
+  }
+  return {
+    position,
+    expression: null,
+    gesture: text(markers.gesture_flow),
+    camera: text(segment.scene_continuity?.camera_position),
+    lighting: text(segment.scene_continuity?.lighting_state),
+    location: text(segment.segment_info?.location),
+  };
+}
+
+// A describer's answer with only the string fields kept
+export function endStateFromFrame(description = {}) {
+  return Object.fromEntries(END_STATE_FIELDS.map(f => [f, text(description[f])]));
+}
+
+/**
+ * Combines what is known into a seed. The frame wins for anything it could
+ * see; the previous segment fills the rest and supplies the last line spoken.
+ */
+export function buildContinuationSeed({ frameState = null, previousSegment = null } = {}) {
+  const segmentState = previousSegment ? endStateFromSegment(previousSegment) : null;
+  if (!frameState && !segmentState) return null;
+  const endState = Object.fromEntries(END_STATE_FIELDS.map(f => [f, frameState?.[f] || segmentState?.[f] || null]));
+  if (!endState.position) throw invalid('could not tell the on-camera position from lastFrame');
+  return {
+    source: frameState ? 'last_frame' : 'previous_segment',
+    endState,
+    previousDialogue: text(previousSegment?.action_timeline?.dialogue),
+  };
+}
+
+// The start_position segment 1 gets
+export function seedStartPosition(seed) {
+  const { position, expression, gesture } = seed.endState;
+  const from = seed.source === 'last_frame' ? 'the previous clip\'s last frame' : 'the end of the previous segment';
+  return [`Matching ${from} exactly: ${position.replace(/\.$/, '')}.`,
+    expression && `Expression: ${expression.replace(/\.$/, '')}.`,
+    gesture && `Gesture: ${gesture.replace(/\.$/, '')}.`,
+  ].filter(Boolean).join(' ');
+}
+
+// Prompt block for segment 1 of a seeded continuation
+export function seedPromptLines(seed) {
+  if (!seed) return '';
+  const { camera, lighting, location } = seed.endState;
+  return `This continues an existing clip. Start exactly where it ended:
+Start Position: ${seedStartPosition(seed)}
+${camera ? `Camera at the cut: ${camera}\n` : ''}${lighting ? `Lighting at the cut: ${lighting}\n` : ''}${location ? `Location at the cut: ${location}\n` : ''}${seed.previousDialogue ? `Last line of the previous clip: "${seed.previousDialogue}"\n` : ''}`;
+}
+
+// Sets segment 1's continuity_markers.start_position (and, on enhanced
+// segments, start_expression and start_gesture) from the seed rather than
+// trusting the model to copy it
+export function applyContinuationSeed(segment, seed) {
+  if (!seed || !segment) return;
+  const info = segment.segment_info || {};
+  const markers = { ...info.continuity_markers, start_position: seedStartPosition(seed) };
+  const { expression, gesture } = seed.endState;
+  if ('start_expression' in markers && expression) markers.start_expression = expression;
+  if ('start_gesture' in markers && gesture) markers.start_gesture = gesture;
+  segment.segment_info = { ...info, continuity_markers: markers };
+}
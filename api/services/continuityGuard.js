@@ -0,0 +1,120 @@
+// api/services/continuityGuard.js
+
+// Fields that must be copied verbatim from baseDescriptions into every
+// segment: [segment path, baseDescriptions key]
+const LOCKED_FIELDS = [
+  [['character_description', 'physical'], 'physical'],
+  [['character_description', 'clothing'], 'clothing'],
+  // animal avatars have no clothing; their accessories are locked instead
+  [['character_description', 'accessories'], 'accessories'],
+];
+
+export const DRIFT_POLICIES = ['overwrite', 'flag'];
+
+const tokenize = (str) =>
+  String(str || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+
+// Word-level LCS length; descriptions are a few hundred words, so O(n*m) is fine.
+function lcsLength(a, b) {
+  let prev = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const row = new Array(b.length + 1).fill(0);
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = a[i - 1] === b[j - 1] ? prev[j - 1] + 1 : Math.max(prev[j], row[j - 1]);
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * 0 = identical wording (ignoring case, punctuation and spacing),
+ * 1 = nothing in common. Missing text counts as full drift.
+ */
+export function measureDrift(text, canonical) {
+  const a = tokenize(text), b = tokenize(canonical);
+  if (a.length === 0 && b.length === 0) return 0;
+  if (a.length === 0 || b.length === 0) return 1;
+  const similarity = (2 * lcsLength(a, b)) / (a.length + b.length);
+  return Math.round((1 - similarity) * 1000) / 1000;
+}
+
+/**
+ * Compare a segment's locked fields with the canonical base descriptions.
+ * With policy 'overwrite' drifted fields are replaced in place by the base
+ * text; with 'flag' the segment is left alone. Either way the report
+ * { segmentNumber, score, fields, drifted, action } describes what the model
+ * produced, score being the worst field.
+ */
+export function enforceBaseDescriptions(segment, baseDescriptions, policy = 'overwrite') {
+  const fields = {};
+  const drifted = [];
+
+  for (const [[group, key], baseKey] of LOCKED_FIELDS) {
+    const canonical = baseDescriptions?.[baseKey];
+    if (!canonical) continue;
+    const actual = segment?.[group]?.[key];
+    const drift = measureDrift(actual, canonical);
+    fields[key] = drift;
+    if (drift > 0) {
+      drifted.push(key);
+      if (policy === 'overwrite') {
+        segment[group] = { ...segment[group], [key]: canonical };
+      }
+    }
+  }
+
+  const score = Math.max(0, ...Object.values(fields));
+  return {
+    segmentNumber: segment?.segment_info?.segment_number ?? null,
+    score,
+    fields,
+    drifted,
+    action: drifted.length === 0 ? 'none' : (policy === 'overwrite' ? 'overwritten' : 'flagged'),
+  };
+}
+
+const normalizeLocation = (loc) => String(loc || '').trim().toLowerCase();
+
+/**
+ * Can `segment` be cut straight into `nextSegment`? Checks that it is in the
+ * expected location (the next segment's, unless the script moves between
+ * them: pass the location the original segment had) and that the locked
+ * character fields match word for word. Returns { compatible, issues:
+ * [{ field, message }], endPosition, nextStartPosition } so callers can show
+ * the two positions side by side.
+ */
+export function checkHandoff(segment, nextSegment, { expectedLocation } = {}) {
+  const endPosition = segment?.segment_info?.continuity_markers?.end_position
+    || segment?.action_timeline?.transition_prep
+    || null;
+  if (!nextSegment) return { compatible: true, issues: [], endPosition, nextStartPosition: null };
+
+  const issues = [];
+  const location = normalizeLocation(segment?.segment_info?.location);
+  const expected = normalizeLocation(expectedLocation ?? nextSegment.segment_info?.location);
+  if (location && expected && location !== expected) {
+    issues.push({
+      field: 'segment_info.location',
+      message: `is "${segment.segment_info.location}" but the hand-off expects "${expectedLocation ?? nextSegment.segment_info.location}"`,
+    });
+  }
+
+  for (const [[group, key]] of LOCKED_FIELDS) {
+    const expected = nextSegment[group]?.[key];
+    if (!expected) continue;
+    const drift = measureDrift(segment?.[group]?.[key], expected);
+    if (drift > 0) {
+      issues.push({ field: `${group}.${key}`, message: `differs from the next segment (drift ${drift})` });
+    }
+  }
+
+  return {
+    compatible: issues.length === 0,
+    issues,
+    endPosition,
+    nextStartPosition: nextSegment.segment_info?.continuity_markers?.start_position
+      || nextSegment.character_description?.current_state
+      || null,
+  };
+}
@@ -0,0 +1,72 @@
+// api/services/fileStore.js
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * One JSON file per record (anything with a string `id`) under `dir`. Writes
+ * go through a temp file and a rename so a crash mid-write never leaves a
+ * truncated record behind. Jobs, projects, characters, matrices and video
+ * tasks each keep their own store.
+ */
+class FileStore {
+  constructor(dir) {
+    this.dir = dir;
+    this._ready = null;
+  }
+
+  async ensureDir() {
+    if (!this._ready) this._ready = fs.mkdir(this.dir, { recursive: true });
+    return this._ready;
+  }
+
+  fileFor(id) {
+    if (!/^[\w-]+$/.test(id)) throw new Error(`invalid_id: ${id}`);
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async save(record) {
+    await this.ensureDir();
+    const file = this.fileFor(record.id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(record, null, 2), 'utf8');
+    await fs.rename(tmp, file);
+    return record;
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.fileFor(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.message?.startsWith('invalid_id')) return null;
+      throw err;
+    }
+  }
+
+  // true if a record was deleted
+  async remove(id) {
+    try {
+      await fs.unlink(this.fileFor(id));
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.message?.startsWith('invalid_id')) return false;
+      throw err;
+    }
+  }
+
+  // Every record, newest createdAt first
+  async list() {
+    await this.ensureDir();
+    const files = (await fs.readdir(this.dir)).filter(f => f.endsWith('.json'));
+    const records = [];
+    for (const f of files) {
+      try {
+        records.push(JSON.parse(await fs.readFile(path.join(this.dir, f), 'utf8')));
+      } catch (err) {
+        console.warn(`[FileStore] Skipping unreadable file ${path.join(this.dir, f)}:`, err.message);
+      }
+    }
+    return records.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  }
+}
+
+export default FileStore;
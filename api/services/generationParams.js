@@ -0,0 +1,32 @@
+// api/services/generationParams.js
+// The request checks every generation route runs before it queues anything,
+// so a bad field is a 400 for the caller instead of a failed job later.
+
+import { pacingError } from './scriptSplitter.js';
+import { voiceProfileError } from './voiceProfile.js';
+import CharacterStore from './characterStore.js';
+
+const MIN_SCRIPT_LENGTH = 50;
+
+/**
+ * First problem with a generation's params as a 400 body ({ error, message? }),
+ * or null when they are fine. Checks the script length, pacing, a reused voice
+ * profile and the saved character, in that order. Async because the character
+ * is read from its store, which can throw.
+ */
+export async function validateGenerationParams(params = {}) {
+  const script = typeof params.script === 'string' ? params.script.trim() : '';
+  if (script.length < MIN_SCRIPT_LENGTH) {
+    return { error: `Script must be at least ${MIN_SCRIPT_LENGTH} characters long` };
+  }
+  const pacingProblem = pacingError(params);
+  if (pacingProblem) return { error: 'Invalid pacing', message: pacingProblem };
+
+  const voiceProblem = voiceProfileError(params.voiceProfile);
+  if (voiceProblem) return { error: 'Invalid voice profile', message: voiceProblem };
+
+  const characterProblem = await CharacterStore.characterError(params.characterId, params);
+  if (characterProblem) return { error: 'Invalid character', message: characterProblem };
+
+  return null;
+}
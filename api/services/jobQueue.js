@@ -0,0 +1,233 @@
+// api/services/jobQueue.js
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import JobStore from './jobStore.js';
+import RunRecorder from './runRecorder.js';
+
+// Jobs back the synchronous generation routes too, so this is how many
+// requests generate at once; more wait their turn
+const JOB_CONCURRENCY =
+  Number.parseInt(process.env.JOB_CONCURRENCY || '', 10) || 4;
+const JOB_MAX_ATTEMPTS =
+  Number.parseInt(process.env.JOB_MAX_ATTEMPTS || '', 10) || 2;
+const JOB_RETRY_DELAY_MS =
+  Number.parseInt(process.env.JOB_RETRY_DELAY_MS || '', 10) || 5_000;
+
+const TERMINAL = new Set(['completed', 'failed']);
+
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND']);
+
+// Only timeouts, rate limits, 5xx and dropped connections are worth another
+// attempt; bad input or a validation failure would just fail again
+function isTransient(err) {
+  const status = Number(err?.status ?? err?.response?.status);
+  if (status === 429 || status >= 500) return true;
+  if (TRANSIENT_CODES.has(err?.code)) return true;
+  return /timeout|rate limit|overload|temporar/i.test(String(err?.message || ''));
+}
+
+/**
+ * In-process job queue backed by JobStore.
+ *
+ * A job is { id, type, status, params, attempts, maxAttempts, progress,
+ * segments, baseDescriptions, voiceProfile, result, error, timestamps }.
+ * status moves queued -> running -> completed | failed, going back to queued
+ * between retry attempts; only transient errors are retried. Handlers are
+ * registered per job type and receive (params, hooks); hooks.onEvent
+ * receives the same progress events as OpenAIService.generateSegments, and
+ * completed segments are persisted as they arrive so nothing is lost if the
+ * HTTP request is cut off. hooks.resume carries what an earlier attempt (or
+ * a process that restarted) already finished, { segments, baseDescriptions,
+ * voiceProfile }, so generation picks up after the last finished segment.
+ * Every attempt is also recorded as a run (see RunRecorder).
+ */
+class JobQueue extends EventEmitter {
+  constructor({ store = new JobStore(), concurrency = JOB_CONCURRENCY } = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.store = store;
+    this.concurrency = concurrency;
+    this.handlers = new Map();
+    this.jobs = new Map();     // live jobs (queued/running) by id
+    this.pending = [];         // ids waiting for a worker slot
+    this.active = 0;
+    this._writes = new Map();  // per-job write chain
+  }
+
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  async enqueue(type, params, { maxAttempts = JOB_MAX_ATTEMPTS } = {}) {
+    if (!this.handlers.has(type)) throw new Error(`unknown_job_type: ${type}`);
+    const now = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      type,
+      status: 'queued',
+      params,
+      attempts: 0,
+      maxAttempts,
+      progress: { totalSegments: null, completedSegments: 0 },
+      segments: [],
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+    };
+    this.jobs.set(job.id, job);
+    await this.persist(job);
+    this.pending.push(job.id);
+    console.log(`[Jobs] queued ${type} job ${job.id}`);
+    setImmediate(() => this.drain());
+    return job;
+  }
+
+  async get(id) {
+    return this.jobs.get(id) || await this.store.get(id);
+  }
+
+  async list() {
+    return this.store.list();
+  }
+
+  // Resolves with the job once it completes or fails.
+  async waitFor(id) {
+    const job = await this.get(id);
+    if (!job || TERMINAL.has(job.status)) return job;
+    return new Promise((resolve) => {
+      const onUpdate = (updated) => {
+        if (!TERMINAL.has(updated.status)) return;
+        this.off(`job:${id}`, onUpdate);
+        resolve(updated);
+      };
+      this.on(`job:${id}`, onUpdate);
+    });
+  }
+
+  // Like waitFor, but resolves with the handler result and rejects on failure.
+  async resultOf(id) {
+    const job = await this.waitFor(id);
+    if (!job) throw new Error(`unknown_job: ${id}`);
+    if (job.status === 'failed') throw new Error(job.error?.message || 'job_failed');
+    return job.result;
+  }
+
+  // Re-queue anything left queued/running by a previous process.
+  async resume() {
+    const jobs = await this.store.list();
+    const stranded = jobs.filter(j => !TERMINAL.has(j.status) && !this.jobs.has(j.id));
+    for (const job of stranded.reverse()) {
+      if (!this.handlers.has(job.type)) {
+        console.warn(`[Jobs] cannot resume job ${job.id}: no handler for ${job.type}`);
+        continue;
+      }
+      job.status = 'queued';
+      this.jobs.set(job.id, job);
+      this.pending.push(job.id);
+      await this.persist(job);
+    }
+    if (stranded.length) console.log(`[Jobs] resumed ${stranded.length} unfinished job(s)`);
+    this.drain();
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.pending.length) {
+      const job = this.jobs.get(this.pending.shift());
+      if (!job) continue;
+      this.active++;
+      this.run(job).finally(() => {
+        this.active--;
+        this.drain();
+      });
+    }
+  }
+
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+    job.attempts += 1;
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.error = null;
+    job.segments = job.segments || [];
+    job.progress = { ...job.progress, completedSegments: job.segments.filter(Boolean).length };
+    await this.update(job);
+    console.log(`[Jobs] running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    const resume = {
+      segments: job.segments,
+      baseDescriptions: job.baseDescriptions || null,
+      voiceProfile: job.voiceProfile || null,
+    };
+    if (job.progress.completedSegments) {
+      console.log(`[Jobs] job ${job.id} resuming after ${job.progress.completedSegments} finished segment(s)`);
+    }
+
+    const onEvent = (type, data) => {
+      if (type === 'split') {
+        job.progress.totalSegments = data.totalSegments;
+      } else if (type === 'base_descriptions') {
+        job.baseDescriptions = data.baseDescriptions;
+      } else if (type === 'voice_profile') {
+        job.voiceProfile = data.voiceProfile;
+      } else if (type === 'segment_completed') {
+        job.segments[data.index] = data.segment;
+        job.progress.completedSegments = job.segments.filter(Boolean).length;
+      }
+      this.emit(`job:${job.id}:event`, type, data);
+      this.update(job);
+    };
+
+    try {
+      job.result = await RunRecorder.record(
+        { mode: RunRecorder.modeFor(job.type), inputs: job.params, jobId: job.id, attempt: job.attempts },
+        () => handler(job.params, { onEvent, resume })
+      );
+      job.segments = job.result?.segments || job.segments;
+      job.status = 'completed';
+      job.finishedAt = new Date().toISOString();
+      console.log(`[Jobs] completed job ${job.id}`);
+    } catch (err) {
+      const transient = isTransient(err);
+      job.error = { message: err.message, timeout: !!err.message?.endsWith('_timeout'), transient };
+      if (transient && job.attempts < job.maxAttempts) {
+        console.warn(`[Jobs] job ${job.id} attempt ${job.attempts} failed (${err.message}); retrying in ${JOB_RETRY_DELAY_MS}ms`);
+        job.status = 'queued';
+        setTimeout(() => {
+          this.pending.push(job.id);
+          this.drain();
+        }, JOB_RETRY_DELAY_MS);
+      } else {
+        console.error(`[Jobs] job ${job.id} failed after ${job.attempts} attempt(s):`, err.message);
+        job.status = 'failed';
+        job.finishedAt = new Date().toISOString();
+      }
+    }
+
+    await this.update(job);
+    if (TERMINAL.has(job.status)) {
+      this.jobs.delete(job.id);
+      this._writes.delete(job.id);
+    }
+  }
+
+  async update(job) {
+    job.updatedAt = new Date().toISOString();
+    this.emit(`job:${job.id}`, job);
+    return this.persist(job);
+  }
+
+  persist(job) {
+    const snapshot = JSON.parse(JSON.stringify(job));
+    const prev = this._writes.get(job.id) || Promise.resolve();
+    const next = prev
+      .then(() => this.store.save(snapshot))
+      .catch(err => console.error(`[Jobs] failed to persist job ${job.id}:`, err.message));
+    this._writes.set(job.id, next);
+    return next;
+  }
+}
+
+export default new JobQueue();
@@ -0,0 +1,18 @@
+// api/services/jobStore.js
+import path from 'path';
+import { fileURLToPath } from 'url';
+import FileStore from './fileStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_JOBS_DIR = path.join(__dirname, '../../data/jobs');
+
+// One JSON file per job under JOBS_DIR
+class JobStore extends FileStore {
+  constructor(dir = process.env.JOBS_DIR || DEFAULT_JOBS_DIR) {
+    super(dir);
+  }
+}
+
+export default JobStore;
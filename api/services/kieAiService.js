@@ -0,0 +1,192 @@
+// api/services/kieAiService.js
+import axios from 'axios';
+import { resolvePacing } from './scriptSplitter.js';
+
+const KIEAI_API_BASE =
+  process.env.KIEAI_API_BASE || 'https://api.kie.ai';
+const KIEAI_MODEL =
+  process.env.KIEAI_MODEL || 'veo3_fast';
+// Flat rate per video (see KIEAI_SETUP.md)
+const KIEAI_COST_PER_VIDEO =
+  Number.parseFloat(process.env.KIEAI_COST_PER_VIDEO || '') || 0.40;
+
+// record-info successFlag -> processing | completed | failed
+const SUCCESS_FLAGS = { 0: 'processing', 1: 'completed', 2: 'failed', 3: 'failed' };
+
+// Account-level failures: every later submission would fail the same way
+const FATAL_CODES = new Set(['not_configured', 'unauthorized', 'insufficient_balance']);
+
+function kieError(code, message, cause) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = cause?.response?.status;
+  return err;
+}
+
+/**
+ * Kie.ai video generation (Veo 3 Fast through api.kie.ai), the cheaper
+ * alternative to Veo3Service. Tasks live on Kie.ai's side; we only keep
+ * their ids.
+ */
+class KieAiService {
+  constructor() {
+    this.client = null;
+    this.initializeClient();
+  }
+
+  initializeClient() {
+    const apiKey = process.env.KIEAI_API_KEY;
+    if (apiKey && apiKey.trim() !== '') {
+      this.client = axios.create({
+        baseURL: KIEAI_API_BASE,
+        headers: { Authorization: `Bearer ${apiKey.trim()}` },
+        timeout: 30_000,
+      });
+      console.log('[KieAI] Client initialized');
+    } else {
+      console.warn('[KieAI] No KIEAI_API_KEY found');
+    }
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  cost(videos = 1) {
+    return {
+      amount: Math.round(KIEAI_COST_PER_VIDEO * videos * 100) / 100,
+      currency: 'USD',
+      perVideo: KIEAI_COST_PER_VIDEO,
+    };
+  }
+
+  // Kie.ai answers some failures with HTTP 200 and the real status in `code`
+  checkBody(data) {
+    if (data?.code == null || data.code === 200) return data;
+    throw this.mapError({ message: data.msg, response: { status: data.code, data: { message: data.msg } } });
+  }
+
+  // Normalize Kie.ai failures into errors the routes can map to status codes
+  mapError(error) {
+    const status = error?.response?.status;
+    const data = error?.response?.data || {};
+    const message = String(data.msg || data.message || data.error?.message || data.error || error.message || '');
+    if (status === 402 || /insufficient|balance|quota|credit/i.test(message)) {
+      return kieError('insufficient_balance', 'Insufficient balance on your Kie.ai account. Top up and try again.', error);
+    }
+    if (status === 401 || status === 403) {
+      return kieError('unauthorized', 'Kie.ai rejected the API key. Check KIEAI_API_KEY.', error);
+    }
+    if (status === 429) {
+      return kieError('rate_limited', 'Kie.ai rate limit reached. Submit fewer videos at once.', error);
+    }
+    return kieError('kieai_error', `Kie.ai request failed: ${message || 'unknown error'}`, error);
+  }
+
+  ensureClient() {
+    if (!this.client) this.initializeClient();
+    if (!this.client) {
+      throw kieError('not_configured', 'Kie.ai service not configured. Add KIEAI_API_KEY to your .env file');
+    }
+  }
+
+  async generateVideo(prompt, options = {}) {
+    this.ensureClient();
+    console.log('[KieAI] Submitting video', { segmentNumber: options.segmentNumber ?? null, model: KIEAI_MODEL });
+
+    let data;
+    try {
+      ({ data } = await this.client.post('/api/v1/veo/generate', {
+        model: KIEAI_MODEL,
+        prompt,
+        aspectRatio: options.aspectRatio || '16:9',
+      }));
+    } catch (error) {
+      throw this.mapError(error);
+    }
+
+    const taskId = this.checkBody(data)?.data?.taskId;
+    if (!taskId) throw kieError('kieai_error', 'Kie.ai did not return a task id');
+
+    return {
+      success: true,
+      provider: 'kieai',
+      taskId,
+      segmentNumber: options.segmentNumber ?? null,
+      status: 'processing',
+      estimatedTime: '5-8 minutes',
+      prompt,
+      duration: `${resolvePacing({ segmentSeconds: options.segmentSeconds }).segmentSeconds} seconds`,
+      cost: this.cost(1),
+    };
+  }
+
+  async getVideoStatus(taskId) {
+    this.ensureClient();
+
+    let data;
+    try {
+      ({ data } = await this.client.get('/api/v1/veo/record-info', { params: { taskId } }));
+    } catch (error) {
+      throw this.mapError(error);
+    }
+
+    const body = this.checkBody(data)?.data || {};
+    const status = SUCCESS_FLAGS[body.successFlag] || 'processing';
+    const videoUrl = body.response?.resultUrls?.[0] || null;
+
+    return {
+      id: taskId,
+      provider: 'kieai',
+      status,
+      progress: status === 'completed' ? 100 : null,
+      videoUrl: status === 'completed' ? videoUrl : null,
+      error: status === 'failed' ? (body.errorMessage || 'Kie.ai generation failed') : null,
+      cost: this.cost(1),
+    };
+  }
+
+  /**
+   * Same result shape as Veo3Service.generateVideosForAllSegments: one entry
+   * per segment, the submitted task or { taskId: null, status: 'failed',
+   * error, code }. After an account-level failure (no key, rejected key, no
+   * balance) the remaining segments are reported with it instead of being
+   * sent. cost covers the submitted videos only.
+   */
+  async generateVideosForAllSegments(segments, buildPrompt, options = {}) {
+    console.log(`[KieAI] Generating videos for ${segments.length} segments`);
+
+    // One at a time: Kie.ai rejects bursts of parallel submissions
+    const videos = [];
+    let firstError = null;
+    let fatal = null;
+    for (let index = 0; index < segments.length; index++) {
+      const segment = segments[index];
+      const segmentNumber = segment.segment_info?.segment_number || index + 1;
+      try {
+        if (fatal) throw fatal;
+        videos.push(await this.generateVideo(buildPrompt(segment), { ...options, segmentNumber }));
+      } catch (error) {
+        if (error !== fatal) console.error(`[KieAI] Segment ${segmentNumber} was not submitted:`, error.message);
+        firstError = firstError || error;
+        if (FATAL_CODES.has(error.code)) fatal = error;
+        videos.push({ provider: 'kieai', segmentNumber, taskId: null, status: 'failed', error: error.message, code: error.code || null });
+      }
+    }
+
+    const failed = videos.filter(video => !video.taskId).length;
+    if (failed === segments.length && firstError) throw firstError;
+
+    return {
+      success: failed === 0,
+      videos,
+      submitted: segments.length - failed,
+      failed,
+      totalSegments: segments.length,
+      backend: 'kieai',
+      cost: this.cost(segments.length - failed),
+    };
+  }
+}
+
+export default new KieAiService();
@@ -0,0 +1,43 @@
+// api/services/llm/index.js
+//
+// LLM provider layer. Services never talk to a vendor SDK directly; they call
+//
+//   provider.complete({ task, messages, temperature, maxTokens, model?, context? })
+//     -> Promise<{ content, model, provider }>
+//
+// `task` names the call site ('base_descriptions', 'segment',
+// 'continuation_segment', 'voice_profile', 'json_repair', 'locations',
+// 'camera', 'hooks') and lets each provider choose a model. `content` is the raw JSON
+// string the model returned. `context` carries the structured inputs behind
+// the prompt; remote providers ignore it, the fixture provider uses it to
+// shape replayed output.
+import OpenAIProvider from './openaiProvider.js';
+import FixtureProvider from './fixtureProvider.js';
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  fixture: FixtureProvider,
+};
+
+// Without LLM_PROVIDER, OpenAI. The fixture provider stands in for a missing
+// key in development only, so production never serves replayed segments as
+// real output.
+export function resolveProviderName() {
+  const explicit = String(process.env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (explicit) return explicit;
+  if (process.env.NODE_ENV === 'production') return 'openai';
+  return process.env.OPENAI_API_KEY ? 'openai' : 'fixture';
+}
+
+export function createLLMProvider(name = resolveProviderName(), options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  if (name === 'fixture' && !process.env.LLM_PROVIDER) {
+    console.warn('[LLM] No OPENAI_API_KEY set — falling back to the offline fixture provider');
+  }
+  return new Provider(options);
+}
+
+export { OpenAIProvider, FixtureProvider };
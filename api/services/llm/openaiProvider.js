@@ -0,0 +1,51 @@
+// api/services/llm/openaiProvider.js
+import OpenAI from 'openai';
+
+// Model per task. Segment-sized calls default to the cheaper model; the big
+// base-description block and the small utility calls stay on gpt-4o.
+const OPENAI_BASE_MODEL =
+  process.env.OPENAI_BASE_MODEL || 'gpt-4o';
+const OPENAI_SEGMENT_MODEL =
+  process.env.OPENAI_SEGMENT_MODEL || 'gpt-4o-mini';
+
+const TASK_MODELS = {
+  base_descriptions: OPENAI_BASE_MODEL,
+  segment: OPENAI_SEGMENT_MODEL,
+  continuation_segment: OPENAI_SEGMENT_MODEL,
+  voice_profile: OPENAI_BASE_MODEL,
+  json_repair: OPENAI_BASE_MODEL,
+  locations: OPENAI_BASE_MODEL,
+  camera: OPENAI_BASE_MODEL,
+  hooks: OPENAI_BASE_MODEL,
+};
+
+/**
+ * Thin adapter over the OpenAI chat completions API. Every call asks for a
+ * JSON object response; callers own parsing/repair.
+ */
+export default class OpenAIProvider {
+  constructor({ apiKey = process.env.OPENAI_API_KEY } = {}) {
+    this.name = 'openai';
+    this.client = new OpenAI({ apiKey });
+  }
+
+  modelFor(task) {
+    return TASK_MODELS[task] || OPENAI_BASE_MODEL;
+  }
+
+  async complete({ task, messages, model, temperature = 0.3, maxTokens = 2000 }) {
+    const resolvedModel = model || this.modelFor(task);
+    const resp = await this.client.chat.completions.create({
+      model: resolvedModel,
+      messages,
+      response_format: { type: 'json_object' },
+      temperature,
+      max_tokens: maxTokens,
+    });
+    return {
+      content: resp.choices?.[0]?.message?.content || '',
+      model: resolvedModel,
+      provider: this.name,
+    };
+  }
+}
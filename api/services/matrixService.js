@@ -0,0 +1,267 @@
+// api/services/matrixService.js
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import FileStore from './fileStore.js';
+import JobQueue from './jobQueue.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_MATRICES_DIR = path.join(__dirname, '../../data/matrices');
+
+// Ad-agency framework fields a matrix can vary
+export const MATRIX_FIELDS = ['persona', 'awareness', 'headlinePattern', 'creativeType'];
+
+// Matrix mode -> generation job type
+export const MATRIX_MODES = { standard: 'generate', plus: 'generate-plus' };
+
+const MATRIX_MAX_VARIANTS =
+  Number.parseInt(process.env.MATRIX_MAX_VARIANTS || '', 10) || 24;
+const MATRIX_CONCURRENCY =
+  Number.parseInt(process.env.MATRIX_CONCURRENCY || '', 10) || 2;
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'invalid_matrix';
+  return err;
+}
+
+// { persona: ['a', 'b'], awareness: 'x' } -> { persona: ['a', 'b'], awareness: ['x'] }
+function normalizeAxes(axes = {}) {
+  if (!axes || typeof axes !== 'object' || Array.isArray(axes)) throw invalid('axes must be an object');
+  const normalized = {};
+  for (const [field, values] of Object.entries(axes)) {
+    if (!MATRIX_FIELDS.includes(field)) {
+      throw invalid(`Unknown matrix field "${field}" (expected one of: ${MATRIX_FIELDS.join(', ')})`);
+    }
+    const list = (Array.isArray(values) ? values : [values])
+      .map(v => String(v ?? '').trim())
+      .filter(Boolean);
+    const unique = [...new Set(list)];
+    if (unique.length) normalized[field] = unique;
+  }
+  return normalized;
+}
+
+/**
+ * Cartesian product of the axes, in MATRIX_FIELDS order:
+ *   { persona: ['a', 'b'], awareness: ['x'] }
+ *   -> [{ persona: 'a', awareness: 'x' }, { persona: 'b', awareness: 'x' }]
+ */
+export function expandAxes(axes) {
+  return MATRIX_FIELDS.filter(field => axes[field]).reduce(
+    (combos, field) => combos.flatMap(combo => axes[field].map(value => ({ ...combo, [field]: value }))),
+    [{}]
+  );
+}
+
+// A chosen subset: every combination must only use fields and values from the axes
+function pickCombinations(axes, combinations) {
+  if (!Array.isArray(combinations) || combinations.length === 0) {
+    throw invalid('combinations must be a non-empty array');
+  }
+  const seen = new Set();
+  return combinations.map((combo, i) => {
+    const picked = {};
+    for (const field of MATRIX_FIELDS.filter(f => axes[f])) {
+      const value = String(combo?.[field] ?? '').trim();
+      if (!axes[field].includes(value)) {
+        throw invalid(`combinations[${i}].${field} must be one of the ${field} axis values`);
+      }
+      picked[field] = value;
+    }
+    const key = JSON.stringify(picked);
+    if (seen.has(key)) throw invalid(`combinations[${i}] is a duplicate`);
+    seen.add(key);
+    return picked;
+  });
+}
+
+const labelFor = (settings) => Object.entries(settings).map(([field, value]) => `${field}: ${value}`).join(' · ');
+
+/**
+ * A matrix fans one script out into a generation job per combination of
+ * framework fields and keeps at most `concurrency` of them in the job queue
+ * at a time. More than the queue runs at once (JOB_CONCURRENCY) would only
+ * wait in the queue, so `concurrency` is capped there:
+ *
+ *   { id, mode, jobType, status, concurrency, params, axes,
+ *     variants: [{ index, label, settings, jobId, status, segmentCount,
+ *                  preview, error, finishedAt }],
+ *     createdAt, updatedAt, finishedAt }
+ *
+ * status is running until every variant finished, then completed (all
+ * variants completed), partial or failed. One JSON file per matrix under
+ * MATRICES_DIR; unfinished matrices pick up where they left off on boot.
+ */
+class MatrixService {
+  constructor(dir = process.env.MATRICES_DIR || DEFAULT_MATRICES_DIR) {
+    this.store = new FileStore(dir);
+    this.live = new Map();       // running matrices by id
+    this._writes = new Map();    // per-matrix write chain
+  }
+
+  /**
+   * Validates and expands a request without starting anything.
+   * Returns [{ label, settings }].
+   */
+  plan({ axes, combinations } = {}) {
+    const normalized = normalizeAxes(axes);
+    if (Object.keys(normalized).length === 0) {
+      throw invalid(`Give at least one value for ${MATRIX_FIELDS.join(', ')}`);
+    }
+    const combos = combinations ? pickCombinations(normalized, combinations) : expandAxes(normalized);
+    if (combos.length > MATRIX_MAX_VARIANTS) {
+      throw invalid(`${combos.length} variants requested; the limit is ${MATRIX_MAX_VARIANTS}`);
+    }
+    return { axes: normalized, variants: combos.map(settings => ({ label: labelFor(settings), settings })) };
+  }
+
+  async create({ mode = 'standard', params, axes, combinations, concurrency } = {}) {
+    const jobType = MATRIX_MODES[mode];
+    if (!jobType) throw invalid(`mode must be one of: ${Object.keys(MATRIX_MODES).join(', ')}`);
+    const requested = concurrency == null || concurrency === '' ? MATRIX_CONCURRENCY : Number(concurrency);
+    if (!Number.isInteger(requested) || requested < 1) {
+      throw invalid('concurrency must be a positive integer');
+    }
+    const cap = Math.min(requested, JobQueue.concurrency);
+    const planned = this.plan({ axes, combinations });
+    const now = new Date().toISOString();
+    const matrix = {
+      id: randomUUID(),
+      mode,
+      jobType,
+      status: 'running',
+      concurrency: cap,
+      params,
+      axes: planned.axes,
+      variants: planned.variants.map((variant, index) => ({
+        index,
+        ...variant,
+        jobId: null,
+        status: 'pending',
+        segmentCount: 0,
+        preview: '',
+        error: null,
+        finishedAt: null,
+      })),
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+    };
+    this.live.set(matrix.id, matrix);
+    await this.persist(matrix);
+    console.log(`[Matrix] created ${matrix.id}: ${matrix.variants.length} ${mode} variants, concurrency ${cap}`);
+    this.drive(matrix);
+    return matrix;
+  }
+
+  async get(id) {
+    return this.live.get(id) || await this.store.get(id);
+  }
+
+  async list() {
+    const matrices = await this.store.list();
+    return matrices.map(m => this.live.get(m.id) || m);
+  }
+
+  // Keep up to `concurrency` variants queued/running until all have finished
+  drive(matrix) {
+    const inFlight = matrix.variants.filter(v => v.status === 'queued' || v.status === 'running').length;
+    const next = matrix.variants.filter(v => v.status === 'pending').slice(0, Math.max(0, matrix.concurrency - inFlight));
+    for (const variant of next) {
+      variant.status = 'queued';
+      this.start(matrix, variant);
+    }
+    if (inFlight === 0 && next.length === 0) this.finish(matrix);
+  }
+
+  async start(matrix, variant) {
+    try {
+      const job = await JobQueue.enqueue(matrix.jobType, { ...matrix.params, ...variant.settings });
+      variant.jobId = job.id;
+      this.follow(matrix, variant);
+      await this.update(matrix);
+    } catch (err) {
+      this.settle(matrix, variant, { status: 'failed', error: { message: err.message } });
+    }
+  }
+
+  follow(matrix, variant) {
+    const onJob = (job) => {
+      if (job.status === 'running' && variant.status === 'queued') {
+        variant.status = 'running';
+        this.update(matrix);
+      }
+    };
+    JobQueue.on(`job:${variant.jobId}`, onJob);
+    JobQueue.waitFor(variant.jobId)
+      .then((job) => {
+        if (!job) return this.settle(matrix, variant, { status: 'failed', error: { message: 'Job not found' } });
+        const segments = job.result?.segments || [];
+        return this.settle(matrix, variant, {
+          status: job.status,
+          segmentCount: segments.length,
+          preview: String(segments[0]?.action_timeline?.dialogue || '').slice(0, 160),
+          error: job.status === 'failed' ? job.error : null,
+        });
+      })
+      .catch(err => this.settle(matrix, variant, { status: 'failed', error: { message: err.message } }))
+      .finally(() => JobQueue.off(`job:${variant.jobId}`, onJob));
+  }
+
+  settle(matrix, variant, outcome) {
+    Object.assign(variant, outcome, { finishedAt: new Date().toISOString() });
+    console.log(`[Matrix] ${matrix.id} variant ${variant.index + 1}/${matrix.variants.length} ${variant.status}`);
+    this.update(matrix);
+    this.drive(matrix);
+  }
+
+  finish(matrix) {
+    if (matrix.status !== 'running') return;
+    const completed = matrix.variants.filter(v => v.status === 'completed').length;
+    matrix.status = completed === matrix.variants.length ? 'completed' : completed === 0 ? 'failed' : 'partial';
+    matrix.finishedAt = new Date().toISOString();
+    console.log(`[Matrix] ${matrix.id} ${matrix.status}: ${completed}/${matrix.variants.length} variants completed`);
+    this.update(matrix).then(() => {
+      this.live.delete(matrix.id);
+      this._writes.delete(matrix.id);
+    });
+  }
+
+  // Re-attach matrices left running by a previous process. Call after
+  // JobQueue.resume() so their variant jobs are already re-queued.
+  async resume() {
+    const matrices = await this.store.list();
+    const stranded = matrices.filter(m => m.status === 'running' && !this.live.has(m.id));
+    for (const matrix of stranded) {
+      this.live.set(matrix.id, matrix);
+      for (const variant of matrix.variants) {
+        if (variant.status === 'queued' || variant.status === 'running') {
+          if (variant.jobId) this.follow(matrix, variant);
+          else variant.status = 'pending';
+        }
+      }
+      this.drive(matrix);
+    }
+    if (stranded.length) console.log(`[Matrix] resumed ${stranded.length} unfinished matri${stranded.length === 1 ? 'x' : 'ces'}`);
+  }
+
+  update(matrix) {
+    matrix.updatedAt = new Date().toISOString();
+    return this.persist(matrix);
+  }
+
+  persist(matrix) {
+    const snapshot = JSON.parse(JSON.stringify(matrix));
+    const prev = this._writes.get(matrix.id) || Promise.resolve();
+    const next = prev
+      .then(() => this.store.save(snapshot))
+      .catch(err => console.error(`[Matrix] failed to persist matrix ${matrix.id}:`, err.message));
+    this._writes.set(matrix.id, next);
+    return next;
+  }
+}
+
+export default new MatrixService();
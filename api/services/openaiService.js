@@ -1,9 +1,24 @@
 // api/services/openaiService.js
-import OpenAI from 'openai';
 import { getCameraStyleGuidance } from './cameraStyleDefinitions.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLLMProvider } from './llm/index.js';
+import { createVisionDescriber } from './vision/index.js';
+import { validateSegment, schemaFeedbackMessages } from './segmentSchema.js';
+import { enforceBaseDescriptions, checkHandoff, DRIFT_POLICIES } from './continuityGuard.js';
+import { getAnimalAvatarGuidance, toAvatarParams } from './animalAvatarDefinitions.js';
+import { lintGeneration } from './complianceLinter.js';
+import { applyPlausibilityRules } from './plausibilityRules.js';
+import { previewSplit, resolvePacing } from './scriptSplitter.js';
+import { scriptCast, segmentCast, castBase, normalizeCastBase, castDetailLines, tagSegmentCast } from './speakerScript.js';
+import RunRecorder from './runRecorder.js';
+import CharacterStore from './characterStore.js';
+import { isDetailedVoiceProfile, renderVoiceProfile, applyVoiceProfile } from './voiceProfile.js';
+import {
+  parseLastFrame, endStateFromSegment, endStateFromFrame, buildContinuationSeed, seedPromptLines, applyContinuationSeed,
+} from './continuationSeed.js';
+import { buildBeatMap, beatMapLines, checkBeatTiming } from './beatMap.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,9 +28,26 @@ const OPENAI_CALL_TIMEOUT =
   Number.parseInt(process.env.OPENAI_TIMEOUT_MS || '', 10) || 120_000;
 const OPENAI_RETRIES =
   Number.parseInt(process.env.OPENAI_RETRIES || '', 10) || 2;
-const OPENAI_SEGMENT_MODEL =
-  process.env.OPENAI_SEGMENT_MODEL || 'gpt-4o-mini';
 const SEGMENT_CONCURRENCY = 2;
+// extra re-prompts for a segment that parses but fails its JSON Schema
+// (0 = validate and report only)
+const SEGMENT_SCHEMA_RETRIES =
+  Number.parseInt(process.env.SEGMENT_SCHEMA_RETRIES || '2', 10) || 0;
+// what to do when a segment rewrites physical/clothing: overwrite | flag
+const BASE_DESCRIPTION_POLICY = process.env.BASE_DESCRIPTION_POLICY || 'overwrite';
+
+const TEMPLATES_DIR = path.join(__dirname, '../../instructions');
+const TEMPLATE_FILE_PATTERN = /^[\w.-]+\.md$/;
+
+// How each headlinePattern should open the ad (hook variants)
+export const HEADLINE_PATTERN_DIRECTIONS = {
+  'authority-expert': 'Open with a credential, statistic or expert claim that earns instant trust.',
+  'unlikely-hero': 'Open with a surprising person or circumstance that makes the viewer ask "how did they do that?"',
+  'open-loop': 'Open with an unresolved tease that the rest of the ad pays off. Never give the answer away.',
+  'personal-transformation': 'Open mid-story on a before/after change the speaker lived through.',
+  'direct-claim': 'Open with the boldest specific benefit, stated plainly.',
+};
+const MAX_HOOK_VARIANTS = 5;
 
 // ---------- tiny helpers ----------
 const withTimeout = (promise, ms, label = 'op') =>
@@ -62,26 +94,102 @@ async function callOpenAIWithRetry(fn, label) {
   }
 }
 
+// Ad-policy check of the raw script, run before splitting so flagged wording
+// is logged even if generation fails later on
+function lintScript(params){
+  const report = lintGeneration({ script: params.script, vertical: params.vertical });
+  if (report.summary.total > 0) {
+    console.log('[Compliance] Script findings:', {
+      vertical: report.vertical, ...report.summary,
+      matches: report.script.map(f => f.match),
+    });
+  }
+  return report;
+}
+
+function makeEmitter(hooks = {}){
+  return (type, data) => {
+    if (typeof hooks.onEvent !== 'function') return;
+    // progress hooks must never break generation
+    try { hooks.onEvent(type, data); }
+    catch (err) { console.warn(`[OpenAI] progress hook failed on ${type}:`, err?.message); }
+  };
+}
+
+const isAnimal = (params) => params?.avatarMode === 'animal';
+
+// animal avatars validate against their own schema whatever the jsonFormat
+const schemaFormat = (params) => (isAnimal(params) ? 'animal' : params.jsonFormat);
+
+// Speakers of a multi-speaker script, each with their own base block.
+// Animal avatars are always a single presenter.
+const castOf = (params) => (isAnimal(params) ? [] : scriptCast(params.script));
+
+// Who talks and who is in frame in one segment of a multi-speaker ad, and
+// the base block for just those characters. Single-presenter ads get
+// { onScreen: null } and the base back unchanged.
+function segmentCastBase(scriptPart, cast, base, params){
+  if (!cast.length) return { onScreen: null, base };
+  const onScreen = segmentCast(scriptPart, cast, params.creativeType);
+  return { onScreen, base: castBase(base, onScreen.charactersOnScreen) };
+}
+
+// Speaker lines for segment prompts of multi-speaker ads
+function speakerLines(onScreen){
+  if (!onScreen) return '';
+  return `Speakers: ${onScreen.speakers.join(', ')} (each line of dialogue is tagged with who says it; only that character speaks it)
+Characters On Screen: ${onScreen.charactersOnScreen.join(', ')}
+character_description (physical, clothing, voice_matching) covers every on-screen character, each under their name as in the base descriptions.`;
+}
+
+// The run's voice profile for segment prompts; guardVoiceProfile puts the
+// same text at the start of voice_matching afterwards
+function voiceProfileLines(voiceProfile){
+  if (!isDetailedVoiceProfile(voiceProfile)) return '';
+  return `Voice Profile (start character_description.voice_matching with this WORD-FOR-WORD, then describe how this segment's lines are delivered):
+${renderVoiceProfile(voiceProfile)}
+`;
+}
+
+// "Base Descriptions (USE EXACTLY AS PROVIDED)" block for segment prompts
+function baseDescriptionLines(base, params){
+  const shared = `Base Voice: ${base.voice}
+General Environment: ${base.environment || 'Not fixed - describe the current location'}
+Product Handling: ${base.productHandling || 'Natural handling'}`;
+  if (!isAnimal(params)) {
+    return `Physical: ${base.physical}
+Clothing: ${base.clothing}
+${shared}`;
+  }
+  return `Species: ${base.species || params.animal?.species || 'N/A'}
+Species Appearance (character_description.physical): ${base.physical}
+Accessories (character_description.accessories): ${base.accessories || 'None - natural appearance only'}
+${shared}
+
+${getAnimalAvatarGuidance(params.animal)}
+character_description must contain species, physical, accessories, current_state and voice_matching. Do NOT include clothing, age or gender.`;
+}
+
 // ---------- JSON helpers ----------
 function sliceToOuterBraces(str){ const a=str.indexOf('{'),b=str.lastIndexOf('}'); return (a===-1||b===-1||b<=a)?str:str.slice(a,b+1); }
 function basicJsonCleanup(str){ let s=(str||'').replace(/\r/g,'').replace(/\u0000/g,''); s=s.replace(/```(?:json)?/gi,'').replace(/```/g,''); s=s.replace(/,\s*([}\]])/g,'$1'); return sliceToOuterBraces(s).trim(); }
 function safeParseJSON(raw){ try{ return {ok:true,value:JSON.parse(raw)}; } catch{ try{ return {ok:true,value:JSON.parse(basicJsonCleanup(raw))}; } catch(e2){ return {ok:false,error:e2,raw}; } } }
-async function repairJSONWithModel(openai, raw, maxTokens=2000){
+async function repairJSONWithModel(llm, raw, maxTokens=2000){
   const repair = await withTimeout(
-    openai.chat.completions.create({
-      model: 'gpt-4o',
+    llm.complete({
+      task: 'json_repair',
       messages: [
         { role:'system', content:'Fix malformed JSON. Return ONLY one JSON object.' },
         { role:'user', content:`Repair this into valid JSON:\n${raw}` }
       ],
-      response_format:{ type:'json_object' },
       temperature:0,
-      max_tokens:maxTokens
+      maxTokens,
+      context: { raw },
     }),
     OPENAI_CALL_TIMEOUT,
     'openai_json_repair'
   );
-  const repairedRaw = repair.choices?.[0]?.message?.content || '';
+  const repairedRaw = repair.content;
   const parsed = safeParseJSON(repairedRaw);
   if (!parsed.ok) throw new Error('json_repair_failed');
   return parsed.value;
@@ -91,18 +199,130 @@ async function repairJSONWithModel(openai, raw, maxTokens=2000){
 // SERVICE
 // ======================================================
 class OpenAIService {
-  constructor(){ this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY }); }
+  constructor(){
+    this.llm = RunRecorder.instrument(createLLMProvider());
+    this.vision = createVisionDescriber();
+  }
 
-  async loadTemplate(format='standard'){
-    const filename = (format==='enhanced')
+  // templateFile (a file name under instructions/) overrides the format's
+  // default template, e.g. when replaying a run against an edited copy
+  async loadTemplate(format='standard', templateFile=null){
+    if (templateFile && !TEMPLATE_FILE_PATTERN.test(templateFile)) {
+      throw new Error(`invalid_template_file: ${templateFile}`);
+    }
+    const filename = templateFile || ((format==='enhanced')
       ? 'veo3-enhanced-continuity.md'
-      : 'veo3-json-guidelines.md';
-    const templatePath = path.join(__dirname, '../../instructions/', filename);
+      : (format==='continuation-minimal')
+        ? 'veo3-continuation-minimal.md'
+        : 'veo3-json-guidelines.md');
+    const templatePath = path.join(TEMPLATES_DIR, filename);
     console.log(`[OpenAI] Loading template: ${filename}`);
     return await fs.readFile(templatePath, 'utf8');
   }
 
-  async generateSegments(params){
+  async listTemplates(){
+    return (await fs.readdir(TEMPLATES_DIR)).filter(f => TEMPLATE_FILE_PATTERN.test(f)).sort();
+  }
+
+  // Runs produce(schemaFeedback) and validates the segment it returns. On
+  // failure it re-prompts with the exact schema errors, up to
+  // SEGMENT_SCHEMA_RETRIES times. The last attempt is kept either way; the
+  // report says whether it passed.
+  async withSchemaRepair(format, segmentNumber, produce){
+    let segment = await produce(null);
+    let report = validateSegment(segment, format);
+    let attempts = 1;
+    while (!report.valid && attempts <= SEGMENT_SCHEMA_RETRIES) {
+      console.warn(`[OpenAI] Segment ${segmentNumber} failed ${report.schema} (${report.errors.length} errors) — re-prompting`);
+      segment = await produce({ previous: segment, errors: report.errors });
+      report = validateSegment(segment, format);
+      attempts++;
+    }
+    if (!report.valid) {
+      console.warn(`[OpenAI] Segment ${segmentNumber} still invalid after ${attempts} attempts:`, report.errors.map(e => e.path).join(', '));
+    }
+    return { segment, validation: { segmentNumber, ...report, attempts } };
+  }
+
+  // Location/prop/action fixes from api/plausibility/rules.json. Rewrites
+  // change the segment, so it is re-validated when any were applied.
+  guardPlausibility(segment, validation, params){
+    const plausibility = applyPlausibilityRules(segment);
+    if (plausibility.changes.length) {
+      console.warn(`[OpenAI] Segment ${validation.segmentNumber} plausibility:`,
+        plausibility.changes.map(c => `${c.ruleId} (${c.action} ${c.field})`).join(', '));
+    }
+    if (plausibility.changes.some(c => c.action === 'rewrite')) {
+      validation = { ...validation, ...validateSegment(segment, schemaFormat(params)) };
+    }
+    return { plausibility, validation };
+  }
+
+  // Post-processing for the "WORD-FOR-WORD" base descriptions: measures how
+  // far the segment drifted from them and, under the overwrite policy, puts
+  // the canonical text back (re-validating, since the fields changed).
+  // continuation-minimal segments only reference the character, so they are
+  // left alone.
+  guardBaseDescriptions(segment, validation, baseDescriptions, params){
+    if (params.jsonFormat === 'continuation-minimal') return { drift: null, validation };
+    const policy = DRIFT_POLICIES.includes(params.baseDescriptionPolicy)
+      ? params.baseDescriptionPolicy
+      : BASE_DESCRIPTION_POLICY;
+    const drift = enforceBaseDescriptions(segment, baseDescriptions, policy);
+    if (drift.drifted.length) {
+      console.warn(`[OpenAI] Segment ${validation.segmentNumber} drifted from base descriptions (${drift.drifted.join(', ')}, score ${drift.score}) — ${drift.action}`);
+    }
+    if (drift.action === 'overwritten') {
+      validation = { ...validation, ...validateSegment(segment, schemaFormat(params)) };
+    }
+    return { drift, validation };
+  }
+
+  // Starts voice_matching with the run's voice profile so every segment (and
+  // every later batch given the same profile) describes the same voice.
+  // Re-validated when the field changed.
+  guardVoiceProfile(segment, validation, voiceProfile, params){
+    if (!applyVoiceProfile(segment, voiceProfile)) return validation;
+    return { ...validation, ...validateSegment(segment, schemaFormat(params)) };
+  }
+
+  // Segment 1 of a seeded continuation starts where the existing clip ended
+  // (see continuationSeed.js); re-validated since continuity_markers changed.
+  guardContinuationSeed(segment, validation, seed, params){
+    if (!seed) return validation;
+    applyContinuationSeed(segment, seed);
+    return { ...validation, ...validateSegment(segment, schemaFormat(params)) };
+  }
+
+  // Compares the segment's synchronized_actions ranges with its beat map
+  // (see beatMap.js). Report only: the actions are the model's to time, so a
+  // misaligned segment is flagged, not rewritten.
+  checkBeats(segment, validation, beatMap){
+    const beatTiming = checkBeatTiming(segment, beatMap);
+    if (beatTiming && !beatTiming.aligned) {
+      console.warn(`[OpenAI] Segment ${validation.segmentNumber} actions off the beat map (score ${beatTiming.score}):`,
+        [...beatTiming.missing.map(k => `missing ${k}`), ...beatTiming.offGrid.map(k => `off-grid ${k}`),
+          ...beatTiming.overlapping.map(k => `overlapping ${k}`), ...beatTiming.invalid.map(k => `invalid ${k}`)].join(', '));
+    }
+    return beatTiming;
+  }
+
+  // A segment an earlier attempt of the same job already finished (see
+  // jobQueue.js), re-validated so it runs through the guards like a new one
+  resumedSegment(segment, segmentNumber, params){
+    console.log(`[OpenAI] Segment ${segmentNumber} reused from an earlier attempt`);
+    return {
+      segment,
+      validation: { segmentNumber, ...validateSegment(segment, schemaFormat(params)), attempts: 0 },
+    };
+  }
+
+  // hooks.onEvent(type, data) is called as the pipeline progresses:
+  // compliance, split, base_descriptions, voice_profile, segment_started,
+  // segment_completed. hooks.resume ({ segments, baseDescriptions,
+  // voiceProfile }) skips whatever an earlier attempt already generated.
+  async generateSegments(params, hooks = {}){
+    const emit = makeEmitter(hooks);
     console.log('[OpenAI] Starting OpenAI generation with:', {
       ageRange: params.ageRange, gender: params.gender, product: params.product,
       room: params.room, style: params.style, jsonFormat: params.jsonFormat || 'standard',
@@ -112,12 +332,14 @@ class OpenAIService {
       sequential: params.sequential ?? null,
     });
 
-    const template = await this.loadTemplate(params.jsonFormat);
-    let scriptSegments = await this.splitScript(params.script);
+    const template = await this.loadTemplate(params.jsonFormat, params.templateFile);
+    emit('compliance', lintScript(params));
+    let scriptSegments = await this.splitScript(params.script, params);
     if (params?.maxSegments && Number.isFinite(+params.maxSegments)) {
       scriptSegments = scriptSegments.slice(0, +params.maxSegments);
     }
     console.log('[OpenAI] Script split into', scriptSegments.length, 'segments');
+    emit('split', { totalSegments: scriptSegments.length, scriptSegments });
 
     // Force sequential for larger jobs or continuation
     const autoSequential =
@@ -138,13 +360,20 @@ class OpenAIService {
       );
     }
 
+    const cast = castOf(params);
+    if (cast.length) console.log('[OpenAI] Multi-speaker script:', cast.join(', '));
+
+    const resume = hooks.resume || {};
     console.log('[OpenAI] Generating base descriptions...');
-    const baseDescriptions = await callOpenAIWithRetry(
-      () => withTimeout(this.generateBaseDescriptions(params, template),
+    const baseDescriptions = resume.baseDescriptions || await callOpenAIWithRetry(
+      () => withTimeout(this.resolveBaseDescriptions(params, template),
                         OPENAI_CALL_TIMEOUT, 'openai_base'),
       'openai_base'
     );
-    console.log('[OpenAI] Base descriptions parsed successfully');
+    console.log('[OpenAI] Base descriptions ready');
+    emit('base_descriptions', { baseDescriptions });
+    const voiceProfile = resume.voiceProfile || await this.resolveVoiceProfile(params);
+    if (voiceProfile) emit('voice_profile', { voiceProfile });
 
     console.log(
       `[OpenAI] Generating individual segments with concurrency = ${effectiveConcurrency} (sequential=${autoSequential})`
@@ -154,26 +383,50 @@ class OpenAIService {
       const idx = i + 1;
       console.log(`[OpenAI] >>> start segment ${idx}/${scriptSegments.length}`);
       console.time(`[seg ${idx}]`);
+      emit('segment_started', { index: i, segmentNumber: idx, totalSegments: scriptSegments.length });
+      const { onScreen, base } = segmentCastBase(scriptPart, cast, baseDescriptions, params);
+      const beatMap = buildBeatMap(scriptPart, resolvePacing(params), { speakers: cast });
       try {
-        const seg = await callOpenAIWithRetry(
-          () => withTimeout(
-            this.generateSegment({
-              segmentNumber: idx,
-              totalSegments: scriptSegments.length,
-              scriptPart,
-              baseDescriptions,
-              previousSegment,
-              template,
-              currentLocation: locations[i],
-              previousLocation: i > 0 ? locations[i - 1] : null,
-              nextLocation: i < locations.length - 1 ? locations[i + 1] : null,
-              ...params,
-            }),
-            OPENAI_CALL_TIMEOUT,
-            `openai_segment_${idx}`
-          ),
-          `openai_segment_${idx}`
-        );
+        const generated = resume.segments?.[i]
+          ? this.resumedSegment(resume.segments[i], idx, params)
+          : await this.withSchemaRepair(schemaFormat(params), idx, (schemaFeedback) =>
+            callOpenAIWithRetry(
+              () => withTimeout(
+                this.generateSegment({
+                  segmentNumber: idx,
+                  totalSegments: scriptSegments.length,
+                  scriptPart,
+                  baseDescriptions: base,
+                  onScreen,
+                  previousSegment,
+                  template,
+                  currentLocation: locations[i],
+                  previousLocation: i > 0 ? locations[i - 1] : null,
+                  nextLocation: i < locations.length - 1 ? locations[i + 1] : null,
+                  ...params,
+                  voiceProfile,
+                  continuationSeed: i === 0 ? params.continuationSeed : null,
+                  beatMap,
+                  schemaFeedback,
+                }),
+                OPENAI_CALL_TIMEOUT,
+                `openai_segment_${idx}`
+              ),
+              `openai_segment_${idx}`
+            )
+          );
+        const seg = generated.segment;
+        tagSegmentCast(seg, onScreen);
+        const seeded = this.guardContinuationSeed(seg, generated.validation, i === 0 ? params.continuationSeed : null, params);
+        const checked = this.guardPlausibility(seg, seeded, params);
+        const voiced = this.guardVoiceProfile(seg, checked.validation, voiceProfile, params);
+        const { drift, validation } = this.guardBaseDescriptions(seg, voiced, base, params);
+        const beatTiming = this.checkBeats(seg, validation, beatMap);
+        validations[i] = validation;
+        drifts[i] = drift;
+        plausibilities[i] = checked.plausibility;
+        beatTimings[i] = beatTiming;
+        emit('segment_completed', { index: i, segmentNumber: idx, totalSegments: scriptSegments.length, segment: seg, validation, drift, plausibility: checked.plausibility, beatTiming });
         return seg;
       } finally {
         console.timeEnd(`[seg ${idx}]`);
@@ -181,6 +434,10 @@ class OpenAIService {
       }
     };
 
+    const validations = new Array(scriptSegments.length);
+    const drifts = new Array(scriptSegments.length);
+    const plausibilities = new Array(scriptSegments.length);
+    const beatTimings = new Array(scriptSegments.length);
     let segments = [];
     if (autoSequential) {
       for (let i = 0; i < scriptSegments.length; i++) {
@@ -196,83 +453,415 @@ class OpenAIService {
 
     return {
       segments,
+      baseDescriptions,
+      validation: validations,
       metadata: {
         totalSegments: segments.length,
-        estimatedDuration: segments.length * 8,
+        estimatedDuration: segments.length * resolvePacing(params).segmentSeconds,
         characterId: this.generateCharacterId(params),
+        continuedFrom: params.continuationSeed || null,
+        continuityDrift: drifts,
+        plausibility: plausibilities,
+        beatTiming: beatTimings,
       },
+      compliance: lintGeneration({ script: params.script, segments, vertical: params.vertical }),
+      voiceProfile,
     };
   }
 
-  async splitScript(script){
-    const wordsPerSecond = 150/60, min=15, target=20, max=22;
-    console.log('[OpenAI] Script splitting parameters:', { minWords:min, targetWords:target, maxWords:max });
-
-    const sentences = script.match(/[^.!?]+[.!?]+/g) || [script];
-    const raw = [];
-    let cur = '', count = 0;
-
-    for (let i=0;i<sentences.length;i++){
-      const s = sentences[i].trim();
-      const w = s.split(/\s+/).length;
-      if (cur===''){ cur=s; count=w;
-        while (count<min && i+1<sentences.length){
-          i++;
-          const nxt = sentences[i].trim();
-          const wn = nxt.split(/\s+/).length;
-          if (count+wn > max){ if (count<min){ cur+=' '+nxt; count+=wn; } else { i--; break; } }
-          else { cur+=' '+nxt; count+=wn; }
-        }
-        raw.push(cur); cur=''; count=0;
-      }
+  // Regenerate segments[index] in place, keeping the character, the voice
+  // profile and the hand-offs to its neighbours intact. Returns only the new
+  // segment with its validation and drift reports.
+  async regenerateSegment({ segments, index, settings: rawSettings = {}, guidance, baseDescriptions, voiceProfile = null }){
+    const settings = { ...rawSettings, ...toAvatarParams(rawSettings) };
+    const current = segments[index];
+    const previousSegment = index > 0 ? segments[index - 1] : null;
+    const nextSegment = index < segments.length - 1 ? segments[index + 1] : null;
+    const location = (seg) => seg?.segment_info?.location || null;
+
+    const template = await this.loadTemplate(settings.jsonFormat, settings.templateFile);
+    const fullBase = baseDescriptions || this.deriveBaseDescriptions(segments);
+    const cast = Object.keys(fullBase?.characters || {});
+    const { onScreen, base } = segmentCastBase(current?.action_timeline?.dialogue, cast, fullBase, settings);
+    const beatMap = buildBeatMap(current?.action_timeline?.dialogue || '', resolvePacing(settings), { speakers: cast });
+    console.log(`[OpenAI] Regenerating segment ${index + 1}/${segments.length}`, { hasGuidance: !!guidance });
+
+    const generated = await this.withSchemaRepair(schemaFormat(settings), index + 1, (schemaFeedback) =>
+      callOpenAIWithRetry(
+        () => withTimeout(
+          this.generateSegment({
+            ...settings,
+            segmentNumber: index + 1,
+            totalSegments: segments.length,
+            scriptPart: current?.action_timeline?.dialogue || '',
+            baseDescriptions: base,
+            onScreen,
+            previousSegment,
+            nextSegment,
+            guidance,
+            template,
+            currentLocation: location(current) || settings.room,
+            previousLocation: location(previousSegment),
+            nextLocation: location(nextSegment),
+            voiceProfile,
+            beatMap,
+            schemaFeedback,
+          }),
+          OPENAI_CALL_TIMEOUT,
+          `openai_regenerate_${index + 1}`
+        ),
+        `openai_regenerate_${index + 1}`
+      )
+    );
+
+    const seg = generated.segment;
+    seg.segment_info = {
+      ...seg.segment_info,
+      segment_number: index + 1,
+      total_segments: segments.length,
+    };
+    tagSegmentCast(seg, onScreen);
+    const checked = this.guardPlausibility(seg, generated.validation, settings);
+    const voiced = this.guardVoiceProfile(seg, checked.validation, voiceProfile, settings);
+    const { drift, validation } = this.guardBaseDescriptions(seg, voiced, base, settings);
+    const beatTiming = this.checkBeats(seg, validation, beatMap);
+    return { segment: seg, validation, drift, plausibility: checked.plausibility, beatTiming };
+  }
+
+  // Alternative opening segments for the same ad. Each variant gets a new
+  // hook line in the requested headlinePattern and is regenerated as segment
+  // 1 against the existing segment 2, then checked for a clean hand-off.
+  async generateHookVariants({ segments, settings = {}, headlinePattern, count = 3, baseDescriptions, voiceProfile }){
+    const n = Math.min(Math.max(1, Number(count) || 3), MAX_HOOK_VARIANTS);
+    const [opening, nextSegment = null] = segments;
+    const hooks = await this.generateHookLines({ settings, headlinePattern, count: n, opening, nextSegment });
+    const guidance = `This is the ad's opening hook (${headlinePattern}). ${HEADLINE_PATTERN_DIRECTIONS[headlinePattern]} `
+      + 'It must stop the scroll in the first 3 seconds. Use the dialogue exactly as given.';
+
+    const variants = [];
+    for (const hook of hooks) {
+      const variantSegments = [
+        { ...opening, action_timeline: { ...opening.action_timeline, dialogue: hook.dialogue } },
+        ...segments.slice(1),
+      ];
+      const { segment, validation, drift, plausibility, beatTiming } = await this.regenerateSegment({
+        segments: variantSegments,
+        index: 0,
+        settings: { ...settings, headlinePattern },
+        guidance,
+        baseDescriptions,
+        voiceProfile,
+      });
+      variants.push({
+        angle: hook.angle,
+        segment,
+        validation,
+        drift,
+        plausibility,
+        beatTiming,
+        handoff: checkHandoff(segment, nextSegment, { expectedLocation: opening.segment_info?.location }),
+      });
     }
+    return { headlinePattern, variants };
+  }
 
-    const final = [];
-    for (let i=0;i<raw.length;i++){
-      const seg = raw[i];
-      const wc = seg.split(/\s+/).length;
-      const dur = wc/wordsPerSecond;
-      console.log(`[OpenAI] Raw segment ${i+1}: ${wc} words, ~${dur.toFixed(1)}s speaking time`);
-      if (wc<min && i<raw.length-1){
-        const next = raw[i+1];
-        const nWords = next.split(/\s+/).length;
-        if (nWords>min){
-          const ns = next.match(/[^.!?]+[.!?]+/g) || [next];
-          if (ns.length>1){
-            const borrow = ns[0], bw = borrow.split(/\s+/).length;
-            if (wc+bw <= max){ final.push(seg+' '+borrow); raw[i+1] = ns.slice(1).join(' '); continue; }
-          }
-        }
-        const merged = seg+' '+raw[i+1];
-        const mw = merged.split(/\s+/).length;
-        if (mw <= 30){ final.push(merged); i++; continue; }
-      }
-      final.push(seg);
+  async generateHookLines({ settings, headlinePattern, count, opening, nextSegment }){
+    const currentHook = opening?.action_timeline?.dialogue || '';
+    const wordBudget = currentHook.split(/\s+/).filter(Boolean).length || 20;
+    const resp = await callOpenAIWithRetry(
+      () => withTimeout(
+        this.llm.complete({
+          task: 'hooks',
+          messages: [
+            { role:'system', content:'You write scroll-stopping opening lines for UGC video ads. Return ONLY JSON.' },
+            { role:'user', content:`Write ${count} alternative opening lines for this ad.
+
+Full script: "${settings.script || currentHook}"
+Current opening line: "${currentHook}"
+${nextSegment ? `The next line, which must follow naturally and stays unchanged: "${nextSegment.action_timeline?.dialogue || ''}"` : ''}
+
+Headline pattern: ${headlinePattern} - ${HEADLINE_PATTERN_DIRECTIONS[headlinePattern]}
+Product: ${settings.product || 'N/A'}
+Target Persona: ${settings.persona || 'Not specified'}
+Awareness Level: ${settings.awareness || 'unaware'}
+Headline: ${settings.headline || 'Not specified'}
+
+Each line is spoken in one ${resolvePacing(settings).segmentSeconds}-second take: about ${wordBudget} words, never more than ${wordBudget + 5}.
+Every line must take a different angle and lead straight into the next line.
+
+Return:
+{ "hooks": [ { "dialogue": "...", "angle": "one short phrase naming the angle" } ] }` }
+          ],
+          temperature: 0.9,
+          maxTokens: 900,
+          context: { count, headlinePattern, opening: currentHook, nextDialogue: nextSegment?.action_timeline?.dialogue || null },
+        }),
+        OPENAI_CALL_TIMEOUT,
+        'openai_hooks'
+      ),
+      'openai_hooks'
+    );
+
+    let parsed = safeParseJSON(resp.content);
+    if (!parsed.ok) {
+      console.warn('[OpenAI] Hooks JSON parse failed — attempting repair');
+      parsed = { ok:true, value: await repairJSONWithModel(this.llm, resp.content, 900) };
+    }
+    const hooks = (Array.isArray(parsed.value?.hooks) ? parsed.value.hooks : [])
+      .map(h => ({ dialogue: String(h?.dialogue || '').trim(), angle: String(h?.angle || '').trim() }))
+      .filter(h => h.dialogue)
+      .slice(0, count);
+    if (hooks.length === 0) throw new Error('hook_generation_empty');
+    console.log(`[OpenAI] Generated ${hooks.length} ${headlinePattern} hook line(s)`);
+    return hooks;
+  }
+
+  // Fallback when the caller no longer has the original base block: the
+  // segments carry it verbatim, so read it back out of the first one.
+  deriveBaseDescriptions(segments){
+    const first = segments.find(Boolean) || {};
+    return {
+      physical: first.character_description?.physical || '',
+      clothing: first.character_description?.clothing || '',
+      environment: first.scene_continuity?.environment || '',
+      voice: first.character_description?.voice_matching || '',
+      productHandling: first.action_timeline?.product_interactions || '',
+    };
+  }
+
+  // Strictly sequential variant used by continuationMode: every segment sees
+  // the previous one and uses the continuation-style prompt.
+  async generateContinuationSegments(params, hooks = {}){
+    const emit = makeEmitter(hooks);
+
+    // 1) split script up-front (so we can run strictly sequential)
+    emit('compliance', lintScript(params));
+    let scriptSegments = await this.splitScript(params.script, params);
+    if (params?.maxSegments && Number.isFinite(+params.maxSegments)) {
+      scriptSegments = scriptSegments.slice(0, +params.maxSegments);
+    }
+    emit('split', { totalSegments: scriptSegments.length, scriptSegments });
+
+    // 2) load template + generate base once (pass down to each segment)
+    const template = await this.loadTemplate(params.jsonFormat, params.templateFile);
+    const cast = castOf(params);
+    const resume = hooks.resume || {};
+    const baseDescriptions = resume.baseDescriptions || await this.resolveBaseDescriptions(params, template);
+    emit('base_descriptions', { baseDescriptions });
+    const voiceProfile = resume.voiceProfile || await this.resolveVoiceProfile(params);
+    if (voiceProfile) emit('voice_profile', { voiceProfile });
+
+    // 3) derive locations of same length
+    let locs = [];
+    if ((params.settingMode || 'single') === 'single') {
+      locs = Array(scriptSegments.length).fill(params.room);
+    } else {
+      const src = params.locations || [];
+      locs = Array.from({ length: scriptSegments.length }, (_, i) =>
+        src[i] ?? src[src.length - 1] ?? 'living room'
+      );
+    }
+
+    // 4) sequentially build segments so we can pass previousSegment
+    const segments = [];
+    const validations = [];
+    const drifts = [];
+    const plausibilities = [];
+    const beatTimings = [];
+    for (let i = 0; i < scriptSegments.length; i++) {
+      const segmentNumber = i + 1;
+      console.log(`[OpenAI] >>> start segment ${segmentNumber}/${scriptSegments.length}`);
+      console.time(`[seg ${segmentNumber}]`);
+      emit('segment_started', { index: i, segmentNumber, totalSegments: scriptSegments.length });
+      const { onScreen, base } = segmentCastBase(scriptSegments[i], cast, baseDescriptions, params);
+      const beatMap = buildBeatMap(scriptSegments[i], resolvePacing(params), { speakers: cast });
+
+      const generated = resume.segments?.[i]
+        ? this.resumedSegment(resume.segments[i], segmentNumber, params)
+        : await this.withSchemaRepair(schemaFormat(params), segmentNumber, (schemaFeedback) =>
+          this.generateContinuationStyleSegment({
+            segmentNumber,
+            totalSegments: scriptSegments.length,
+            scriptPart: scriptSegments[i],
+            baseDescriptions: base,      // <— reuse!
+            onScreen,
+            template,
+            currentLocation: locs[i],
+            previousLocation: i > 0 ? locs[i - 1] : null,
+            nextLocation: i < locs.length - 1 ? locs[i + 1] : null,
+            previousSegment: i > 0 ? segments[i - 1] : null,
+            ...params,
+            voiceProfile,
+            continuationSeed: i === 0 ? params.continuationSeed : null,
+            beatMap,
+            schemaFeedback,
+          })
+        );
+
+      const seg = generated.segment;
+      tagSegmentCast(seg, onScreen);
+      const seeded = this.guardContinuationSeed(seg, generated.validation, i === 0 ? params.continuationSeed : null, params);
+      const checked = this.guardPlausibility(seg, seeded, params);
+      const voiced = this.guardVoiceProfile(seg, checked.validation, voiceProfile, params);
+      const { drift, validation } = this.guardBaseDescriptions(seg, voiced, base, params);
+      const beatTiming = this.checkBeats(seg, validation, beatMap);
+
+      console.timeEnd(`[seg ${segmentNumber}]`);
+      console.log(`[OpenAI] <<< end segment ${segmentNumber}/${scriptSegments.length}`);
+      emit('segment_completed', { index: i, segmentNumber, totalSegments: scriptSegments.length, segment: seg, validation, drift, plausibility: checked.plausibility, beatTiming });
+      segments.push(seg);
+      validations.push(validation);
+      drifts.push(drift);
+      plausibilities.push(checked.plausibility);
+      beatTimings.push(beatTiming);
+    }
+
+    return {
+      segments,
+      baseDescriptions,
+      validation: validations,
+      metadata: {
+        totalSegments: segments.length,
+        estimatedDuration: segments.length * resolvePacing(params).segmentSeconds,
+        characterId: this.generateCharacterId(params),
+        mode: 'continuation',
+        continuedFrom: params.continuationSeed || null,
+        continuityDrift: drifts,
+        plausibility: plausibilities,
+        beatTiming: beatTimings,
+      },
+      compliance: lintGeneration({ script: params.script, segments, vertical: params.vertical }),
+      voiceProfile,
+    };
+  }
+
+  // New Continuation mode: the sequential continuation pipeline with the
+  // mode recorded in metadata. Supports animal avatars via
+  // params.avatarMode/animal; the voice profile is resolved by
+  // generateContinuationSegments like any other run.
+  async generateSegmentsWithVoiceProfile(params, hooks = {}){
+    console.log('[OpenAI] New continuation', {
+      avatarMode: params.avatarMode || 'human',
+      species: params.animal?.species || null,
+    });
+
+    const result = await this.generateContinuationSegments(params, hooks);
+    return {
+      ...result,
+      metadata: {
+        ...result.metadata,
+        mode: 'new-continuation',
+        avatarMode: params.avatarMode || 'human',
+      },
+    };
+  }
+
+  /**
+   * The end state a continuation starts from (continuationSeed.js): an
+   * uploaded last frame as read by the vision describer, a previous
+   * segment's JSON, or both. null when neither was given; bad input throws
+   * with code invalid_continuation_seed.
+   */
+  async resolveContinuationSeed({ lastFrame, previousSegment, location }){
+    if (!lastFrame && !previousSegment) return null;
+    if (previousSegment) endStateFromSegment(previousSegment);
+    let frameState = null;
+    if (lastFrame) {
+      const image = parseLastFrame(lastFrame);
+      console.log(`[OpenAI] Describing last frame with the ${this.vision.name} describer`);
+      const description = await callOpenAIWithRetry(
+        () => withTimeout(
+          this.vision.describe({
+            image,
+            context: { location, previousDialogue: previousSegment?.action_timeline?.dialogue || null },
+          }),
+          OPENAI_CALL_TIMEOUT,
+          'vision_last_frame'
+        ),
+        'vision_last_frame'
+      );
+      frameState = endStateFromFrame(description);
     }
+    return buildContinuationSeed({ frameState, previousSegment });
+  }
+
+  // Pacing (wordsPerMinute, segmentSeconds, minWords, maxWords) comes
+  // straight from the generation params; see scriptSplitter.js.
+  async splitScript(script, pacing = {}){
+    const preview = previewSplit(script, pacing);
+    const { minWords, targetWords, maxWords, wordsPerMinute, segmentSeconds } = preview.pacing;
+    console.log('[OpenAI] Script splitting parameters:', { minWords, targetWords, maxWords, wordsPerMinute, segmentSeconds, forcedBreaks: preview.forcedBreaks });
 
     console.log('[OpenAI] Final segment distribution:');
-    final.forEach((s,i)=> {
-      const wc = s.split(/\s+/).length, dur = wc/wordsPerSecond;
-      console.log(`  Segment ${i+1}: ${wc} words, ~${dur.toFixed(1)}s speaking time`);
-      if (dur<6) console.warn(`  ⚠️  Segment ${i+1} is under 6 seconds!`);
+    preview.segments.forEach((s, i) => {
+      console.log(`  Segment ${i+1}: ${s.wordCount} words, ~${s.seconds}s speaking time`);
+      if (s.warning === 'too_short') console.warn(`  ⚠️  Segment ${i+1} is under ${segmentSeconds * 0.75} seconds!`);
     });
 
-    return final;
+    return preview.segments.map(s => s.text);
+  }
+
+  // The run's base block: a saved character's descriptions verbatim when
+  // params.characterId names one (no model call), otherwise a new one.
+  async resolveBaseDescriptions(params, template){
+    if (!params.characterId) return this.generateBaseDescriptions(params, template);
+    const character = await CharacterStore.get(params.characterId);
+    if (!character) throw new Error(`character_not_found: ${params.characterId}`);
+    console.log(`[OpenAI] Reusing saved character ${character.id} (${character.name})`);
+    return { ...character.baseDescriptions };
+  }
+
+  /**
+   * The one voice profile used for every segment of a run, or null for
+   * multi-speaker scripts (each speaker's voice is in the base block). A
+   * detailed params.voiceProfile - typically the one returned by an earlier
+   * batch, possibly edited - is reused verbatim, then a saved character's;
+   * otherwise one is extracted from the opening of the script, with any
+   * shallow { voiceType, energyLevel, accentRegion } as hints.
+   */
+  async resolveVoiceProfile(params){
+    if (castOf(params).length) return null;
+    if (isDetailedVoiceProfile(params.voiceProfile)) {
+      console.log('[OpenAI] Reusing submitted voice profile');
+      return params.voiceProfile;
+    }
+    const character = params.characterId ? await CharacterStore.get(params.characterId) : null;
+    if (isDetailedVoiceProfile(character?.voiceProfile)) {
+      console.log(`[OpenAI] Reusing voice profile of saved character ${character.id}`);
+      return character.voiceProfile;
+    }
+
+    const scriptSample = String(params.script || '').split(/\s+/).slice(0, 80).join(' ');
+    return callOpenAIWithRetry(
+      () => withTimeout(
+        this.extractDetailedVoiceProfile(null, { ...params, ...params.voiceProfile, script: scriptSample }),
+        OPENAI_CALL_TIMEOUT,
+        'openai_voice_profile'
+      ),
+      'openai_voice_profile'
+    );
   }
 
+  // A multi-speaker script gets a base block per speaker under `characters`
+  // ({ NAME: { physical, clothing, voice } }) next to the shared environment
+  // and product handling; the top-level physical/clothing/voice then hold the
+  // whole cast (see castBase). params.cast is the optional cast sheet.
   async generateBaseDescriptions(params, template){
     console.log('[OpenAI] Calling API for base descriptions');
+    const cast = castOf(params);
     const resp = await callOpenAIWithRetry(
       () => withTimeout(
-        this.openai.chat.completions.create({
-          model: 'gpt-4o',
+        this.llm.complete({
+          task: 'base_descriptions',
           messages: [
             { role:'system',
               content: `${template}\n\nGenerate the base descriptions that will remain IDENTICAL across all segments. Follow the exact word count requirements. Return ONLY valid JSON.`},
             { role:'user',
               content: `Create base descriptions for:
-Age: ${params.ageRange}
-Gender: ${params.gender}
+${isAnimal(params) ? getAnimalAvatarGuidance(params.animal) : cast.length ? `Cast (one character per speaker, each visually distinct):
+${castDetailLines(cast, params.cast)}
+Creative Type: ${params.creativeType || 'traditional-ugc'}` : `Age: ${params.ageRange}
+Gender: ${params.gender}`}
 Setting Mode: ${params.settingMode || 'single'}
 ${(params.settingMode||'single')==='single' ? `Room: ${params.room}` : `Locations: ${Array.isArray(params.locations)?params.locations.join(', '):'various'}`}
 Style: ${params.style}
@@ -286,35 +875,52 @@ Energy Arc: ${params.energyArc || 'consistent'}
 Narrative Style: ${params.narrativeStyle || 'direct-review'}
 
 Return a JSON object with these exact keys:
-{
+${isAnimal(params) ? `{
+  "species": "[Species and breed/variety]",
+  "physical": "[100+ words or 200+ if enhanced - species appearance: size, build, coat/fur/scales, markings, eyes, face]",
+  "accessories": "[Collar, harness or props worn - or 'None - natural appearance only']",
+  "environment": "[150+ words or 250+ if enhanced]",
+  "voice": "[50+ words or 100+ if enhanced]",
+  "productHandling": "[50+ words - how paws, mouth or fins interact with the product]"
+}` : cast.length ? `{
+  "characters": {
+${cast.map(name => `    "${name}": {
+      "physical": "[100+ words or 200+ if enhanced]",
+      "clothing": "[100+ words or 150+ if enhanced]",
+      "voice": "[50+ words or 100+ if enhanced]"
+    }`).join(',\n')}
+  },
+  "environment": "[150+ words or 250+ if enhanced]",
+  "productHandling": "[50+ words - who holds the product and how]"
+}` : `{
   "physical": "[100+ words or 200+ if enhanced]",
   "clothing": "[100+ words or 150+ if enhanced]",
   "environment": "[150+ words or 250+ if enhanced]",
   "voice": "[50+ words or 100+ if enhanced]",
   "productHandling": "[50+ words]"
-}` }
+}`}` }
           ],
-          response_format:{ type:'json_object' },
           temperature:0.3,
-          max_tokens: 3500 // keep this generous; it’s the big block
+          maxTokens: 3500, // keep this generous; it’s the big block
+          context: { params },
         }),
         OPENAI_CALL_TIMEOUT,
         'openai_base'
       ),
       'openai_base'
     );
-    const raw = resp.choices?.[0]?.message?.content || '';
+    const raw = resp.content;
     let parsed = safeParseJSON(raw);
     if (!parsed.ok) {
       console.warn('[OpenAI] Base JSON parse failed — attempting repair');
-      parsed = { ok:true, value: await repairJSONWithModel(this.openai, raw, 1800) };
+      parsed = { ok:true, value: await repairJSONWithModel(this.llm, raw, 1800) };
     }
-    return parsed.value;
+    return cast.length ? normalizeCastBase(parsed.value, cast) : parsed.value;
   }
 
   async generateSegment(params){
-    const resp = await this.openai.chat.completions.create({
-      model: OPENAI_SEGMENT_MODEL,
+    const resp = await this.llm.complete({
+      task: 'segment',
       messages: [
         { role:'system',
           content: `${params.template}\n\nGenerate a Veo 3 JSON segment following the exact structure. Use the provided base descriptions WORD-FOR-WORD.` },
@@ -322,7 +928,9 @@ Return a JSON object with these exact keys:
           content: `Create segment ${params.segmentNumber} of ${params.totalSegments}:
 
 Dialogue for this segment: "${params.scriptPart}"
-Product: ${params.product || 'N/A'}
+${speakerLines(params.onScreen)}
+Clip Length: ${resolvePacing(params).segmentSeconds} seconds
+${beatMapLines(params.beatMap)}Product: ${params.product || 'N/A'}
 Current Location: ${params.currentLocation}
 ${params.previousLocation && params.previousLocation!==params.currentLocation ? `Character just moved from: ${params.previousLocation}` : ''}
 ${params.nextLocation && params.nextLocation!==params.currentLocation ? `Character will move to: ${params.nextLocation}` : ''}
@@ -335,12 +943,8 @@ Visual Settings:
 - Energy Level: ${this.getEnergyLevel(params.energyArc, params.segmentNumber, params.totalSegments)}
 
 Base Descriptions (USE EXACTLY AS PROVIDED):
-Physical: ${params.baseDescriptions.physical}
-Clothing: ${params.baseDescriptions.clothing}
-Base Voice: ${params.baseDescriptions.voice}
-General Environment: ${params.baseDescriptions.environment}
-Product Handling: ${params.baseDescriptions.productHandling || 'Natural handling'}
-
+${baseDescriptionLines(params.baseDescriptions, params)}
+${voiceProfileLines(params.voiceProfile)}
 Ad Agency Framework Context:
 - Target Persona: ${params.persona || 'Not specified'}
 - Core Desire: ${params.coreDesire || 'Not specified'}
@@ -359,30 +963,45 @@ Use this context to:
 5. Align with the creative type for appropriate pacing and presentation style
 
 ${params.previousSegment ? `Previous segment ended with:
-Position: ${params.previousSegment.action_timeline?.transition_prep || params.previousSegment.segment_info?.continuity_markers?.end_position || 'N/A'}` : 'This is the opening segment.'}
-` }
+Position: ${params.previousSegment.action_timeline?.transition_prep || params.previousSegment.segment_info?.continuity_markers?.end_position || 'N/A'}` : (seedPromptLines(params.continuationSeed) || 'This is the opening segment.')}
+${params.nextSegment ? `Next segment (already generated) starts with:
+Position: ${params.nextSegment.segment_info?.continuity_markers?.start_position || params.nextSegment.character_description?.current_state || 'N/A'}
+End this segment so it flows directly into that position.` : ''}
+${params.guidance ? `Additional guidance for this segment: ${params.guidance}` : ''}
+` },
+        ...(params.schemaFeedback ? schemaFeedbackMessages(params.schemaFeedback) : []),
       ],
-      response_format:{ type:'json_object' },
-      temperature:0.45,
-      max_tokens: 2200 // a bit tighter to keep calls fast
+      model: params.segmentModel,
+      temperature: params.temperature ?? 0.45,
+      maxTokens: 2200, // a bit tighter to keep calls fast
+      context: {
+        segmentNumber: params.segmentNumber,
+        totalSegments: params.totalSegments,
+        scriptPart: params.scriptPart,
+        currentLocation: params.currentLocation,
+        baseDescriptions: params.baseDescriptions,
+        beatMap: params.beatMap,
+      },
     });
 
-    const raw = resp.choices?.[0]?.message?.content || '';
+    const raw = resp.content;
     let parsed = safeParseJSON(raw);
     if (!parsed.ok) {
       console.warn('[OpenAI] Segment JSON parse failed — attempting repair');
-      parsed = { ok:true, value: await repairJSONWithModel(this.openai, raw, 1800) };
+      parsed = { ok:true, value: await repairJSONWithModel(this.llm, raw, 1800) };
     }
     return parsed.value;
   }
 
+  // A saved character keeps its library id; otherwise a one-off id
   generateCharacterId(params){
+    if (params.characterId) return params.characterId;
     return `${(params.avatarMode==='animal'?params.animal?.species:'human')}_${params.gender||'N/A'}_${params.ageRange||'N/A'}_${Date.now()}`.replace(/\s+/g,'_');
   }
 
   async generateContinuationStyleSegment(params){
     // Reuse provided template if available to avoid repeated disk reads
-    const template = params.template || await this.loadTemplate(params.jsonFormat || 'standard');
+    const template = params.template || await this.loadTemplate(params.jsonFormat || 'standard', params.templateFile);
     // Reuse provided base descriptions if available; otherwise, generate with timeout
     const base = params.baseDescriptions || await withTimeout(
       this.generateBaseDescriptions(params, template),
@@ -393,8 +1012,8 @@ Position: ${params.previousSegment.action_timeline?.transition_prep || params.pr
     // Wrap the OpenAI call with retry and timeout similar to standard segments
     const resp = await callOpenAIWithRetry(
       () => withTimeout(
-        this.openai.chat.completions.create({
-          model: OPENAI_SEGMENT_MODEL,
+        this.llm.complete({
+          task: 'continuation_segment',
           messages: [
             { role:'system',
               content: `${template}\n\nGenerate a segment that maintains the EXACT same structure as standard segments, but with ENHANCED voice and behavior sections.` },
@@ -402,7 +1021,9 @@ Position: ${params.previousSegment.action_timeline?.transition_prep || params.pr
               content: `Create segment ${params.segmentNumber} of ${params.totalSegments}:
 
 Dialogue for this segment: "${params.scriptPart}"
-Product: ${params.product || 'N/A'}
+${speakerLines(params.onScreen)}
+Clip Length: ${resolvePacing(params).segmentSeconds} seconds
+${beatMapLines(params.beatMap)}Product: ${params.product || 'N/A'}
 Current Location: ${params.currentLocation}
 ${params.previousLocation && params.previousLocation!==params.currentLocation ? `Character just moved from: ${params.previousLocation}` : ''}
 ${params.nextLocation && params.nextLocation!==params.currentLocation ? `Character will move to: ${params.nextLocation}` : ''}
@@ -414,19 +1035,25 @@ Visual Settings:
 - Energy Level: ${this.getEnergyLevel(params.energyArc, params.segmentNumber, params.totalSegments)}
 
 Base Descriptions (USE EXACTLY AS PROVIDED):
-Physical: ${base.physical}
-Clothing: ${base.clothing}
-Base Voice: ${base.voice}
-General Environment: ${base.environment}
-Product Handling: ${base.productHandling || 'Natural handling'}
+${baseDescriptionLines(base, params)}
 
-Voice Profile to Maintain:
-${JSON.stringify(params.voiceProfile || {}, null, 2)}
-` }
+${voiceProfileLines(params.voiceProfile)}
+${params.previousSegment ? `Previous segment ended with:
+Position: ${params.previousSegment.segment_info?.continuity_markers?.end_position || params.previousSegment.action_timeline?.transition_prep || 'N/A'}
+Last line: "${params.previousSegment.action_timeline?.dialogue || ''}"` : seedPromptLines(params.continuationSeed)}` },
+            ...(params.schemaFeedback ? schemaFeedbackMessages(params.schemaFeedback) : []),
           ],
-          response_format:{ type:'json_object' },
-          temperature:0.5,
-          max_tokens: 2200
+          model: params.segmentModel,
+          temperature: params.temperature ?? 0.5,
+          maxTokens: 2200,
+          context: {
+            segmentNumber: params.segmentNumber,
+            totalSegments: params.totalSegments,
+            scriptPart: params.scriptPart,
+            currentLocation: params.currentLocation,
+            baseDescriptions: base,
+            beatMap: params.beatMap,
+          },
         }),
         OPENAI_CALL_TIMEOUT,
         `openai_continuation_segment_${params.segmentNumber}`
@@ -434,26 +1061,26 @@ ${JSON.stringify(params.voiceProfile || {}, null, 2)}
       `openai_continuation_segment_${params.segmentNumber}`
     );
 
-    const raw = resp.choices?.[0]?.message?.content || '';
+    const raw = resp.content;
     let parsed = safeParseJSON(raw);
     if (!parsed.ok) {
       console.warn('[OpenAI] Continuation-style JSON parse failed — attempting repair');
-      parsed = { ok:true, value: await repairJSONWithModel(this.openai, raw, 1800) };
+      parsed = { ok:true, value: await repairJSONWithModel(this.llm, raw, 1800) };
     }
     return parsed.value;
   }
 
   async extractDetailedVoiceProfile(segment, params){
     console.log('[OpenAI] Extracting detailed voice profile');
-    const resp = await this.openai.chat.completions.create({
-      model: 'gpt-4o',
+    const resp = await this.llm.complete({
+      task: 'voice_profile',
       messages: [
         { role:'system', content:'Generate a detailed voice continuity profile for video consistency. Return ONLY JSON.' },
         { role:'user', content:`Create detailed voice profile for:
-Age: ${params.ageRange}
-Gender: ${params.gender}
+${isAnimal(params) ? getAnimalAvatarGuidance(params.animal) : `Age: ${params.ageRange}
+Gender: ${params.gender}`}
 Energy Level: ${params.energyLevel || '80'}%
-Script Sample: "${segment?.action_timeline?.dialogue || params.script || ''}"
+${params.voiceType ? `Voice Type: ${params.voiceType}\n` : ''}${params.accentRegion ? `Accent/Region: ${params.accentRegion}\n` : ''}Script Sample: "${segment?.action_timeline?.dialogue || params.script || ''}"
 
 Return:
 {
@@ -467,16 +1094,16 @@ Return:
   "vocalTexture": "..."
 }` }
       ],
-      response_format:{ type:'json_object' },
       temperature:0.3,
-      max_tokens: 900
+      maxTokens: 900,
+      context: { segment, params },
     });
 
-    const raw = resp.choices?.[0]?.message?.content || '';
+    const raw = resp.content;
     let parsed = safeParseJSON(raw);
     if (!parsed.ok) {
       console.warn('[OpenAI] Voice profile JSON parse failed — attempting repair');
-      parsed = { ok:true, value: await repairJSONWithModel(this.openai, raw, 1000) };
+      parsed = { ok:true, value: await repairJSONWithModel(this.llm, raw, 1000) };
     }
     return parsed.value;
   }
@@ -0,0 +1,113 @@
+// api/services/plausibilityRules.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '../plausibility/rules.json');
+
+export const PLAUSIBILITY_ACTIONS = ['rewrite', 'flag'];
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const anyWord = (words = []) =>
+  (words.length ? new RegExp(`\\b(?:${words.map(escapeRegExp).join('|')})\\b`, 'i') : null);
+
+// Compiles the editable rules file once at startup. A broken rule fails loudly
+// with its id rather than being skipped, so a typo doesn't silently switch a
+// check off.
+function compile({ locationGroups = {}, rules = [] }) {
+  const groups = Object.fromEntries(
+    Object.entries(locationGroups).map(([name, g]) => [name, { include: anyWord(g.include), exclude: anyWord(g.exclude) }])
+  );
+
+  return rules.map((rule) => {
+    const fail = (msg) => { throw new Error(`[Plausibility] rule "${rule.id}": ${msg}`); };
+    if (!rule.id) fail('id is required');
+    if (!PLAUSIBILITY_ACTIONS.includes(rule.action)) fail(`action must be one of ${PLAUSIBILITY_ACTIONS.join(', ')}`);
+    if (!Array.isArray(rule.fields) || rule.fields.length === 0) fail('fields (non-empty array) is required');
+    const locations = [].concat(rule.locations || []);
+    for (const name of locations) if (!groups[name]) fail(`unknown location group "${name}"`);
+    if (rule.action === 'rewrite' && rule.replacement == null) fail('rewrite rules need a replacement');
+
+    let pattern;
+    try {
+      pattern = new RegExp(rule.pattern, 'gi');
+    } catch (err) {
+      fail(`invalid pattern (${err.message})`);
+    }
+
+    return { ...rule, pattern, locations: locations.map(name => groups[name]) };
+  });
+}
+
+const rules = compile(
+  JSON.parse(fs.readFileSync(process.env.PLAUSIBILITY_RULES_FILE || DEFAULT_RULES_FILE, 'utf8'))
+);
+
+function inLocation(location, groups) {
+  if (groups.length === 0) return true;
+  return groups.some(g => g.include?.test(location) && !g.exclude?.test(location));
+}
+
+// Every string under a rule field with its path and a setter: the field
+// itself, or for objects and arrays (synchronized_actions, props lists) each
+// nested leaf as field["0:02-0:04"] or field[1]
+function stringLeaves(parent, key, path, out = []) {
+  const value = parent[key];
+  if (typeof value === 'string') {
+    out.push({ path, value, set: (next) => { parent[key] = next; } });
+  } else if (Array.isArray(value)) {
+    value.forEach((_item, i) => stringLeaves(value, i, `${path}[${i}]`, out));
+  } else if (value && typeof value === 'object') {
+    for (const k of Object.keys(value)) stringLeaves(value, k, `${path}[${JSON.stringify(k)}]`, out);
+  }
+  return out;
+}
+
+function replacementFor(rule, field) {
+  if (typeof rule.replacement === 'string') return rule.replacement;
+  return rule.replacement[field] ?? rule.replacement.default ?? null;
+}
+
+/**
+ * Applies every rule whose location group matches the segment's location.
+ * `rewrite` rules replace the offending words in place; `flag` rules only
+ * report them. Object and array fields are checked string by string, and
+ * each change's `field` is the path of the string it touched. Returns
+ * { segmentNumber, location, changes: [{ ruleId, action, field, matches,
+ * description, before?, after? }] }.
+ */
+export function applyPlausibilityRules(segment) {
+  const location = String(segment?.segment_info?.location || '');
+  const changes = [];
+
+  for (const rule of rules) {
+    if (!inLocation(location, rule.locations)) continue;
+
+    for (const field of rule.fields) {
+      const [group, key] = field.split('.');
+      const parent = segment?.[group];
+      if (!parent || typeof parent !== 'object') continue;
+      const replacement = rule.action === 'rewrite' ? replacementFor(rule, field) : null;
+
+      for (const { path, value: before, set } of stringLeaves(parent, key, field)) {
+        const matches = before.match(rule.pattern);
+        if (!matches) continue;
+
+        const change = { ruleId: rule.id, action: rule.action, field: path, matches, description: rule.description };
+        if (replacement != null) {
+          const after = before.replace(rule.pattern, replacement);
+          set(after);
+          Object.assign(change, { before, after });
+        } else {
+          change.action = 'flag';
+        }
+        changes.push(change);
+      }
+    }
+  }
+
+  return { segmentNumber: segment?.segment_info?.segment_number ?? null, location, changes };
+}
@@ -0,0 +1,189 @@
+// api/services/projectStore.js
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import FileStore from './fileStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_PROJECTS_DIR = path.join(__dirname, '../../data/projects');
+
+// URL segment -> project field holding that collection
+export const PROJECT_COLLECTIONS = {
+  scripts: 'scripts',
+  presets: 'presets',
+  'segment-sets': 'segmentSets',
+  videos: 'videos',
+};
+
+const FIELD_LIMITS = { name: 200, client: 200, product: 200 };
+
+// Minimal shape checks per collection; returns an error message or null
+const ITEM_CHECKS = {
+  scripts: (item) => (typeof item.text === 'string' && item.text.trim() ? null : 'text is required'),
+  presets: (item) => {
+    if (!String(item.name || '').trim()) return 'name is required';
+    return item.data && typeof item.data === 'object' ? null : 'data (settings object) is required';
+  },
+  'segment-sets': (item) => (Array.isArray(item.segments) && item.segments.length ? null : 'segments (non-empty array) is required'),
+  videos: (item) => (Array.isArray(item.videos) ? null : 'videos (array) is required'),
+};
+
+function invalid(message, code = 'invalid_project') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function checkItem(collection, item) {
+  const problem = ITEM_CHECKS[collection](item);
+  if (problem) throw invalid(problem, 'invalid_project_item');
+  return item;
+}
+
+function pickDetails(input, { requireName }) {
+  const details = {};
+  for (const [field, max] of Object.entries(FIELD_LIMITS)) {
+    if (input[field] === undefined) continue;
+    const value = String(input[field] ?? '').trim();
+    if (value.length > max) throw invalid(`${field} must be at most ${max} characters`);
+    details[field] = value;
+  }
+  if ((requireName || details.name !== undefined) && !details.name) {
+    throw invalid('name is required');
+  }
+  return details;
+}
+
+/**
+ * Projects group a client's work so it can be shared across machines:
+ *
+ *   { id, name, client, product,
+ *     scripts:     [{ id, title, text }],
+ *     presets:     [{ id, name, kind, data }],
+ *     segmentSets: [{ id, name, mode, segments, metadata, settings, baseDescriptions, runId }],
+ *     videos:      [{ id, segmentSetId, provider, videos }],
+ *     createdAt, updatedAt }
+ *
+ * Every collection item also gets createdAt/updatedAt, and is checked
+ * against ITEM_CHECKS when added and again after every update. One JSON file
+ * per project under PROJECTS_DIR; writes and deletes of the same project are
+ * serialized so concurrent edits from two browsers never drop each other's
+ * changes or bring a deleted project back.
+ */
+class ProjectStore {
+  constructor(dir = process.env.PROJECTS_DIR || DEFAULT_PROJECTS_DIR) {
+    this.store = new FileStore(dir);
+    this._writes = new Map();
+  }
+
+  // Runs fn() once every earlier write to the project has settled
+  withLock(id, fn) {
+    const prev = this._writes.get(id) || Promise.resolve();
+    const next = prev.catch(() => {}).then(fn);
+    this._writes.set(id, next);
+    next.finally(() => {
+      if (this._writes.get(id) === next) this._writes.delete(id);
+    }).catch(() => {});
+    return next;
+  }
+
+  // Runs fn(project) -> project under the project's write lock and saves it
+  mutate(id, fn) {
+    return this.withLock(id, async () => {
+      const project = await this.store.get(id);
+      if (!project) return null;
+      const updated = await fn(project);
+      updated.updatedAt = new Date().toISOString();
+      return this.store.save(updated);
+    });
+  }
+
+  async list() {
+    const projects = await this.store.list();
+    return projects
+      .map(p => ({
+        id: p.id,
+        name: p.name,
+        client: p.client,
+        product: p.product,
+        counts: Object.fromEntries(Object.entries(PROJECT_COLLECTIONS).map(([key, field]) => [key, p[field]?.length || 0])),
+        createdAt: p.createdAt,
+        updatedAt: p.updatedAt,
+      }))
+      .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async create(input = {}) {
+    const now = new Date().toISOString();
+    const project = {
+      id: randomUUID(),
+      client: '',
+      product: '',
+      ...pickDetails(input, { requireName: true }),
+      scripts: [],
+      presets: [],
+      segmentSets: [],
+      videos: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+    await this.store.save(project);
+    console.log(`[Projects] created ${project.id} (${project.name})`);
+    return project;
+  }
+
+  async update(id, input = {}) {
+    const details = pickDetails(input, { requireName: false });
+    return this.mutate(id, (project) => ({ ...project, ...details }));
+  }
+
+  async remove(id) {
+    const removed = await this.withLock(id, () => this.store.remove(id));
+    if (removed) console.log(`[Projects] deleted ${id}`);
+    return removed;
+  }
+
+  async addItem(id, collection, input = {}) {
+    const field = PROJECT_COLLECTIONS[collection];
+    const now = new Date().toISOString();
+    const { id: _ignored, createdAt: _c, updatedAt: _u, ...data } = input;
+    const item = checkItem(collection, { id: randomUUID(), ...data, createdAt: now, updatedAt: now });
+    const project = await this.mutate(id, (p) => ({ ...p, [field]: [...(p[field] || []), item] }));
+    return project ? item : null;
+  }
+
+  async updateItem(id, collection, itemId, input = {}) {
+    const field = PROJECT_COLLECTIONS[collection];
+    const { id: _ignored, createdAt: _c, updatedAt: _u, ...data } = input;
+    let updated = null;
+    await this.mutate(id, (p) => ({
+      ...p,
+      [field]: (p[field] || []).map(item => {
+        if (item.id !== itemId) return item;
+        updated = checkItem(collection, { ...item, ...data, updatedAt: new Date().toISOString() });
+        return updated;
+      }),
+    }));
+    return updated;
+  }
+
+  async removeItem(id, collection, itemId) {
+    const field = PROJECT_COLLECTIONS[collection];
+    let removed = false;
+    await this.mutate(id, (p) => {
+      const items = p[field] || [];
+      const kept = items.filter(item => item.id !== itemId);
+      removed = kept.length !== items.length;
+      return { ...p, [field]: kept };
+    });
+    return removed;
+  }
+}
+
+export default new ProjectStore();
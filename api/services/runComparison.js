@@ -0,0 +1,120 @@
+// api/services/runComparison.js
+import { measureDrift, enforceBaseDescriptions } from './continuityGuard.js';
+
+const countWords = (str) => String(str || '').split(/\s+/).filter(Boolean).length;
+
+// { 'a.b[0].c': leaf } for every non-object value
+function flatten(value, prefix = '', out = {}) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => flatten(item, `${prefix}[${i}]`, out));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      flatten(item, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+function segmentWords(segment) {
+  return Object.values(flatten(segment || {}))
+    .filter(v => typeof v === 'string')
+    .reduce((sum, v) => sum + countWords(v), 0);
+}
+
+// Older outputs.json files have no baseDescriptions; the first segment's
+// locked fields are the closest thing to a canonical base
+function baseOf(outputs) {
+  if (outputs?.baseDescriptions) return outputs.baseDescriptions;
+  const first = (outputs?.segments || []).find(Boolean) || {};
+  return {
+    physical: first.character_description?.physical,
+    clothing: first.character_description?.clothing,
+    accessories: first.character_description?.accessories,
+  };
+}
+
+/**
+ * Field-level diff of two segments. Strings that differ carry a drift score
+ * (0 identical wording .. 1 nothing in common, see measureDrift).
+ */
+export function diffSegments(original, replay) {
+  const a = flatten(original || {});
+  const b = flatten(replay || {});
+  const paths = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+  const diff = [];
+  for (const path of paths) {
+    if (!(path in b)) {
+      diff.push({ path, change: 'removed', original: a[path] });
+    } else if (!(path in a)) {
+      diff.push({ path, change: 'added', replay: b[path] });
+    } else if (a[path] !== b[path]) {
+      const entry = { path, change: 'changed', original: a[path], replay: b[path] };
+      if (typeof a[path] === 'string' && typeof b[path] === 'string') {
+        entry.drift = measureDrift(b[path], a[path]);
+      }
+      diff.push(entry);
+    }
+  }
+  return diff;
+}
+
+function runStats(outputs) {
+  const segments = outputs?.segments || [];
+  const base = baseOf(outputs);
+  const drifts = segments.map(seg => enforceBaseDescriptions(seg, base, 'flag').score);
+  return {
+    segments: segments.length,
+    totalWords: segments.reduce((sum, seg) => sum + segmentWords(seg), 0),
+    dialogueWords: segments.reduce((sum, seg) => sum + countWords(seg?.action_timeline?.dialogue), 0),
+    meanDrift: drifts.length
+      ? Math.round((drifts.reduce((sum, d) => sum + d, 0) / drifts.length) * 1000) / 1000
+      : null,
+    drifts,
+  };
+}
+
+/**
+ * Side-by-side comparison of two runs' outputs, segment by segment:
+ * word counts, drift of each from its own base descriptions, and a
+ * field-level diff.
+ */
+export function compareOutputs(original, replay) {
+  const a = runStats(original);
+  const b = runStats(replay);
+  const count = Math.max(a.segments, b.segments);
+
+  const segments = Array.from({ length: count }, (_, i) => {
+    const segA = original?.segments?.[i] || null;
+    const segB = replay?.segments?.[i] || null;
+    const words = { original: segA ? segmentWords(segA) : null, replay: segB ? segmentWords(segB) : null };
+    const diff = diffSegments(segA, segB);
+    return {
+      segmentNumber: i + 1,
+      words: { ...words, delta: (words.replay ?? 0) - (words.original ?? 0) },
+      dialogueWords: {
+        original: segA ? countWords(segA.action_timeline?.dialogue) : null,
+        replay: segB ? countWords(segB.action_timeline?.dialogue) : null,
+      },
+      drift: { original: a.drifts[i] ?? null, replay: b.drifts[i] ?? null },
+      changedFields: diff.length,
+      diff,
+    };
+  });
+
+  const summary = (stats) => ({
+    segments: stats.segments,
+    totalWords: stats.totalWords,
+    dialogueWords: stats.dialogueWords,
+    meanDrift: stats.meanDrift,
+  });
+
+  return {
+    original: summary(a),
+    replay: summary(b),
+    totalWordsDelta: b.totalWords - a.totalWords,
+    changedFields: segments.reduce((sum, s) => sum + s.changedFields, 0),
+    segments,
+  };
+}
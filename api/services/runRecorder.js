@@ -0,0 +1,263 @@
+// api/services/runRecorder.js
+import fs from 'fs/promises';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Kept out of the checked-in runs/ (the fixture provider's recordings) so
+// local runs never show up in git status
+const DEFAULT_RUNS_DIR = path.join(__dirname, '../../data/runs');
+
+// The checked-in recordings, listed and replayable alongside DEFAULT_RUNS_DIR
+// but never written to
+const CHECKED_IN_RUNS_DIR = path.join(__dirname, '../../runs');
+
+// Job type -> <mode>/ directory. Segment regenerations and hook variants are
+// recorded as 'regenerate' and 'hooks' runs; they have no job type and can't
+// be replayed.
+const RUN_MODES = {
+  'generate': 'standard',
+  'generate-plus': 'plus',
+  'generate-continuation': 'continuation',
+  'generate-new-cont': 'new-continuation',
+};
+
+async function writeJSON(file, value) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value, null, 2), 'utf8');
+  await fs.rename(tmp, file);
+}
+
+async function readJSON(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Records every generation as <RUNS_DIR>/<mode>/<id>/ with the same layout
+ * the fixture provider replays:
+ *
+ *   inputs.json   request params
+ *   outputs.json  handler result (completed runs only); { segment, ... } for
+ *                 a regenerate run, { variants, ... } for a hooks run
+ *   run.json      { id, mode, jobId, attempt, replayOf, status, provider, models,
+ *                   calls: [{ task, model, ms, error? }], segmentCount,
+ *                   startedAt, finishedAt, durationMs, error }
+ *
+ * LLM calls are attributed to the run they happen in through
+ * AsyncLocalStorage, so concurrent jobs never mix up their model ids.
+ * New runs are written to dir only; readOnlyDir (the checked-in runs/) is
+ * read alongside it. Older runs without run.json are listed with what can
+ * be derived from their inputs/outputs.
+ */
+class RunRecorder {
+  constructor(dir = process.env.RUNS_DIR || DEFAULT_RUNS_DIR, readOnlyDir = CHECKED_IN_RUNS_DIR) {
+    this.dir = dir;
+    this.readOnlyDir = readOnlyDir;
+    this.current = new AsyncLocalStorage();
+  }
+
+  // Directories runs are read from, recorded runs first
+  roots() {
+    const roots = [this.dir];
+    if (this.readOnlyDir && path.resolve(this.readOnlyDir) !== path.resolve(this.dir)) {
+      roots.push(this.readOnlyDir);
+    }
+    return roots;
+  }
+
+  modeFor(jobType) {
+    return RUN_MODES[jobType] || jobType;
+  }
+
+  jobTypeFor(mode) {
+    return Object.keys(RUN_MODES).find(type => RUN_MODES[type] === mode) || null;
+  }
+
+  // Wrap an LLM provider so each complete() call is noted on the active run
+  instrument(provider) {
+    const complete = provider.complete.bind(provider);
+    provider.complete = async (args) => {
+      const started = Date.now();
+      try {
+        const resp = await complete(args);
+        this.note({ task: args.task, model: resp.model, provider: resp.provider, ms: Date.now() - started });
+        return resp;
+      } catch (err) {
+        this.note({ task: args.task, model: args.model || provider.modelFor?.(args.task) || null, ms: Date.now() - started, error: err.message });
+        throw err;
+      }
+    };
+    return provider;
+  }
+
+  note(call) {
+    this.current.getStore()?.calls.push(call);
+  }
+
+  // Runs fn() as a recorded run; recording failures never fail the run itself
+  async record({ mode, inputs, jobId = null, attempt = 1 }, fn) {
+    const run = {
+      id: null,
+      mode,
+      jobId,
+      attempt,
+      replayOf: inputs?.replayOf || null,
+      status: 'running',
+      provider: null,
+      models: [],
+      calls: [],
+      segmentCount: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      error: null,
+    };
+    const started = Date.now();
+
+    return this.current.run(run, async () => {
+      let result;
+      try {
+        result = await fn();
+        run.status = 'completed';
+        run.segmentCount = result?.segments?.length ?? (result?.segment ? 1 : result?.variants?.length) ?? 0;
+        return result;
+      } catch (err) {
+        run.status = 'failed';
+        run.error = { message: err.message, timeout: !!err.message?.endsWith('_timeout') };
+        throw err;
+      } finally {
+        run.finishedAt = new Date().toISOString();
+        run.durationMs = Date.now() - started;
+        run.provider = run.calls.find(c => c.provider)?.provider || null;
+        run.models = [...new Set(run.calls.map(c => c.model).filter(Boolean))];
+        await this.save(run, inputs, run.status === 'completed' ? result : null)
+          .catch(err => console.error(`[Runs] failed to record ${mode} run:`, err.message));
+      }
+    });
+  }
+
+  // Millisecond timestamp ids, bumped on collision within a mode
+  async createRunDir(mode) {
+    const modeDir = path.join(this.dir, mode);
+    await fs.mkdir(modeDir, { recursive: true });
+    for (let id = Date.now(); ; id++) {
+      try {
+        await fs.mkdir(path.join(modeDir, String(id)));
+        return { id: String(id), dir: path.join(modeDir, String(id)) };
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+    }
+  }
+
+  async save(run, inputs, outputs) {
+    const { id, dir } = await this.createRunDir(run.mode);
+    run.id = id;
+    await writeJSON(path.join(dir, 'inputs.json'), inputs || {});
+    if (outputs) await writeJSON(path.join(dir, 'outputs.json'), outputs);
+    await writeJSON(path.join(dir, 'run.json'), run);
+    console.log(`[Runs] recorded ${run.mode} run ${id} (${run.status}, ${run.durationMs}ms)`);
+  }
+
+  async locate(id) {
+    if (!/^[\w-]+$/.test(id)) return null;
+    for (const root of this.roots()) {
+      const modes = await fs.readdir(root, { withFileTypes: true }).catch(() => []);
+      for (const mode of modes.filter(d => d.isDirectory())) {
+        const dir = path.join(root, mode.name, id);
+        try {
+          if ((await fs.stat(dir)).isDirectory()) return { id, mode: mode.name, dir };
+        } catch {
+          // not in this mode
+        }
+      }
+    }
+    return null;
+  }
+
+  async summarize({ id, mode, dir }) {
+    const inputs = await readJSON(path.join(dir, 'inputs.json')) || {};
+    let meta = await readJSON(path.join(dir, 'run.json'));
+    if (!meta) {
+      const outputs = await readJSON(path.join(dir, 'outputs.json'));
+      const ts = Number(id);
+      meta = {
+        id,
+        mode,
+        status: outputs ? 'completed' : 'unknown',
+        models: [],
+        segmentCount: outputs?.segments?.length || 0,
+        startedAt: Number.isFinite(ts) ? new Date(ts).toISOString() : null,
+        durationMs: null,
+        error: null,
+        legacy: true,
+      };
+    }
+    return {
+      id,
+      mode,
+      status: meta.status,
+      provider: meta.provider || null,
+      models: meta.models || [],
+      segmentCount: meta.segmentCount || 0,
+      startedAt: meta.startedAt,
+      durationMs: meta.durationMs,
+      error: meta.error || null,
+      legacy: !!meta.legacy,
+      jobId: meta.jobId || null,
+      replayOf: meta.replayOf || null,
+      scriptPreview: String(inputs.script || '').slice(0, 120),
+    };
+  }
+
+  async list({ mode } = {}) {
+    const runs = [];
+    const seen = new Set();
+    for (const root of this.roots()) {
+      const modes = await fs.readdir(root, { withFileTypes: true }).catch(() => []);
+      for (const m of modes.filter(d => d.isDirectory() && (!mode || d.name === mode))) {
+        const ids = await fs.readdir(path.join(root, m.name), { withFileTypes: true });
+        // ids are unique across roots as far as locate() is concerned
+        for (const entry of ids.filter(d => d.isDirectory() && !seen.has(d.name))) {
+          seen.add(entry.name);
+          try {
+            runs.push(await this.summarize({ id: entry.name, mode: m.name, dir: path.join(root, m.name, entry.name) }));
+          } catch (err) {
+            console.warn(`[Runs] Skipping unreadable run ${m.name}/${entry.name}:`, err.message);
+          }
+        }
+      }
+    }
+    return runs.sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+  }
+
+  // The run recorded for a job's latest attempt
+  async findByJob(jobId) {
+    return (await this.list()).find(run => run.jobId === jobId) || null;
+  }
+
+  async get(id) {
+    const found = await this.locate(id);
+    if (!found) return null;
+    const summary = await this.summarize(found);
+    const meta = await readJSON(path.join(found.dir, 'run.json'));
+    return {
+      ...summary,
+      attempt: meta?.attempt || null,
+      calls: meta?.calls || [],
+      finishedAt: meta?.finishedAt || null,
+      inputs: await readJSON(path.join(found.dir, 'inputs.json')),
+      outputs: await readJSON(path.join(found.dir, 'outputs.json')),
+    };
+  }
+}
+
+export default new RunRecorder();
@@ -0,0 +1,214 @@
+// api/services/scriptSplitter.js
+import { splitSentences, splitClauses, countSpokenWords, tokenize } from './sentenceSegmenter.js';
+import { parseSpeakerScript, scriptCast, formatTurn, speakersIn, stripSpeakerTags } from './speakerScript.js';
+// The one place scripts are cut into per-clip dialogue. Both generation
+// services and POST /api/split/preview use it, so the preview shows exactly
+// what will be generated.
+
+export const DEFAULT_PACING = {
+  wordsPerMinute: 150,
+  segmentSeconds: 8,
+};
+
+// Clip lengths Veo accepts
+export const SEGMENT_SECONDS = [4, 6, 8];
+
+// `||` or `[BREAK]` in a script forces a segment boundary there
+const BREAK_MARKER = /\s*(?:\|\||\[break\])\s*/i;
+
+const countWords = countSpokenWords;
+
+function invalidPacing(message) {
+  const err = new Error(message);
+  err.code = 'invalid_pacing';
+  return err;
+}
+
+/**
+ * Fills in the word bounds for a pace and clip length. At the defaults
+ * (150 WPM, 8s) this is the long-standing 15/20/22 words: the target fills the
+ * clip, max leaves ~10% headroom, min is three quarters of a clip. Explicit
+ * minWords/maxWords win. Throws err.code 'invalid_pacing'.
+ */
+export function resolvePacing(options = {}) {
+  const num = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : Number(value));
+
+  const wordsPerMinute = num(options.wordsPerMinute, DEFAULT_PACING.wordsPerMinute);
+  const segmentSeconds = num(options.segmentSeconds, DEFAULT_PACING.segmentSeconds);
+  if (!Number.isFinite(wordsPerMinute) || wordsPerMinute < 60 || wordsPerMinute > 300) {
+    throw invalidPacing('wordsPerMinute must be between 60 and 300');
+  }
+  if (!SEGMENT_SECONDS.includes(segmentSeconds)) {
+    throw invalidPacing(`segmentSeconds must be one of ${SEGMENT_SECONDS.join(', ')}`);
+  }
+
+  const targetWords = Math.round((wordsPerMinute / 60) * segmentSeconds);
+  const minWords = num(options.minWords, Math.round(targetWords * 0.75));
+  const maxWords = num(options.maxWords, Math.round(targetWords * 1.1));
+  if (!Number.isInteger(minWords) || !Number.isInteger(maxWords) || minWords < 1 || maxWords < minWords) {
+    throw invalidPacing('minWords and maxWords must be whole numbers with 1 <= minWords <= maxWords');
+  }
+
+  return {
+    wordsPerMinute,
+    segmentSeconds,
+    minWords,
+    maxWords,
+    targetWords: Math.min(Math.max(targetWords, minWords), maxWords),
+    // a short tail may be merged into its neighbour up to this many words
+    mergeLimit: Math.max(maxWords, Math.round(targetWords * 1.5)),
+  };
+}
+
+// Greedy packing of units (sentences, or whole turns of a speaker script)
+// within one marker-delimited block, then a second pass that tops up short
+// segments by borrowing a unit from (or merging with) the next one. `capped`
+// never grows a segment past maxWords, for units that are whole turns.
+function packUnits(units, { minWords: min, maxWords: max, mergeLimit }, { count = countWords, capped = false } = {}) {
+  const words = (group) => group.reduce((sum, unit) => sum + count(unit), 0);
+  const fits = (group, more) => !capped || words(group) + words(more) <= max;
+  const raw = [];
+
+  for (let i = 0; i < units.length; i++) {
+    const group = [units[i]];
+    while (words(group) < min && i + 1 < units.length && fits(group, [units[i + 1]])) group.push(units[++i]);
+    raw.push(group);
+  }
+
+  const final = [];
+  for (let i = 0; i < raw.length; i++) {
+    const group = raw[i];
+    const wc = words(group);
+    if (wc < min && i < raw.length - 1) {
+      const next = raw[i + 1];
+      if (words(next) > min && next.length > 1 && wc + count(next[0]) <= max) {
+        final.push([...group, next[0]]);
+        raw[i + 1] = next.slice(1);
+        continue;
+      }
+      if (wc + words(next) <= mergeLimit && fits(group, next)) {
+        final.push([...group, ...next]);
+        i++;
+        continue;
+      }
+    }
+    final.push(group);
+  }
+  return final.map(group => group.join(' '));
+}
+
+// Sentences over maxWords are packed clause by clause
+function splitBlock(block, pacing) {
+  const units = splitSentences(block).flatMap(sentence => splitClauses(sentence, pacing.maxWords));
+  return packUnits(units, pacing);
+}
+
+// A turn too long for one clip, cut at sentence (then clause) boundaries
+// into pieces of at most maxWords
+function splitLongTurn(text, pacing) {
+  if (countWords(text) <= pacing.maxWords) return [text];
+  const units = splitSentences(text).flatMap(sentence => splitClauses(sentence, pacing.maxWords));
+  return packUnits(units, pacing, { capped: true });
+}
+
+// Speaker scripts pack whole turns, so a line is only cut between clips when
+// it is too long to voice in one: then it is cut at sentence boundaries and
+// every piece keeps the speaker's tag. Packing never grows a segment past
+// maxWords. A break marker inside a turn splits it deliberately. A script
+// with a single speaker is one presenter, so its tags are dropped.
+function splitTurns({ speakers, turns }, pacing) {
+  const tagged = speakers.length > 1;
+  const blocks = [[]];
+  for (const { speaker, text } of turns) {
+    text.split(BREAK_MARKER).map(part => part.trim()).forEach((part, i) => {
+      if (i > 0 && blocks[blocks.length - 1].length) blocks.push([]);
+      if (!part) return;
+      for (const piece of splitLongTurn(part, pacing)) {
+        blocks[blocks.length - 1].push(tagged ? formatTurn({ speaker, text: piece }) : piece);
+      }
+    });
+  }
+  const count = (turn) => countWords(turn) - (tagged ? 1 : 0);
+  const kept = blocks.filter(block => block.length);
+  const segments = kept.flatMap(block => packUnits(block, pacing, { count, capped: true }));
+  assertCoverage(kept.flat(), segments);
+  return segments;
+}
+
+function splitCoverageError(message) {
+  const err = new Error(`Script split lost words: ${message}`);
+  err.code = 'split_coverage';
+  return err;
+}
+
+// Every word of the script, in order, must be in exactly one segment. The
+// segmenter is token-based so this should always hold; a failure is a bug
+// and is thrown rather than silently generating a shorter ad.
+function assertCoverage(blocks, segments) {
+  const expected = blocks.flatMap(tokenize);
+  const actual = segments.flatMap(tokenize);
+  const at = expected.findIndex((token, i) => token !== actual[i]);
+  if (at !== -1) throw splitCoverageError(`expected "${expected[at]}" at word ${at + 1}, got "${actual[at] ?? 'nothing'}"`);
+  if (actual.length !== expected.length) throw splitCoverageError(`${actual.length} words out for ${expected.length} in`);
+}
+
+/**
+ * Splits a script into per-segment dialogue. Break markers always end a
+ * segment; text between markers is packed by sentence to the pacing's word
+ * bounds. Speaker scripts are packed by turn, each turn keeping its tag.
+ */
+export function splitScript(script, options = {}) {
+  const pacing = resolvePacing(options);
+  const spoken = parseSpeakerScript(script);
+  if (spoken) return splitTurns(spoken, pacing);
+
+  const blocks = String(script || '')
+    .split(BREAK_MARKER)
+    .map(block => block.trim())
+    .filter(Boolean);
+  const segments = blocks.flatMap(block => splitBlock(block, pacing));
+  assertCoverage(blocks, segments);
+  return segments;
+}
+
+/**
+ * splitScript plus the numbers the UI shows:
+ * { pacing, speakers, segments: [{ text, wordCount, seconds, speakers, warning? }],
+ *   totalSeconds, forcedBreaks }
+ * `speakers` is the script's cast ([] for a plain script) and, per segment,
+ * who talks in it. `seconds` is speaking time at the pace; a warning marks
+ * segments that will feel rushed (over the clip length) or leave dead air
+ * (under three quarters of it).
+ */
+export function previewSplit(script, options = {}) {
+  const pacing = resolvePacing(options);
+  const wordsPerSecond = pacing.wordsPerMinute / 60;
+  const cast = scriptCast(script);
+  const segments = splitScript(script, pacing).map((text) => {
+    const wordCount = countWords(stripSpeakerTags(text, cast));
+    const seconds = Math.round((wordCount / wordsPerSecond) * 10) / 10;
+    const segment = { text, wordCount, seconds, speakers: speakersIn(text, cast) };
+    if (seconds > pacing.segmentSeconds) segment.warning = 'too_long';
+    else if (seconds < pacing.segmentSeconds * 0.75) segment.warning = 'too_short';
+    return segment;
+  });
+
+  return {
+    pacing,
+    speakers: cast,
+    segments,
+    totalSeconds: segments.length * pacing.segmentSeconds,
+    forcedBreaks: String(script || '').split(BREAK_MARKER).length - 1,
+  };
+}
+
+// The reason pacing options are invalid, or null; for request validation
+export function pacingError(options = {}) {
+  try {
+    resolvePacing(options);
+    return null;
+  } catch (err) {
+    if (err.code === 'invalid_pacing') return err.message;
+    throw err;
+  }
+}
@@ -0,0 +1,127 @@
+// api/services/segmentSchema.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEMA_DIR = path.join(__dirname, '../schemas');
+
+// jsonFormat -> schema file. Bump the version suffix (and keep the old file)
+// whenever a template's structure changes so old reports stay meaningful.
+const SCHEMA_FILES = {
+  standard: 'segment-standard.v1.json',
+  enhanced: 'segment-enhanced.v1.json',
+  'continuation-minimal': 'segment-continuation-minimal.v1.json',
+  // talking-animal avatars (any jsonFormat): species fields replace clothing
+  animal: 'segment-animal.v1.json',
+};
+
+const schemas = Object.fromEntries(
+  Object.entries(SCHEMA_FILES).map(([format, file]) => [
+    format,
+    JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8')),
+  ])
+);
+
+export function schemaFor(format = 'standard') {
+  return schemas[format] || schemas.standard;
+}
+
+const countWords = (str) => String(str).split(/\s+/).filter(Boolean).length;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Small JSON Schema subset: type, required, properties, anyOf, enum,
+// minimum, minLength, minProperties, items, plus the local minWords keyword.
+function check(value, schema, at, errors) {
+  if (schema.anyOf) {
+    const passing = schema.anyOf.some(option => {
+      const sub = [];
+      check(value, option, at, sub);
+      return sub.length === 0;
+    });
+    if (!passing) {
+      const types = schema.anyOf.map(o => o.type).filter(Boolean).join(' or ');
+      errors.push({ path: at, message: `must be a non-empty ${types}` });
+    }
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path: at, message: `must be ${schema.type} (got ${typeOf(value)})` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ path: at, message: 'must not be empty' });
+    }
+    if (schema.minWords !== undefined) {
+      const words = countWords(value);
+      if (words < schema.minWords) {
+        errors.push({ path: at, message: `must be at least ${schema.minWords} words (got ${words})` });
+      }
+    }
+  }
+  if (typeOf(value) === 'object') {
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      errors.push({ path: at, message: `must have at least ${schema.minProperties} entries` });
+    }
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: at ? `${at}.${key}` : key, message: 'is required' });
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        check(value[key], sub, at ? `${at}.${key}` : key, errors);
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => check(item, schema.items, `${at}[${i}]`, errors));
+  }
+}
+
+/**
+ * Validate one generated segment against the schema for its jsonFormat.
+ * Returns { schema, valid, errors: [{ path, message }] }.
+ */
+export function validateSegment(segment, format = 'standard') {
+  const schema = schemaFor(format);
+  const errors = [];
+  check(segment, schema, '', errors);
+  return { schema: schema.$id, valid: errors.length === 0, errors };
+}
+
+// Chat messages that hand a failed segment back to the model together with
+// the exact validation errors it has to fix.
+export function schemaFeedbackMessages({ previous, errors }) {
+  return [
+    { role: 'assistant', content: JSON.stringify(previous) },
+    {
+      role: 'user',
+      content: `That segment failed JSON Schema validation:
+${errors.map(e => `- ${e.path || '(root)'}: ${e.message}`).join('\n')}
+
+Return the COMPLETE corrected segment as one JSON object. Fix every error listed, keep the dialogue and every field that already passed unchanged.`,
+    },
+  ];
+}
@@ -0,0 +1,131 @@
+// api/services/sentenceSegmenter.js
+// Sentence and clause boundaries for ad copy. Works on whitespace tokens, so
+// the pieces it returns always add back up to every word of the input.
+
+// Words whose trailing period never ends a sentence (lowercase, no period)
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'ft', 'vs',
+  'approx', 'est', 'dept', 'apt', 'ave', 'blvd', 'fig', 'vol', 'ca',
+  'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+]);
+
+// Abbreviations only when a number follows: "No. 1 pick" but "No. Not at all."
+const NUMBER_ABBREVIATIONS = new Set(['no']);
+
+// After an initialism ("U.S.", "a.m.") only these start a new sentence
+const SENTENCE_OPENERS = new Set([
+  'i', 'it', 'we', 'you', 'they', 'he', 'she', 'this', 'that', 'these', 'those',
+  'but', 'and', 'so', 'then', 'now', 'if', 'when', 'my', 'our', 'your', 'the',
+]);
+
+// Conjunctions a long sentence may be broken before
+const CONJUNCTIONS = new Set(['and', 'but', 'or', 'so', 'because', 'while', 'which', 'then', 'yet', 'plus']);
+
+const EMOJI = '\\p{Extended_Pictographic}\\p{Emoji_Modifier}\\uFE0F\\u200D';
+const TRAILING_CLOSERS = new RegExp(`[${EMOJI}"'”’»)\\]}]+$`, 'u');
+const LEADING_OPENERS = /^["'“‘«([{]+/u;
+const EMOJI_ONLY = new RegExp(`^[${EMOJI}]+$`, 'u');
+const INITIALISM = /^(?:\p{L}\.)+\p{L}$/u;
+
+export const tokenize = (text) => String(text || '').split(/\s+/).filter(Boolean);
+
+// Tokens with a letter or digit in them; emoji and stray dashes aren't spoken
+export const countSpokenWords = (text) => tokenize(text).filter(t => /[\p{L}\p{N}]/u.test(t)).length;
+
+const startsUppercase = (token) => /^\p{Lu}/u.test(token.replace(LEADING_OPENERS, ''));
+const startsLowercase = (token) => /^\p{Ll}/u.test(token.replace(LEADING_OPENERS, ''));
+
+// Does a sentence end after `token`, given the token that follows it?
+function endsSentence(token, next) {
+  const core = token.replace(TRAILING_CLOSERS, '');
+  if (!/[.!?…]$/.test(core)) return false;
+  if (next === undefined) return true;
+  if (/[!?]$/.test(core)) return true;
+
+  // "Wait... what?" carries on; "Wait... Then it hit me." doesn't
+  if (/(?:\.\.\.|…)$/.test(core)) return startsUppercase(next);
+
+  const word = core.slice(0, -1).replace(LEADING_OPENERS, '').toLowerCase();
+  if (ABBREVIATIONS.has(word)) return false;
+  if (NUMBER_ABBREVIATIONS.has(word)) return !/^\d/.test(next.replace(LEADING_OPENERS, ''));
+  if (INITIALISM.test(word)) return SENTENCE_OPENERS.has(next.replace(LEADING_OPENERS, '').toLowerCase());
+  return !startsLowercase(next);
+}
+
+/**
+ * Sentences in reading order. Decimals and prices ("$4.99") never split since
+ * the period isn't followed by a space; abbreviations, initialisms and
+ * mid-sentence ellipses don't either. Emoji right after a sentence's closing
+ * punctuation stay with that sentence, and trailing text without punctuation
+ * is a sentence of its own.
+ */
+export function splitSentences(text) {
+  const tokens = tokenize(text);
+  const sentences = [];
+  let current = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    current.push(tokens[i]);
+    if (!endsSentence(tokens[i], tokens[i + 1])) continue;
+    while (i + 1 < tokens.length && EMOJI_ONLY.test(tokens[i + 1])) current.push(tokens[++i]);
+    sentences.push(current.join(' '));
+    current = [];
+  }
+  if (current.length) sentences.push(current.join(' '));
+  return sentences;
+}
+
+// Cut points inside one sentence: after , ; : and dashes, and before a
+// conjunction once the clause has a few words in it
+function clausesOf(sentence) {
+  const clauses = [];
+  let current = [];
+  for (const token of tokenize(sentence)) {
+    if (current.length >= 3 && CONJUNCTIONS.has(token.toLowerCase())) {
+      clauses.push(current);
+      current = [];
+    }
+    current.push(token);
+    if (/[,;:—–]$/.test(token) || token === '-') {
+      clauses.push(current);
+      current = [];
+    }
+  }
+  if (current.length) clauses.push(current);
+  return clauses;
+}
+
+// Splits `tokens` into the fewest near-equal runs of at most maxWords
+function evenChunks(tokens, maxWords) {
+  const n = Math.ceil(tokens.length / maxWords);
+  const size = Math.ceil(tokens.length / n);
+  const chunks = [];
+  for (let i = 0; i < tokens.length; i += size) chunks.push(tokens.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * A sentence longer than maxWords, broken at clause boundaries into pieces
+ * of at most maxWords. A clause that is still too long is cut into even
+ * runs of words. Shorter sentences come back unchanged.
+ */
+export function splitClauses(sentence, maxWords) {
+  if (countSpokenWords(sentence) <= maxWords) return [sentence];
+
+  const pieces = [];
+  let current = [];
+  for (const clause of clausesOf(sentence)) {
+    if (clause.length > maxWords) {
+      if (current.length) pieces.push(current);
+      pieces.push(...evenChunks(clause, maxWords));
+      current = [];
+    } else if (current.length + clause.length > maxWords) {
+      pieces.push(current);
+      current = [...clause];
+    } else {
+      current.push(...clause);
+    }
+  }
+  if (current.length) pieces.push(current);
+  return pieces.map(p => p.join(' '));
+}
@@ -0,0 +1,167 @@
+// api/services/speakerScript.js
+// Multi-speaker scripts. A script is speaker-tagged when its first line starts
+// with an upper-case name and a colon ("SARAH: ...") and either two or more
+// speakers are tagged or most lines are; untagged lines carry on the previous
+// speaker's turn. A JSON array of { speaker, text } turns is accepted as
+// well. Split segments keep the tags in their dialogue, which is how the rest
+// of the pipeline knows who says what.
+
+// "SARAH:", "DR. LEE:", "MIKE 2:" - upper case keeps "Note:" or "Step 1:" prose out
+const TAG = /^\s*([A-Z][A-Z0-9.'-]*(?: [A-Z0-9][A-Z0-9.'-]*){0,2})\s*:\s*/;
+// Upper-case labels that head a line of prose rather than name a speaker
+const NOT_SPEAKERS = /^(?:NOTE|NOTES|NB|N\.B\.|PS|P\.S\.|PPS|TIP|CTA|WARNING|DISCLAIMER|UPDATE|EDIT|STEP \d+)$/;
+
+// Creative types where the whole cast shares the frame in every segment
+export const TWO_SHOT_CREATIVE_TYPES = ['interview', 'testimonial-pair'];
+
+const normalizeName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toUpperCase();
+
+function parseJsonTurns(script) {
+  let value;
+  try {
+    value = JSON.parse(script);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(value) || value.length === 0) return null;
+  if (!value.every(t => t && typeof t.speaker === 'string' && typeof t.text === 'string')) return null;
+  return value.map(t => ({ speaker: normalizeName(t.speaker), text: t.text.trim() }));
+}
+
+function speakerTag(line) {
+  const m = line.match(TAG);
+  return m && !NOT_SPEAKERS.test(normalizeName(m[1])) ? m : null;
+}
+
+function parseTaggedTurns(script) {
+  const lines = script.split(/\r?\n/).filter(line => line.trim());
+  if (!lines.length || !speakerTag(lines[0])) return null;
+
+  const turns = [];
+  let tagged = 0;
+  for (const line of lines) {
+    const m = speakerTag(line);
+    if (m) {
+      tagged++;
+      turns.push({ speaker: normalizeName(m[1]), text: line.slice(m[0].length).trim() });
+    } else {
+      turns[turns.length - 1].text += ` ${line.trim()}`;
+    }
+  }
+  // one "SARAH:" heading a page of prose is not a speaker script
+  const speakers = new Set(turns.map(t => t.speaker));
+  if (speakers.size < 2 && tagged * 2 <= lines.length) return null;
+  return turns;
+}
+
+/**
+ * { speakers, turns: [{ speaker, text }] } for a speaker-tagged or JSON
+ * script, speakers in order of first appearance; null for a plain script.
+ */
+export function parseSpeakerScript(script) {
+  const str = String(script || '').trim();
+  const turns = (str.startsWith('[') ? parseJsonTurns(str) : null) || parseTaggedTurns(str);
+  if (!turns) return null;
+  const kept = turns.filter(t => t.speaker && t.text);
+  return { speakers: [...new Set(kept.map(t => t.speaker))], turns: kept };
+}
+
+// The cast of a multi-speaker script. A plain script, or one tagged with a
+// single speaker, has one presenter and gets []
+export function scriptCast(script) {
+  const speakers = parseSpeakerScript(script)?.speakers || [];
+  return speakers.length > 1 ? speakers : [];
+}
+
+export const formatTurn = ({ speaker, text }) => `${speaker}: ${text}`;
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const tagPattern = (speakers) =>
+  new RegExp(`(?:^|\\s)(${speakers.map(escapeRegExp).join('|')}):(?=\\s|$)`, 'g');
+
+// Who speaks in a split segment's dialogue, in order, out of `speakers`
+export function speakersIn(dialogue, speakers) {
+  if (!speakers?.length) return [];
+  const found = [...String(dialogue || '').matchAll(tagPattern(speakers))].map(m => m[1]);
+  return [...new Set(found)];
+}
+
+// A split segment's dialogue as [{ speaker, text }] turns; text before the
+// first tag (or all of it, without speakers) has speaker null
+export function turnsIn(dialogue, speakers) {
+  const str = String(dialogue || '');
+  if (!speakers?.length) return str.trim() ? [{ speaker: null, text: str.trim() }] : [];
+  const parts = str.split(tagPattern(speakers));
+  const turns = parts[0].trim() ? [{ speaker: null, text: parts[0].trim() }] : [];
+  for (let i = 1; i < parts.length; i += 2) {
+    turns.push({ speaker: parts[i], text: (parts[i + 1] || '').trim() });
+  }
+  return turns.filter(t => t.text);
+}
+
+// Dialogue without its speaker tags, for word counts and timing
+export function stripSpeakerTags(dialogue, speakers) {
+  if (!speakers?.length) return String(dialogue || '');
+  return String(dialogue || '').replace(tagPattern(speakers), ' ').trim();
+}
+
+/**
+ * { speakers, charactersOnScreen } for one segment. Interview-style creative
+ * types keep the whole cast in frame; otherwise only the segment's speakers
+ * are on screen.
+ */
+export function segmentCast(dialogue, cast, creativeType) {
+  const speakers = speakersIn(dialogue, cast);
+  const charactersOnScreen = TWO_SHOT_CREATIVE_TYPES.includes(creativeType) ? [...cast] : speakers;
+  return { speakers, charactersOnScreen };
+}
+
+// Records a segmentCast() result on the segment as segment_info.speakers and
+// characters_on_screen; set from the script rather than trusted to the model
+export function tagSegmentCast(segment, onScreen) {
+  if (!onScreen) return;
+  segment.segment_info = {
+    ...segment.segment_info,
+    speakers: onScreen.speakers,
+    characters_on_screen: onScreen.charactersOnScreen,
+  };
+}
+
+// Per-speaker fields of a multi-speaker base block
+export const CAST_FIELDS = ['physical', 'clothing', 'voice'];
+
+/**
+ * Upper-cases the keys of base.characters and checks every speaker has all
+ * of CAST_FIELDS. Throws (listing what is missing) so a base block that
+ * dropped a character is never used for segments.
+ */
+export function normalizeCastBase(base, cast) {
+  const characters = Object.fromEntries(
+    Object.entries(base?.characters || {}).map(([name, c]) => [normalizeName(name), c])
+  );
+  const missing = cast.filter(name => !CAST_FIELDS.every(f => typeof characters[name]?.[f] === 'string' && characters[name][f]));
+  if (missing.length) throw new Error(`base_descriptions_missing_characters: ${missing.join(', ')}`);
+  return castBase({ ...base, characters }, cast);
+}
+
+/**
+ * The base block for a set of characters: each one's physical, clothing and
+ * voice under their name, in cast order, as the top-level fields. Segments
+ * copy and are checked against these word for word, like a single presenter.
+ * A base without characters comes back unchanged.
+ */
+export function castBase(base, names) {
+  if (!base?.characters || !names?.length) return base;
+  const join = (field) => names.map(name => `${name}: ${base.characters[name]?.[field] || ''}`).join('\n\n');
+  return { ...base, ...Object.fromEntries(CAST_FIELDS.map(f => [f, join(f)])) };
+}
+
+// "- SARAH: female, 25-34, ..." lines for the base-description prompt.
+// `details` is the optional { NAME: { gender, ageRange, description } } cast sheet.
+export function castDetailLines(cast, details = {}) {
+  return cast.map((name) => {
+    const d = details?.[name] || {};
+    const known = [d.gender, d.ageRange, d.description].filter(Boolean).join(', ');
+    return `- ${name}: ${known || 'not specified - infer from the name and their lines'}`;
+  }).join('\n');
+}
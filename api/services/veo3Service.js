@@ -1,116 +1,80 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { VertexAI } from '@google-cloud/vertexai';
-import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { createVideoBackend, resolveBackendName } from './video/index.js';
+import { resolvePacing } from './scriptSplitter.js';
+import FileStore from './fileStore.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const DEFAULT_VIDEO_TASKS_DIR = path.join(__dirname, '../../data/videos');
+const TERMINAL = new Set(['completed', 'failed']);
+
+// synchronized_actions as prompt text; beat-keyed objects become one
+// "0:00-0:02: action" line per beat
+function actionLines(actions) {
+  if (actions && typeof actions === 'object') {
+    return Object.entries(actions).map(([time, action]) => `${time}: ${action}`).join('\n');
+  }
+  return actions || 'Natural gestures while speaking';
+}
+
+/**
+ * Submits each segment's createVideoPrompt() output to the configured video
+ * backend (see ./video/index.js) and keeps one task record per segment under
+ * VIDEO_TASKS_DIR, so status survives restarts:
+ *
+ *   { id, backend, backendTaskId, segmentNumber, prompt, status, progress,
+ *     videoUrl, error, createdAt, updatedAt }
+ */
 class Veo3Service {
   constructor() {
-    this.genAI = null;
-    this.vertexAI = null;
-    this.useVertexAI = false;
+    this.backend = null;
+    this.store = new FileStore(process.env.VIDEO_TASKS_DIR || DEFAULT_VIDEO_TASKS_DIR);
     this.initializeClient();
   }
 
   initializeClient() {
-    // Check for Vertex AI configuration first
-    if (process.env.GOOGLE_APPLICATION_CREDENTIALS || 
-        (process.env.VERTEX_PROJECT_ID && process.env.VERTEX_LOCATION)) {
-      try {
-        const projectId = process.env.VERTEX_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT;
-        const location = process.env.VERTEX_LOCATION || 'us-central1';
-        
-        this.vertexAI = new VertexAI({
-          project: projectId,
-          location: location,
-        });
-        
-        this.useVertexAI = true;
-        console.log('[Veo3] Vertex AI client initialized');
-        console.log(`[Veo3] Project: ${projectId}, Location: ${location}`);
-      } catch (error) {
-        console.error('[Veo3] Failed to initialize Vertex AI:', error);
-      }
+    try {
+      this.backend = createVideoBackend();
+    } catch (error) {
+      console.error('[Veo3] Failed to initialize video backend:', error.message);
+      this.backend = null;
     }
-    
-    // Fall back to Gemini API if no Vertex AI
-    if (!this.useVertexAI) {
-      const apiKey = process.env.GOOGLE_GEMINI_API_KEY;
-      if (apiKey && apiKey.trim() !== '') {
-        this.genAI = new GoogleGenerativeAI(apiKey);
-        console.log('[Veo3] Gemini API client initialized');
-      } else {
-        console.warn('[Veo3] No API credentials found');
-      }
+    if (this.backend) {
+      console.log(`[Veo3] Video backend: ${this.backend.name}`);
+    } else {
+      console.warn('[Veo3] No video backend configured (set GOOGLE_GEMINI_API_KEY or VIDEO_BACKEND=stub)');
     }
   }
 
   async generateVideoFromSegment(segment, options = {}) {
     // Try to initialize again if not already done
-    if (!this.genAI && !this.vertexAI) {
+    if (!this.backend) {
       this.initializeClient();
     }
-    
-    if (!this.genAI && !this.vertexAI) {
-      throw new Error('Veo 3 service not initialized. Please configure either Vertex AI or Gemini API credentials');
-    }
 
-    console.log('[Veo3] Generating video for segment', segment.segment_info?.segment_number);
+    if (!this.backend) {
+      throw new Error('Video backend not configured. Set GOOGLE_GEMINI_API_KEY, or VIDEO_BACKEND=stub for the local stub server');
+    }
 
-    try {
-      // Create a detailed prompt from the segment data
-      const prompt = this.createVideoPrompt(segment, options);
-      
-      // Use appropriate model based on authentication method
-      let model;
-      if (this.useVertexAI) {
-        model = this.vertexAI.getGenerativeModel({ 
-          model: 'gemini-1.5-flash-002' 
-        });
-      } else {
-        model = this.genAI.getGenerativeModel({ 
-          model: 'gemini-1.5-flash' 
-        });
-      }
-      
-      const result = await model.generateContent({
-        contents: [{
-          role: 'user',
-          parts: [{
-            text: `Generate a detailed video shot list for this UGC segment:\n\n${prompt}\n\nProvide frame-by-frame descriptions for an 8-second video.`
-          }]
-        }]
-      });
-
-      const response = await result.response;
-      const videoDescription = response.text();
-
-      return {
-        success: true,
-        segmentNumber: segment.segment_info?.segment_number,
-        videoDescription,
-        prompt,
-        duration: '8 seconds',
-        status: 'description_generated',
-        message: 'Video description generated. Full Veo 3 integration coming soon!'
-      };
+    const segmentNumber = segment.segment_info?.segment_number || (options.segmentIndex ?? 0) + 1;
+    console.log('[Veo3] Submitting video for segment', segmentNumber);
 
-    } catch (error) {
-      console.error('[Veo3] Error generating video:', error);
-      throw error;
-    }
+    const prompt = this.createVideoPrompt(segment, options);
+    return this.generateActualVideo(prompt, { ...options, segmentNumber });
   }
 
   createVideoPrompt(segment, options) {
+    if (options?.format === 'plus') return this.createVideoPromptPlus(segment);
+
     const isEnhanced = segment.segment_info?.continuity_markers ? true : false;
 
     // Pull commonly used fields with sensible fallbacks
     const currentState = segment.character_description?.current_state || 'Natural, relaxed presenter';
     const dialogue = segment.action_timeline?.dialogue || '';
-    const synchronizedActions = segment.action_timeline?.synchronized_actions || 'Natural gestures while speaking';
+    const synchronizedActions = actionLines(segment.action_timeline?.synchronized_actions);
     const microExpressions = segment.action_timeline?.micro_expressions || 'Natural facial movements';
     const cameraPosition = segment.scene_continuity?.camera_position || 'Medium shot, eye level';
     const environmentProps = segment.scene_continuity?.props_in_frame || 'Room elements relevant to this shot';
@@ -146,9 +110,7 @@ CHARACTER STATE:\n${currentState}${appearanceLock}
 
 DIALOGUE: "${dialogue}"
 
-SYNCHRONIZED ACTIONS:\n${Object.entries(segment.action_timeline.synchronized_actions || {})
-  .map(([time, action]) => `${time}: ${action}`)
-  .join('\n')}
+SYNCHRONIZED ACTIONS:\n${synchronizedActions}
 
 SCENE:\n- Camera: ${cameraPosition}${povDirectives}\n- Environment: ${environmentProps}
 
@@ -174,40 +136,176 @@ Style: Authentic UGC content, casual and relatable`;
     return prompt.trim();
   }
 
+  // Standard Plus segments carry the enhanced-format fields; use all of them
+  createVideoPromptPlus(segment) {
+    const info = segment.segment_info || {};
+    const markers = info.continuity_markers || {};
+    const character = segment.character_description || {};
+    const scene = segment.scene_continuity || {};
+    const timeline = segment.action_timeline || {};
+
+    const section = (title, lines) => {
+      const body = lines.filter(([, value]) => value).map(([label, value]) => `- ${label}: ${value}`);
+      return body.length ? `${title}:\n${body.join('\n')}` : '';
+    };
+
+    const timedActions = actionLines(timeline.synchronized_actions);
+
+    const isPOVSelfie = /\b(pov|selfie)\b/i.test(scene.camera_position || '');
+
+    const prompt = [
+      `UGC Video Segment ${info.segment_number || 1}${info.total_segments ? ` of ${info.total_segments}` : ''}`
+        + `${info.duration ? `\nDuration: ${info.duration}` : ''}${info.location ? `\nLocation: ${info.location}` : ''}`,
+      section('CONTINUITY REQUIREMENTS', [
+        ['Start position', markers.start_position],
+        ['End position', markers.end_position],
+        ['Start expression', markers.start_expression],
+        ['End expression', markers.end_expression],
+        ['Start gesture', markers.start_gesture],
+        ['End gesture', markers.end_gesture],
+        ['Location status', markers.location_status],
+      ]),
+      section('APPEARANCE LOCK (use verbatim)', [
+        ['Physical (canonical)', character.physical],
+        ['Clothing (canonical)', character.clothing],
+      ]),
+      `CHARACTER STATE:\n${character.current_state || 'Natural, relaxed presenter'}`,
+      `DIALOGUE: "${timeline.dialogue || ''}"`,
+      character.voice_matching ? `VOICE:\n${character.voice_matching}` : '',
+      `SYNCHRONIZED ACTIONS:\n${timedActions}`,
+      section('SCENE', [
+        ['Environment', scene.environment],
+        ['Camera', scene.camera_position || 'Medium shot, eye level'],
+        ['Camera movement', scene.camera_movement],
+        ['Lighting', scene.lighting_state],
+        ['Props', scene.props_in_frame],
+        ['Background', scene.background_elements],
+        ['Spatial relationships', scene.spatial_relationships],
+      ]),
+      isPOVSelfie
+        ? 'POV-SELFIE DIRECTIVES:\n- Front-facing camera at arm\'s length, eye level.\n- Subtle hand jitter only; no dramatic pans or tilts.'
+        : '',
+      `MICRO-EXPRESSIONS:\n${timeline.micro_expressions || 'Natural facial movements'}`,
+      timeline.breathing_rhythm ? `BREATHING:\n${timeline.breathing_rhythm}` : '',
+      timeline.location_transition ? `LOCATION TRANSITION:\n${timeline.location_transition}` : '',
+      timeline.continuity_checkpoint ? `CONTINUITY CHECKPOINT:\n${timeline.continuity_checkpoint}` : '',
+      'Style: Authentic UGC content, handheld camera feel, natural lighting',
+    ];
+
+    return prompt.filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Submits every segment, one after another. A failed submission doesn't
+   * lose the tasks already created: each video is either the submitted task
+   * or { segmentNumber, taskId: null, status: 'failed', error, code }, and
+   * success is false when any failed. Throws the first error only when no
+   * segment was submitted at all. options.segmentSeconds is the run's pacing.
+   */
   async generateVideosForAllSegments(segments, options = {}) {
     console.log(`[Veo3] Generating videos for ${segments.length} segments`);
-    
-    const videoPromises = segments.map((segment, index) => 
-      this.generateVideoFromSegment(segment, {
-        ...options,
-        segmentIndex: index
-      })
-    );
 
-    try {
-      const results = await Promise.all(videoPromises);
-      return {
-        success: true,
-        videos: results,
-        totalSegments: segments.length
-      };
-    } catch (error) {
-      console.error('[Veo3] Error generating videos:', error);
-      throw error;
+    // Submissions are quick; the rendering itself happens on the backend
+    const videos = [];
+    let firstError = null;
+    for (let index = 0; index < segments.length; index++) {
+      try {
+        videos.push(await this.generateVideoFromSegment(segments[index], {
+          ...options,
+          segmentIndex: index
+        }));
+      } catch (error) {
+        const segmentNumber = segments[index]?.segment_info?.segment_number || index + 1;
+        console.error(`[Veo3] Segment ${segmentNumber} was not submitted:`, error.message);
+        firstError = firstError || error;
+        videos.push({ segmentNumber, taskId: null, status: 'failed', error: error.message, code: error.code || null });
+      }
     }
+
+    const failed = videos.filter(video => !video.taskId).length;
+    if (failed === segments.length && firstError) throw firstError;
+
+    return {
+      success: failed === 0,
+      videos,
+      submitted: segments.length - failed,
+      failed,
+      totalSegments: segments.length,
+      backend: this.backend?.name || resolveBackendName(),
+    };
   }
 
-  // Future method for actual Veo 3 API integration
+  // Submit one prompt and record the backend task under our own task id
   async generateActualVideo(prompt, options = {}) {
-    // This will be implemented when we have proper Veo 3 API access
-    // For now, it returns a placeholder
+    const { id: backendTaskId } = await this.backend.submit({
+      prompt,
+      segmentNumber: options.segmentNumber,
+      aspectRatio: options.aspectRatio,
+    });
+
+    const now = new Date().toISOString();
+    const task = {
+      id: randomUUID(),
+      backend: this.backend.name,
+      backendTaskId,
+      segmentNumber: options.segmentNumber ?? null,
+      prompt,
+      status: 'queued',
+      progress: 0,
+      videoUrl: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await this.store.save(task);
+    console.log(`[Veo3] Segment ${task.segmentNumber} submitted as task ${task.id} (${task.backend}: ${backendTaskId})`);
+
     return {
-      status: 'pending_implementation',
-      message: 'Direct Veo 3 video generation will be available with proper API credentials',
-      estimatedCost: '$0.75 per second',
-      prompt
+      success: true,
+      taskId: task.id,
+      segmentNumber: task.segmentNumber,
+      status: task.status,
+      prompt,
+      duration: `${resolvePacing({ segmentSeconds: options.segmentSeconds }).segmentSeconds} seconds`,
     };
   }
+
+  // Current status of a task, refreshed from the backend until it finishes
+  async getVideoStatus(taskId) {
+    const task = await this.store.get(taskId);
+    if (!task) return null;
+    if (TERMINAL.has(task.status)) return this.publicTask(task);
+
+    if (!this.backend || this.backend.name !== task.backend) {
+      throw new Error(`video backend "${task.backend}" for task ${taskId} is not configured`);
+    }
+
+    const latest = await this.backend.status(task.backendTaskId);
+    Object.assign(task, {
+      status: latest.status,
+      progress: latest.progress ?? task.progress,
+      videoUrl: latest.videoUrl
+        || (latest.status === 'completed' && this.backend.download ? `/api/videos/${task.id}/download` : null),
+      error: latest.error || null,
+      updatedAt: new Date().toISOString(),
+    });
+    await this.store.save(task);
+    return this.publicTask(task);
+  }
+
+  async downloadVideo(taskId) {
+    const task = await this.store.get(taskId);
+    if (!task || task.status !== 'completed') return null;
+    if (!this.backend?.download || this.backend.name !== task.backend) {
+      throw new Error(`video backend "${task.backend}" cannot stream downloads`);
+    }
+    return this.backend.download(task.backendTaskId);
+  }
+
+  publicTask(task) {
+    const { backendTaskId, ...rest } = task;
+    return rest;
+  }
 }
 
-export default new Veo3Service();
\ No newline at end of file
+export default new Veo3Service();
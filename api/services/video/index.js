@@ -0,0 +1,40 @@
+// api/services/video/index.js
+//
+// Video backend layer. Veo3Service never talks to a video API directly; it
+// calls a backend implementing
+//
+//   backend.submit({ prompt, segmentNumber, aspectRatio })
+//     -> Promise<{ id }>                       // backend task/operation id
+//   backend.status(id)
+//     -> Promise<{ status, progress, videoUrl?, error? }>
+//   backend.download?(id)                      // only when videoUrl needs credentials
+//     -> Promise<{ stream, contentType }>
+//
+// status is one of queued | processing | completed | failed; progress is a
+// 0-100 number or null when the backend does not report it.
+import VeoBackend from './veoBackend.js';
+import StubBackend from './stubBackend.js';
+
+const BACKENDS = {
+  veo: VeoBackend,
+  stub: StubBackend,
+};
+
+export function resolveBackendName() {
+  const explicit = String(process.env.VIDEO_BACKEND || '').trim().toLowerCase();
+  if (explicit) return explicit;
+  return process.env.GOOGLE_GEMINI_API_KEY ? 'veo' : null;
+}
+
+// Returns null when nothing is configured so the app still boots; submitting
+// a video then fails with a clear error instead.
+export function createVideoBackend(name = resolveBackendName(), options = {}) {
+  if (!name) return null;
+  const Backend = BACKENDS[name];
+  if (!Backend) {
+    throw new Error(`Unknown VIDEO_BACKEND "${name}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return new Backend(options);
+}
+
+export { VeoBackend, StubBackend };
@@ -0,0 +1,34 @@
+// api/services/video/stubBackend.js
+import axios from 'axios';
+
+const VIDEO_STUB_URL =
+  process.env.VIDEO_STUB_URL || 'http://localhost:4010';
+
+/**
+ * Talks to the local stub server (test-video-stub-server.js) or anything
+ * else that speaks the same two-call contract:
+ *
+ *   POST /tasks      { prompt, segmentNumber, aspectRatio } -> { taskId }
+ *   GET  /tasks/:id  -> { status, progress, videoUrl?, error? }
+ */
+export default class StubBackend {
+  constructor({ baseURL = VIDEO_STUB_URL } = {}) {
+    this.name = 'stub';
+    this.http = axios.create({ baseURL, timeout: 10_000 });
+  }
+
+  async submit({ prompt, segmentNumber, aspectRatio = '16:9' }) {
+    const { data } = await this.http.post('/tasks', { prompt, segmentNumber, aspectRatio });
+    return { id: data.taskId };
+  }
+
+  async status(id) {
+    const { data } = await this.http.get(`/tasks/${encodeURIComponent(id)}`);
+    return {
+      status: data.status,
+      progress: data.progress ?? null,
+      videoUrl: data.videoUrl || null,
+      error: data.error || null,
+    };
+  }
+}
@@ -0,0 +1,62 @@
+// api/services/video/veoBackend.js
+import axios from 'axios';
+
+const VEO_API_BASE =
+  process.env.VEO_API_BASE || 'https://generativelanguage.googleapis.com/v1beta';
+const VEO_MODEL =
+  process.env.VEO_MODEL || 'veo-3.0-generate-preview';
+
+/**
+ * Veo 3 through the Gemini API's long-running predict endpoint. submit()
+ * returns the operation name; status() polls it. Finished videos are only
+ * downloadable with the API key, so they are streamed through download()
+ * rather than handed to the browser.
+ */
+export default class VeoBackend {
+  constructor({ apiKey = process.env.GOOGLE_GEMINI_API_KEY, model = VEO_MODEL } = {}) {
+    if (!apiKey) throw new Error('GOOGLE_GEMINI_API_KEY is required for the veo video backend');
+    this.name = 'veo';
+    this.model = model;
+    this.http = axios.create({
+      baseURL: VEO_API_BASE,
+      headers: { 'x-goog-api-key': apiKey },
+      timeout: 30_000,
+    });
+  }
+
+  async submit({ prompt, aspectRatio = '16:9' }) {
+    const { data } = await this.http.post(`/models/${this.model}:predictLongRunning`, {
+      instances: [{ prompt }],
+      parameters: { aspectRatio },
+    });
+    if (!data?.name) throw new Error('veo_submit_failed: no operation name returned');
+    return { id: data.name };
+  }
+
+  async operation(id) {
+    const { data } = await this.http.get(`/${id}`);
+    return data;
+  }
+
+  videoUri(op) {
+    return op?.response?.generateVideoResponse?.generatedSamples?.[0]?.video?.uri || null;
+  }
+
+  async status(id) {
+    const op = await this.operation(id);
+    if (!op.done) return { status: 'processing', progress: null };
+    if (op.error) return { status: 'failed', progress: null, error: op.error.message || 'Veo generation failed' };
+    if (!this.videoUri(op)) {
+      // Filtered by safety checks or otherwise empty
+      return { status: 'failed', progress: null, error: 'Veo returned no video for this prompt' };
+    }
+    return { status: 'completed', progress: 100 };
+  }
+
+  async download(id) {
+    const uri = this.videoUri(await this.operation(id));
+    if (!uri) throw new Error('video_not_ready');
+    const res = await this.http.get(uri, { baseURL: '', responseType: 'stream', timeout: 120_000 });
+    return { stream: res.data, contentType: res.headers['content-type'] || 'video/mp4' };
+  }
+}
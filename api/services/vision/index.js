@@ -0,0 +1,38 @@
+// api/services/vision/index.js
+//
+// Vision describer layer. Continuations seeded from a screenshot never talk
+// to a vision API directly; they call a describer implementing
+//
+//   describer.describe({ image: { mimeType, data }, context })
+//     -> Promise<{ position, expression, gesture, camera, lighting, location }>
+//
+// `data` is the decoded image (a Buffer). Each field is a short description
+// of the frame, or null when the describer can't tell. `context` carries
+// what is already known about the clip (location, previous dialogue); the
+// stub uses it to shape its answer.
+import OpenAIDescriber from './openaiDescriber.js';
+import StubDescriber from './stubDescriber.js';
+
+const DESCRIBERS = {
+  openai: OpenAIDescriber,
+  stub: StubDescriber,
+};
+
+// Like the LLM provider, the stub only stands in for a missing key outside
+// production
+export function resolveDescriberName() {
+  const explicit = String(process.env.VISION_DESCRIBER || '').trim().toLowerCase();
+  if (explicit) return explicit;
+  if (process.env.NODE_ENV === 'production') return 'openai';
+  return process.env.OPENAI_API_KEY ? 'openai' : 'stub';
+}
+
+export function createVisionDescriber(name = resolveDescriberName(), options = {}) {
+  const Describer = DESCRIBERS[name];
+  if (!Describer) {
+    throw new Error(`Unknown VISION_DESCRIBER "${name}" (expected one of: ${Object.keys(DESCRIBERS).join(', ')})`);
+  }
+  return new Describer(options);
+}
+
+export { OpenAIDescriber, StubDescriber };
@@ -0,0 +1,59 @@
+// api/services/vision/openaiDescriber.js
+import OpenAI from 'openai';
+
+const OPENAI_VISION_MODEL =
+  process.env.OPENAI_VISION_MODEL || 'gpt-4o';
+
+const FIELDS = ['position', 'expression', 'gesture', 'camera', 'lighting', 'location'];
+
+/**
+ * Describes a clip's last frame with an OpenAI vision model, as the end
+ * state the next segment has to start from.
+ */
+export default class OpenAIDescriber {
+  constructor({ apiKey = process.env.OPENAI_API_KEY, model = OPENAI_VISION_MODEL } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.client = new OpenAI({ apiKey });
+  }
+
+  async describe({ image, context = {} }) {
+    const resp = await this.client.chat.completions.create({
+      model: this.model,
+      response_format: { type: 'json_object' },
+      temperature: 0.2,
+      max_tokens: 600,
+      messages: [
+        { role: 'system', content: 'You describe the last frame of a UGC video clip so the next clip can start exactly there. Return ONLY JSON.' },
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: `Describe the on-camera person in this frame.
+${context.location ? `Location: ${context.location}\n` : ''}${context.previousDialogue ? `Last line spoken: "${context.previousDialogue}"\n` : ''}
+Return:
+{
+  "position": "body position and where the hands are",
+  "expression": "facial expression and eye line",
+  "gesture": "gesture in progress, if any",
+  "camera": "framing and angle",
+  "lighting": "lighting",
+  "location": "room or setting"
+}`,
+            },
+            { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data.toString('base64')}` } },
+          ],
+        },
+      ],
+    });
+
+    let parsed = {};
+    try {
+      parsed = JSON.parse(resp.choices?.[0]?.message?.content || '{}');
+    } catch {
+      throw new Error('vision_describe_unparseable');
+    }
+    return Object.fromEntries(FIELDS.map(f => [f, typeof parsed[f] === 'string' && parsed[f].trim() ? parsed[f].trim() : null]));
+  }
+}
@@ -0,0 +1,24 @@
+// api/services/vision/stubDescriber.js
+
+/**
+ * Offline stand-in for a vision model: describes every frame as the same
+ * neutral, mid-sentence pose so screenshot continuations can be exercised
+ * without an API key. Only the location comes from the request context.
+ */
+export default class StubDescriber {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  async describe({ image, context = {} }) {
+    console.log(`[Vision] stub describing ${image.mimeType} frame (${image.data.length} bytes)`);
+    return {
+      position: 'Seated upright facing the camera, shoulders relaxed, hands resting together at chest height',
+      expression: 'Open, friendly half-smile, eyes on the lens',
+      gesture: 'Hands just settling after a small explanatory gesture',
+      camera: 'Medium close-up at eye level, handheld',
+      lighting: 'Soft daylight from the side, unchanged',
+      location: context.location || null,
+    };
+  }
+}
@@ -0,0 +1,82 @@
+// api/services/voiceProfile.js
+// The detailed voice profile extracted once per generation. It is returned
+// with the result and can be submitted back with a later request, so the
+// same voice carries across separate batches.
+
+// Fields in the order they are rendered into voice_matching
+const TEXT_FIELDS = [
+  ['pitchRange', 'Pitch'],
+  ['speakingRate', 'Speaking rate'],
+  ['toneQualities', 'Tone'],
+  ['vocalTexture', 'Texture'],
+  ['regionalAccent', 'Accent'],
+  ['breathingPattern', 'Breathing'],
+];
+const INFLECTIONS = ['excitement', 'emphasis', 'warmth'];
+
+// A form's shallow { voiceType, energyLevel, accentRegion } is a hint for
+// extraction, not a profile; a detailed one has at least pitch and tone
+export function isDetailedVoiceProfile(profile) {
+  return !!profile && typeof profile === 'object' && !Array.isArray(profile)
+    && typeof profile.pitchRange === 'string' && typeof profile.toneQualities === 'string';
+}
+
+// Why a submitted voiceProfile can't be used, or null; for request validation
+export function voiceProfileError(profile) {
+  if (profile === undefined || profile === null) return null;
+  if (typeof profile !== 'object' || Array.isArray(profile)) return 'voiceProfile must be an object';
+  if (!isDetailedVoiceProfile(profile)) return null;
+  for (const [key] of TEXT_FIELDS) {
+    if (profile[key] !== undefined && typeof profile[key] !== 'string') return `voiceProfile.${key} must be a string`;
+  }
+  const inflections = profile.emotionalInflections;
+  if (inflections !== undefined && (typeof inflections !== 'object' || Array.isArray(inflections)
+    || Object.values(inflections).some(v => typeof v !== 'string'))) {
+    return 'voiceProfile.emotionalInflections must be an object of strings';
+  }
+  const markers = profile.uniqueMarkers;
+  if (markers !== undefined && (!Array.isArray(markers) || markers.some(m => typeof m !== 'string'))) {
+    return 'voiceProfile.uniqueMarkers must be an array of strings';
+  }
+  return null;
+}
+
+/**
+ * The profile as the prose that goes into every segment's
+ * character_description.voice_matching. Same profile, same text, so segments
+ * from different batches read identically.
+ */
+export function renderVoiceProfile(profile) {
+  const clean = (text) => String(text || '').trim().replace(/\.$/, '');
+  const parts = TEXT_FIELDS
+    .filter(([key]) => clean(profile[key]))
+    .map(([key, label]) => `${label}: ${clean(profile[key])}.`);
+
+  const inflections = profile.emotionalInflections || {};
+  const named = [...INFLECTIONS, ...Object.keys(inflections).filter(k => !INFLECTIONS.includes(k))]
+    .filter(k => clean(inflections[k]))
+    .map(k => `${k} - ${clean(inflections[k])}`);
+  if (named.length) parts.push(`Inflections: ${named.join('; ')}.`);
+
+  const markers = (profile.uniqueMarkers || []).map(clean).filter(Boolean);
+  if (markers.length) parts.push(`Signature markers: ${markers.join('; ')}.`);
+  return parts.join(' ');
+}
+
+/**
+ * Starts the segment's voice_matching with the rendered profile, keeping
+ * whatever the model added about this segment's delivery after it. Returns
+ * true when the field changed (the segment then needs re-validating).
+ */
+export function applyVoiceProfile(segment, profile) {
+  if (!isDetailedVoiceProfile(profile) || !segment?.character_description) return false;
+  const text = renderVoiceProfile(profile);
+  const current = String(segment.character_description.voice_matching || '').trim();
+  if (current.startsWith(text)) return false;
+  const delivery = current.replace(text, '').trim();
+  segment.character_description = {
+    ...segment.character_description,
+    voice_matching: delivery ? `${text} ${delivery}` : text,
+  };
+  return true;
+}
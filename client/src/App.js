@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import './App.css';
 import ScriptForm from './components/ScriptForm';
 import ResultsDisplay from './components/ResultsDisplay';
@@ -7,15 +7,70 @@ import DownloadButton from './components/DownloadButton';
 import VideoGenerator from './components/VideoGenerator';
 import ErrorBoundary from './components/ErrorBoundary';
 import ContinuationMode from './components/ContinuationMode';
+import NewContinuationMode from './components/NewContinuationMode';
 import SegmentManager from './components/SegmentManager';
 import BulkOperations from './components/BulkOperations';
-import { generateSegments } from './api/client';
+import SegmentHistory from './components/SegmentHistory';
+import { createHistory, recordVersion, undo, redo, moveTo, currentVersion } from './segmentHistory';
+import { generateSegmentsStream, waitForJob } from './api/client';
 import ScriptFormPlus from './components/ScriptFormPlus';
 import ResultsDisplayPlus from './components/ResultsDisplayPlus';
 import DownloadButtonPlus from './components/DownloadButtonPlus';
 import VideoGeneratorPlus from './components/VideoGeneratorPlus';
+import RunHistory from './components/RunHistory';
+import MatrixMode from './components/MatrixMode';
+import ProjectPicker from './components/ProjectPicker';
+import { getProject, addProjectItem } from './api/clientProjects';
 import { generateSegmentsPlus } from './api/clientPlus';
 
+// Generation jobs still running server-side, keyed by tab, so a reload can
+// pick their results back up: { [mode]: { jobId, settings } }
+const ACTIVE_JOBS_KEY = 'ugcActiveJobs';
+
+// Id of the project picked in this browser
+const ACTIVE_PROJECT_KEY = 'ugcActiveProject';
+
+function loadActiveJobs() {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_JOBS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function rememberJob(mode, jobId, settings) {
+  localStorage.setItem(ACTIVE_JOBS_KEY, JSON.stringify({ ...loadActiveJobs(), [mode]: { jobId, settings } }));
+}
+
+function forgetJob(mode) {
+  const { [mode]: _removed, ...rest } = loadActiveJobs();
+  localStorage.setItem(ACTIVE_JOBS_KEY, JSON.stringify(rest));
+}
+
+// Slot-per-segment results from a job snapshot, null where not done yet
+function partialResultsFromJob(job, settings) {
+  const total = job.progress?.totalSegments;
+  if (!total) return null;
+  return {
+    segments: Array.from({ length: total }, (_, i) => job.segments?.[i] || null),
+    metadata: { totalSegments: total, estimatedDuration: total * 8 },
+    settings,
+    streaming: true
+  };
+}
+
+// Keep whatever segments arrived before a failure
+function keepCompletedSegments(prev) {
+  const completed = prev?.segments?.filter(Boolean) || [];
+  if (completed.length === 0) return null;
+  return {
+    ...prev,
+    segments: completed,
+    metadata: { ...prev.metadata, totalSegments: completed.length, estimatedDuration: completed.length * 8 },
+    streaming: false
+  };
+}
+
 function App() {
   useEffect(() => {
     // App component mounted
@@ -47,7 +102,7 @@ function App() {
     }
   }, []);
 
-  const [activeTab, setActiveTab] = useState('standard'); // standard | continuation | standard-plus
+  const [activeTab, setActiveTab] = useState('standard'); // standard | continuation | new-continuation | standard-plus | matrix | history
   const [forceRefresh, setForceRefresh] = useState(Date.now());
   
   // Separate loading states for each mode
@@ -63,78 +118,244 @@ function App() {
   const [plusError, setPlusError] = useState(null);
   
   const [showSegmentManager, setShowSegmentManager] = useState(false);
+  const [project, setProject] = useState(null);
   const [showBulkOperations, setShowBulkOperations] = useState(false);
+  const [showVersionHistory, setShowVersionHistory] = useState(false);
+
+  // Edit history per tab, see segmentHistory.js. Cleared whenever a tab gets
+  // new results; the first edit seeds it with the segments it replaced.
+  const [histories, setHistories] = useState({});
+
+  const selectProject = async (projectId) => {
+    if (!projectId) {
+      localStorage.removeItem(ACTIVE_PROJECT_KEY);
+      setProject(null);
+      return;
+    }
+    try {
+      setProject(await getProject(projectId));
+      localStorage.setItem(ACTIVE_PROJECT_KEY, projectId);
+    } catch (err) {
+      console.error('Failed to load project:', err);
+      localStorage.removeItem(ACTIVE_PROJECT_KEY);
+      setProject(null);
+    }
+  };
+
+  const refreshProject = () => project && selectProject(project.id);
+
+  useEffect(() => {
+    const stored = localStorage.getItem(ACTIVE_PROJECT_KEY);
+    if (stored) selectProject(stored);
+  }, []);
+
+  const handleSaveSegmentSet = async (mode, results) => {
+    const name = window.prompt(`Name for this segment set in "${project.name}":`, `${results.segments.length} segments`);
+    if (!name || !name.trim()) return;
+    try {
+      await addProjectItem(project.id, 'segment-sets', {
+        name: name.trim(),
+        mode,
+        segments: results.segments,
+        metadata: results.metadata,
+        settings: results.settings,
+        baseDescriptions: results.baseDescriptions || null,
+        jobId: results.jobId || null,
+      });
+      refreshProject();
+    } catch (err) {
+      alert(`Failed to save to project: ${err.message}`);
+    }
+  };
+
+  const handleVideosSubmitted = async (result, provider) => {
+    if (!project) return;
+    try {
+      await addProjectItem(project.id, 'videos', { provider, videos: result.videos });
+      refreshProject();
+    } catch (err) {
+      console.error('Failed to save videos to project:', err);
+    }
+  };
+
+  const settersFor = useCallback((mode) => (mode === 'standard-plus'
+    ? { setResults: setPlusResults, setLoading: setPlusLoading, setError: setPlusError }
+    : { setResults: setStandardResults, setLoading: setStandardLoading, setError: setStandardError }), []);
+
+  const resetHistory = useCallback((mode) => setHistories(prev => ({ ...prev, [mode]: null })), []);
+
+  // Poll a job that is already running on the server until it finishes
+  const resumeJob = useCallback(async (mode, jobId, settings) => {
+    const { setResults, setLoading, setError } = settersFor(mode);
+    resetHistory(mode);
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await waitForJob(jobId, (job) => {
+        const partial = partialResultsFromJob(job, settings);
+        if (partial) setResults(partial);
+      });
+      setResults({ ...response, settings });
+    } catch (err) {
+      console.error('Resumed generation failed:', err);
+      if (err.status !== 404) setError(err.message || 'Something went wrong');
+      setResults(keepCompletedSegments);
+    } finally {
+      forgetJob(mode);
+      setLoading(false);
+    }
+  }, [settersFor, resetHistory]);
+
+  useEffect(() => {
+    Object.entries(loadActiveJobs()).forEach(([mode, { jobId, settings }]) => {
+      resumeJob(mode, jobId, settings);
+    });
+  }, [resumeJob]);
 
   const handleSubmit = async (formData) => {
     console.log('Form submitted with:', formData);
-    
-    if (activeTab === 'standard') {
-      setStandardLoading(true);
-      setStandardError(null);
-      setStandardResults(null);
-    } else if (activeTab === 'standard-plus') {
-      setPlusLoading(true);
-      setPlusError(null);
-      setPlusResults(null);
-    }
+    const mode = activeTab;
+    const { setResults, setLoading, setError } = settersFor(mode);
+
+    setLoading(true);
+    setError(null);
+    setResults(null);
+    resetHistory(mode);
 
     try {
-      const response = activeTab === 'standard-plus' ?
-        await generateSegmentsPlus(formData) :
-        await generateSegments(formData);
+      const response = mode === 'standard-plus' ?
+        await generateSegmentsPlus(formData, {
+          onJob: (jobId) => rememberJob(mode, jobId, formData),
+          onProgress: (job) => {
+            const partial = partialResultsFromJob(job, formData);
+            if (partial) setResults(partial);
+          }
+        }) :
+        await generateSegmentsStream(formData, (type, data) => handleStreamEvent(type, data, formData));
       console.log('Generation successful:', response);
-      
-      if (activeTab === 'standard') {
-        setStandardResults({
-          ...response,
-          settings: formData
-        });
-      } else if (activeTab === 'standard-plus') {
-        setPlusResults({
-          ...response,
-          settings: formData
-        });
-      }
+
+      setResults({
+        ...response,
+        settings: formData
+      });
+      forgetJob(mode);
     } catch (err) {
       console.error('Generation failed:', err);
-      if (activeTab === 'standard') {
-        setStandardError(err.message || 'Something went wrong');
-      } else if (activeTab === 'standard-plus') {
-        setPlusError(err.message || 'Something went wrong');
+      const active = loadActiveJobs()[mode];
+      if (err.streamDropped && active) {
+        // Connection dropped but the job is still running server-side
+        await resumeJob(mode, active.jobId, formData);
+        return;
       }
+      forgetJob(mode);
+      setError(err.message || 'Something went wrong');
+      setResults(keepCompletedSegments);
     } finally {
-      if (activeTab === 'standard') {
-        setStandardLoading(false);
-      } else if (activeTab === 'standard-plus') {
-        setPlusLoading(false);
-      }
+      setLoading(false);
     }
   };
 
-  const handleSegmentUpdate = (updatedSegments, mode) => {
-    if (mode === 'standard' && standardResults) {
+  // Render standard segments as the server finishes them
+  const handleStreamEvent = (type, data, formData) => {
+    if (type === 'job') {
+      rememberJob('standard', data.jobId, formData);
+    } else if (type === 'split') {
       setStandardResults({
-        ...standardResults,
-        segments: updatedSegments,
+        segments: Array(data.totalSegments).fill(null),
         metadata: {
-          ...standardResults.metadata,
-          totalSegments: updatedSegments.length,
-          estimatedDuration: updatedSegments.length * 8
-        }
+          totalSegments: data.totalSegments,
+          estimatedDuration: data.totalSegments * 8
+        },
+        settings: formData,
+        streaming: true
       });
-    } else if (mode === 'standard-plus' && plusResults) {
-      setPlusResults({
-        ...plusResults,
-        segments: updatedSegments,
-        metadata: {
-          ...plusResults.metadata,
-          totalSegments: updatedSegments.length,
-          estimatedDuration: updatedSegments.length * 8
-        }
+    } else if (type === 'segment_completed') {
+      setStandardResults(prev => {
+        if (!prev) return prev;
+        const segments = [...prev.segments];
+        segments[data.index] = data.segment;
+        return { ...prev, segments };
       });
     }
   };
 
+  // Load a recorded run back into its tab
+  const handleReopenRun = (mode, results) => {
+    const { setResults, setError } = settersFor(mode);
+    setError(null);
+    setResults({ ...results, streaming: false });
+    resetHistory(mode);
+    setActiveTab(mode);
+  };
+
+  // Show a set of segments without touching the history
+  const applySegments = useCallback((updatedSegments, mode) => {
+    const withSegments = (prev) => prev && {
+      ...prev,
+      segments: updatedSegments,
+      metadata: {
+        ...prev.metadata,
+        totalSegments: updatedSegments.length,
+        estimatedDuration: updatedSegments.length * 8
+      }
+    };
+    if (mode === 'standard') setStandardResults(withSegments);
+    else if (mode === 'standard-plus') setPlusResults(withSegments);
+  }, []);
+
+  // An edited voice profile is kept on the results, so regenerating from the
+  // segment manager uses it too
+  const handleVoiceProfileChange = (voiceProfile, mode) => {
+    const { setResults } = settersFor(mode);
+    setResults(prev => (prev ? { ...prev, voiceProfile } : prev));
+  };
+
+  const handleSegmentUpdate = (updatedSegments, mode, label = 'Edit') => {
+    const results = mode === 'standard-plus' ? plusResults : standardResults;
+    if (!results) return;
+    setHistories(prev => ({
+      ...prev,
+      [mode]: recordVersion(prev[mode] || createHistory(results.segments, 'Original'), updatedSegments, label)
+    }));
+    applySegments(updatedSegments, mode);
+  };
+
+  const goToVersion = useCallback((mode, history) => {
+    if (!history || history === histories[mode]) return;
+    setHistories(prev => ({ ...prev, [mode]: history }));
+    applySegments(currentVersion(history).segments, mode);
+  }, [histories, applySegments]);
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. Text fields keep
+  // their own undo.
+  useEffect(() => {
+    if (activeTab !== 'standard' && activeTab !== 'standard-plus') return undefined;
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        goToVersion(activeTab, undo(histories[activeTab]));
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        goToVersion(activeTab, redo(histories[activeTab]));
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [activeTab, histories, goToVersion]);
+
+  const renderVersionHistory = (mode) => showVersionHistory && histories[mode] && (
+    <SegmentHistory
+      history={histories[mode]}
+      onUndo={() => goToVersion(mode, undo(histories[mode]))}
+      onRedo={() => goToVersion(mode, redo(histories[mode]))}
+      onRestore={(index) => goToVersion(mode, moveTo(histories[mode], index))}
+    />
+  );
+
   return (
     <ErrorBoundary>
       <div className="App">
@@ -160,6 +381,13 @@ function App() {
         </header>
 
         <main className="App-main">
+          <ProjectPicker
+            project={project}
+            onSelect={selectProject}
+            onChange={refreshProject}
+            onOpenSegmentSet={(set) => handleReopenRun(set.mode, set)}
+          />
+
           <div className="tab-navigation">
             <button
               className={`tab-button ${activeTab === 'standard' ? 'active' : ''}`}
@@ -173,21 +401,50 @@ function App() {
             >
               Continuation Mode
             </button>
+            <button
+              className={`tab-button ${activeTab === 'new-continuation' ? 'active' : ''}`}
+              onClick={() => setActiveTab('new-continuation')}
+            >
+              New Cont. Mode
+            </button>
             <button
               className={`tab-button ${activeTab === 'standard-plus' ? 'active' : ''}`}
               onClick={() => setActiveTab('standard-plus')}
             >
               Standard Plus
             </button>
+            <button
+              className={`tab-button ${activeTab === 'matrix' ? 'active' : ''}`}
+              onClick={() => setActiveTab('matrix')}
+            >
+              Matrix
+            </button>
+            <button
+              className={`tab-button ${activeTab === 'history' ? 'active' : ''}`}
+              onClick={() => setActiveTab('history')}
+            >
+              History
+            </button>
           </div>
 
           {activeTab === 'standard' && (
             <>
-              <ScriptForm onSubmit={handleSubmit} loading={standardLoading} />
+              <ScriptForm
+                onSubmit={handleSubmit}
+                loading={standardLoading}
+                project={project}
+                onProjectChange={refreshProject}
+              />
               {standardError && <div className="error-message">Error: {standardError}</div>}
               {standardResults && (
+                <ResultsDisplay
+                  results={standardResults}
+                  onSegmentsChange={(updated, label) => handleSegmentUpdate(updated, 'standard', label)}
+                  onVoiceProfileChange={(profile) => handleVoiceProfileChange(profile, 'standard')}
+                />
+              )}
+              {standardResults && !standardResults.streaming && (
                 <>
-                  <ResultsDisplay results={standardResults} />
                   <div className="action-buttons">
                     <button
                       className="toggle-manager-btn"
@@ -201,21 +458,46 @@ function App() {
                     >
                       {showBulkOperations ? '🔍 Hide' : '🔍 Find'} & Replace
                     </button>
+                    {project && (
+                      <button
+                        className="toggle-manager-btn"
+                        onClick={() => handleSaveSegmentSet('standard', standardResults)}
+                      >
+                        💾 Save to Project
+                      </button>
+                    )}
+                    <button
+                      className="toggle-bulk-btn"
+                      onClick={() => setShowVersionHistory(!showVersionHistory)}
+                      disabled={!histories['standard']}
+                      title={histories['standard'] ? '' : 'No edits yet'}
+                    >
+                      🕘 {showVersionHistory ? 'Hide' : 'Show'} Versions
+                      {histories['standard'] ? ` (${histories['standard'].versions.length})` : ''}
+                    </button>
                   </div>
+                  {renderVersionHistory('standard')}
                   {showSegmentManager && (
                     <SegmentManager
                       segments={standardResults.segments}
-                      onUpdate={(updated) => handleSegmentUpdate(updated, 'standard')}
+                      settings={standardResults.settings}
+                      baseDescriptions={standardResults.baseDescriptions}
+                      voiceProfile={standardResults.voiceProfile}
+                      onUpdate={(updated, label) => handleSegmentUpdate(updated, 'standard', label)}
                     />
                   )}
                   {showBulkOperations && (
                     <BulkOperations
                       segments={standardResults.segments}
-                      onUpdate={(updated) => handleSegmentUpdate(updated, 'standard')}
+                      onUpdate={(updated, label) => handleSegmentUpdate(updated, 'standard', label)}
                     />
                   )}
                   <DownloadButton segments={standardResults.segments} metadata={standardResults.metadata} />
-                  <VideoGenerator segments={standardResults.segments} />
+                  <VideoGenerator
+                    segments={standardResults.segments}
+                    segmentSeconds={standardResults.settings?.segmentSeconds}
+                    onSubmitted={handleVideosSubmitted}
+                  />
                 </>
               )}
             </>
@@ -227,13 +509,30 @@ function App() {
             </>
           )}
 
+          {activeTab === 'new-continuation' && (
+            <>
+              <NewContinuationMode />
+            </>
+          )}
+
           {activeTab === 'standard-plus' && (
             <>
-              <ScriptFormPlus onSubmit={handleSubmit} loading={plusLoading} />
+              <ScriptFormPlus
+                onSubmit={handleSubmit}
+                loading={plusLoading}
+                project={project}
+                onProjectChange={refreshProject}
+              />
               {plusError && <div className="error-message">Error: {plusError}</div>}
               {plusResults && (
+                <ResultsDisplayPlus
+                  results={plusResults}
+                  onSegmentsChange={(updated, label) => handleSegmentUpdate(updated, 'standard-plus', label)}
+                  onVoiceProfileChange={(profile) => handleVoiceProfileChange(profile, 'standard-plus')}
+                />
+              )}
+              {plusResults && !plusResults.streaming && (
                 <>
-                  <ResultsDisplayPlus results={plusResults} />
                   <div className="action-buttons">
                     <button
                       className="toggle-manager-btn"
@@ -247,25 +546,56 @@ function App() {
                     >
                       {showBulkOperations ? '🔍 Hide' : '🔍 Find'} & Replace
                     </button>
+                    {project && (
+                      <button
+                        className="toggle-manager-btn"
+                        onClick={() => handleSaveSegmentSet('standard-plus', plusResults)}
+                      >
+                        💾 Save to Project
+                      </button>
+                    )}
+                    <button
+                      className="toggle-bulk-btn"
+                      onClick={() => setShowVersionHistory(!showVersionHistory)}
+                      disabled={!histories['standard-plus']}
+                      title={histories['standard-plus'] ? '' : 'No edits yet'}
+                    >
+                      🕘 {showVersionHistory ? 'Hide' : 'Show'} Versions
+                      {histories['standard-plus'] ? ` (${histories['standard-plus'].versions.length})` : ''}
+                    </button>
                   </div>
+                  {renderVersionHistory('standard-plus')}
                   {showSegmentManager && (
                     <SegmentManager
                       segments={plusResults.segments}
-                      onUpdate={(updated) => handleSegmentUpdate(updated, 'standard-plus')}
+                      settings={plusResults.settings}
+                      baseDescriptions={plusResults.baseDescriptions}
+                      voiceProfile={plusResults.voiceProfile}
+                      onUpdate={(updated, label) => handleSegmentUpdate(updated, 'standard-plus', label)}
                     />
                   )}
                   {showBulkOperations && (
                     <BulkOperations
                       segments={plusResults.segments}
-                      onUpdate={(updated) => handleSegmentUpdate(updated, 'standard-plus')}
+                      onUpdate={(updated, label) => handleSegmentUpdate(updated, 'standard-plus', label)}
                     />
                   )}
                   <DownloadButtonPlus segments={plusResults.segments} metadata={plusResults.metadata} />
-                  <VideoGeneratorPlus segments={plusResults.segments} />
+                  <VideoGeneratorPlus
+                    segments={plusResults.segments}
+                    segmentSeconds={plusResults.settings?.segmentSeconds}
+                    onSubmitted={handleVideosSubmitted}
+                  />
                 </>
               )}
             </>
           )}
+          {activeTab === 'matrix' && (
+            <MatrixMode onReopen={handleReopenRun} />
+          )}
+          {activeTab === 'history' && (
+            <RunHistory onReopen={handleReopenRun} />
+          )}
         </main>
       </div>
     </ErrorBoundary>
@@ -0,0 +1,40 @@
+// Ad-agency framework values, as offered by the script forms
+export const AWARENESS_LEVELS = [
+  { value: 'unaware', label: 'Unaware' },
+  { value: 'problem-aware', label: 'Problem Aware' },
+  { value: 'solution-aware', label: 'Solution Aware' },
+  { value: 'product-aware', label: 'Product Aware' },
+  { value: 'most-aware', label: 'Most Aware' },
+];
+
+export const HEADLINE_PATTERNS = [
+  { value: 'authority-expert', label: 'Authority/Expert' },
+  { value: 'unlikely-hero', label: 'Unlikely Hero' },
+  { value: 'open-loop', label: 'Open Loop' },
+  { value: 'personal-transformation', label: 'Personal Transformation' },
+  { value: 'direct-claim', label: 'Direct Claim' },
+];
+
+export const CREATIVE_TYPES = [
+  { value: 'traditional-ugc', label: 'Traditional UGC Video' },
+  { value: 'vsl-opener', label: 'VSL Opener' },
+  { value: 'rant-style', label: 'Rant Style Video' },
+  { value: 'non-narrated', label: 'Non-narrated Video' },
+  { value: 'ai-narrated', label: 'AI-narrated Video' },
+  { value: 'arcards', label: 'Arcards Video' },
+  { value: 'mashup', label: 'Mashup Video' },
+  { value: 'mini-vsl', label: 'Mini VSL (1-3min)' },
+  { value: 'long-vsl', label: 'Long VSLs (3+ mins)' },
+  { value: 'interview', label: 'Interview' },
+  { value: 'testimonial-pair', label: 'Testimonial Pair' },
+  { value: 'organic', label: 'Organic' },
+  { value: 'human-voiceover', label: 'Human Voiceover' },
+  { value: 'professional-studio', label: 'Professional Studio' },
+  { value: 'static-image', label: 'Static Image' },
+  { value: 'carousel', label: 'Carousel' },
+  { value: 'motion-graphics', label: 'Motion Graphics' },
+  { value: 'giphy', label: 'Giphy' },
+  { value: 'advertorial', label: 'Advertorial' },
+  { value: 'listicle', label: 'Listicle' },
+  { value: 'pdp', label: 'PDP' },
+];
@@ -26,6 +26,130 @@ export async function generateSegments(data) {
   return result;
 }
 
+// Streams /api/generate/stream and calls onEvent(type, data) for every
+// Server-Sent Event. Resolves with the `complete` payload.
+export async function generateSegmentsStream(data, onEvent = () => {}) {
+  console.log('[API Client] Calling /api/generate/stream with:', data);
+  const payload = { ...data };
+  if (payload.product !== undefined && String(payload.product).trim() === '') {
+    delete payload.product;
+  }
+
+  const response = await fetch('/api/generate/stream', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+    },
+    body: JSON.stringify(payload),
+  });
+
+  console.log('[API Client] Stream response status:', response.status);
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    console.error('[API Client] Error response:', error);
+    throw new Error(error.message || error.error || 'Failed to generate segments');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+  let failure = null;
+
+  const dispatch = (block) => {
+    let type = 'message';
+    const dataLines = [];
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) type = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+    });
+    if (dataLines.length === 0) return; // heartbeat comment
+    const eventData = JSON.parse(dataLines.join('\n'));
+    if (type === 'complete') result = eventData;
+    if (type === 'error') failure = eventData;
+    onEvent(type, eventData);
+  };
+
+  for (;;) {
+    let chunk;
+    try {
+      chunk = await reader.read();
+    } catch (err) {
+      console.warn('[API Client] Stream interrupted:', err);
+      break;
+    }
+    const { value, done } = chunk;
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+
+  if (failure) {
+    throw new Error(failure.message || failure.error || 'Failed to generate segments');
+  }
+  if (!result) {
+    // The job keeps running server-side; callers can fall back to waitForJob
+    const error = new Error('Generation stream ended before completion');
+    error.streamDropped = true;
+    throw error;
+  }
+  console.log('[API Client] Stream complete:', result);
+  return result;
+}
+
+// Regenerates segments[index] in place, keeping the rest of the script as
+// context. Resolves with the replacement segment only.
+export async function regenerateSegment({ segments, index, settings, baseDescriptions, voiceProfile, guidance }) {
+  console.log('[API Client] Regenerating segment', index + 1);
+
+  const response = await fetch('/api/segments/regenerate', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ segments, index, settings, baseDescriptions, voiceProfile, guidance }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    console.error('[API Client] Regenerate error:', error);
+    throw new Error(error.message || error.error || 'Failed to regenerate segment');
+  }
+
+  const result = await response.json();
+  return result.segment;
+}
+
+// Alternative opening segments in a headline pattern, each regenerated to
+// hand off to the existing segment 2. Resolves with
+// [{ angle, segment, validation, drift, handoff }].
+export async function generateHookVariants({ segments, settings, baseDescriptions, voiceProfile, headlinePattern, count }) {
+  console.log('[API Client] Generating hook variants', { headlinePattern, count });
+
+  const response = await fetch('/api/segments/hooks', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ segments, settings, baseDescriptions, voiceProfile, headlinePattern, count }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    console.error('[API Client] Hook variants error:', error);
+    throw new Error(error.message || error.error || 'Failed to generate hook variants');
+  }
+
+  const result = await response.json();
+  return result.variants;
+}
+
 export async function downloadSegments(segments) {
   console.log('[API Client] Downloading segments:', segments.length);
   
@@ -53,7 +177,8 @@ export async function downloadSegments(segments) {
   window.URL.revokeObjectURL(url);
 }
 
-export async function generateVideos(segments) {
+// segmentSeconds is the run's segment length; the server defaults to 8
+export async function generateVideos(segments, provider = 'veo', { segmentSeconds } = {}) {
   console.log('[API Client] Generating videos for segments:', segments.length);
   
   const response = await fetch('/api/generate-videos', {
@@ -61,7 +186,7 @@ export async function generateVideos(segments) {
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify({ segments }),
+    body: JSON.stringify({ segments, provider, segmentSeconds }),
   });
   
   console.log('[API Client] Video generation response status:', response.status);
@@ -77,6 +202,18 @@ export async function generateVideos(segments) {
   return result;
 }
 
+// Status of one video task: { status, progress, videoUrl, error, ... }
+export async function getVideoStatus(taskId, provider) {
+  const query = provider === 'kieai' ? '?provider=kieai' : '';
+  const response = await fetch(`/api/videos/${encodeURIComponent(taskId)}${query}`);
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || error.error || 'Failed to check video status');
+  }
+  const result = await response.json();
+  return result.task;
+}
+
 export async function generateContinuation(data) {
   console.log('[API Client] Calling /api/generate-continuation with:', data);
   const payload = { ...data };
@@ -105,3 +242,121 @@ export async function generateContinuation(data) {
   return result;
 }
 
+
+export async function getJob(jobId) {
+  const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`);
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    const err = new Error(error.message || error.error || 'Failed to load job');
+    err.status = response.status;
+    throw err;
+  }
+  const result = await response.json();
+  return result.job;
+}
+
+// Polls a background generation job until it completes or fails.
+// onUpdate receives every job snapshot (status, progress, segments so far).
+export async function waitForJob(jobId, onUpdate = () => {}, intervalMs = 3000) {
+  for (;;) {
+    const job = await getJob(jobId);
+    onUpdate(job);
+    if (job.status === 'completed') return { success: true, jobId, ...job.result };
+    if (job.status === 'failed') throw new Error(job.error?.message || 'Generation failed');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+// Recorded generation runs, newest first. Optional { mode, limit } filter.
+export async function listRuns({ mode, limit } = {}) {
+  const query = new URLSearchParams();
+  if (mode) query.set('mode', mode);
+  if (limit) query.set('limit', String(limit));
+  const response = await fetch(`/api/runs${query.toString() ? `?${query}` : ''}`);
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || error.error || 'Failed to load run history');
+  }
+  const result = await response.json();
+  return result.runs;
+}
+
+// One run with its recorded inputs and outputs
+export async function getRun(runId) {
+  const response = await fetch(`/api/runs/${encodeURIComponent(runId)}`);
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || error.error || 'Failed to load run');
+  }
+  const result = await response.json();
+  return result.run;
+}
+
+export async function listTemplates() {
+  const response = await fetch('/api/runs/templates');
+  if (!response.ok) return [];
+  const result = await response.json();
+  return result.templates || [];
+}
+
+// Replays a run in the background with { templateFile, segmentModel,
+// temperature } overrides. Resolves with the job id to wait on.
+export async function replayRun(runId, overrides) {
+  const response = await fetch(`/api/runs/${encodeURIComponent(runId)}/replay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...overrides, async: true }),
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || error.error || 'Failed to replay run');
+  }
+  const result = await response.json();
+  return result.jobId;
+}
+
+export async function compareRuns(runId, otherId) {
+  const response = await fetch(`/api/runs/${encodeURIComponent(runId)}/compare/${encodeURIComponent(otherId)}`);
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || error.error || 'Failed to compare runs');
+  }
+  const result = await response.json();
+  return result.comparison;
+}
+
+export async function listComplianceVerticals() {
+  const response = await fetch('/api/compliance/verticals');
+  if (!response.ok) return [];
+  const result = await response.json();
+  return result.verticals || [];
+}
+
+// Re-runs the compliance linter, e.g. after segments were edited
+export async function lintCompliance({ script, segments, vertical }) {
+  const response = await fetch('/api/compliance/lint', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ script, segments, vertical }),
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || error.error || 'Failed to check compliance');
+  }
+  const result = await response.json();
+  return result.compliance;
+}
+
+// The segments the server will split this script into at the given pacing
+export async function previewScriptSplit({ script, wordsPerMinute, segmentSeconds, minWords, maxWords }) {
+  const response = await fetch('/api/split/preview', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ script, wordsPerMinute, segmentSeconds, minWords, maxWords }),
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || error.error || 'Failed to preview script split');
+  }
+  return response.json();
+}
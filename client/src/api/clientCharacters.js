@@ -0,0 +1,45 @@
+// Saved character library (/api/characters). A character's base descriptions
+// and voice profile are reused verbatim by any generation given its id.
+
+async function request(url, { method = 'GET', body } = {}, fallback = 'Character request failed') {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    console.error('[API Client Characters] Error response:', error);
+    const err = new Error(error.message || error.error || fallback);
+    err.status = response.status;
+    throw err;
+  }
+  return response.json();
+}
+
+const characterUrl = (id) => `/api/characters${id ? `/${encodeURIComponent(id)}` : ''}`;
+
+export async function listCharacters() {
+  const result = await request(characterUrl(), {}, 'Failed to load characters');
+  return result.characters;
+}
+
+export async function getCharacter(characterId) {
+  const result = await request(characterUrl(characterId), {}, 'Failed to load character');
+  return result.character;
+}
+
+// { name, baseDescriptions, voiceProfile?, referenceImage?, brand?, notes? }
+export async function createCharacter(character) {
+  const result = await request(characterUrl(), { method: 'POST', body: character }, 'Failed to save character');
+  return result.character;
+}
+
+export async function updateCharacter(characterId, changes) {
+  const result = await request(characterUrl(characterId), { method: 'PUT', body: changes }, 'Failed to update character');
+  return result.character;
+}
+
+export async function deleteCharacter(characterId) {
+  await request(characterUrl(characterId), { method: 'DELETE' }, 'Failed to delete character');
+}
@@ -0,0 +1,54 @@
+// Campaign matrices (/api/matrices): one generation job per combination of
+// persona / awareness / headlinePattern / creativeType.
+
+async function request(url, { method = 'GET', body } = {}, fallback = 'Matrix request failed') {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    console.error('[API Client Matrix] Error response:', error);
+    const err = new Error(error.message || error.error || fallback);
+    err.status = response.status;
+    throw err;
+  }
+  return response.json();
+}
+
+// [{ label, settings }] the axes expand to, without generating anything
+export async function previewMatrix(axes) {
+  const result = await request('/api/matrices/preview', { method: 'POST', body: { axes } }, 'Failed to preview matrix');
+  return result.variants;
+}
+
+export async function createMatrix({ mode, settings, axes, combinations, concurrency }) {
+  const result = await request(
+    '/api/matrices',
+    { method: 'POST', body: { mode, settings, axes, combinations, concurrency } },
+    'Failed to start matrix'
+  );
+  return result.matrix;
+}
+
+export async function listMatrices() {
+  const result = await request('/api/matrices', {}, 'Failed to load matrices');
+  return result.matrices;
+}
+
+export async function getMatrix(matrixId) {
+  const result = await request(`/api/matrices/${encodeURIComponent(matrixId)}`, {}, 'Failed to load matrix');
+  return result.matrix;
+}
+
+// Polls a matrix until every variant has finished. onUpdate receives every
+// snapshot so the grid can fill in as variants complete.
+export async function waitForMatrix(matrixId, onUpdate = () => {}, intervalMs = 3000) {
+  for (;;) {
+    const matrix = await getMatrix(matrixId);
+    onUpdate(matrix);
+    if (matrix.status !== 'running') return matrix;
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
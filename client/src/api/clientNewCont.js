@@ -1,3 +1,5 @@
+import { waitForJob } from './client';
+
 export async function generateNewCont(data) {
   console.log('[API Client NewCont] Calling /api/generate-new-cont with:', data);
   const payload = { ...data };
@@ -7,12 +9,13 @@ export async function generateNewCont(data) {
   const response = await fetch('/api/generate-new-cont', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload),
+    // run as a background job so long scripts outlive the request timeout
+    body: JSON.stringify({ ...payload, async: true }),
   });
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
-    throw new Error(error.message || 'Failed to generate new continuation segments');
+    throw new Error(error.message || error.error || 'Failed to generate new continuation segments');
   }
-  const result = await response.json();
-  return result;
-} 
\ No newline at end of file
+  const { jobId } = await response.json();
+  return waitForJob(jobId);
+} 
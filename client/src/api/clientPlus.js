@@ -1,6 +1,10 @@
-export async function generateSegmentsPlus(data) {
+import { waitForJob } from './client';
+
+// Runs as a background job: onJob(jobId) fires as soon as the job is queued,
+// onProgress(job) on every poll.
+export async function generateSegmentsPlus(data, { onJob = () => {}, onProgress = () => {} } = {}) {
   console.log('[API Client Plus] Calling /api/generate-plus with:', data);
-  const payload = { ...data };
+  const payload = { ...data, async: true };
   if (payload.product !== undefined && String(payload.product).trim() === '') {
     delete payload.product;
   }
@@ -15,7 +19,9 @@ export async function generateSegmentsPlus(data) {
     console.error('[API Client Plus] Error response:', error);
     throw new Error(error.message || 'Failed to generate segments (plus)');
   }
-  const result = await response.json();
+  const { jobId } = await response.json();
+  onJob(jobId);
+  const result = await waitForJob(jobId, onProgress);
   console.log('[API Client Plus] Success response:', result);
   return result;
 }
@@ -41,12 +47,12 @@ export async function downloadSegmentsPlus(segments) {
   window.URL.revokeObjectURL(url);
 }
 
-export async function generateVideosPlus(segments) {
+export async function generateVideosPlus(segments, provider = 'veo', { segmentSeconds } = {}) {
   console.log('[API Client Plus] Generating videos for segments:', segments.length);
   const response = await fetch('/api/generate-videos-plus', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ segments }),
+    body: JSON.stringify({ segments, provider, segmentSeconds }),
   });
   console.log('[API Client Plus] Video generation response status:', response.status);
   if (!response.ok) {
@@ -0,0 +1,59 @@
+// Shared project workspace (/api/projects). Collections: scripts, presets,
+// segment-sets, videos.
+
+async function request(url, { method = 'GET', body } = {}, fallback = 'Project request failed') {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    console.error('[API Client Projects] Error response:', error);
+    const err = new Error(error.message || error.error || fallback);
+    err.status = response.status;
+    throw err;
+  }
+  return response.json();
+}
+
+const projectUrl = (...parts) =>
+  ['/api/projects', ...parts.filter(Boolean).map(encodeURIComponent)].join('/');
+
+export async function listProjects() {
+  const result = await request('/api/projects', {}, 'Failed to load projects');
+  return result.projects;
+}
+
+export async function getProject(projectId) {
+  const result = await request(projectUrl(projectId), {}, 'Failed to load project');
+  return result.project;
+}
+
+export async function createProject({ name, client, product }) {
+  const result = await request('/api/projects', { method: 'POST', body: { name, client, product } }, 'Failed to create project');
+  return result.project;
+}
+
+export async function updateProject(projectId, changes) {
+  const result = await request(projectUrl(projectId), { method: 'PUT', body: changes }, 'Failed to update project');
+  return result.project;
+}
+
+export async function deleteProject(projectId) {
+  await request(projectUrl(projectId), { method: 'DELETE' }, 'Failed to delete project');
+}
+
+export async function addProjectItem(projectId, collection, item) {
+  const result = await request(projectUrl(projectId, collection), { method: 'POST', body: item }, 'Failed to save to project');
+  return result.item;
+}
+
+export async function updateProjectItem(projectId, collection, itemId, changes) {
+  const result = await request(projectUrl(projectId, collection, itemId), { method: 'PUT', body: changes }, 'Failed to update project item');
+  return result.item;
+}
+
+export async function deleteProjectItem(projectId, collection, itemId) {
+  await request(projectUrl(projectId, collection, itemId), { method: 'DELETE' }, 'Failed to delete project item');
+}
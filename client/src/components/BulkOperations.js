@@ -127,7 +127,7 @@ function BulkOperations({ segments, onUpdate }) {
       });
     });
     
-    onUpdate(updatedSegments);
+    onUpdate(updatedSegments, `Replace "${findText}" with "${replaceText}"`);
     setResults(null);
     setFindText('');
     setReplaceText('');
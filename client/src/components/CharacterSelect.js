@@ -0,0 +1,56 @@
+import React, { useState, useEffect } from 'react';
+import { listCharacters, deleteCharacter } from '../api/clientCharacters';
+
+// Picks a saved character from the library. The select is named
+// "characterId", so a form's handleChange picks it up; empty means a new
+// character is described from the fields below.
+function CharacterSelect({ value = '', onChange }) {
+  const [characters, setCharacters] = useState([]);
+  const [error, setError] = useState(null);
+
+  const load = () => listCharacters().then(setCharacters).catch(err => setError(err.message));
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const selected = characters.find(c => c.id === value);
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete saved character "${selected.name}"?`)) return;
+    try {
+      await deleteCharacter(selected.id);
+      onChange({ target: { name: 'characterId', value: '' } });
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="form-group character-select">
+      <label htmlFor="characterId">Saved Character</label>
+      <select id="characterId" name="characterId" value={value} onChange={onChange}>
+        <option value="">New character for this run</option>
+        {characters.map(c => (
+          <option key={c.id} value={c.id}>
+            {c.name}{c.brand ? ` (${c.brand})` : ''}{c.avatarMode === 'animal' ? ' - animal' : ''}
+          </option>
+        ))}
+      </select>
+      {selected ? (
+        <p className="form-help-text">
+          Reuses this character's descriptions and voice word for word; age, gender and the details below are ignored.
+          {selected.referenceImage && <> Reference: <code>{selected.referenceImage}</code></>}
+          {' '}
+          <button type="button" className="link-button" onClick={handleDelete}>Delete</button>
+        </p>
+      ) : (
+        <p className="form-help-text">Save a character from any result to reuse the same face across ads.</p>
+      )}
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+}
+
+export default CharacterSelect;
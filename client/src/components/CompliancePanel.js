@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { lintCompliance } from '../api/client';
+
+const CATEGORY_LABELS = {
+  absolute_claim: 'Absolute claim',
+  health_claim: 'Health claim',
+  financial_claim: 'Financial claim',
+  urgency: 'Urgency / pressure',
+  banned_term: 'Banned term',
+};
+
+function FindingList({ findings }) {
+  return (
+    <ul className="compliance-findings">
+      {findings.map((f, i) => (
+        <li key={`${f.ruleId}-${f.index}-${i}`} className={`compliance-${f.severity}`}>
+          <span className="compliance-severity">{f.severity}</span>
+          <code>{f.match}</code> {CATEGORY_LABELS[f.category] || f.category}: {f.message}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Ad-policy findings from the generation response (`results.compliance`).
+// Edited segments aren't re-checked automatically; "Re-check" lints the
+// current dialogue again.
+function CompliancePanel({ compliance, script, segments }) {
+  const [report, setReport] = useState(compliance);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setReport(compliance);
+  }, [compliance]);
+
+  if (!report) return null;
+
+  const handleRecheck = async () => {
+    setChecking(true);
+    setError(null);
+    try {
+      setReport(await lintCompliance({ script, segments: segments.filter(Boolean), vertical: report.vertical }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const { summary } = report;
+  const flaggedSegments = report.segments.filter(s => s.findings.length > 0);
+
+  return (
+    <details className="compliance-panel" open={summary.high > 0}>
+      <summary className={`compliance-summary ${summary.total === 0 ? 'compliance-clean' : ''}`}>
+        {summary.total === 0
+          ? '✅ Compliance: nothing flagged'
+          : `⚠️ Compliance: ${summary.total} finding(s) — ${summary.high} high, ${summary.medium} medium, ${summary.low} low`}
+      </summary>
+
+      <div className="compliance-body">
+        <div className="compliance-toolbar">
+          <span>Vertical: <strong>{report.vertical}</strong></span>
+          <button className="edit-json-btn" onClick={handleRecheck} disabled={checking}>
+            {checking ? '⏳ Checking...' : '🔁 Re-check'}
+          </button>
+        </div>
+        {error && <div className="error-message">Error: {error}</div>}
+
+        {report.script.length > 0 && (
+          <div className="compliance-group">
+            <h4>Script</h4>
+            <FindingList findings={report.script} />
+          </div>
+        )}
+        {flaggedSegments.map(s => (
+          <div key={s.segmentNumber} className="compliance-group">
+            <h4>Segment {s.segmentNumber} dialogue</h4>
+            <FindingList findings={s.findings} />
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+}
+
+export default CompliancePanel;
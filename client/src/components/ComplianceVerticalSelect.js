@@ -0,0 +1,27 @@
+import React, { useState, useEffect } from 'react';
+import { listComplianceVerticals } from '../api/client';
+
+// Which banned-term list the compliance linter applies. Renders a form-group
+// whose select is named "vertical", so a form's handleChange picks it up.
+function ComplianceVerticalSelect({ value, onChange }) {
+  const [verticals, setVerticals] = useState([]);
+
+  useEffect(() => {
+    listComplianceVerticals().then(setVerticals).catch(() => {});
+  }, []);
+
+  return (
+    <div className="form-group">
+      <label htmlFor="vertical">Ad Vertical (compliance check)</label>
+      <select id="vertical" name="vertical" value={value} onChange={onChange}>
+        {verticals.length === 0 && <option value="general">General</option>}
+        {verticals.map(v => <option key={v.id} value={v.id}>{v.label}</option>)}
+      </select>
+      <p className="form-help-text">
+        Scripts and dialogue are checked for claims ad platforms reject, plus this vertical's banned terms.
+      </p>
+    </div>
+  );
+}
+
+export default ComplianceVerticalSelect;
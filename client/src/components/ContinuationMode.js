@@ -2,11 +2,21 @@ import React, { useState } from 'react';
 import { VOICE_TYPES } from '../voiceTypes';
 import ResultsDisplayContinuation from './ResultsDisplayContinuation';
 import DownloadButton from './DownloadButton';
+import VoiceProfileEditor from './VoiceProfileEditor';
+import { waitForJob } from '../api/client';
 
 function ContinuationMode() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [results, setResults] = useState(null);
+  // Detailed voice profile returned by the last batch; submitted with the
+  // next one (as edited) so the voice stays the same across batches
+  const [voiceProfile, setVoiceProfile] = useState(null);
+  const [keepVoice, setKeepVoice] = useState(true);
+  // Where the existing clip ended: its last frame (a data URL) and/or its
+  // last segment's JSON, pasted or taken from the previous batch
+  const [lastFrame, setLastFrame] = useState(null);
+  const [previousSegmentJson, setPreviousSegmentJson] = useState('');
   
   // Form data - includes all options from standard mode
   const [formData, setFormData] = useState({
@@ -81,8 +91,36 @@ function ContinuationMode() {
     });
   };
 
+  const handleLastFrameChange = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      setLastFrame(null);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => setLastFrame({ name: file.name, dataUrl: reader.result });
+    reader.onerror = () => setError(`Could not read ${file.name}`);
+    reader.readAsDataURL(file);
+  };
+
+  const useLastBatchEnd = () => {
+    const segments = results?.segments || [];
+    setPreviousSegmentJson(JSON.stringify(segments[segments.length - 1], null, 2));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    let previousSegment = null;
+    if (previousSegmentJson.trim()) {
+      try {
+        previousSegment = JSON.parse(previousSegmentJson);
+      } catch (err) {
+        setError(`Previous segment is not valid JSON: ${err.message}`);
+        return;
+      }
+    }
+
     setLoading(true);
     setError(null);
     setResults(null);
@@ -92,7 +130,7 @@ function ContinuationMode() {
       const requestData = {
         script: formData.script,
         product: formData.product,
-        voiceProfile: {
+        voiceProfile: keepVoice && voiceProfile ? voiceProfile : {
           voiceType: formData.voiceType,
           energyLevel: formData.energyLevel,
           accentRegion: formData.accentRegion
@@ -119,7 +157,10 @@ function ContinuationMode() {
         promise: formData.promise,
         patternBreaker: formData.patternBreaker,
         headlinePattern: formData.headlinePattern,
-        headline: formData.headline
+        headline: formData.headline,
+        // Where the existing clip ended
+        previousSegment,
+        lastFrame: lastFrame?.dataUrl || null
       };
 
       const response = await fetch('/api/generate-continuation', {
@@ -127,14 +168,17 @@ function ContinuationMode() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(requestData),
+        // run as a background job so long scripts outlive the request timeout
+        body: JSON.stringify({ ...requestData, async: true }),
       });
 
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.message || body.error || `HTTP error! status: ${response.status}`);
       }
 
-      const data = await response.json();
+      const { jobId } = await response.json();
+      const data = await waitForJob(jobId);
       console.log('Continuation API response:', data);
       
       // Handle multiple segments response (like standard mode)
@@ -142,8 +186,11 @@ function ContinuationMode() {
         setResults({
           segments: data.segments,
           metadata: data.metadata || {},
+          compliance: data.compliance,
+          voiceProfile: data.voiceProfile,
           settings: formData
         });
+        if (data.voiceProfile) setVoiceProfile(data.voiceProfile);
       } else {
         throw new Error('Invalid response format from continuation API');
       }
@@ -183,6 +230,42 @@ function ContinuationMode() {
           </div>
         </div>
 
+        {/* Continue From Section */}
+        <div className="form-section">
+          <h3>Continue From an Existing Clip (Optional)</h3>
+          <p className="form-help-text">
+            Segment 1 starts exactly where the clip ended. Upload its last frame, paste its last segment's JSON,
+            or both.
+          </p>
+          <div className="form-group">
+            <label htmlFor="lastFrame">Last Frame (PNG, JPEG or WebP, max 5 MB)</label>
+            <input
+              type="file"
+              id="lastFrame"
+              accept="image/png,image/jpeg,image/webp"
+              onChange={handleLastFrameChange}
+            />
+            {lastFrame && (
+              <img className="last-frame-preview" src={lastFrame.dataUrl} alt={`Last frame: ${lastFrame.name}`} />
+            )}
+          </div>
+          <div className="form-group">
+            <label htmlFor="previousSegment">Previous Segment JSON</label>
+            <textarea
+              id="previousSegment"
+              value={previousSegmentJson}
+              onChange={(e) => setPreviousSegmentJson(e.target.value)}
+              placeholder='{ "segment_info": { "continuity_markers": { "end_position": "..." } }, ... }'
+              rows={4}
+            />
+            {results?.segments?.length > 0 && (
+              <button type="button" className="preview-button" onClick={useLastBatchEnd}>
+                Use the last segment of the previous batch
+              </button>
+            )}
+          </div>
+        </div>
+
         {/* 2. Character Details Section */}
         <div className="form-section">
           <h3>Character Details</h3>
@@ -250,6 +333,27 @@ function ContinuationMode() {
             </div>
           </div>
 
+          {voiceProfile && (
+            <div className="form-subsection">
+              <h4>Voice From Last Batch</h4>
+              <div className="form-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={keepVoice}
+                    onChange={(e) => setKeepVoice(e.target.checked)}
+                  />
+                  Keep this voice for the next batch
+                </label>
+                <p className="form-help-text">
+                  Sent with the next request word for word, so new segments sound like the last ones. Voice type,
+                  energy and accent are then ignored.
+                </p>
+              </div>
+              <VoiceProfileEditor voiceProfile={voiceProfile} onChange={setVoiceProfile} />
+            </div>
+          )}
+
           {/* Advanced Character Details */}
           <div className="form-subsection">
             <h4>Advanced Details (Optional)</h4>
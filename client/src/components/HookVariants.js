@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { HEADLINE_PATTERNS } from '../adFrameworkOptions';
+import { generateHookVariants } from '../api/client';
+
+// Alternative openings for segment 1 in a chosen headline pattern. Each one
+// is checked against segment 2 and can be swapped in with onUse(segment, angle).
+function HookVariants({ segments, settings, baseDescriptions, voiceProfile, onUse, onClose }) {
+  const [headlinePattern, setHeadlinePattern] = useState(settings?.headlinePattern || 'open-loop');
+  const [count, setCount] = useState(3);
+  const [variants, setVariants] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleGenerate = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setVariants(await generateHookVariants({ segments, settings, baseDescriptions, voiceProfile, headlinePattern, count }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="hook-variants">
+      <div className="hook-variants-toolbar">
+        <h3>Hook Variants for Segment 1</h3>
+        <button className="edit-json-btn" onClick={onClose}>✕ Close</button>
+      </div>
+      <div className="hook-variants-controls">
+        <label>
+          Headline pattern
+          <select value={headlinePattern} onChange={(e) => setHeadlinePattern(e.target.value)}>
+            {HEADLINE_PATTERNS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+          </select>
+        </label>
+        <label>
+          Variants
+          <select value={count} onChange={(e) => setCount(Number(e.target.value))}>
+            {[1, 2, 3, 4, 5].map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </label>
+        <button className="toggle-manager-btn" onClick={handleGenerate} disabled={loading}>
+          {loading ? '⏳ Generating...' : '🎣 Generate Hooks'}
+        </button>
+      </div>
+
+      {error && <div className="error-message">Error: {error}</div>}
+
+      <p className="form-help-text">
+        Current opening: “{segments[0]?.action_timeline?.dialogue}”
+      </p>
+
+      {variants.map((variant, i) => (
+        <div key={i} className="hook-variant">
+          <div className="hook-variant-header">
+            <strong>{variant.angle || `Variant ${i + 1}`}</strong>
+            <span className={variant.handoff.compatible ? 'hook-handoff-ok' : 'hook-handoff-warn'}>
+              {variant.handoff.compatible ? '✅ Hands off to segment 2' : '⚠️ Check hand-off'}
+            </span>
+          </div>
+          <p className="script-text">{variant.segment.action_timeline?.dialogue}</p>
+          {variant.handoff.issues.length > 0 && (
+            <ul className="hook-handoff-issues">
+              {variant.handoff.issues.map(issue => (
+                <li key={issue.field}><code>{issue.field}</code> {issue.message}</li>
+              ))}
+            </ul>
+          )}
+          {variant.validation && !variant.validation.valid && (
+            <p className="hook-handoff-warn">Schema: {variant.validation.errors.length} issue(s) left after retries</p>
+          )}
+          {variant.beatTiming && !variant.beatTiming.aligned && (
+            <p className="hook-handoff-warn">Beats: actions miss {variant.beatTiming.missing.length} of {variant.beatTiming.grid.length} beat(s)</p>
+          )}
+          <details className="json-details">
+            <summary className="json-summary">
+              <span className="json-summary-text">Hand-off and full JSON</span>
+            </summary>
+            <p><strong>Ends:</strong> {variant.handoff.endPosition || 'N/A'}</p>
+            <p><strong>Segment 2 starts:</strong> {variant.handoff.nextStartPosition || 'N/A'}</p>
+            <pre className="json-content">{JSON.stringify(variant.segment, null, 2)}</pre>
+          </details>
+          <button className="toggle-manager-btn" onClick={() => onUse(variant.segment, variant.angle)}>
+            Use this opening
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default HookVariants;
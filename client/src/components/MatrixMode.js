@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import ScriptForm from './ScriptForm';
+import ScriptFormPlus from './ScriptFormPlus';
+import { AWARENESS_LEVELS, HEADLINE_PATTERNS, CREATIVE_TYPES } from '../adFrameworkOptions';
+import { previewMatrix, createMatrix, listMatrices, getMatrix, waitForMatrix } from '../api/clientMatrix';
+import { getJob } from '../api/client';
+
+// Matrix being generated, so a reload can pick its grid back up
+const ACTIVE_MATRIX_KEY = 'ugcActiveMatrix';
+
+// Matrix mode -> the tab its variants reopen in
+const REOPEN_TABS = { standard: 'standard', plus: 'standard-plus' };
+
+const OPTION_AXES = [
+  { field: 'awareness', label: 'Awareness Levels', options: AWARENESS_LEVELS },
+  { field: 'headlinePattern', label: 'Headline Patterns', options: HEADLINE_PATTERNS },
+  { field: 'creativeType', label: 'Creative Types', options: CREATIVE_TYPES },
+];
+
+const STATUS_LABELS = {
+  pending: '⏸ Pending',
+  queued: '⏳ Queued',
+  running: '⚙️ Generating',
+  completed: '✅ Completed',
+  failed: '❌ Failed',
+};
+
+const EMPTY_AXES = { persona: [], awareness: [], headlinePattern: [], creativeType: [] };
+
+// Campaign matrix: one script, a list of values for any framework field,
+// and one generation per combination, shown as a grid of variants
+function MatrixMode({ onReopen }) {
+  const [mode, setMode] = useState('standard');
+  const [personasText, setPersonasText] = useState('');
+  const [axes, setAxes] = useState(EMPTY_AXES);
+  const [variants, setVariants] = useState([]);
+  const [excluded, setExcluded] = useState(new Set());
+  const [concurrency, setConcurrency] = useState(2);
+  const [matrix, setMatrix] = useState(null);
+  const [recent, setRecent] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const axesWithPersonas = {
+    ...axes,
+    persona: personasText.split('\n').map(p => p.trim()).filter(Boolean),
+  };
+
+  useEffect(() => {
+    const planned = { ...axes, persona: personasText.split('\n').map(p => p.trim()).filter(Boolean) };
+    if (!Object.values(planned).some(values => values.length > 0)) {
+      setVariants([]);
+      return undefined;
+    }
+    // wait for a pause in typing, and drop answers to superseded previews
+    let current = true;
+    const timer = setTimeout(() => {
+      previewMatrix(planned)
+        .then((result) => {
+          if (!current) return;
+          setVariants(result);
+          setExcluded(new Set());
+          setError(null);
+        })
+        .catch(err => current && setError(err.message));
+    }, 400);
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [personasText, axes]);
+
+  const follow = useCallback(async (matrixId) => {
+    setRunning(true);
+    localStorage.setItem(ACTIVE_MATRIX_KEY, matrixId);
+    try {
+      await waitForMatrix(matrixId, setMatrix);
+      localStorage.removeItem(ACTIVE_MATRIX_KEY);
+    } catch (err) {
+      setError(err.message);
+      if (err.status === 404) localStorage.removeItem(ACTIVE_MATRIX_KEY);
+    } finally {
+      setRunning(false);
+      listMatrices().then(setRecent).catch(() => {});
+    }
+  }, []);
+
+  useEffect(() => {
+    listMatrices().then(setRecent).catch(() => {});
+    const active = localStorage.getItem(ACTIVE_MATRIX_KEY);
+    if (active) follow(active);
+  }, [follow]);
+
+  const toggleOption = (field, value) => {
+    const values = axes[field];
+    setAxes({
+      ...axes,
+      [field]: values.includes(value) ? values.filter(v => v !== value) : [...values, value],
+    });
+  };
+
+  const toggleVariant = (label) => {
+    const next = new Set(excluded);
+    if (next.has(label)) next.delete(label);
+    else next.add(label);
+    setExcluded(next);
+  };
+
+  const chosen = variants.filter(v => !excluded.has(v.label));
+
+  const handleStart = async (formData) => {
+    if (chosen.length === 0) {
+      setError('Pick at least one value and one variant to generate.');
+      return;
+    }
+    setError(null);
+    try {
+      const created = await createMatrix({
+        mode,
+        settings: formData,
+        axes: axesWithPersonas,
+        combinations: excluded.size ? chosen.map(v => v.settings) : undefined,
+        concurrency,
+      });
+      setMatrix(created);
+      follow(created.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleOpenPrevious = async (matrixId) => {
+    setError(null);
+    try {
+      const previous = await getMatrix(matrixId);
+      setMatrix(previous);
+      if (previous.status === 'running' && !running) follow(previous.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleOpenVariant = async (variant) => {
+    try {
+      const job = await getJob(variant.jobId);
+      onReopen(REOPEN_TABS[matrix.mode], {
+        ...job.result,
+        jobId: job.id,
+        settings: { ...matrix.params, ...variant.settings },
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const FormComponent = mode === 'plus' ? ScriptFormPlus : ScriptForm;
+  const completed = matrix ? matrix.variants.filter(v => v.status === 'completed').length : 0;
+
+  return (
+    <div className="matrix-mode">
+      <div className="form-container matrix-axes">
+        <h2>Campaign Matrix</h2>
+        <p className="form-help-text">
+          List several values for any framework field below. Each combination becomes its own
+          generation using the script and settings in the form underneath.
+        </p>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="matrix-mode">Generation Mode</label>
+            <select id="matrix-mode" value={mode} onChange={(e) => setMode(e.target.value)}>
+              <option value="standard">Standard</option>
+              <option value="plus">Standard Plus</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="matrix-concurrency">Variants at a time</label>
+            <select
+              id="matrix-concurrency"
+              value={concurrency}
+              onChange={(e) => setConcurrency(Number(e.target.value))}
+            >
+              {[1, 2, 3, 4].map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="matrix-personas">Personas (one per line)</label>
+          <textarea
+            id="matrix-personas"
+            rows="3"
+            value={personasText}
+            onChange={(e) => setPersonasText(e.target.value)}
+            placeholder={'e.g. Busy mom in her 30s\nRetired teacher who loves gardening'}
+          />
+        </div>
+
+        {OPTION_AXES.map(({ field, label, options }) => (
+          <div key={field} className="form-group">
+            <label>{label}</label>
+            <div className="matrix-options">
+              {options.map(option => (
+                <label key={option.value} className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={axes[field].includes(option.value)}
+                    onChange={() => toggleOption(field, option.value)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {variants.length > 0 && (
+          <div className="matrix-variant-picker">
+            <h4>{chosen.length} of {variants.length} variants selected</h4>
+            {variants.map(variant => (
+              <label key={variant.label} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={!excluded.has(variant.label)}
+                  onChange={() => toggleVariant(variant.label)}
+                />
+                {variant.label}
+              </label>
+            ))}
+          </div>
+        )}
+
+        {recent.length > 0 && (
+          <div className="saved-settings-list">
+            <label>Previous matrices:</label>
+            <select value="" onChange={(e) => e.target.value && handleOpenPrevious(e.target.value)}>
+              <option value="">Open a previous matrix...</option>
+              {recent.map(m => (
+                <option key={m.id} value={m.id}>
+                  {new Date(m.createdAt).toLocaleString()} · {m.completed}/{m.variants} · {m.scriptPreview.slice(0, 40)}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {error && <div className="error-message">Error: {error}</div>}
+
+      <FormComponent
+        onSubmit={handleStart}
+        loading={running}
+        submitLabel={`Generate ${chosen.length} Variant${chosen.length === 1 ? '' : 's'}`}
+      />
+
+      {matrix && (
+        <div className="results-container">
+          <h2>Variants</h2>
+          <div className="metadata">
+            <p><strong>Status:</strong> {matrix.status}</p>
+            <p><strong>Completed:</strong> {completed} of {matrix.variants.length}</p>
+            <p><strong>Mode:</strong> {matrix.mode === 'plus' ? 'Standard Plus' : 'Standard'}</p>
+          </div>
+          <div className="matrix-grid">
+            {matrix.variants.map(variant => (
+              <div key={variant.index} className={`matrix-cell matrix-${variant.status}`}>
+                <div className="matrix-cell-header">
+                  <strong>Variant {variant.index + 1}</strong>
+                  <span>{STATUS_LABELS[variant.status] || variant.status}</span>
+                </div>
+                <ul className="matrix-settings">
+                  {Object.entries(variant.settings).map(([field, value]) => (
+                    <li key={field}><span>{field}</span> {value}</li>
+                  ))}
+                </ul>
+                {variant.preview && <p className="matrix-preview">“{variant.preview}”</p>}
+                {variant.error && <p className="matrix-error">{variant.error.message}</p>}
+                {variant.status === 'completed' && (
+                  <button className="toggle-manager-btn" onClick={() => handleOpenVariant(variant)}>
+                    Open {variant.segmentCount} segments
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MatrixMode;
@@ -62,7 +62,9 @@ function NewContinuationMode() {
     <div className="continuation-mode-container">
       <div className="continuation-header">
         <h2>New Cont. Mode</h2>
-        <p className="section-description">Isolated continuation mode with animal avatar support.</p>
+        <p className="section-description">
+          Extracts one voice profile up front and keeps it across every segment. Supports talking-animal avatars.
+        </p>
       </div>
 
       {!results ? (
@@ -78,7 +80,7 @@ function NewContinuationMode() {
               </div>
               <div className="form-group">
                 <label>Preset</label>
-                <select name="animalPreset" value={formData.animalPreset} onChange={handleChange}>
+                <select name="animalPreset" value={formData.animalPreset} onChange={handleChange} disabled={!formData.useAnimalAvatar}>
                   <option value="tiger">Tiger (powerful, poised)</option>
                   <option value="monkey">Monkey (playful, agile)</option>
                   <option value="fish">Fish (calm, fluid)</option>
@@ -86,7 +88,7 @@ function NewContinuationMode() {
               </div>
               <div className="form-group">
                 <label>Voice Style</label>
-                <select name="animalVoiceStyle" value={formData.animalVoiceStyle} onChange={handleChange}>
+                <select name="animalVoiceStyle" value={formData.animalVoiceStyle} onChange={handleChange} disabled={!formData.useAnimalAvatar}>
                   <option value="narrator">Narrator (neutral, articulate)</option>
                   <option value="deep-resonant">Deep & Resonant</option>
                   <option value="playful">Playful & Light</option>
@@ -95,13 +97,39 @@ function NewContinuationMode() {
               </div>
               <div className="form-group">
                 <label>
-                  <input type="checkbox" name="anthropomorphic" checked={formData.anthropomorphic} onChange={handleChange} />
+                  <input type="checkbox" name="anthropomorphic" checked={formData.anthropomorphic} onChange={handleChange} disabled={!formData.useAnimalAvatar} />
                   Anthropomorphic (human-like gestures)
                 </label>
               </div>
             </div>
           </div>
 
+          {!formData.useAnimalAvatar && (
+            <div className="form-section">
+              <h3>Character</h3>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="newContAgeRange">Age Range</label>
+                  <select id="newContAgeRange" name="ageRange" value={formData.ageRange} onChange={handleChange}>
+                    <option value="18-24">18-24</option>
+                    <option value="25-34">25-34</option>
+                    <option value="35-44">35-44</option>
+                    <option value="45-54">45-54</option>
+                    <option value="55+">55+</option>
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="newContGender">Gender</label>
+                  <select id="newContGender" name="gender" value={formData.gender} onChange={handleChange}>
+                    <option value="female">Female</option>
+                    <option value="male">Male</option>
+                    <option value="non-binary">Non-binary</option>
+                  </select>
+                </div>
+              </div>
+            </div>
+          )}
+
           <div className="form-section">
             <h3>Product & Script</h3>
             <div className="form-group">
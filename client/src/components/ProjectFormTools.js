@@ -0,0 +1,78 @@
+import React from 'react';
+import { addProjectItem } from '../api/clientProjects';
+
+// Shared presets and scripts for the active project, shown inside a script
+// form's Settings Management block. `kind` keeps Standard and Standard Plus
+// presets apart; onLoad(formData) replaces the form's data.
+function ProjectFormTools({ project, kind, formData, onLoad, onProjectChange }) {
+  if (!project) return null;
+
+  const presets = project.presets.filter(p => p.kind === kind);
+
+  const save = async (collection, item) => {
+    try {
+      await addProjectItem(project.id, collection, item);
+      onProjectChange();
+    } catch (err) {
+      alert(`Failed to save to project: ${err.message}`);
+    }
+  };
+
+  const savePreset = () => {
+    const name = prompt(`Name for these settings in "${project.name}":`);
+    if (name && name.trim()) save('presets', { name: name.trim(), kind, data: formData });
+  };
+
+  const saveScript = () => {
+    if (!formData.script?.trim()) {
+      alert('Write a script first.');
+      return;
+    }
+    const title = prompt(`Title for this script in "${project.name}":`, formData.script.trim().split(/\s+/).slice(0, 6).join(' '));
+    if (title && title.trim()) save('scripts', { title: title.trim(), text: formData.script });
+  };
+
+  const loadPreset = (id) => {
+    const preset = presets.find(p => p.id === id);
+    if (preset) onLoad({ ...formData, ...preset.data });
+  };
+
+  const loadScript = (id) => {
+    const script = project.scripts.find(s => s.id === id);
+    if (script) onLoad({ ...formData, script: script.text });
+  };
+
+  return (
+    <div className="project-form-tools">
+      <h4>Project: {project.name}</h4>
+      <div className="settings-buttons">
+        <button type="button" className="settings-button save-button" onClick={savePreset}>
+          💾 Save Settings to Project
+        </button>
+        <button type="button" className="settings-button save-button" onClick={saveScript}>
+          📄 Save Script to Project
+        </button>
+        {presets.length > 0 && (
+          <div className="saved-settings-list">
+            <label>Project Settings:</label>
+            <select value="" onChange={(e) => e.target.value && loadPreset(e.target.value)}>
+              <option value="">Select settings to load...</option>
+              {presets.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+          </div>
+        )}
+        {project.scripts.length > 0 && (
+          <div className="saved-settings-list">
+            <label>Project Scripts:</label>
+            <select value="" onChange={(e) => e.target.value && loadScript(e.target.value)}>
+              <option value="">Select a script to load...</option>
+              {project.scripts.map(s => <option key={s.id} value={s.id}>{s.title}</option>)}
+            </select>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ProjectFormTools;
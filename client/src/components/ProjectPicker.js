@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import {
+  listProjects,
+  createProject,
+  deleteProject,
+  deleteProjectItem,
+  updateProjectItem,
+} from '../api/clientProjects';
+import { getVideoStatus } from '../api/client';
+
+const EMPTY_PROJECT = { name: '', client: '', product: '' };
+
+const MODE_LABELS = { standard: 'Standard', 'standard-plus': 'Standard Plus' };
+
+// Project selector plus a panel listing what the active project holds.
+// `project` is the full active project (or null); onSelect(projectId|null)
+// switches projects and onChange() asks the parent to reload the active one.
+function ProjectPicker({ project, onSelect, onChange, onOpenSegmentSet }) {
+  const [projects, setProjects] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_PROJECT);
+  const [showContents, setShowContents] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadProjects = async () => {
+    try {
+      setProjects(await listProjects());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadProjects();
+  }, [project?.id, project?.updatedAt]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const created = await createProject(draft);
+      setDraft(EMPTY_PROJECT);
+      setCreating(false);
+      onSelect(created.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteProject = async () => {
+    if (!window.confirm(`Delete project "${project.name}" and everything saved in it?`)) return;
+    try {
+      await deleteProject(project.id);
+      onSelect(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteItem = async (collection, item, label) => {
+    if (!window.confirm(`Delete ${label}?`)) return;
+    try {
+      await deleteProjectItem(project.id, collection, item.id);
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Refresh a saved video batch from the video task endpoints
+  const handleRefreshVideos = async (batch) => {
+    try {
+      const videos = await Promise.all(batch.videos.map(async (video) => {
+        if (!video.taskId || ['completed', 'failed'].includes(video.status)) return video;
+        const task = await getVideoStatus(video.taskId, video.provider).catch(() => null);
+        return task ? { ...video, status: task.status, progress: task.progress, videoUrl: task.videoUrl, error: task.error } : video;
+      }));
+      await updateProjectItem(project.id, 'videos', batch.id, { videos });
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="project-picker">
+      <div className="project-picker-bar">
+        <label htmlFor="project-select">Project</label>
+        <select
+          id="project-select"
+          value={project?.id || ''}
+          onChange={(e) => onSelect(e.target.value || null)}
+        >
+          <option value="">No project (this browser only)</option>
+          {projects.map(p => (
+            <option key={p.id} value={p.id}>
+              {p.name}{p.client ? ` — ${p.client}` : ''}
+            </option>
+          ))}
+        </select>
+        <button type="button" className="settings-button" onClick={() => setCreating(!creating)}>
+          {creating ? 'Cancel' : '➕ New Project'}
+        </button>
+        {project && (
+          <>
+            <button type="button" className="settings-button" onClick={() => setShowContents(!showContents)}>
+              {showContents ? 'Hide' : 'Show'} Contents
+            </button>
+            <button type="button" className="delete-settings-btn" onClick={handleDeleteProject} title="Delete project">
+              🗑️
+            </button>
+          </>
+        )}
+      </div>
+
+      {error && <div className="error-message">Error: {error}</div>}
+
+      {creating && (
+        <form className="project-create" onSubmit={handleCreate}>
+          <input
+            placeholder="Project name *"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            required
+          />
+          <input
+            placeholder="Client"
+            value={draft.client}
+            onChange={(e) => setDraft({ ...draft, client: e.target.value })}
+          />
+          <input
+            placeholder="Product"
+            value={draft.product}
+            onChange={(e) => setDraft({ ...draft, product: e.target.value })}
+          />
+          <button type="submit" className="settings-button save-button">Create</button>
+        </form>
+      )}
+
+      {project && showContents && (
+        <div className="project-contents">
+          <p className="project-meta">
+            {project.client && <>Client: <strong>{project.client}</strong> · </>}
+            {project.product && <>Product: <strong>{project.product}</strong> · </>}
+            Updated {new Date(project.updatedAt).toLocaleString()}
+          </p>
+
+          <h4>Segment sets ({project.segmentSets.length})</h4>
+          <ul className="project-items">
+            {project.segmentSets.map(set => (
+              <li key={set.id}>
+                <span>
+                  <strong>{set.name}</strong> · {MODE_LABELS[set.mode] || set.mode} · {set.segments.length} segments
+                </span>
+                <button type="button" className="settings-button" onClick={() => onOpenSegmentSet(set)}>Open</button>
+                <button type="button" className="delete-settings-btn" onClick={() => handleDeleteItem('segment-sets', set, `segment set "${set.name}"`)}>🗑️</button>
+              </li>
+            ))}
+          </ul>
+
+          <h4>Scripts ({project.scripts.length})</h4>
+          <ul className="project-items">
+            {project.scripts.map(script => (
+              <li key={script.id}>
+                <span><strong>{script.title}</strong> · {script.text.slice(0, 80)}{script.text.length > 80 ? '…' : ''}</span>
+                <button type="button" className="delete-settings-btn" onClick={() => handleDeleteItem('scripts', script, `script "${script.title}"`)}>🗑️</button>
+              </li>
+            ))}
+          </ul>
+
+          <h4>Settings presets ({project.presets.length})</h4>
+          <ul className="project-items">
+            {project.presets.map(preset => (
+              <li key={preset.id}>
+                <span><strong>{preset.name}</strong> · {MODE_LABELS[preset.kind] || preset.kind}</span>
+                <button type="button" className="delete-settings-btn" onClick={() => handleDeleteItem('presets', preset, `preset "${preset.name}"`)}>🗑️</button>
+              </li>
+            ))}
+          </ul>
+
+          <h4>Videos ({project.videos.length})</h4>
+          <ul className="project-items">
+            {project.videos.map(batch => (
+              <li key={batch.id}>
+                <span>
+                  {new Date(batch.createdAt).toLocaleString()} · {batch.provider} ·{' '}
+                  {batch.videos.filter(v => v.status === 'completed').length}/{batch.videos.length} ready
+                  {batch.videos.filter(v => v.videoUrl).map(v => (
+                    <a key={v.taskId} href={v.videoUrl} target="_blank" rel="noopener noreferrer"> #{v.segmentNumber}</a>
+                  ))}
+                </span>
+                <button type="button" className="settings-button" onClick={() => handleRefreshVideos(batch)}>Refresh</button>
+                <button type="button" className="delete-settings-btn" onClick={() => handleDeleteItem('videos', batch, 'this video batch')}>🗑️</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProjectPicker;
@@ -1,44 +1,81 @@
 import React, { useState, useEffect } from 'react';
 import SettingsDisplay from './SettingsDisplay';
 import JSONEditor from './JSONEditor';
+import HookVariants from './HookVariants';
+import CompliancePanel from './CompliancePanel';
+import SaveCharacter from './SaveCharacter';
+import VoiceProfileEditor from './VoiceProfileEditor';
+import { regenerateSegment } from '../api/client';
 
-function ResultsDisplay({ results }) {
-  const { segments, metadata, settings } = results;
-  const [displayedSegments, setDisplayedSegments] = useState([]);
-  const [currentIndex, setCurrentIndex] = useState(0);
+function ResultsDisplay({ results, onSegmentsChange = () => {}, onVoiceProfileChange = () => {} }) {
+  // While a stream is running, `segments` has one slot per split part and
+  // slots stay null until that segment arrives.
+  const { segments, metadata, settings, streaming, baseDescriptions, compliance, voiceProfile } = results;
   const [editingSegmentIndex, setEditingSegmentIndex] = useState(null);
+  const [regeneratingIndex, setRegeneratingIndex] = useState(null);
+  const [showHooks, setShowHooks] = useState(false);
   const [localSegments, setLocalSegments] = useState([]);
+  const [localVoiceProfile, setLocalVoiceProfile] = useState(null);
 
-  // Animate segments appearing one by one
+  // Sync with incoming (possibly partial) results
   useEffect(() => {
-    if (segments && segments.length > 0 && currentIndex < segments.length) {
-      const timer = setTimeout(() => {
-        setDisplayedSegments(prev => [...prev, segments[currentIndex]]);
-        setCurrentIndex(prev => prev + 1);
-      }, 500); // Add each segment with 500ms delay
-
-      return () => clearTimeout(timer);
-    }
-  }, [segments, currentIndex]);
-
-  // Reset when new results come in
-  useEffect(() => {
-    setDisplayedSegments([]);
-    setCurrentIndex(0);
     setLocalSegments(segments || []);
   }, [segments]);
 
+  useEffect(() => {
+    setLocalVoiceProfile(voiceProfile || null);
+  }, [voiceProfile]);
+
+  const handleVoiceProfileChange = (profile) => {
+    setLocalVoiceProfile(profile);
+    onVoiceProfileChange(profile);
+  };
+
+  const completedCount = localSegments.filter(Boolean).length;
+
   const handleSegmentUpdate = (index, updatedSegment) => {
     const newSegments = [...localSegments];
     newSegments[index] = updatedSegment;
     setLocalSegments(newSegments);
-    
-    // Update displayed segments too
-    const newDisplayed = [...displayedSegments];
-    newDisplayed[index] = updatedSegment;
-    setDisplayedSegments(newDisplayed);
-    
     setEditingSegmentIndex(null);
+    onSegmentsChange(newSegments, `Edit segment ${index + 1} JSON`);
+  };
+
+  const handleRegenerate = async (index) => {
+    const guidance = window.prompt(
+      `Regenerate segment ${index + 1}. Optional guidance (e.g. "more energy, keep her seated"):`,
+      ''
+    );
+    if (guidance === null) return; // cancelled
+
+    setRegeneratingIndex(index);
+    try {
+      const segment = await regenerateSegment({
+        segments: localSegments,
+        index,
+        settings,
+        baseDescriptions,
+        voiceProfile: localVoiceProfile,
+        guidance,
+      });
+      const newSegments = [...localSegments];
+      newSegments[index] = segment;
+      setLocalSegments(newSegments);
+      onSegmentsChange(newSegments, `Regenerate segment ${index + 1}`);
+    } catch (err) {
+      console.error('Failed to regenerate segment: ', err);
+      window.alert(`Failed to regenerate segment ${index + 1}: ${err.message}`);
+    } finally {
+      setRegeneratingIndex(null);
+    }
+  };
+
+  const handleUseHook = (segment, angle) => {
+    const newSegments = [...localSegments];
+    newSegments[0] = segment;
+    setLocalSegments(newSegments);
+    setShowHooks(false);
+    onSegmentsChange(newSegments, `Swap in hook variant${angle ? ` "${angle}"` : ''}`);
   };
 
   const copyJSONToClipboard = async (segment) => {
@@ -70,19 +107,48 @@ function ResultsDisplay({ results }) {
         <p><strong>Total Segments:</strong> {metadata.totalSegments}</p>
         <p><strong>Estimated Duration:</strong> {metadata.estimatedDuration} seconds</p>
         <p><strong>Character ID:</strong> {metadata.characterId}</p>
-        {currentIndex < segments.length && (
+        {streaming && (
           <p className="generation-progress">
-            <strong>Generating:</strong> {currentIndex + 1} of {segments.length} segments...
+            <strong>Generating:</strong> {completedCount} of {localSegments.length} segments complete...
           </p>
         )}
       </div>
 
+      {!streaming && (
+        <CompliancePanel compliance={compliance} script={settings?.script} segments={localSegments} />
+      )}
+
+      {!streaming && (
+        <VoiceProfileEditor voiceProfile={localVoiceProfile} onChange={handleVoiceProfileChange} />
+      )}
+
+      {!streaming && !settings?.characterId && (
+        <SaveCharacter baseDescriptions={baseDescriptions} voiceProfile={localVoiceProfile} />
+      )}
+
+      {showHooks && !streaming && (
+        <HookVariants
+          segments={localSegments}
+          settings={settings}
+          baseDescriptions={baseDescriptions}
+          voiceProfile={localVoiceProfile}
+          onUse={handleUseHook}
+          onClose={() => setShowHooks(false)}
+        />
+      )}
+
       <div className="segments-list">
-        {displayedSegments.map((segment, index) => (
+        {localSegments.map((segment, index) => !segment ? (
+          <div key={index} className="segment-card segment-pending">
+            <div className="segment-header">
+              <h3>Segment {index + 1}</h3>
+              <span className="segment-duration">Generating...</span>
+            </div>
+          </div>
+        ) : (
           <div 
             key={index} 
             className="segment-card animate-in"
-            style={{ animationDelay: `${index * 0.1}s` }}
           >
             <div className="segment-header">
               <h3>Segment {segment.segment_info?.segment_number || index + 1}</h3>
@@ -94,6 +160,25 @@ function ResultsDisplay({ results }) {
                 >
                   ✏️ Edit
                 </button>
+                {!streaming && (
+                  <button
+                    className="edit-json-btn"
+                    onClick={() => handleRegenerate(index)}
+                    disabled={regeneratingIndex !== null}
+                    title="Regenerate this segment"
+                  >
+                    {regeneratingIndex === index ? '⏳ Regenerating...' : '🔄 Regenerate'}
+                  </button>
+                )}
+                {!streaming && index === 0 && (
+                  <button
+                    className="edit-json-btn"
+                    onClick={() => setShowHooks(!showHooks)}
+                    title="Generate alternative opening hooks"
+                  >
+                    🎣 Hook Variants
+                  </button>
+                )}
                 <span className="segment-duration">
                   {segment.segment_info?.duration || '00:00-00:08'}
                 </span>
@@ -157,7 +242,7 @@ function ResultsDisplay({ results }) {
 
       {editingSegmentIndex !== null && (
         <JSONEditor
-          segment={displayedSegments[editingSegmentIndex]}
+          segment={localSegments[editingSegmentIndex]}
           onUpdate={(updated) => handleSegmentUpdate(editingSegmentIndex, updated)}
           onClose={() => setEditingSegmentIndex(null)}
         />
@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import SettingsDisplay from './SettingsDisplay';
 import JSONEditor from './JSONEditor';
+import CompliancePanel from './CompliancePanel';
 
 function ResultsDisplayContinuation({ results }) {
-  const { segments = [], metadata = {}, settings = {} } = results || {};
+  const { segments = [], metadata = {}, settings = {}, compliance } = results || {};
   const [displayedSegments, setDisplayedSegments] = useState([]);
   const [currentIndex, setCurrentIndex] = useState(0);
   const [editingSegmentIndex, setEditingSegmentIndex] = useState(null);
@@ -70,6 +71,13 @@ function ResultsDisplayContinuation({ results }) {
         <p><strong>Total Segments:</strong> {metadata.totalSegments}</p>
         <p><strong>Estimated Duration:</strong> {metadata.estimatedDuration} seconds</p>
         <p><strong>Character ID:</strong> {metadata.characterId}</p>
+        {metadata.continuedFrom && (
+          <p>
+            <strong>Continues From:</strong>{' '}
+            {metadata.continuedFrom.source === 'last_frame' ? 'uploaded last frame' : 'previous segment'}
+            {' - '}{metadata.continuedFrom.endState.position}
+          </p>
+        )}
         {currentIndex < segments.length && (
           <p className="generation-progress">
             <strong>Generating:</strong> {currentIndex + 1} of {segments.length} segments...
@@ -77,6 +85,8 @@ function ResultsDisplayContinuation({ results }) {
         )}
       </div>
 
+      <CompliancePanel compliance={compliance} script={settings.script} segments={segments} />
+
       <div className="segments-list">
         {displayedSegments.map((segment, index) => (
           <div 
@@ -112,6 +122,13 @@ function ResultsDisplayContinuation({ results }) {
               <div className="segment-field">
                 <strong>Location:</strong> {segment.segment_info?.location || 'N/A'}
               </div>
+
+              {segment.segment_info?.speakers && (
+                <div className="segment-field">
+                  <strong>Speaking:</strong> {segment.segment_info.speakers.join(', ') || 'N/A'}
+                  {' · '}<strong>On screen:</strong> {segment.segment_info.characters_on_screen?.join(', ') || 'N/A'}
+                </div>
+              )}
               
               <div className="segment-field">
                 <strong>Camera:</strong> {segment.scene_continuity?.camera_position || 'N/A'}
@@ -1,8 +1,10 @@
 import React from 'react';
 import ResultsDisplay from './ResultsDisplay';
 
-function ResultsDisplayPlus({ results }) {
-  return <ResultsDisplay results={results} />;
+function ResultsDisplayPlus({ results, onSegmentsChange, onVoiceProfileChange }) {
+  return (
+    <ResultsDisplay results={results} onSegmentsChange={onSegmentsChange} onVoiceProfileChange={onVoiceProfileChange} />
+  );
 }
 
 export default ResultsDisplayPlus; 
\ No newline at end of file
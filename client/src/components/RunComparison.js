@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+
+const formatDrift = (value) => (value == null ? '—' : value.toFixed(3));
+
+const formatValue = (value) => {
+  if (value === undefined) return '(missing)';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+// Side-by-side view of compareOutputs(): totals, then one row per segment
+// with its field-level diff on demand
+function RunComparison({ comparison, originalId, replayId }) {
+  const [openSegment, setOpenSegment] = useState(null);
+  const { original, replay, segments } = comparison;
+
+  return (
+    <div className="run-comparison">
+      <h3>Comparison</h3>
+      <table className="run-comparison-table">
+        <thead>
+          <tr>
+            <th />
+            <th>Original {originalId}</th>
+            <th>Replay {replayId}</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr><td>Segments</td><td>{original.segments}</td><td>{replay.segments}</td></tr>
+          <tr><td>Total words</td><td>{original.totalWords}</td><td>{replay.totalWords} ({comparison.totalWordsDelta >= 0 ? '+' : ''}{comparison.totalWordsDelta})</td></tr>
+          <tr><td>Dialogue words</td><td>{original.dialogueWords}</td><td>{replay.dialogueWords}</td></tr>
+          <tr><td>Mean base drift</td><td>{formatDrift(original.meanDrift)}</td><td>{formatDrift(replay.meanDrift)}</td></tr>
+        </tbody>
+      </table>
+
+      <table className="run-comparison-table">
+        <thead>
+          <tr>
+            <th>Segment</th>
+            <th>Words</th>
+            <th>Base drift</th>
+            <th>Changed fields</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {segments.map(seg => (
+            <React.Fragment key={seg.segmentNumber}>
+              <tr>
+                <td>{seg.segmentNumber}</td>
+                <td>{seg.words.original ?? '—'} → {seg.words.replay ?? '—'}</td>
+                <td>{formatDrift(seg.drift.original)} → {formatDrift(seg.drift.replay)}</td>
+                <td>{seg.changedFields}</td>
+                <td>
+                  <button
+                    className="toggle-details-button"
+                    onClick={() => setOpenSegment(openSegment === seg.segmentNumber ? null : seg.segmentNumber)}
+                    disabled={seg.changedFields === 0}
+                  >
+                    {openSegment === seg.segmentNumber ? 'Hide' : 'Show'} diff
+                  </button>
+                </td>
+              </tr>
+              {openSegment === seg.segmentNumber && (
+                <tr>
+                  <td colSpan={5}>
+                    {seg.diff.map(entry => (
+                      <div key={entry.path} className={`run-diff run-diff-${entry.change}`}>
+                        <div className="run-diff-path">
+                          {entry.path} <span>{entry.change}{entry.drift != null && ` · drift ${formatDrift(entry.drift)}`}</span>
+                        </div>
+                        <div className="run-diff-sides">
+                          <pre>{entry.change === 'added' ? '' : formatValue(entry.original)}</pre>
+                          <pre>{entry.change === 'removed' ? '' : formatValue(entry.replay)}</pre>
+                        </div>
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default RunComparison;
@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import ResultsDisplay from './ResultsDisplay';
+import DownloadButton from './DownloadButton';
+import DownloadButtonPlus from './DownloadButtonPlus';
+import RunComparison from './RunComparison';
+import { listRuns, getRun, listTemplates, replayRun, compareRuns, waitForJob } from '../api/client';
+
+const MODE_LABELS = {
+  standard: 'Standard',
+  plus: 'Standard Plus',
+  continuation: 'Continuation',
+  'new-continuation': 'New Cont.',
+  regenerate: 'Regenerated Segment',
+  hooks: 'Hook Variants',
+};
+
+// Runs from these modes can be reopened in their own tab for editing
+const EDITABLE_MODES = { standard: 'standard', plus: 'standard-plus' };
+
+const STATUS_LABELS = {
+  completed: '✅ Completed',
+  failed: '❌ Failed',
+  unknown: '❔ Unknown',
+};
+
+// Regenerate and hook-variant runs record their new segment(s), not a set
+function segmentsOf(outputs) {
+  if (outputs?.segments) return outputs.segments;
+  if (outputs?.segment) return [outputs.segment];
+  return (outputs?.variants || []).map(v => v.segment);
+}
+
+function formatDuration(ms) {
+  if (ms == null) return '—';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+const EMPTY_OVERRIDES = { templateFile: '', segmentModel: '', temperature: '' };
+
+// Browse recorded runs (data/runs/<mode>/<id>), view their segments, re-export
+// them, reopen Standard / Standard Plus runs in their tab, or replay a run
+// with another template/model/temperature and compare the two
+function RunHistory({ onReopen }) {
+  const [runs, setRuns] = useState([]);
+  const [mode, setMode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [segments, setSegments] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [overrides, setOverrides] = useState(EMPTY_OVERRIDES);
+  const [replaying, setReplaying] = useState(false);
+  const [comparison, setComparison] = useState(null);
+
+  useEffect(() => {
+    listTemplates().then(setTemplates);
+  }, []);
+
+  const loadRuns = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setRuns(await listRuns({ mode: mode || undefined }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [mode]);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns]);
+
+  const handleSelect = async (runId) => {
+    setError(null);
+    try {
+      const run = await getRun(runId);
+      setSelected(run);
+      setSegments(segmentsOf(run.outputs));
+      setComparison(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleReplay = async () => {
+    setReplaying(true);
+    setError(null);
+    setComparison(null);
+    try {
+      const jobId = await replayRun(selected.id, overrides);
+      await waitForJob(jobId);
+      const latest = await listRuns({ mode: mode || undefined });
+      setRuns(latest);
+      const replay = latest.find(run => run.jobId === jobId);
+      if (!replay) throw new Error('Replay finished but its run was not recorded');
+      setComparison({
+        originalId: selected.id,
+        replayId: replay.id,
+        comparison: await compareRuns(selected.id, replay.id),
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setReplaying(false);
+    }
+  };
+
+  const handleCompareWithOriginal = async () => {
+    setError(null);
+    try {
+      setComparison({
+        originalId: selected.replayOf,
+        replayId: selected.id,
+        comparison: await compareRuns(selected.replayOf, selected.id),
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const results = selected?.outputs ? {
+    metadata: { totalSegments: segments.length },
+    ...selected.outputs,
+    segments,
+    settings: selected.inputs || {},
+  } : null;
+
+  return (
+    <div className="run-history">
+      <div className="run-history-toolbar">
+        <h2>History</h2>
+        <select value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value="">All modes</option>
+          {Object.entries(MODE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button className="toggle-details-button" onClick={loadRuns} disabled={loading}>
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && <div className="error-message">Error: {error}</div>}
+
+      {!loading && runs.length === 0 && <p className="run-history-empty">No recorded runs yet.</p>}
+
+      <ul className="run-list">
+        {runs.map(run => (
+          <li
+            key={`${run.mode}-${run.id}`}
+            className={`run-item ${selected?.id === run.id ? 'active' : ''} run-${run.status}`}
+            onClick={() => handleSelect(run.id)}
+          >
+            <div className="run-item-header">
+              <strong>{MODE_LABELS[run.mode] || run.mode}</strong>
+              <span>{run.startedAt ? new Date(run.startedAt).toLocaleString() : run.id}</span>
+              <span>{STATUS_LABELS[run.status] || run.status}</span>
+            </div>
+            <div className="run-item-meta">
+              {run.segmentCount} segments · {formatDuration(run.durationMs)}
+              {run.models.length > 0 && ` · ${run.models.join(', ')}`}
+              {run.replayOf && ` · replay of ${run.replayOf}`}
+            </div>
+            {run.scriptPreview && <div className="run-item-preview">{run.scriptPreview}</div>}
+          </li>
+        ))}
+      </ul>
+
+      {selected && (
+        <div className="run-details">
+          <h3>Run {selected.id}</h3>
+          <p className="run-item-meta">
+            {MODE_LABELS[selected.mode] || selected.mode} · {STATUS_LABELS[selected.status] || selected.status}
+            {' · '}{formatDuration(selected.durationMs)} · {selected.calls.length} model calls
+            {selected.provider && ` · ${selected.provider}`}
+          </p>
+          {selected.error && <div className="error-message">Error: {selected.error.message}</div>}
+
+          {results && selected.inputs?.script && (
+            <div className="run-replay">
+              <h4>Replay</h4>
+              <div className="run-replay-fields">
+                <label>
+                  Template
+                  <select
+                    value={overrides.templateFile}
+                    onChange={(e) => setOverrides({ ...overrides, templateFile: e.target.value })}
+                  >
+                    <option value="">Same as original</option>
+                    {templates.map(t => <option key={t} value={t}>{t}</option>)}
+                  </select>
+                </label>
+                <label>
+                  Segment model
+                  <input
+                    type="text"
+                    placeholder="Same as original"
+                    value={overrides.segmentModel}
+                    onChange={(e) => setOverrides({ ...overrides, segmentModel: e.target.value.trim() })}
+                  />
+                </label>
+                <label>
+                  Temperature
+                  <input
+                    type="number"
+                    min="0"
+                    max="2"
+                    step="0.05"
+                    placeholder="Default"
+                    value={overrides.temperature}
+                    onChange={(e) => setOverrides({ ...overrides, temperature: e.target.value })}
+                  />
+                </label>
+              </div>
+              <div className="action-buttons">
+                <button className="toggle-manager-btn" onClick={handleReplay} disabled={replaying}>
+                  {replaying ? 'Replaying...' : '🔁 Replay & Compare'}
+                </button>
+                {selected.replayOf && (
+                  <button className="toggle-bulk-btn" onClick={handleCompareWithOriginal} disabled={replaying}>
+                    Compare with original {selected.replayOf}
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {comparison && <RunComparison {...comparison} />}
+
+          {results && (
+            <>
+              {EDITABLE_MODES[selected.mode] && (
+                <div className="action-buttons">
+                  <button
+                    className="toggle-manager-btn"
+                    onClick={() => onReopen(EDITABLE_MODES[selected.mode], results)}
+                  >
+                    ↩️ Reopen in {MODE_LABELS[selected.mode]}
+                  </button>
+                </div>
+              )}
+              {selected.mode === 'plus'
+                ? <DownloadButtonPlus segments={segments} metadata={results.metadata} />
+                : <DownloadButton segments={segments} metadata={results.metadata} />}
+              <ResultsDisplay results={results} onSegmentsChange={setSegments} />
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RunHistory;
@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { createCharacter } from '../api/clientCharacters';
+
+// Saves a result's base descriptions (and voice profile, when the run had
+// one) to the character library so later ads can reuse the same person.
+function SaveCharacter({ baseDescriptions, voiceProfile }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState({ name: '', brand: '', referenceImage: '' });
+  const [saved, setSaved] = useState(null);
+  const [error, setError] = useState(null);
+
+  // multi-speaker results hold a whole cast, not one character
+  if (!baseDescriptions || baseDescriptions.characters) return null;
+
+  const handleChange = (e) => setDraft({ ...draft, [e.target.name]: e.target.value });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const character = await createCharacter({ ...draft, baseDescriptions, voiceProfile: voiceProfile || null });
+      setSaved(character);
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (saved) {
+    return <p className="save-character-done">Saved character "{saved.name}" - pick it under Saved Character next time.</p>;
+  }
+
+  return (
+    <div className="save-character">
+      {!open ? (
+        <button type="button" className="preview-button" onClick={() => setOpen(true)}>
+          Save Character to Library
+        </button>
+      ) : (
+        <form className="save-character-form" onSubmit={handleSave}>
+          <input name="name" value={draft.name} onChange={handleChange} placeholder="Name (e.g. Brand face - Sarah)" required />
+          <input name="brand" value={draft.brand} onChange={handleChange} placeholder="Brand (optional)" />
+          <input name="referenceImage" value={draft.referenceImage} onChange={handleChange} placeholder="Reference image path or URL (optional)" />
+          <button type="submit">Save</button>
+          <button type="button" onClick={() => setOpen(false)}>Cancel</button>
+        </form>
+      )}
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+}
+
+export default SaveCharacter;
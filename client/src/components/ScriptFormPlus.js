@@ -1,12 +1,18 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect } from 'react';
 import { VOICE_TYPES } from '../voiceTypes';
 import { CAMERA_STYLE_DESCRIPTIONS } from '../srcCameraStyles';
+import ProjectFormTools from './ProjectFormTools';
+import ComplianceVerticalSelect from './ComplianceVerticalSelect';
+import ScriptPacing from './ScriptPacing';
+import CharacterSelect from './CharacterSelect';
 
-function ScriptFormPlus({ onSubmit, loading }) {
+function ScriptFormPlus({ onSubmit, loading, project = null, onProjectChange = () => {}, submitLabel = 'Generate' }) {
   const [formData, setFormData] = useState({
     script: '',
-    targetWordsPerSegment: 20,
-    showPreview: false,
+    wordsPerMinute: 150,
+    segmentSeconds: 8,
+    minWords: '',
+    maxWords: '',
     ageRange: '25-34',
     gender: 'female',
     voiceType: 'warm-friendly',
@@ -23,6 +29,9 @@ function ScriptFormPlus({ onSubmit, loading }) {
     headlinePattern: '',
     headline: '',
     creativeType: 'traditional-ugc',
+    vertical: 'general',
+    cast: {},
+    characterId: '',
     settingMode: 'ai-inspired', // default to AI Inspired in Plus
     room: 'living room',
     style: 'casual and friendly',
@@ -36,7 +45,6 @@ function ScriptFormPlus({ onSubmit, loading }) {
     locations: []
   });
 
-  const [scriptPreview, setScriptPreview] = useState([]);
   const [savedSettings, setSavedSettings] = useState([]);
 
   useEffect(() => {
@@ -55,11 +63,12 @@ function ScriptFormPlus({ onSubmit, loading }) {
       setFormData(prev => ({ ...prev, locations: [prev.room] }));
     } else {
       const scriptWords = formData.script.trim().split(/\s+/).length;
-      const estimatedSegments = Math.ceil(scriptWords / formData.targetWordsPerSegment);
+      const wordsPerSegment = Math.round((formData.wordsPerMinute / 60) * formData.segmentSeconds) || 20;
+      const estimatedSegments = Math.ceil(scriptWords / wordsPerSegment);
       const newLocations = Array(estimatedSegments).fill('living room');
       setFormData(prev => ({ ...prev, locations: newLocations }));
     }
-  }, [formData.settingMode, formData.room, formData.script, formData.targetWordsPerSegment]);
+  }, [formData.settingMode, formData.room, formData.script, formData.wordsPerMinute, formData.segmentSeconds]);
 
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -113,51 +122,6 @@ function ScriptFormPlus({ onSubmit, loading }) {
     onSubmit(formData);
   };
 
-  const previewScript = useCallback(() => {
-    if (!formData.script || formData.script.trim().length < 50) {
-      setScriptPreview([]);
-      return;
-    }
-
-    const targetWords = parseInt(formData.targetWordsPerSegment) || 20;
-    const minWords = Math.max(15, targetWords - 5);
-    const maxWords = targetWords + 2;
-
-    const sentences = formData.script.match(/[^.!?]+[.!?]+/g) || [formData.script];
-
-    const segments = [];
-    let currentSegment = [];
-    let currentWordCount = 0;
-
-    for (let i = 0; i < sentences.length; i++) {
-      const sentence = sentences[i].trim();
-      const words = sentence.split(/\s+/);
-      
-      currentSegment.push(sentence);
-      currentWordCount += words.length;
-
-      if (currentWordCount >= minWords || i === sentences.length - 1) {
-        const segmentText = currentSegment.join(' ');
-        const duration = Math.max(6, (currentWordCount / 2.5));
-        
-        segments.push({
-          text: segmentText,
-          wordCount: currentWordCount,
-          duration: duration
-        });
-
-        currentSegment = [];
-        currentWordCount = 0;
-      }
-    }
-
-    setScriptPreview(segments);
-  }, [formData.script, formData.targetWordsPerSegment]);
-
-  useEffect(() => {
-    previewScript();
-  }, [previewScript]);
-
   const saveSettings = () => {
     const name = prompt('Enter a name for these settings:');
     if (name && name.trim()) {
@@ -178,8 +142,7 @@ function ScriptFormPlus({ onSubmit, loading }) {
       setFormData({
         ...formData,
         ...setting.settings,
-        script: formData.script,
-        showPreview: false
+        script: formData.script
       });
       alert(`Settings "${settingName}" loaded!`);
     }
@@ -234,6 +197,13 @@ function ScriptFormPlus({ onSubmit, loading }) {
             </div>
           )}
         </div>
+        <ProjectFormTools
+          project={project}
+          kind="standard-plus"
+          formData={formData}
+          onLoad={setFormData}
+          onProjectChange={onProjectChange}
+        />
       </div>
 
       {/* 1. Script Section */}
@@ -251,68 +221,19 @@ function ScriptFormPlus({ onSubmit, loading }) {
             minLength={50}
           />
           <p className="form-help-text">
-            Each segment needs 15-22 words (6-8 seconds of speaking). Short sentences will be automatically combined.
+            Each segment is one clip of dialogue. Short sentences are combined automatically.
           </p>
         </div>
 
-        <div className="form-group">
-          <label htmlFor="targetWordsPerSegment">Words per Segment (Target: {formData.targetWordsPerSegment})</label>
-          <input
-            type="range"
-            id="targetWordsPerSegment"
-            name="targetWordsPerSegment"
-            value={formData.targetWordsPerSegment}
-            onChange={handleChange}
-            min="15"
-            max="30"
-            step="1"
-          />
-          <p className="form-help-text">
-            Adjust the target word count per 8-second segment (15 = slower pace, 30 = faster pace)
-          </p>
-        </div>
-
-        {formData.script && formData.script.trim().length >= 50 && (
-          <div className="form-group">
-            <button
-              type="button"
-              className="preview-button"
-              onClick={() => setFormData({ ...formData, showPreview: !formData.showPreview })}
-            >
-              {formData.showPreview ? 'Hide' : 'Show'} Script Preview
-            </button>
-          </div>
-        )}
-
-        {formData.showPreview && scriptPreview.length > 0 && (
-          <div className="script-preview">
-            <h3>Script Preview - {scriptPreview.length} Segments</h3>
-            <p className="preview-info">
-              Total duration: ~{scriptPreview.reduce((sum, seg) => sum + seg.duration, 0).toFixed(1)} seconds
-            </p>
-            <div className="preview-segments">
-              {scriptPreview.map((segment, index) => (
-                <div key={index} className="preview-segment">
-                  <div className="preview-segment-header">
-                    <span className="segment-number">Segment {index + 1}</span>
-                    <span className="segment-stats">
-                      {segment.wordCount} words | ~{segment.duration}s
-                    </span>
-                  </div>
-                  <div className="preview-segment-text">
-                    {segment.text}
-                  </div>
-                </div>
-              ))}
-            </div>
-          </div>
-        )}
+        <ScriptPacing formData={formData} onChange={handleChange} />
       </div>
 
       {/* 2. Character Details Section */}
       <div className="form-section">
         <h3>Character Details</h3>
-        
+
+        <CharacterSelect value={formData.characterId || ''} onChange={handleChange} />
+
         {/* Basic Character Details */}
         <div className="form-row">
           <div className="form-group">
@@ -492,6 +413,7 @@ function ScriptFormPlus({ onSubmit, loading }) {
             placeholder="e.g., Skincare Serum, Coffee Maker..."
           />
         </div>
+        <ComplianceVerticalSelect value={formData.vertical || 'general'} onChange={handleChange} />
       </div>
 
       {/* 4. Location Section */}
@@ -649,6 +571,7 @@ function ScriptFormPlus({ onSubmit, loading }) {
             <option value="mini-vsl">Mini VSL (1-3min)</option>
             <option value="long-vsl">Long VSLs (3+ mins)</option>
             <option value="interview">Interview</option>
+            <option value="testimonial-pair">Testimonial Pair</option>
             <option value="organic">Organic</option>
             <option value="human-voiceover">Human Voiceover</option>
             <option value="professional-studio">Professional Studio</option>
@@ -829,7 +752,7 @@ function ScriptFormPlus({ onSubmit, loading }) {
         className="submit-button"
         disabled={loading}
       >
-        {loading ? 'Generating...' : 'Generate'}
+        {loading ? 'Generating...' : submitLabel}
       </button>
     </form>
   );
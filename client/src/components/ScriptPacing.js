@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { previewScriptSplit } from '../api/client';
+import SpeakerCast from './SpeakerCast';
+
+// Clip lengths Veo accepts
+const SEGMENT_SECONDS = [4, 6, 8];
+
+const WARNING_LABELS = {
+  too_long: 'rushed',
+  too_short: 'dead air',
+};
+
+// Pacing controls and the split preview for a script form. The preview comes
+// from POST /api/split/preview, so it is exactly what generation will use.
+// Inputs are named after the form fields, so the form's handleChange works.
+// Speaker-tagged scripts also get the cast editor, fed by the preview.
+function ScriptPacing({ formData, onChange }) {
+  const [preview, setPreview] = useState(null);
+  const [showPreview, setShowPreview] = useState(false);
+  const [error, setError] = useState(null);
+
+  // settings saved before pacing existed have none of these fields
+  const { script, wordsPerMinute = 150, segmentSeconds = 8, minWords = '', maxWords = '' } = formData;
+  const hasScript = !!script && script.trim().length >= 50;
+
+  useEffect(() => {
+    if (!hasScript) {
+      setPreview(null);
+      return undefined;
+    }
+    // wait for a pause in typing before asking the server
+    const timer = setTimeout(() => {
+      previewScriptSplit({ script, wordsPerMinute, segmentSeconds, minWords, maxWords })
+        .then((result) => {
+          setPreview(result);
+          setError(null);
+        })
+        .catch(err => setError(err.message));
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [hasScript, script, wordsPerMinute, segmentSeconds, minWords, maxWords]);
+
+  return (
+    <>
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="wordsPerMinute">Speaking Pace ({wordsPerMinute} words/min)</label>
+          <input
+            type="range"
+            id="wordsPerMinute"
+            name="wordsPerMinute"
+            value={wordsPerMinute}
+            onChange={onChange}
+            min="110"
+            max="200"
+            step="5"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="segmentSeconds">Segment Length</label>
+          <select id="segmentSeconds" name="segmentSeconds" value={segmentSeconds} onChange={onChange}>
+            {SEGMENT_SECONDS.map(s => <option key={s} value={s}>{s} seconds</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="minWords">Min Words</label>
+          <input
+            type="number"
+            id="minWords"
+            name="minWords"
+            value={minWords}
+            onChange={onChange}
+            min="1"
+            placeholder={preview ? String(preview.pacing.minWords) : 'auto'}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="maxWords">Max Words</label>
+          <input
+            type="number"
+            id="maxWords"
+            name="maxWords"
+            value={maxWords}
+            onChange={onChange}
+            min="1"
+            placeholder={preview ? String(preview.pacing.maxWords) : 'auto'}
+          />
+        </div>
+      </div>
+      <p className="form-help-text">
+        Sentences are packed into segments between the min and max word counts (leave them empty to derive
+        them from the pace and length). Put <code>||</code> or <code>[BREAK]</code> in the script to force a new segment.
+        Start lines with <code>NAME:</code> (e.g. <code>SARAH:</code> / <code>MIKE:</code>) for a multi-speaker script.
+      </p>
+
+      {preview && <SpeakerCast speakers={preview.speakers} cast={formData.cast} onChange={onChange} />}
+
+      {error && <div className="error-message">Pacing: {error}</div>}
+
+      {hasScript && preview && (
+        <div className="form-group">
+          <button
+            type="button"
+            className="preview-button"
+            onClick={() => setShowPreview(!showPreview)}
+          >
+            {showPreview ? 'Hide' : 'Show'} Script Preview ({preview.segments.length} segments)
+          </button>
+        </div>
+      )}
+
+      {showPreview && preview && preview.segments.length > 0 && (
+        <div className="script-preview">
+          <h3>Script Preview - {preview.segments.length} Segments</h3>
+          <p className="preview-info">
+            Total duration: {preview.totalSeconds} seconds
+            {preview.forcedBreaks > 0 && ` · ${preview.forcedBreaks} manual break(s)`}
+          </p>
+          <div className="preview-segments">
+            {preview.segments.map((segment, index) => (
+              <div key={index} className="preview-segment">
+                <div className="preview-segment-header">
+                  <span className="segment-number">Segment {index + 1}</span>
+                  <span className="segment-stats">
+                    {segment.speakers?.length > 0 && `${segment.speakers.join(' + ')} | `}
+                    {segment.wordCount} words | ~{segment.seconds}s
+                    {segment.warning && <span className="preview-warning"> ⚠️ {WARNING_LABELS[segment.warning]}</span>}
+                  </span>
+                </div>
+                <div className="preview-segment-text">
+                  {segment.text}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default ScriptPacing;
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { canUndo, canRedo, diffVersions } from '../segmentHistory';
+
+const formatValue = (value) => {
+  if (value === undefined) return '(missing)';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+const MOD_KEY = isMac ? '⌘' : 'Ctrl';
+
+// Version list for a segment set with undo/redo, jump-to-version and a
+// field-level diff between any two versions (defaults: previous vs current)
+function SegmentHistory({ history, onUndo, onRedo, onRestore }) {
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+
+  const { versions, index } = history;
+  const current = versions[index];
+
+  // Follow the current version until the user picks their own pair
+  useEffect(() => {
+    setFromId('');
+    setToId('');
+  }, [current.id]);
+
+  const to = versions.find(v => String(v.id) === toId) || current;
+  const from = versions.find(v => String(v.id) === fromId)
+    || versions[versions.indexOf(to) - 1]
+    || to;
+  const diff = from === to ? [] : diffVersions(from, to);
+
+  const versionLabel = (v) => `v${versions.indexOf(v) + 1} · ${v.label}`;
+
+  return (
+    <div className="segment-history">
+      <div className="segment-history-toolbar">
+        <h3>Version History</h3>
+        <button className="toggle-manager-btn" onClick={onUndo} disabled={!canUndo(history)} title={`Undo (${MOD_KEY}+Z)`}>
+          ↶ Undo
+        </button>
+        <button className="toggle-manager-btn" onClick={onRedo} disabled={!canRedo(history)} title={`Redo (${MOD_KEY}+Shift+Z)`}>
+          ↷ Redo
+        </button>
+      </div>
+
+      <ol className="segment-history-list">
+        {versions.map((v, i) => (
+          <li key={v.id} className={i === index ? 'active' : i > index ? 'undone' : ''}>
+            <span>
+              <strong>v{i + 1}</strong> {v.label}
+              <span className="segment-history-meta">
+                {' · '}{new Date(v.createdAt).toLocaleTimeString()} · {v.segments.length} segments
+              </span>
+            </span>
+            {i !== index && (
+              <button className="toggle-details-button" onClick={() => onRestore(i)}>
+                Go to
+              </button>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {versions.length > 1 && (
+        <div className="segment-history-diff">
+          <div className="segment-history-diff-pickers">
+            <label>
+              From
+              <select value={String(from.id)} onChange={(e) => setFromId(e.target.value)}>
+                {versions.map(v => <option key={v.id} value={String(v.id)}>{versionLabel(v)}</option>)}
+              </select>
+            </label>
+            <label>
+              To
+              <select value={String(to.id)} onChange={(e) => setToId(e.target.value)}>
+                {versions.map(v => <option key={v.id} value={String(v.id)}>{versionLabel(v)}</option>)}
+              </select>
+            </label>
+          </div>
+
+          {diff.length === 0 && <p className="segment-history-meta">No differences.</p>}
+          {diff.map(seg => (
+            <details key={seg.segmentNumber} className="segment-history-segment" open={diff.length === 1}>
+              <summary>
+                Segment {seg.segmentNumber} · {seg.change} · {seg.fields.length} field{seg.fields.length === 1 ? '' : 's'}
+              </summary>
+              {seg.fields.map(entry => (
+                <div key={entry.path} className={`run-diff run-diff-${entry.change}`}>
+                  <div className="run-diff-path">
+                    {entry.path} <span>{entry.change}</span>
+                  </div>
+                  <div className="run-diff-sides">
+                    <pre>{entry.change === 'added' ? '' : formatValue(entry.before)}</pre>
+                    <pre>{entry.change === 'removed' ? '' : formatValue(entry.after)}</pre>
+                  </div>
+                </div>
+              ))}
+            </details>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SegmentHistory;
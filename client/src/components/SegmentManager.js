@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
+import { regenerateSegment } from '../api/client';
 
-function SegmentManager({ segments, onUpdate }) {
+function SegmentManager({ segments, onUpdate, settings, baseDescriptions, voiceProfile }) {
   const [localSegments, setLocalSegments] = useState([]);
+  const [regeneratingIndex, setRegeneratingIndex] = useState(null);
   const [draggedIndex, setDraggedIndex] = useState(null);
   const [dragOverIndex, setDragOverIndex] = useState(null);
 
@@ -45,7 +47,7 @@ function SegmentManager({ segments, onUpdate }) {
     }));
     
     setLocalSegments(updatedSegments);
-    onUpdate(updatedSegments);
+    onUpdate(updatedSegments, `Move segment ${draggedIndex + 1} to position ${adjustedDropIndex + 1}`);
     
     setDraggedIndex(null);
     setDragOverIndex(null);
@@ -69,7 +71,7 @@ function SegmentManager({ segments, onUpdate }) {
     }));
     
     setLocalSegments(updatedSegments);
-    onUpdate(updatedSegments);
+    onUpdate(updatedSegments, `Duplicate segment ${index + 1}`);
   };
 
   const handleDelete = (index) => {
@@ -90,7 +92,7 @@ function SegmentManager({ segments, onUpdate }) {
     }));
     
     setLocalSegments(updatedSegments);
-    onUpdate(updatedSegments);
+    onUpdate(updatedSegments, `Delete segment ${index + 1}`);
   };
 
   const handleInsert = (index, position) => {
@@ -131,7 +133,32 @@ function SegmentManager({ segments, onUpdate }) {
     }));
     
     setLocalSegments(updatedSegments);
-    onUpdate(updatedSegments);
+    onUpdate(updatedSegments, `Insert segment ${position} ${index + 1}`);
+  };
+
+  const handleRegenerate = async (index) => {
+    const guidance = window.prompt(`Regenerate segment ${index + 1}. Optional guidance:`, '');
+    if (guidance === null) return;
+
+    setRegeneratingIndex(index);
+    try {
+      const segment = await regenerateSegment({
+        segments: localSegments,
+        index,
+        settings,
+        baseDescriptions,
+        voiceProfile,
+        guidance,
+      });
+      const updatedSegments = [...localSegments];
+      updatedSegments[index] = segment;
+      setLocalSegments(updatedSegments);
+      onUpdate(updatedSegments, `Regenerate segment ${index + 1}`);
+    } catch (err) {
+      window.alert(`Failed to regenerate segment ${index + 1}: ${err.message}`);
+    } finally {
+      setRegeneratingIndex(null);
+    }
   };
 
   return (
@@ -178,6 +205,12 @@ function SegmentManager({ segments, onUpdate }) {
                 </span>
                 <span>•</span>
                 <span>{segment.segment_info?.duration || '8 seconds'}</span>
+                {segment.segment_info?.speakers?.length > 0 && (
+                  <>
+                    <span>•</span>
+                    <span>{segment.segment_info.speakers.join(' + ')}</span>
+                  </>
+                )}
               </div>
             </div>
             
@@ -196,6 +229,14 @@ function SegmentManager({ segments, onUpdate }) {
               >
                 📋
               </button>
+              <button
+                className="segment-action-btn regenerate"
+                onClick={() => handleRegenerate(index)}
+                disabled={regeneratingIndex !== null}
+                title="Regenerate segment"
+              >
+                {regeneratingIndex === index ? '⏳' : '🔄'}
+              </button>
               <button
                 className="segment-action-btn delete"
                 onClick={() => handleDelete(index)}
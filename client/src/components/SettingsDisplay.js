@@ -6,7 +6,9 @@ function SettingsDisplay({ settings }) {
   const formatSettingValue = (key, value) => {
     if (typeof value === 'boolean') return value ? 'Yes' : 'No';
     if (key === 'energyLevel') return `${value}%`;
-    if (key === 'targetWordsPerSegment') return `${value} words`;
+    if (key === 'targetWordsPerSegment' || key === 'minWords' || key === 'maxWords') return `${value} words`;
+    if (key === 'wordsPerMinute') return `${value} WPM`;
+    if (key === 'segmentSeconds') return `${value}s`;
     if (key === 'locations' && Array.isArray(value)) return value.join(' → ');
     if (key === 'script') return `${value.substring(0, 50)}...`;
     return value || 'Not specified';
@@ -30,6 +32,10 @@ function SettingsDisplay({ settings }) {
     voiceType: 'Voice Type',
     energyLevel: 'Energy Level',
     targetWordsPerSegment: 'Words per Segment',
+    wordsPerMinute: 'Speaking Pace',
+    segmentSeconds: 'Segment Length',
+    minWords: 'Min Words per Segment',
+    maxWords: 'Max Words per Segment',
     ethnicity: 'Ethnicity',
     characterFeatures: 'Character Features',
     accentRegion: 'Accent/Region'
@@ -40,7 +46,7 @@ function SettingsDisplay({ settings }) {
   const productSettings = ['product', 'productStyle'];
   const sceneSettings = ['settingMode', 'room', 'locations', 'timeOfDay', 'backgroundLife'];
   const visualSettings = ['cameraStyle', 'style', 'energyArc', 'narrativeStyle'];
-  const technicalSettings = ['jsonFormat', 'targetWordsPerSegment'];
+  const technicalSettings = ['jsonFormat', 'wordsPerMinute', 'segmentSeconds', 'minWords', 'maxWords', 'targetWordsPerSegment'];
 
   const renderSettingGroup = (title, keys) => {
     const relevantSettings = keys.filter(key => 
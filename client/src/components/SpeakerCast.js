@@ -0,0 +1,57 @@
+import React from 'react';
+
+const AGE_RANGES = ['18-24', '25-34', '35-44', '45-54', '55+'];
+const GENDERS = ['female', 'male', 'non-binary'];
+
+// Per-speaker details for a speaker-tagged script ("SARAH: ..." lines). The
+// speakers come from the split preview; the details go out as the "cast"
+// field ({ NAME: { gender, ageRange, description } }) through the form's
+// handleChange. Empty fields are left for the model to infer from the name.
+function SpeakerCast({ speakers, cast = {}, onChange }) {
+  if (!speakers || speakers.length < 2) return null;
+
+  const update = (name, field, value) => {
+    onChange({
+      target: { name: 'cast', value: { ...cast, [name]: { ...cast[name], [field]: value } } },
+    });
+  };
+
+  return (
+    <div className="speaker-cast">
+      <h4>Cast ({speakers.length} speakers)</h4>
+      <p className="form-help-text">
+        Each speaker gets their own character and voice. Lines are only split at a sentence when too long for one clip, and each segment
+        records who is speaking and who is on screen.
+      </p>
+      {speakers.map(name => (
+        <div key={name} className="form-row speaker-cast-row">
+          <div className="form-group">
+            <label>{name}</label>
+            <select value={cast[name]?.gender || ''} onChange={e => update(name, 'gender', e.target.value)}>
+              <option value="">Gender: infer</option>
+              {GENDERS.map(g => <option key={g} value={g}>{g}</option>)}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Age</label>
+            <select value={cast[name]?.ageRange || ''} onChange={e => update(name, 'ageRange', e.target.value)}>
+              <option value="">Infer</option>
+              {AGE_RANGES.map(a => <option key={a} value={a}>{a}</option>)}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Look / role</label>
+            <input
+              type="text"
+              value={cast[name]?.description || ''}
+              onChange={e => update(name, 'description', e.target.value)}
+              placeholder="e.g. interviewer, curly red hair"
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default SpeakerCast;
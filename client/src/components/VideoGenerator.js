@@ -1,19 +1,66 @@
-import React, { useState } from 'react';
-import { generateVideos } from '../api/client';
+import React, { useState, useEffect } from 'react';
+import { generateVideos, getVideoStatus } from '../api/client';
 
-function VideoGenerator({ segments }) {
+const POLL_INTERVAL_MS = 10000;
+const TERMINAL = ['completed', 'failed'];
+
+const STATUS_LABELS = {
+  queued: '⏳ Queued',
+  processing: '🎬 Rendering',
+  completed: '✅ Ready',
+  failed: '❌ Failed',
+};
+
+// segmentSeconds is the run's pacing (settings saved before pacing existed have none)
+function VideoGenerator({ segments, segmentSeconds = 8, title = 'Video Generation', generate = generateVideos, onSubmitted = () => {} }) {
   const [loading, setLoading] = useState(false);
   const [videos, setVideos] = useState(null);
   const [error, setError] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
+  const [useKieAi, setUseKieAi] = useState(false);
+  // Kie.ai's rate is a server setting; its cost comes back with the submission
+  const [kieAiCost, setKieAiCost] = useState(null);
+
+  const pending = (videos || []).filter(v => v.taskId && !TERMINAL.includes(v.status));
+
+  // Poll every unfinished task until it completes or fails
+  useEffect(() => {
+    const unfinished = (videos || []).filter(v => v.taskId && !TERMINAL.includes(v.status));
+    if (unfinished.length === 0) return undefined;
+    const timer = setTimeout(async () => {
+      const updates = await Promise.all(unfinished.map(v =>
+        getVideoStatus(v.taskId, v.provider).catch(err => ({ taskId: v.taskId, pollError: err.message }))
+      ));
+      setVideos(prev => prev.map(v => {
+        const update = updates.find(u => (u.id || u.taskId) === v.taskId);
+        if (!update) return v;
+        if (update.pollError) return { ...v, pollError: update.pollError };
+        return {
+          ...v,
+          status: update.status,
+          progress: update.progress,
+          videoUrl: update.videoUrl,
+          error: update.error,
+          pollError: null,
+        };
+      }));
+    }, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [videos]);
 
   const handleGenerateVideos = async () => {
     setLoading(true);
     setError(null);
-    
+    setKieAiCost(null);
+
     try {
-      const result = await generateVideos(segments);
+      const provider = useKieAi ? 'kieai' : 'veo';
+      const result = await generate(segments, provider, { segmentSeconds });
       setVideos(result.videos);
+      if (provider === 'kieai') setKieAiCost(result.cost || null);
+      // the segments that were submitted keep rendering; say which didn't
+      if (!result.success) setError(result.message);
+      onSubmitted(result, provider);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -22,26 +69,41 @@ function VideoGenerator({ segments }) {
   };
 
   const getCostDisplay = () => {
-    return `$${(segments.length * 8 * 0.75).toFixed(2)} (8 seconds × $0.75 per second)`;
+    if (useKieAi) {
+      if (!kieAiCost) return 'charged per video via Kie.ai, shown once submitted';
+      return `$${kieAiCost.amount.toFixed(2)} ($${kieAiCost.perVideo.toFixed(2)} per submitted video via Kie.ai)`;
+    }
+    return `$${(segments.length * segmentSeconds * 0.75).toFixed(2)} (${segmentSeconds} seconds × $0.75 per second)`;
   };
 
+  const completedCount = (videos || []).filter(v => v.status === 'completed').length;
+
   return (
     <div className="video-generator">
-      <h3>Video Generation</h3>
-      
+      <h3>{title}</h3>
+
       <div className="video-info">
         <p><strong>Ready to generate {segments.length} video segments</strong></p>
-        
-        
+
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={useKieAi}
+            onChange={(e) => setUseKieAi(e.target.checked)}
+            disabled={loading || pending.length > 0}
+          />
+          Use Kie.ai for actual video generation
+        </label>
+
         <p className="video-cost">Estimated cost: {getCostDisplay()}</p>
       </div>
 
-      <button 
+      <button
         className="generate-videos-button"
         onClick={handleGenerateVideos}
-        disabled={loading}
+        disabled={loading || pending.length > 0}
       >
-        {loading ? 'Generating...' : 'Generate'}
+        {loading ? 'Submitting...' : pending.length > 0 ? 'Rendering...' : 'Generate'}
       </button>
 
       {error && (
@@ -52,17 +114,47 @@ function VideoGenerator({ segments }) {
 
       {videos && (
         <div className="videos-results">
-          <h4>Video Description Results</h4>
+          <h4>Video Results</h4>
           <p className="video-status">
-            ✅ Generated descriptions for all {videos.length} segments
+            {completedCount} of {videos.length} videos ready
+            {pending.length > 0 && ' — checking progress every 10 seconds'}
           </p>
-          
-          
-          <button 
+
+          {videos.map((video, index) => (
+            <div key={video.taskId || index} className={`video-segment video-${video.status}`}>
+              <h5>
+                Segment {video.segmentNumber}
+                <span className="video-task-status">{STATUS_LABELS[video.status] || video.status}</span>
+              </h5>
+              {!TERMINAL.includes(video.status) && (
+                <div className="video-progress">
+                  <div
+                    className="video-progress-bar"
+                    style={{ width: `${video.progress || 0}%` }}
+                  />
+                </div>
+              )}
+              {video.status === 'completed' && video.videoUrl && (
+                <video className="video-player" src={video.videoUrl} controls preload="metadata" />
+              )}
+              {video.status === 'completed' && video.videoUrl && (
+                <a href={video.videoUrl} target="_blank" rel="noopener noreferrer" download>
+                  Download segment {video.segmentNumber}
+                </a>
+              )}
+              {video.cost && (
+                <p className="video-duration">Cost: ${video.cost.amount.toFixed(2)} {video.cost.currency}</p>
+              )}
+              {video.error && <p className="error-message">{video.error}</p>}
+              {video.pollError && <p className="video-duration">Status check failed: {video.pollError}</p>}
+            </div>
+          ))}
+
+          <button
             className="toggle-details-button"
             onClick={() => setShowDetails(!showDetails)}
           >
-            {showDetails ? 'Hide' : 'Show'} Details
+            {showDetails ? 'Hide' : 'Show'} Prompts
           </button>
 
           {showDetails && (
@@ -74,12 +166,6 @@ function VideoGenerator({ segments }) {
                     <strong>Prompt:</strong>
                     <pre>{video.prompt}</pre>
                   </div>
-                  {video.videoDescription && (
-                    <div className="video-description">
-                      <strong>Video Description:</strong>
-                      <pre>{video.videoDescription}</pre>
-                    </div>
-                  )}
                   {video.duration && (
                     <p className="video-duration">Duration: {video.duration}</p>
                   )}
@@ -87,15 +173,10 @@ function VideoGenerator({ segments }) {
               ))}
             </div>
           )}
-          
-          <div className="veo3-note">
-            <p><strong>Note:</strong> This generates detailed video descriptions that can be used with Google's Veo 3 API once available.</p>
-            <p>The descriptions include camera angles, character states, dialogue timing, and scene continuity for seamless video generation.</p>
-          </div>
         </div>
       )}
     </div>
   );
 }
 
-export default VideoGenerator;
\ No newline at end of file
+export default VideoGenerator;
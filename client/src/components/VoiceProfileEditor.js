@@ -0,0 +1,62 @@
+import React from 'react';
+
+const TEXT_FIELDS = [
+  ['pitchRange', 'Pitch'],
+  ['speakingRate', 'Speaking rate'],
+  ['toneQualities', 'Tone'],
+  ['vocalTexture', 'Texture'],
+  ['regionalAccent', 'Accent'],
+  ['breathingPattern', 'Breathing'],
+];
+const INFLECTIONS = ['excitement', 'emphasis', 'warmth'];
+
+// The run's detailed voice profile. Every segment's voice_matching starts
+// with it, so edits here apply to regenerated segments, hook variants and
+// any later batch the profile is submitted with. Changes go out whole
+// through onChange(profile).
+function VoiceProfileEditor({ voiceProfile, onChange, title = 'Voice Profile' }) {
+  if (!voiceProfile) return null;
+
+  const inflections = voiceProfile.emotionalInflections || {};
+  const update = (field, value) => onChange({ ...voiceProfile, [field]: value });
+
+  return (
+    <details className="json-details voice-profile-editor">
+      <summary className="json-summary">
+        <span className="json-summary-text">{title} (shared by every segment)</span>
+      </summary>
+      <div className="voice-profile-fields">
+        {TEXT_FIELDS.map(([field, label]) => (
+          <div key={field} className="form-group">
+            <label>{label}</label>
+            <input
+              type="text"
+              value={voiceProfile[field] || ''}
+              onChange={e => update(field, e.target.value)}
+            />
+          </div>
+        ))}
+        {INFLECTIONS.map(name => (
+          <div key={name} className="form-group">
+            <label>Inflection: {name}</label>
+            <input
+              type="text"
+              value={inflections[name] || ''}
+              onChange={e => update('emotionalInflections', { ...inflections, [name]: e.target.value })}
+            />
+          </div>
+        ))}
+        <div className="form-group">
+          <label>Signature markers (one per line)</label>
+          <textarea
+            rows={3}
+            value={(voiceProfile.uniqueMarkers || []).join('\n')}
+            onChange={e => update('uniqueMarkers', e.target.value.split('\n'))}
+          />
+        </div>
+      </div>
+    </details>
+  );
+}
+
+export default VoiceProfileEditor;
@@ -0,0 +1,77 @@
+// Version history for a segment set. A history is
+//   { versions: [{ id, label, segments, createdAt }], index }
+// where `index` points at the version currently shown. Recording a version
+// after an undo drops the redo branch, like any editor.
+
+// Oldest versions are dropped past this many
+export const MAX_VERSIONS = 50;
+
+let nextVersionId = 1;
+
+function makeVersion(segments, label) {
+  return { id: nextVersionId++, label, segments, createdAt: new Date().toISOString() };
+}
+
+export function createHistory(segments, label = 'Generated') {
+  return { versions: [makeVersion(segments, label)], index: 0 };
+}
+
+export function recordVersion(history, segments, label = 'Edit') {
+  if (!history) return createHistory(segments, label);
+  const versions = [...history.versions.slice(0, history.index + 1), makeVersion(segments, label)];
+  const trimmed = versions.slice(-MAX_VERSIONS);
+  return { versions: trimmed, index: trimmed.length - 1 };
+}
+
+export const canUndo = (history) => !!history && history.index > 0;
+export const canRedo = (history) => !!history && history.index < history.versions.length - 1;
+
+export function moveTo(history, index) {
+  if (!history || index < 0 || index >= history.versions.length) return history;
+  return { ...history, index };
+}
+
+export const undo = (history) => (canUndo(history) ? moveTo(history, history.index - 1) : history);
+export const redo = (history) => (canRedo(history) ? moveTo(history, history.index + 1) : history);
+
+export const currentVersion = (history) => history?.versions[history.index] || null;
+
+// { 'a.b[0].c': leaf } for every non-object value
+function flatten(value, prefix = '', out = {}) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => flatten(item, `${prefix}[${i}]`, out));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      flatten(item, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Segment-by-segment diff of two versions, matched by position:
+ *   [{ segmentNumber, change: 'added'|'removed'|'changed',
+ *      fields: [{ path, change, before, after }] }]
+ * Unchanged segments are left out.
+ */
+export function diffVersions(before, after) {
+  const a = before?.segments || [];
+  const b = after?.segments || [];
+  const diff = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const left = flatten(a[i] || {});
+    const right = flatten(b[i] || {});
+    const fields = [];
+    for (const path of [...new Set([...Object.keys(left), ...Object.keys(right)])].sort()) {
+      if (!(path in right)) fields.push({ path, change: 'removed', before: left[path] });
+      else if (!(path in left)) fields.push({ path, change: 'added', after: right[path] });
+      else if (left[path] !== right[path]) fields.push({ path, change: 'changed', before: left[path], after: right[path] });
+    }
+    if (fields.length === 0) continue;
+    const change = i >= a.length ? 'added' : i >= b.length ? 'removed' : 'changed';
+    diff.push({ segmentNumber: i + 1, change, fields });
+  }
+  return diff;
+}
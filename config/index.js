@@ -31,11 +31,14 @@ const finalConfig = {
   RATE_LIMIT_MAX_REQUESTS: process.env.RATE_LIMIT_MAX_REQUESTS || config.RATE_LIMIT_MAX_REQUESTS,
   CORS_ORIGINS: process.env.CORS_ORIGINS || config.CORS_ORIGINS,
   OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  // Replayed fixtures only stand in for a missing key outside production
+  LLM_PROVIDER: process.env.LLM_PROVIDER
+    || (process.env.OPENAI_API_KEY || NODE_ENV === 'production' ? 'openai' : 'fixture'),
   LOG_LEVEL: process.env.LOG_LEVEL || config.LOG_LEVEL,
 };
 
-// Validation
-const requiredVars = ['OPENAI_API_KEY'];
+// Validation (only an explicitly chosen or dev-fallback fixture provider needs no key)
+const requiredVars = finalConfig.LLM_PROVIDER === 'fixture' ? [] : ['OPENAI_API_KEY'];
 const missingVars = requiredVars.filter(key => !finalConfig[key]);
 
 if (missingVars.length > 0) {
@@ -54,5 +57,6 @@ console.log(`🔧 Rate Limit: ${finalConfig.RATE_LIMIT_MAX_REQUESTS} requests pe
 console.log(`🔧 CORS Origins: ${finalConfig.CORS_ORIGINS}`);
 console.log(`🔧 Log Level: ${finalConfig.LOG_LEVEL}`);
 console.log(`🔧 Has OpenAI Key: ${!!finalConfig.OPENAI_API_KEY}`);
+console.log(`🔧 LLM Provider: ${finalConfig.LLM_PROVIDER}`);
 
 export default finalConfig;
@@ -12,6 +12,17 @@ import generateRoute from './api/routes/generate.js';
 import generatePlusRoute from './api/routes/generate.plus.js';
 import generateNewContRoute from './api/routes/generate.newcont.js';
 import generateContinuationRoute from './api/routes/generateContinuation.js';
+import jobsRoute from './api/routes/jobs.js';
+import segmentsRoute from './api/routes/segments.js';
+import videosRoute from './api/routes/videos.js';
+import runsRoute from './api/routes/runs.js';
+import projectsRoute from './api/routes/projects.js';
+import matricesRoute from './api/routes/matrices.js';
+import complianceRoute from './api/routes/compliance.js';
+import splitRoute from './api/routes/split.js';
+import charactersRoute from './api/routes/characters.js';
+import JobQueue from './api/services/jobQueue.js';
+import MatrixService from './api/services/matrixService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -36,7 +47,7 @@ app.use(cors({
     if (!origin) return cb(null, true);
     return cb(null, ALLOWED_ORIGINS.includes(origin));
   },
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   credentials: false,
 }));
@@ -55,7 +66,8 @@ app.use('/api', (req, res, next) => {
   const timer = setTimeout(() => {
     console.warn('[api] route_timeout', req.method, req.url);
     if (!res.headersSent) {
-      res.status(504).json({ ok: false, error: 'route_timeout' });
+      // generation keeps running as a job; the client can poll it
+      res.status(504).json({ ok: false, error: 'route_timeout', jobId: res.locals.jobId });
     }
   }, API_ROUTE_TIMEOUT_MS);
 
@@ -68,6 +80,17 @@ app.use('/api', (req, res, next) => {
 });
 
 // Routes
+// Mounted first so they are not counted by the generation routers' limiters
+// (segments applies its own per-route limiter)
+app.use('/api', jobsRoute);
+app.use('/api', segmentsRoute);
+app.use('/api', videosRoute);
+app.use('/api', runsRoute);
+app.use('/api', projectsRoute);
+app.use('/api', matricesRoute);
+app.use('/api', complianceRoute);
+app.use('/api', splitRoute);
+app.use('/api', charactersRoute);
 app.use('/api', generateRoute);
 app.use('/api', generatePlusRoute);
 app.use('/api', generateNewContRoute);
@@ -82,7 +105,8 @@ app.get('/api/health', (_req, res) => {
     apiTimeout: config.API_ROUTE_TIMEOUT_MS,
     rateLimit: `${config.RATE_LIMIT_MAX_REQUESTS} requests per ${config.RATE_LIMIT_WINDOW_MS}ms`,
     corsOrigins: config.CORS_ORIGINS,
-    hasOpenAIKey: !!config.OPENAI_API_KEY
+    hasOpenAIKey: !!config.OPENAI_API_KEY,
+    llmProvider: config.LLM_PROVIDER
   });
 });
 
@@ -121,6 +145,10 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`Environment: ${config.NODE_ENV}`);
   console.log(`Build directory: ${path.join(__dirname, 'build')}`);
   console.log('Has OPENAI_API_KEY?', !!config.OPENAI_API_KEY);
+  JobQueue.resume()
+    .catch(err => console.error('[Jobs] resume failed:', err))
+    .then(() => MatrixService.resume())
+    .catch(err => console.error('[Matrix] resume failed:', err));
 });
 
 server.requestTimeout = API_ROUTE_TIMEOUT_MS + 5_000;
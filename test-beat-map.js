@@ -0,0 +1,75 @@
+import { buildBeatMap, checkBeatTiming, wordTimings } from './api/services/beatMap.js';
+import Veo3Service from './api/services/veo3Service.js';
+import { checks } from './test-support.js';
+
+const PACING = { wordsPerMinute: 150, segmentSeconds: 8 };
+const keys = (map) => map.beats.map(b => b.key);
+
+// Beats tile the clip: 0:00 to the end, no gaps, each 1-3s on a half-second
+function wellFormed(map) {
+  return map.beats[0].start === 0
+    && map.beats[map.beats.length - 1].end === map.seconds
+    && map.beats.every((b, i) => (i === 0 || b.start === map.beats[i - 1].end)
+      && b.end - b.start >= 1 && b.end - b.start <= 3
+      && Number.isInteger(b.start * 2));
+}
+
+function testBeatMap() {
+  const { check, done } = checks('Testing beat map...');
+
+  const scripts = {
+    'empty dialogue': '',
+    'one word': 'Hi.',
+    'short line': 'Hi there, friend.',
+    'half a clip': 'Okay so listen to this.',
+    'full clip': 'Honestly this serum changed my skin in like two weeks and I am obsessed.',
+    'overlong': 'I tried everything for my dry skin and nothing worked, not the creams, not the oils, not the masks, until a friend handed me this.',
+  };
+  for (const [name, dialogue] of Object.entries(scripts)) {
+    const map = buildBeatMap(dialogue, PACING);
+    check(`${name}: beats are 1-3s and cover the clip`, wellFormed(map), keys(map));
+  }
+
+  const short = buildBeatMap('Hi.', PACING);
+  check('a long silent tail is cut into several beats',
+    short.beats.filter(b => !b.words).length >= 3, keys(short));
+
+  const overlong = buildBeatMap(scripts.overlong, PACING);
+  check('speech that overruns the clip is compressed to fit',
+    overlong.compressed && overlong.words[overlong.words.length - 1].end <= 8, overlong.words.slice(-1));
+
+  const stressed = wordTimings('This is *really* GOOD stuff.', PACING).words;
+  check('starred and ALL-CAPS words are marked as emphasis',
+    JSON.stringify(stressed.filter(w => w.emphasis).map(w => w.word)) === '["really","GOOD"]', stressed);
+
+  const dialog = buildBeatMap('SARAH: Did it work? MIKE: It did, honestly.', PACING, { speakers: ['SARAH', 'MIKE'] });
+  check('speaker tags are not timed as words',
+    !dialog.words.some(w => /SARAH|MIKE/.test(w.word)), dialog.words.map(w => w.word));
+  check('beats know who speaks in them',
+    dialog.beats.some(b => b.speakers.includes('SARAH')) && dialog.beats.some(b => b.speakers.includes('MIKE')), dialog.beats);
+
+  const map = buildBeatMap(scripts['full clip'], PACING);
+  const aligned = { action_timeline: { synchronized_actions: Object.fromEntries(map.beats.map(b => [b.key, 'gesture'])) } };
+  check('actions keyed by the grid are aligned', checkBeatTiming(aligned, map).aligned);
+  const offGrid = { action_timeline: { synchronized_actions: { '0:00-0:01.8': 'wave', '0:01.8-0:08': 'point', later: 'nod' } } };
+  const result = checkBeatTiming(offGrid, map);
+  check('off-grid and unparseable keys are reported',
+    !result.aligned && result.offGrid.includes('0:00-0:01.8') && result.invalid.includes('later'), result);
+  check('free-text actions are not checked',
+    checkBeatTiming({ action_timeline: { synchronized_actions: 'smiles and waves' } }, map) === null);
+
+  // every format is asked for beat-keyed actions, so every video prompt has to render them
+  const timedSegment = { segment_info: { segment_number: 1 }, action_timeline: { dialogue: 'Hi', synchronized_actions: aligned.action_timeline.synchronized_actions } };
+  for (const [name, prompt] of [
+    ['standard', Veo3Service.createVideoPrompt(timedSegment)],
+    ['enhanced', Veo3Service.createVideoPrompt({ ...timedSegment, segment_info: { ...timedSegment.segment_info, continuity_markers: {} } })],
+    ['plus', Veo3Service.createVideoPromptPlus(timedSegment)],
+  ]) {
+    check(`${name} video prompt lists beat-keyed actions as "time: action" lines`,
+      !prompt.includes('[object Object]') && prompt.includes(`${map.beats[0].key}: gesture`), prompt);
+  }
+
+  done();
+}
+
+testBeatMap();
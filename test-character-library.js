@@ -0,0 +1,74 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { checks } from './test-support.js';
+
+// Characters go to a temp dir and nothing calls a model; the env has to be
+// set before the services (singletons) are imported
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'character-library-'));
+process.env.CHARACTERS_DIR = tmp;
+process.env.LLM_PROVIDER = 'fixture';
+
+const { default: CharacterStore } = await import('./api/services/characterStore.js');
+const { default: OpenAIService } = await import('./api/services/openaiService.js');
+
+const human = {
+  physical: 'Woman in her early 30s, shoulder-length auburn hair',
+  clothing: 'Sage linen shirt',
+  voice: 'Warm, unhurried alto',
+};
+
+async function codeOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (err) {
+    return err.code;
+  }
+}
+
+async function testCharacterLibrary() {
+  const { check, equal, done } = checks('Testing the character library (validation, reuse in generation)...');
+
+  const maya = await CharacterStore.create({ name: 'Maya', brand: 'Acme', baseDescriptions: { ...human, extra: 'dropped' } });
+  equal('only the known base keys are kept', Object.keys(maya.baseDescriptions), ['physical', 'clothing', 'voice']);
+  equal('a character without species is a human avatar', maya.avatarMode, 'human');
+
+  const rex = await CharacterStore.create({
+    name: 'Rex',
+    baseDescriptions: { physical: 'Golden retriever', species: 'dog', accessories: 'Red collar', voice: 'Cheerful tenor' },
+  });
+  equal('a species makes it an animal avatar', rex.avatarMode, 'animal');
+
+  equal('a human needs clothing',
+    await codeOf(CharacterStore.create({ name: 'No shirt', baseDescriptions: { physical: 'x', voice: 'y' } })), 'invalid_character');
+  equal('an animal needs accessories instead',
+    await codeOf(CharacterStore.create({ name: 'Cat', baseDescriptions: { physical: 'x', voice: 'y', species: 'cat' } })), 'invalid_character');
+  equal('a character needs a name', await codeOf(CharacterStore.create({ baseDescriptions: human })), 'invalid_character');
+
+  const script = 'I switched to this serum a month ago and my skin has never felt better.';
+  equal('a saved human character suits a human single-presenter request',
+    await CharacterStore.characterError(maya.id, { script }), null);
+  check('an unknown character is refused',
+    /not found/.test(await CharacterStore.characterError('missing', { script })));
+  check('a multi-speaker script is refused',
+    /single-presenter/.test(await CharacterStore.characterError(maya.id, { script: 'SARAH: Hi there.\nMIKE: Hello back.' })));
+  check('the avatar mode has to match',
+    /animal avatar; this request is human/.test(await CharacterStore.characterError(rex.id, { script })));
+
+  const base = await OpenAIService.resolveBaseDescriptions({ characterId: maya.id, script }, 'template');
+  equal('generation reuses the saved base descriptions verbatim', base, human);
+  base.physical = 'changed';
+  equal('the run gets a copy, not the stored record', (await CharacterStore.get(maya.id)).baseDescriptions.physical, human.physical);
+
+  const updated = await CharacterStore.update(maya.id, { notes: 'Hero presenter' });
+  check('an update keeps the base descriptions', updated.notes === 'Hero presenter' && updated.baseDescriptions.voice === human.voice, updated);
+
+  done();
+}
+
+try {
+  await testCharacterLibrary();
+} finally {
+  await fs.rm(tmp, { recursive: true, force: true });
+}
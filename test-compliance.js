@@ -0,0 +1,47 @@
+import { lintText, lintGeneration } from './api/services/complianceLinter.js';
+import { checks } from './test-support.js';
+
+const ruleIds = (findings) => findings.map(f => f.ruleId);
+
+function testCompliance() {
+  const { check, equal, done } = checks('Testing the compliance linter (api/compliance/verticals.json)...');
+
+  equal('plain copy has no findings', lintText('I tried it for a week and liked the texture.'), []);
+
+  const claims = lintText('Guaranteed results. Earn $500 a day and lose 10 lbs. Act now!');
+  equal('claims are reported in reading order',
+    ruleIds(claims), ['guarantee', 'earnings-claim', 'weight-loss-amount', 'act-now']);
+  check('each finding carries the matched text and its index',
+    claims[1].match === 'Earn $500 a day' && claims[1].index === 20, claims[1]);
+
+  equal('speaker tags and acronyms are not shouting',
+    ruleIds(lintText('SARAH: The FDA label and the SPF are on the back.')), []);
+  equal('all-caps words are',
+    ruleIds(lintText('This is HUGE for your skin.')), ['all-caps']);
+
+  const script = 'This miracle cream is a detox for your face.';
+  equal('banned terms only apply to their vertical', ruleIds(lintText(script)), []);
+  equal('the health vertical bans its terms',
+    ruleIds(lintText(script, { vertical: 'health' })), ['banned:miracle', 'banned:detox']);
+
+  const report = lintGeneration({
+    script: 'Don\'t wait, everyone qualifies.',
+    segments: [
+      { segment_info: { segment_number: 1 }, action_timeline: { dialogue: 'No medical exam needed.' } },
+      { segment_info: { segment_number: 2 }, action_timeline: { dialogue: 'Call today.' } },
+    ],
+    vertical: 'insurance',
+  });
+  equal('the report lints the script and each segment',
+    [ruleIds(report.script), report.segments.map(s => ruleIds(s.findings))],
+    [['dont-wait', 'everyone-qualifies', 'banned:everyone qualifies'], [['banned:no medical exam'], ['act-now']]]);
+  equal('the summary counts by severity and category',
+    [report.summary.total, report.summary.high, report.summary.byCategory.urgency], [5, 3, 2]);
+
+  equal('an unknown vertical falls back to general',
+    lintGeneration({ script: 'Free money!', vertical: 'crypto' }).vertical, 'general');
+
+  done();
+}
+
+testCompliance();
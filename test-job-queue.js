@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { checks } from './test-support.js';
+
+// Jobs and their runs go to a temp dir; the env has to be set before the
+// queue (a singleton) is imported
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'job-queue-'));
+process.env.JOBS_DIR = path.join(tmp, 'jobs');
+process.env.RUNS_DIR = path.join(tmp, 'runs');
+process.env.JOB_RETRY_DELAY_MS = '10';
+process.env.JOB_MAX_ATTEMPTS = '3';
+
+const { default: JobQueue } = await import('./api/services/jobQueue.js');
+
+const failWith = (message, extra = {}) => Object.assign(new Error(message), extra);
+
+// waitFor resolves when the final update is emitted, just before it is written
+async function storedWhen(id, ready) {
+  for (let i = 0; i < 50; i++) {
+    const job = await JobQueue.store.get(id);
+    if (ready(job)) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return JobQueue.store.get(id);
+}
+
+async function testJobQueue() {
+  const { check, equal, done } = checks('Testing the job queue (retries, resume after restart)...');
+
+  // a transient error is retried until the handler succeeds
+  let flakyCalls = 0;
+  JobQueue.register('test-flaky', async () => {
+    flakyCalls++;
+    if (flakyCalls < 3) throw failWith('upstream overloaded', { status: 503 });
+    return { segments: ['ok'] };
+  });
+  const flaky = await JobQueue.waitFor((await JobQueue.enqueue('test-flaky', {})).id);
+  check('a transient failure is retried until it completes', flaky.status === 'completed', flaky);
+  equal('each retry counts as an attempt', flaky.attempts, 3);
+
+  // a fatal error fails on the first attempt
+  let fatalCalls = 0;
+  JobQueue.register('test-fatal', async () => {
+    fatalCalls++;
+    throw failWith('segment failed validation');
+  });
+  const fatal = await JobQueue.waitFor((await JobQueue.enqueue('test-fatal', {})).id);
+  check('a fatal failure is not retried', fatal.status === 'failed' && fatalCalls === 1, { fatal, fatalCalls });
+  equal('the error is marked not transient', fatal.error, { message: 'segment failed validation', timeout: false, transient: false });
+
+  // transient failures stop at maxAttempts
+  JobQueue.register('test-down', async () => {
+    throw failWith('connect ECONNREFUSED', { code: 'ECONNREFUSED' });
+  });
+  const down = await JobQueue.waitFor((await JobQueue.enqueue('test-down', {}, { maxAttempts: 2 })).id);
+  check('a transient failure gives up after maxAttempts',
+    down.status === 'failed' && down.attempts === 2 && down.error?.transient === true, down);
+
+  // a job left running by a previous process picks up after its last
+  // finished segment
+  let resumedWith = null;
+  JobQueue.register('test-resume', async (params, { onEvent, resume }) => {
+    resumedWith = JSON.parse(JSON.stringify(resume));
+    const segments = [...resume.segments];
+    for (let i = segments.length; i < params.total; i++) {
+      segments[i] = `segment ${i + 1}`;
+      onEvent('segment_completed', { index: i, segment: segments[i] });
+    }
+    return { segments };
+  });
+  const stranded = {
+    id: 'stranded-job',
+    type: 'test-resume',
+    status: 'running',
+    params: { total: 3 },
+    attempts: 1,
+    maxAttempts: 2,
+    progress: { totalSegments: 3, completedSegments: 1 },
+    segments: ['segment 1'],
+    baseDescriptions: { character_description: 'kept' },
+    voiceProfile: null,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+  await JobQueue.store.save(stranded);
+  await JobQueue.resume();
+  const resumed = await JobQueue.waitFor('stranded-job');
+  equal('the handler is handed the stored segments and base descriptions',
+    resumedWith, { segments: ['segment 1'], baseDescriptions: { character_description: 'kept' }, voiceProfile: null });
+  equal('the resumed job finishes the remaining segments',
+    resumed.result?.segments, ['segment 1', 'segment 2', 'segment 3']);
+  const stored = await storedWhen('stranded-job', job => job?.status === 'completed');
+  check('the finished job is persisted', stored?.status === 'completed' && stored.attempts === 2, stored);
+
+  done();
+}
+
+try {
+  await testJobQueue();
+} finally {
+  await fs.rm(tmp, { recursive: true, force: true });
+}
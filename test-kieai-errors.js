@@ -0,0 +1,64 @@
+import { checks } from './test-support.js';
+
+// A fixed rate and no key; the client is swapped for a fake below
+process.env.KIEAI_COST_PER_VIDEO = '0.40';
+delete process.env.KIEAI_API_KEY;
+
+const { default: KieAiService } = await import('./api/services/kieAiService.js');
+
+const httpError = (status, data = {}) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+
+function codeOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err.code;
+  }
+}
+
+async function testKieAiErrors() {
+  const { check, equal, done } = checks('Testing the Kie.ai service (error mapping, batch submission)...');
+
+  equal('402 is an insufficient balance', KieAiService.mapError(httpError(402)).code, 'insufficient_balance');
+  equal('a balance message is too, whatever the status',
+    KieAiService.mapError(httpError(400, { msg: 'Credits insufficient' })).code, 'insufficient_balance');
+  equal('401 and 403 are a rejected key',
+    [KieAiService.mapError(httpError(401)).code, KieAiService.mapError(httpError(403)).code], ['unauthorized', 'unauthorized']);
+  const limited = KieAiService.mapError(httpError(429));
+  check('429 is a rate limit and keeps its status', limited.code === 'rate_limited' && limited.status === 429, limited);
+  equal('anything else carries the upstream message',
+    KieAiService.mapError(httpError(500, { message: 'model busy' })).message, 'Kie.ai request failed: model busy');
+
+  equal('a 200 body passes checkBody', codeOf(() => KieAiService.checkBody({ code: 200, data: {} })), null);
+  equal('an error code in a 200 body is mapped like an HTTP status',
+    codeOf(() => KieAiService.checkBody({ code: 401, msg: 'bad key' })), 'unauthorized');
+
+  equal('no key is not_configured',
+    await KieAiService.generateVideo('prompt').then(() => null, err => err.code), 'not_configured');
+
+  // the second submission runs out of balance; the third is never sent
+  const sent = [];
+  KieAiService.client = {
+    post: async (url, body) => {
+      sent.push(body.prompt);
+      if (sent.length === 1) return { data: { code: 200, data: { taskId: 'task-1' } } };
+      return { data: { code: 402, msg: 'insufficient balance' } };
+    },
+  };
+  const segments = [1, 2, 3].map(n => ({ segment_info: { segment_number: n } }));
+  const result = await KieAiService.generateVideosForAllSegments(segments, s => `segment ${s.segment_info.segment_number}`);
+  equal('submission stops after an account-level failure', sent, ['segment 1', 'segment 2']);
+  equal('unsent segments are reported with that failure',
+    result.videos.map(v => v.taskId || v.code), ['task-1', 'insufficient_balance', 'insufficient_balance']);
+  equal('cost covers the submitted videos only', result.cost, { amount: 0.4, currency: 'USD', perVideo: 0.4 });
+  check('the batch is a partial success', !result.success && result.submitted === 1 && result.failed === 2, result);
+
+  KieAiService.client = { post: async () => { throw httpError(401); } };
+  equal('a batch where nothing was submitted throws',
+    await KieAiService.generateVideosForAllSegments(segments, () => 'p').then(() => null, err => err.code), 'unauthorized');
+
+  done();
+}
+
+testKieAiErrors();
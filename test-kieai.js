@@ -11,10 +11,10 @@ async function testKieAi() {
   if (!process.env.KIEAI_API_KEY || process.env.KIEAI_API_KEY === '') {
     console.error('❌ KIEAI_API_KEY is not set in .env file');
     console.log('\nPlease follow these steps:');
-    console.log('1. Go to https://siliconflow.cn');
+    console.log('1. Go to https://kie.ai');
     console.log('2. Sign up and add credits ($5 minimum)');
-    console.log('3. Get your API key from the dashboard');
-    console.log('4. Add it to .env file: KIEAI_API_KEY=sk-your-key-here');
+    console.log('3. Get your API key from https://kie.ai/api-key');
+    console.log('4. Add it to .env file: KIEAI_API_KEY=your-key-here');
     return;
   }
 
@@ -60,9 +60,8 @@ async function testKieAi() {
     
     if (error.message.includes('Insufficient balance')) {
       console.log('\n💰 You need to add credits to your Kie.ai account:');
-      console.log('1. Go to https://siliconflow.cn');
-      console.log('2. Click on your profile → Balance');
-      console.log('3. Add at least $5 to your account');
+      console.log('1. Go to https://kie.ai/billing');
+      console.log('2. Add at least $5 to your account');
     }
   }
 
@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { checks } from './test-support.js';
+
+// Matrices, their jobs and runs go to a temp dir; the env has to be set
+// before the services (singletons) are imported
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'matrix-'));
+process.env.MATRICES_DIR = path.join(tmp, 'matrices');
+process.env.JOBS_DIR = path.join(tmp, 'jobs');
+process.env.RUNS_DIR = path.join(tmp, 'runs');
+process.env.JOB_CONCURRENCY = '4';
+
+const { default: JobQueue } = await import('./api/services/jobQueue.js');
+const { default: MatrixService, expandAxes } = await import('./api/services/matrixService.js');
+
+// A stand-in for the generation handler: records how many run at once and
+// fails (not transiently) for the persona named 'broken'
+let active = 0;
+let maxActive = 0;
+const ran = [];
+JobQueue.register('generate', async (params) => {
+  active++;
+  maxActive = Math.max(maxActive, active);
+  ran.push(`${params.persona}/${params.awareness}`);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  active--;
+  if (params.persona === 'broken') throw new Error('segment failed validation');
+  return { segments: [{ action_timeline: { dialogue: `Hi from ${params.persona}` } }] };
+});
+
+async function settled(id) {
+  for (let i = 0; i < 200; i++) {
+    const matrix = await MatrixService.get(id);
+    if (matrix?.status !== 'running') return matrix;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return MatrixService.get(id);
+}
+
+function codeOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err.code;
+  }
+}
+
+async function testMatrix() {
+  const { check, equal, done } = checks('Testing the variant matrix (planning, scheduling, resume)...');
+
+  equal('axes expand in field order',
+    expandAxes({ awareness: ['x', 'y'], persona: ['a'] }), [{ persona: 'a', awareness: 'x' }, { persona: 'a', awareness: 'y' }]);
+  equal('an unknown field is rejected', codeOf(() => MatrixService.plan({ axes: { colour: ['red'] } })), 'invalid_matrix');
+  equal('a combination outside the axes is rejected',
+    codeOf(() => MatrixService.plan({ axes: { persona: ['a'] }, combinations: [{ persona: 'b' }] })), 'invalid_matrix');
+  equal('a chosen subset is used as given',
+    MatrixService.plan({ axes: { persona: ['a', 'b'], awareness: ['x'] }, combinations: [{ persona: 'b', awareness: 'x' }] })
+      .variants.map(v => v.label), ['persona: b · awareness: x']);
+
+  // four variants, two at a time, one persona failing
+  const created = await MatrixService.create({
+    params: { script: 'Hello there.' },
+    axes: { persona: ['maya', 'broken'], awareness: ['unaware', 'solution'] },
+    concurrency: 2,
+  });
+  const matrix = await settled(created.id);
+  equal('every variant ran once', ran.sort(), ['broken/solution', 'broken/unaware', 'maya/solution', 'maya/unaware']);
+  check('no more than `concurrency` variants ran at once', maxActive === 2, { maxActive });
+  equal('variants report their own outcome',
+    matrix.variants.map(v => `${v.settings.persona}:${v.status}`),
+    ['maya:completed', 'maya:completed', 'broken:failed', 'broken:failed']);
+  check('completed variants carry a preview', matrix.variants[0].preview === 'Hi from maya', matrix.variants[0]);
+  equal('some failures make the matrix partial', matrix.status, 'partial');
+  const capped = await MatrixService.create({ params: {}, axes: { persona: ['solo'] }, concurrency: 10 });
+  equal('concurrency is capped at the job queue\'s', capped.concurrency, 4);
+  await settled(capped.id);
+
+  // a matrix left running by a previous process: one variant done, one with
+  // its job already queued, one never started
+  ran.length = 0;
+  const queued = await JobQueue.enqueue('generate', { persona: 'queued', awareness: 'unaware' });
+  const variant = (index, persona, extra) => ({
+    index, label: `persona: ${persona}`, settings: { persona, awareness: 'unaware' },
+    jobId: null, status: 'pending', segmentCount: 0, preview: '', error: null, finishedAt: null, ...extra,
+  });
+  await MatrixService.store.save({
+    id: 'stranded-matrix', mode: 'standard', jobType: 'generate', status: 'running', concurrency: 2,
+    params: {}, axes: { persona: ['done', 'queued', 'fresh'], awareness: ['unaware'] },
+    variants: [
+      variant(0, 'done', { status: 'completed', segmentCount: 1, finishedAt: new Date().toISOString() }),
+      variant(1, 'queued', { status: 'queued', jobId: queued.id }),
+      variant(2, 'fresh'),
+    ],
+    createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), finishedAt: null,
+  });
+  await MatrixService.resume();
+  const resumed = await settled('stranded-matrix');
+  equal('only unfinished variants run after a restart', ran.sort(), ['fresh/unaware', 'queued/unaware']);
+  check('the queued variant follows its existing job', resumed.variants[1].jobId === queued.id, resumed.variants[1]);
+  equal('the resumed matrix completes', resumed.status, 'completed');
+
+  done();
+}
+
+try {
+  await testMatrix();
+} finally {
+  await fs.rm(tmp, { recursive: true, force: true });
+}
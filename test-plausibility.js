@@ -0,0 +1,60 @@
+import { applyPlausibilityRules } from './api/services/plausibilityRules.js';
+import { checks } from './test-support.js';
+
+const segmentIn = (location, overrides = {}) => ({
+  segment_info: { segment_number: 1, location },
+  scene_continuity: { environment: 'Bright and tidy', props_in_frame: 'Sofa, plants' },
+  action_timeline: { dialogue: 'This changed everything.', synchronized_actions: 'Smiles at the camera' },
+  ...overrides,
+});
+
+function testPlausibility() {
+  const { check, done } = checks('Testing plausibility rules (api/plausibility/rules.json)...');
+
+  const clean = applyPlausibilityRules(segmentIn('Modern living room'));
+  check('a plausible segment is left alone', clean.changes.length === 0, clean.changes);
+
+  const indoor = segmentIn('Modern living room', {
+    scene_continuity: { environment: 'Cozy room, solar panels on the shelf', props_in_frame: 'Sofa, plants' },
+  });
+  const rewritten = applyPlausibilityRules(indoor);
+  check('solar panels indoors are rewritten in a string field',
+    indoor.scene_continuity.environment === 'Cozy room, solar panel monitoring display on the shelf', indoor.scene_continuity);
+  check('the change names the rule and the field',
+    rewritten.changes[0]?.ruleId === 'indoor-solar-panels' && rewritten.changes[0]?.field === 'scene_continuity.environment',
+    rewritten.changes);
+
+  const timed = segmentIn('Home office', {
+    action_timeline: {
+      dialogue: 'Look at this.',
+      synchronized_actions: { '0:00-0:02': 'Smiles', '0:02-0:04': 'Points at the solar panels' },
+    },
+  });
+  const timedResult = applyPlausibilityRules(timed);
+  check('timed synchronized_actions are rewritten action by action',
+    timed.action_timeline.synchronized_actions['0:02-0:04'] === 'Points at the monitoring display'
+      && timed.action_timeline.synchronized_actions['0:00-0:02'] === 'Smiles',
+    timed.action_timeline.synchronized_actions);
+  check('the change path names the time range',
+    timedResult.changes.some(c => c.field === 'action_timeline.synchronized_actions["0:02-0:04"]'), timedResult.changes);
+
+  const listed = segmentIn('Kitchen', {
+    scene_continuity: { environment: 'Bright and tidy', props_in_frame: ['Kettle', 'Portable generator'] },
+  });
+  const listedResult = applyPlausibilityRules(listed);
+  check('props given as an array are rewritten item by item',
+    listed.scene_continuity.props_in_frame[0] === 'Kettle' && !/generator/i.test(listed.scene_continuity.props_in_frame[1]),
+    listed.scene_continuity.props_in_frame);
+  check('the change path names the array index',
+    listedResult.changes.some(c => c.field === 'scene_continuity.props_in_frame[1]'), listedResult.changes);
+
+  const outdoor = segmentIn('Backyard patio', {
+    scene_continuity: { environment: 'Solar panels on the roof behind', props_in_frame: 'Generator' },
+  });
+  check('outdoor locations keep their solar panels and generators',
+    applyPlausibilityRules(outdoor).changes.length === 0, outdoor.scene_continuity);
+
+  done();
+}
+
+testPlausibility();
@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { checks } from './test-support.js';
+
+// Projects go to a temp dir; the env has to be set before the store (a
+// singleton) is imported
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'project-store-'));
+process.env.PROJECTS_DIR = tmp;
+
+const { default: ProjectStore } = await import('./api/services/projectStore.js');
+
+async function codeOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (err) {
+    return err.code;
+  }
+}
+
+async function testProjectStore() {
+  const { check, equal, done } = checks('Testing the project store (locking, item checks)...');
+
+  const project = await ProjectStore.create({ name: 'Acme launch', client: 'Acme' });
+
+  // concurrent adds from two browsers all land
+  await Promise.all(Array.from({ length: 10 }, (_, i) =>
+    ProjectStore.addItem(project.id, 'scripts', { title: `Draft ${i + 1}`, text: `Script ${i + 1}` })));
+  const afterAdds = await ProjectStore.get(project.id);
+  equal('concurrent adds are all kept', afterAdds.scripts.length, 10);
+
+  // an update racing an add keeps both changes
+  const [renamed] = await Promise.all([
+    ProjectStore.update(project.id, { name: 'Acme relaunch' }),
+    ProjectStore.addItem(project.id, 'presets', { name: 'Warm', data: { style: 'warm' } }),
+  ]);
+  const afterRace = await ProjectStore.get(project.id);
+  check('a rename racing an add keeps both',
+    renamed?.name === 'Acme relaunch' && afterRace.name === 'Acme relaunch' && afterRace.presets.length === 1, afterRace);
+
+  // a delete is never undone by a write queued before it
+  const lateAdd = ProjectStore.addItem(project.id, 'scripts', { text: 'One more' });
+  const removed = await ProjectStore.remove(project.id);
+  const added = await lateAdd;
+  check('a write queued before a delete lands first', removed === true && added?.text === 'One more', { removed, added });
+  equal('a deleted project stays deleted', await ProjectStore.get(project.id), null);
+  equal('writes to a deleted project are a no-op',
+    await ProjectStore.addItem(project.id, 'scripts', { text: 'Too late' }), null);
+
+  // item shape checks
+  const other = await ProjectStore.create({ name: 'Checks' });
+  equal('a script without text is rejected',
+    await codeOf(ProjectStore.addItem(other.id, 'scripts', { title: 'Empty' })), 'invalid_project_item');
+  const script = await ProjectStore.addItem(other.id, 'scripts', { text: 'Hello' });
+  equal('an update that breaks an item is rejected',
+    await codeOf(ProjectStore.updateItem(other.id, 'scripts', script.id, { text: '  ' })), 'invalid_project_item');
+  equal('the rejected update leaves the item alone',
+    (await ProjectStore.get(other.id)).scripts[0].text, 'Hello');
+  equal('a project needs a name', await codeOf(ProjectStore.create({ client: 'Nobody' })), 'invalid_project');
+
+  done();
+}
+
+try {
+  await testProjectStore();
+} finally {
+  await fs.rm(tmp, { recursive: true, force: true });
+}
@@ -0,0 +1,56 @@
+import { splitScript, previewSplit, resolvePacing, pacingError } from './api/services/scriptSplitter.js';
+import { countSpokenWords } from './api/services/sentenceSegmenter.js';
+import { checks } from './test-support.js';
+
+const words = (texts) => texts.join(' ').replace(/\b[A-Z]+:\s/g, '').split(/\s+/).filter(Boolean);
+
+function testScriptSplitter() {
+  const { check, done } = checks('Testing script splitter...');
+
+  const pacing = resolvePacing();
+  check('default pacing is 15/20/22 words per 8s clip',
+    pacing.minWords === 15 && pacing.targetWords === 20 && pacing.maxWords === 22, pacing);
+
+  const plain = 'I used to dread mornings. My skin felt tight and dry every single day, no matter what I tried. '
+    + 'Then a friend handed me this serum. Two weeks later my skin feels calm, soft and actually hydrated. '
+    + 'Honestly, I did not think a serum could change my whole routine like that. Try it for yourself.';
+  const plainSegments = splitScript(plain);
+  check('plain script: no segment over maxWords',
+    plainSegments.every(s => countSpokenWords(s) <= pacing.maxWords), plainSegments);
+  check('plain script: every word kept, in order',
+    JSON.stringify(words(plainSegments)) === JSON.stringify(words([plain])));
+
+  const forced = splitScript('Short opener here. || And a second clip after the break.');
+  check('a break marker always ends a segment', forced.length === 2, forced);
+
+  const longTurn = 'SARAH: Did it work for you?\n'
+    + 'MIKE: It did. I was skeptical at first because nothing else ever worked for me. '
+    + 'Then after a week my skin felt different. After two weeks my friends started asking what I changed. '
+    + 'Now I use it every morning and every night.';
+  const turnSegments = splitScript(longTurn);
+  check('an overlong turn is split at sentences, no segment over maxWords',
+    turnSegments.every(s => countSpokenWords(s) - (s.match(/\b(?:SARAH|MIKE):/g) || []).length <= pacing.maxWords),
+    turnSegments);
+  check('every piece of a split turn keeps its speaker tag',
+    turnSegments.every(s => /^(?:SARAH|MIKE): /.test(s)), turnSegments);
+  check('multi-speaker script: every word kept, in order',
+    JSON.stringify(words(turnSegments)) === JSON.stringify(words([longTurn.replace(/\n/g, ' ')])));
+
+  const single = 'SARAH: I used to dread mornings.\nSARAH: Then a friend handed me this serum and everything changed.';
+  const singleSegments = splitScript(single);
+  check('a single tagged speaker is one presenter: tags dropped',
+    singleSegments.every(s => !s.includes('SARAH:')), singleSegments);
+
+  const preview = previewSplit(longTurn);
+  check('preview lists the cast and who talks per segment',
+    JSON.stringify(preview.speakers) === '["SARAH","MIKE"]' && preview.segments.every(s => s.speakers.length >= 1),
+    preview.segments.map(s => s.speakers));
+
+  check('pacing outside the clip lengths Veo accepts is rejected',
+    pacingError({ segmentSeconds: 5 }) === 'segmentSeconds must be one of 4, 6, 8');
+  check('minWords above maxWords is rejected', !!pacingError({ minWords: 30, maxWords: 20 }));
+
+  done();
+}
+
+testScriptSplitter();
@@ -0,0 +1,30 @@
+import { splitSentences, splitClauses, countSpokenWords } from './api/services/sentenceSegmenter.js';
+import { checks } from './test-support.js';
+
+function testSentenceSegmenter() {
+  const { check, equal, done } = checks('Testing sentence segmenter...');
+
+  equal('a one-word answer is its own sentence',
+    splitSentences('Did it hurt? No. Not at all.'), ['Did it hurt?', 'No.', 'Not at all.']);
+  equal('"No." before a number is an abbreviation',
+    splitSentences('It is the No. 1 serum in Korea. Try it.'), ['It is the No. 1 serum in Korea.', 'Try it.']);
+  equal('titles do not end a sentence',
+    splitSentences('Ask Dr. Lee about it. She knows.'), ['Ask Dr. Lee about it.', 'She knows.']);
+  equal('an initialism ends a sentence only before a sentence opener',
+    splitSentences('Made in the U.S. It ships fast. Sold in the U.S. Army store.'),
+    ['Made in the U.S.', 'It ships fast.', 'Sold in the U.S. Army store.']);
+  equal('an ellipsis carries on into lower case',
+    splitSentences('Wait... what? Wait... Then it hit me.'), ['Wait... what?', 'Wait...', 'Then it hit me.']);
+  equal('trailing emoji stay with their sentence',
+    splitSentences('I love it! 😍 You will too.'), ['I love it! 😍', 'You will too.']);
+
+  const long = 'I tried creams, oils and masks for years and nothing worked because my skin was just too dry';
+  const clauses = splitClauses(long, 8);
+  check('a long sentence is cut into clauses of at most maxWords',
+    clauses.every(c => countSpokenWords(c) <= 8), clauses);
+  equal('clauses keep every word in order', clauses.join(' '), long);
+
+  done();
+}
+
+testSentenceSegmenter();
@@ -0,0 +1,42 @@
+import { parseSpeakerScript, scriptCast, turnsIn } from './api/services/speakerScript.js';
+import { checks } from './test-support.js';
+
+function testSpeakerScript() {
+  const { equal, done } = checks('Testing speaker script parsing...');
+
+  equal('plain script has no cast',
+    parseSpeakerScript('I tried every serum out there. Nothing worked until this one.'), null);
+
+  equal('two tagged speakers, untagged lines continue the turn',
+    parseSpeakerScript('SARAH: Did it work?\nIt looked too good to be true.\nMIKE: It did, honestly.'),
+    { speakers: ['SARAH', 'MIKE'], turns: [
+      { speaker: 'SARAH', text: 'Did it work? It looked too good to be true.' },
+      { speaker: 'MIKE', text: 'It did, honestly.' },
+    ] });
+
+  equal('names are normalized to upper case in JSON turns',
+    scriptCast('[{"speaker":"Sarah","text":"Hi."},{"speaker":"dr. lee","text":"Hello."}]'), ['SARAH', 'DR. LEE']);
+
+  equal('one tag heading a page of prose is not a speaker script',
+    parseSpeakerScript('SARAH: I want to tell you about my mornings.\nThey used to be chaos.\nNow they are calm.'), null);
+
+  equal('a single speaker tagging most lines is one presenter',
+    scriptCast('SARAH: Hi there.\nSARAH: This changed my mornings.'), []);
+
+  equal('NOTE: and PS: lines are prose, not speakers',
+    parseSpeakerScript('NOTE: read this slowly.\nPS: it works.\nThen the product shot.'), null);
+
+  equal('STEP 1: is not a speaker either',
+    scriptCast('STEP 1: Open the box.\nSTEP 2: Plug it in.'), []);
+
+  equal('split dialogue back into turns',
+    turnsIn('SARAH: Did it work? MIKE: It did.', ['SARAH', 'MIKE']),
+    [{ speaker: 'SARAH', text: 'Did it work?' }, { speaker: 'MIKE', text: 'It did.' }]);
+
+  equal('without speakers the dialogue is one untagged turn',
+    turnsIn('  Just me talking.  ', []), [{ speaker: null, text: 'Just me talking.' }]);
+
+  done();
+}
+
+testSpeakerScript();
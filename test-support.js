@@ -0,0 +1,28 @@
+// test-support.js
+// The check helper shared by the offline behaviour scripts that `npm test`
+// runs. Each script prints one line per check and exits non-zero if any
+// failed; nothing here needs an API key or the network.
+
+export function checks(title) {
+  let failures = 0;
+  console.log(`${title}\n`);
+
+  function check(name, ok, detail) {
+    if (!ok) failures++;
+    console.log(`${ok ? '✅' : '❌'} ${name}`);
+    if (!ok && detail !== undefined) console.log('   got:', JSON.stringify(detail));
+  }
+
+  return {
+    check,
+    // deep equality through JSON, for plain data
+    equal(name, actual, expected) {
+      const ok = JSON.stringify(actual) === JSON.stringify(expected);
+      check(name, ok, ok ? undefined : { expected, actual });
+    },
+    done() {
+      console.log(`\n${failures ? `❌ ${failures} check(s) failed` : '✨ All checks passed'}`);
+      if (failures) process.exitCode = 1;
+    },
+  };
+}
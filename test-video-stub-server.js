@@ -0,0 +1,65 @@
+// Local stand-in for a video generation API. Speaks the contract expected by
+// api/services/video/stubBackend.js so the whole video flow can be exercised
+// without credentials or cost:
+//
+//   node test-video-stub-server.js
+//   VIDEO_BACKEND=stub npm start
+//
+// Tasks move queued -> processing -> completed over VIDEO_STUB_DURATION_MS.
+// A prompt containing "STUB_FAIL" fails instead. Completed tasks point at
+// VIDEO_STUB_SAMPLE (a local .mp4) when set, otherwise at a 404 placeholder.
+import express from 'express';
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+
+const PORT = Number(process.env.VIDEO_STUB_PORT || 4010);
+const DURATION_MS = Number(process.env.VIDEO_STUB_DURATION_MS || 20_000);
+const SAMPLE = process.env.VIDEO_STUB_SAMPLE || '';
+
+const app = express();
+app.use(express.json({ limit: '1mb' }));
+
+const tasks = new Map();
+
+function snapshot(task) {
+  const elapsed = Date.now() - task.createdAt;
+  const progress = Math.min(100, Math.round((elapsed / DURATION_MS) * 100));
+  if (task.fail && progress >= 50) {
+    return { taskId: task.id, status: 'failed', progress, error: 'Stub failure requested by prompt' };
+  }
+  if (progress >= 100) {
+    return {
+      taskId: task.id,
+      status: 'completed',
+      progress: 100,
+      videoUrl: `http://localhost:${PORT}/videos/${task.id}.mp4`,
+    };
+  }
+  return { taskId: task.id, status: progress === 0 ? 'queued' : 'processing', progress };
+}
+
+app.post('/tasks', (req, res) => {
+  const { prompt, segmentNumber } = req.body || {};
+  if (!prompt) return res.status(400).json({ error: 'prompt is required' });
+  const task = { id: randomUUID(), prompt, segmentNumber, createdAt: Date.now(), fail: /STUB_FAIL/.test(prompt) };
+  tasks.set(task.id, task);
+  console.log(`[VideoStub] task ${task.id} for segment ${segmentNumber ?? '?'}`);
+  res.status(201).json({ taskId: task.id });
+});
+
+app.get('/tasks/:id', (req, res) => {
+  const task = tasks.get(req.params.id);
+  if (!task) return res.status(404).json({ error: 'Task not found' });
+  res.json(snapshot(task));
+});
+
+app.get('/videos/:file', (req, res) => {
+  if (!SAMPLE || !fs.existsSync(SAMPLE)) {
+    return res.status(404).json({ error: 'Set VIDEO_STUB_SAMPLE to a local .mp4 to serve playable results' });
+  }
+  res.sendFile(SAMPLE, { root: SAMPLE.startsWith('/') ? undefined : process.cwd() });
+});
+
+app.listen(PORT, () => {
+  console.log(`[VideoStub] listening on http://localhost:${PORT} (tasks finish after ${DURATION_MS}ms)`);
+});